@@ -342,9 +342,13 @@ class ApiDocGenerator
         $docComment = $method->getDocComment();
         if ($docComment === false) return '';
         
-        // Look for @description tag and capture only the description text
-        if (preg_match('/@description\s+([^\n@]+)/', $docComment, $matches)) {
-            return trim($matches[1]);
+        // Look for @description tag and capture the Markdown text up to the next tag (it may span several lines)
+        if (preg_match('/@description\s+(.*?)(?=^\s*\*\s*@|\*\/)/ms', $docComment, $matches)) {
+            $lines = array_map(
+                static fn (string $line): string => (string)preg_replace('/^\s*\*\s?/', '', $line),
+                explode("\n", $matches[1])
+            );
+            return trim(implode("\n", $lines));
         }
         
         return '';  // Return empty if no description found
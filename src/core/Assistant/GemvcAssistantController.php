@@ -66,6 +66,113 @@ class GemvcAssistantController extends Controller
         return $developerController->database();
     }
 
+    /**
+     * Browse Table Rows
+     * 
+     * @return JsonResponse
+     */
+    public function tableRows(): JsonResponse
+    {
+        $model = new GemvcAssistantModel();
+        $table = isset($this->request->get['table']) && is_string($this->request->get['table']) ? $this->request->get['table'] : '';
+        $page = isset($this->request->get['page']) && is_numeric($this->request->get['page']) ? (int) $this->request->get['page'] : 1;
+        $perPage = isset($this->request->get['perPage']) && is_numeric($this->request->get['perPage']) ? (int) $this->request->get['perPage'] : 25;
+        $sort = isset($this->request->get['sort']) && is_string($this->request->get['sort']) ? $this->request->get['sort'] : '';
+        $direction = isset($this->request->get['dir']) && is_string($this->request->get['dir']) ? $this->request->get['dir'] : 'asc';
+        
+        // Column filters arrive as filter[column]=text; empty ones are ignored
+        $filters = [];
+        if (isset($this->request->get['filter']) && is_array($this->request->get['filter'])) {
+            foreach ($this->request->get['filter'] as $column => $value) {
+                if (is_string($column) && is_string($value) && $value !== '') {
+                    $filters[$column] = $value;
+                }
+            }
+        }
+        
+        return $model->tableRows($table, $page, $perPage, $sort, $direction, $filters);
+    }
+
+    /**
+     * Insert Table Row
+     * 
+     * @return JsonResponse
+     */
+    public function insertRow(): JsonResponse
+    {
+        $model = new GemvcAssistantModel();
+        $table = isset($this->request->post['table']) && is_string($this->request->post['table']) ? $this->request->post['table'] : '';
+        return $model->insertRow($table, $this->postColumnValues('values'));
+    }
+
+    /**
+     * Update Table Row
+     * 
+     * @return JsonResponse
+     */
+    public function updateRow(): JsonResponse
+    {
+        $model = new GemvcAssistantModel();
+        $table = isset($this->request->post['table']) && is_string($this->request->post['table']) ? $this->request->post['table'] : '';
+        return $model->updateRow($table, $this->postColumnValues('key'), $this->postColumnValues('values'));
+    }
+
+    /**
+     * Delete Table Row
+     * 
+     * @return JsonResponse
+     */
+    public function deleteRow(): JsonResponse
+    {
+        $model = new GemvcAssistantModel();
+        $table = isset($this->request->post['table']) && is_string($this->request->post['table']) ? $this->request->post['table'] : '';
+        return $model->deleteRow($table, $this->postColumnValues('key'));
+    }
+
+    /**
+     * Run SQL Console Statement
+     * 
+     * @return JsonResponse
+     */
+    public function runQuery(): JsonResponse
+    {
+        $model = new GemvcAssistantModel();
+        $sql = isset($this->request->post['sql']) && is_string($this->request->post['sql']) ? $this->request->post['sql'] : '';
+        $confirmed = isset($this->request->post['confirm']) && $this->request->post['confirm'] === true;
+        return $model->runQuery($sql, $confirmed);
+    }
+
+    /**
+     * Explain SQL Console Statement
+     * 
+     * @return JsonResponse
+     */
+    public function explainQuery(): JsonResponse
+    {
+        $model = new GemvcAssistantModel();
+        $sql = isset($this->request->post['sql']) && is_string($this->request->post['sql']) ? $this->request->post['sql'] : '';
+        return $model->explainQuery($sql);
+    }
+
+    /**
+     * Column => value object from the POST body
+     * 
+     * @param string $field
+     * @return array<string, mixed>
+     */
+    private function postColumnValues(string $field): array
+    {
+        $values = [];
+        if (isset($this->request->post[$field]) && is_array($this->request->post[$field])) {
+            foreach ($this->request->post[$field] as $column => $value) {
+                if (is_string($column)) {
+                    $values[$column] = $value;
+                }
+            }
+        }
+        return $values;
+    }
+
     /**
      * Get API Configuration
      * 
@@ -105,6 +105,106 @@ class GemvcAssistantModel
         }
     }
 
+    /**
+     * Browse Table Rows
+     * 
+     * @param string $tableName
+     * @param int $page
+     * @param int $perPage
+     * @param string $sort
+     * @param string $direction
+     * @param array<string, string> $filters
+     * @return JsonResponse
+     */
+    public function tableRows(string $tableName, int $page, int $perPage, string $sort, string $direction, array $filters): JsonResponse
+    {
+        if (empty($tableName)) {
+            return Response::badRequest('Table name is required');
+        }
+        
+        return $this->developerModel->browseTable($tableName, $page, $perPage, $sort, $direction, $filters);
+    }
+
+    /**
+     * Insert Table Row
+     * 
+     * @param string $tableName
+     * @param array<string, mixed> $values
+     * @return JsonResponse
+     */
+    public function insertRow(string $tableName, array $values): JsonResponse
+    {
+        if (empty($tableName)) {
+            return Response::badRequest('Table name is required');
+        }
+        
+        return $this->developerModel->insertRow($tableName, $values);
+    }
+
+    /**
+     * Update Table Row
+     * 
+     * @param string $tableName
+     * @param array<string, mixed> $key
+     * @param array<string, mixed> $values
+     * @return JsonResponse
+     */
+    public function updateRow(string $tableName, array $key, array $values): JsonResponse
+    {
+        if (empty($tableName)) {
+            return Response::badRequest('Table name is required');
+        }
+        
+        return $this->developerModel->updateRow($tableName, $key, $values);
+    }
+
+    /**
+     * Delete Table Row
+     * 
+     * @param string $tableName
+     * @param array<string, mixed> $key
+     * @return JsonResponse
+     */
+    public function deleteRow(string $tableName, array $key): JsonResponse
+    {
+        if (empty($tableName)) {
+            return Response::badRequest('Table name is required');
+        }
+        
+        return $this->developerModel->deleteRow($tableName, $key);
+    }
+
+    /**
+     * Run SQL Console Statement
+     * 
+     * @param string $sql
+     * @param bool $confirmed
+     * @return JsonResponse
+     */
+    public function runQuery(string $sql, bool $confirmed): JsonResponse
+    {
+        if (empty(trim($sql))) {
+            return Response::badRequest('SQL statement is required');
+        }
+        
+        return $this->developerModel->runQuery($sql, $confirmed);
+    }
+
+    /**
+     * Explain SQL Console Statement
+     * 
+     * @param string $sql
+     * @return JsonResponse
+     */
+    public function explainQuery(string $sql): JsonResponse
+    {
+        if (empty(trim($sql))) {
+            return Response::badRequest('SQL statement is required');
+        }
+        
+        return $this->developerModel->explainQuery($sql);
+    }
+
 
     /**
      * Get API Configuration
@@ -372,7 +372,13 @@ class DeveloperController extends Controller
         // Render template
         $html = $this->renderTemplate('tables', $variables);
         
-        return Response::success(['html' => $html]);
+        // The SPA draws the schema diagram from the raw data
+        return Response::success([
+            'html' => $html,
+            'tableClasses' => $data['tableClasses'],
+            'relationships' => $data['relationships'],
+            'schemaColumns' => $data['schemaColumns']
+        ]);
     }
 
     /**
@@ -8,6 +8,7 @@
 namespace Gemvc\Core\Developer;
 
 use Gemvc\Core\Developer\DeveloperTable;
+use Gemvc\Core\Developer\SqlStatement;
 use Gemvc\Http\JsonResponse;
 use Gemvc\Http\JWTToken;
 use Gemvc\Http\Response;
@@ -16,6 +17,9 @@ use PDO;
 class DeveloperModel extends DeveloperTable
 {
     private const ADMIN_USER_ID = 1; // Fixed admin user ID for developer tools
+    private const GRID_MAX_PER_PAGE = 500; // Largest page the data grid may request
+    private const GRID_ENCODING_ERROR = 'Grid values must be sent as base64-encoded strings';
+    private const SQL_CONSOLE_MAX_ROWS = 1000; // Rows of a result set sent to the SQL console
 
     /**
      * Authenticate admin user
@@ -397,6 +401,463 @@ class DeveloperModel extends DeveloperTable
         }
     }
 
+    /**
+     * Browse table rows for the data grid
+     *
+     * @param string $tableName
+     * @param int $page 1-based page number
+     * @param int $perPage
+     * @param string $sort Column to sort by, empty for primary key order
+     * @param string $direction asc or desc
+     * @param array<string, string> $filters Substring filters keyed by column name
+     * @return JsonResponse
+     */
+    public function browseTable(string $tableName, int $page, int $perPage, string $sort, string $direction, array $filters): JsonResponse
+    {
+        $columns = $this->getGridColumns($tableName);
+        if ($columns === null) {
+            return $this->gridTableError($tableName);
+        }
+
+        if ($sort !== '' && !isset($columns[$sort])) {
+            return Response::badRequest("Unknown sort column '$sort'");
+        }
+        foreach (array_keys($filters) as $column) {
+            if (!isset($columns[$column])) {
+                return Response::badRequest("Unknown filter column '$column'");
+            }
+        }
+
+        $page = max(1, $page);
+        $perPage = min(self::GRID_MAX_PER_PAGE, max(1, $perPage));
+        $direction = strtolower($direction) === 'desc' ? 'desc' : 'asc';
+        // Without an explicit sort, order by primary key so pages do not overlap
+        $orderBy = $sort !== '' ? [$sort] : $this->primaryKeyColumns($columns);
+
+        $result = $this->getTableRowsPage($tableName, ($page - 1) * $perPage, $perPage, $orderBy, $direction, array_map(fn (string $value): string => htmlspecialchars_decode($value, ENT_QUOTES), $filters));
+        if ($result === null) {
+            return Response::internalError('Failed to load rows: ' . ($this->getError() ?? 'unknown error'));
+        }
+
+        return Response::success([
+            'table' => $tableName,
+            'columns' => array_values($columns),
+            'primaryKey' => $this->gridRowKeyColumns($columns),
+            'rows' => array_map(fn (array $row): array => $this->formatGridRow($columns, $row), $result['rows']),
+            'total' => $result['total'],
+            'page' => $page,
+            'perPage' => $perPage,
+            'sort' => $sort,
+            'direction' => $direction
+        ]);
+    }
+
+    /**
+     * Insert a row from the data grid
+     *
+     * @param string $tableName
+     * @param array<string, mixed> $values Column values; omitted columns get their defaults
+     * @return JsonResponse
+     */
+    public function insertRow(string $tableName, array $values): JsonResponse
+    {
+        $columns = $this->getGridColumns($tableName);
+        if ($columns === null) {
+            return $this->gridTableError($tableName);
+        }
+
+        $values = $this->decodeGridValues($values);
+        if ($values === null) {
+            return Response::badRequest(self::GRID_ENCODING_ERROR);
+        }
+        $error = $this->validateGridValues($columns, $values);
+        if ($error !== null) {
+            return Response::badRequest($error);
+        }
+
+        $id = $this->insertTableRow($tableName, $values);
+        if ($id === null) {
+            return Response::badRequest('Insert failed: ' . ($this->getError() ?? 'unknown error'));
+        }
+
+        return Response::success([
+            'message' => "Row inserted into $tableName",
+            'insertId' => $id
+        ]);
+    }
+
+    /**
+     * Update a row from the data grid
+     *
+     * @param string $tableName
+     * @param array<string, mixed> $key Primary key values of the row
+     * @param array<string, mixed> $values New column values
+     * @return JsonResponse
+     */
+    public function updateRow(string $tableName, array $key, array $values): JsonResponse
+    {
+        $columns = $this->getGridColumns($tableName);
+        if ($columns === null) {
+            return $this->gridTableError($tableName);
+        }
+
+        $key = $this->decodeGridValues($key);
+        $values = $this->decodeGridValues($values);
+        if ($key === null || $values === null) {
+            return Response::badRequest(self::GRID_ENCODING_ERROR);
+        }
+        $error = $this->validateRowKey($columns, $key) ?? $this->validateGridValues($columns, $values);
+        if ($error !== null) {
+            return Response::badRequest($error);
+        }
+        if (empty($values)) {
+            return Response::badRequest('No values to update');
+        }
+
+        $affected = $this->updateTableRow($tableName, $key, $values);
+        if ($affected === null) {
+            return Response::badRequest('Update failed: ' . ($this->getError() ?? 'unknown error'));
+        }
+
+        // Editing a key column moves the row; read it back under its new key
+        $row = $this->findTableRow($tableName, array_merge($key, array_intersect_key($values, $key)));
+        if ($row === null) {
+            return Response::notFound('Row not found');
+        }
+
+        return Response::success([
+            'message' => $affected > 0 ? 'Row updated' : 'Row unchanged',
+            'row' => $this->formatGridRow($columns, $row)
+        ]);
+    }
+
+    /**
+     * Delete a row from the data grid
+     *
+     * @param string $tableName
+     * @param array<string, mixed> $key Primary key values of the row
+     * @return JsonResponse
+     */
+    public function deleteRow(string $tableName, array $key): JsonResponse
+    {
+        $columns = $this->getGridColumns($tableName);
+        if ($columns === null) {
+            return $this->gridTableError($tableName);
+        }
+
+        $key = $this->decodeGridValues($key);
+        if ($key === null) {
+            return Response::badRequest(self::GRID_ENCODING_ERROR);
+        }
+        $error = $this->validateRowKey($columns, $key);
+        if ($error !== null) {
+            return Response::badRequest($error);
+        }
+
+        $affected = $this->deleteTableRow($tableName, $key);
+        if ($affected === null) {
+            return Response::badRequest('Delete failed: ' . ($this->getError() ?? 'unknown error'));
+        }
+        if ($affected === 0) {
+            return Response::notFound('Row not found');
+        }
+
+        return Response::success([
+            'message' => "Row deleted from $tableName"
+        ]);
+    }
+
+    /**
+     * Describe the columns of a table for the data grid
+     *
+     * @param string $tableName
+     * @return array<string, array<string, mixed>>|null Columns keyed by name, null when the table does not exist
+     */
+    private function getGridColumns(string $tableName): ?array
+    {
+        if ($tableName === '') {
+            return null;
+        }
+
+        $columns = [];
+        foreach ($this->getTableStructure($tableName) as $column) {
+            $name = is_string($column['COLUMN_NAME'] ?? null) ? $column['COLUMN_NAME'] : '';
+            $type = is_string($column['COLUMN_TYPE'] ?? null) ? $column['COLUMN_TYPE'] : '';
+            $extra = is_string($column['EXTRA'] ?? null) ? strtolower($column['EXTRA']) : '';
+            $columns[$name] = [
+                'name' => $name,
+                'type' => $type,
+                'nullable' => ($column['IS_NULLABLE'] ?? '') === 'YES',
+                'primary' => ($column['COLUMN_KEY'] ?? '') === 'PRI',
+                'default' => $column['COLUMN_DEFAULT'] ?? null,
+                'autoIncrement' => str_contains($extra, 'auto_increment'),
+                'generated' => str_contains($extra, 'generated'),
+                // Binary content is not valid JSON text; the grid shows its size only
+                'binary' => preg_match('/blob|binary/i', $type) === 1
+            ];
+        }
+
+        return empty($columns) ? null : $columns;
+    }
+
+    /**
+     * Error response for a table the grid could not describe
+     *
+     * @param string $tableName
+     * @return JsonResponse
+     */
+    private function gridTableError(string $tableName): JsonResponse
+    {
+        $error = $this->getError();
+        if (!empty($error)) {
+            return Response::internalError('Failed to read table structure: ' . $error);
+        }
+        return Response::notFound("Table '$tableName' does not exist");
+    }
+
+    /**
+     * Primary key column names of a table
+     *
+     * @param array<string, array<string, mixed>> $columns
+     * @return array<int, string>
+     */
+    private function primaryKeyColumns(array $columns): array
+    {
+        return array_keys(array_filter($columns, fn (array $column): bool => $column['primary'] === true));
+    }
+
+    /**
+     * Primary key columns the grid can send back as a row key
+     *
+     * Binary values reach the grid only as "(N bytes)" and cannot identify a row, so tables
+     * with a binary key column (e.g. BINARY(16) UUIDs) get no row key and stay read-only.
+     *
+     * @param array<string, array<string, mixed>> $columns
+     * @return array<int, string>
+     */
+    private function gridRowKeyColumns(array $columns): array
+    {
+        $primaryKey = $this->primaryKeyColumns($columns);
+        foreach ($primaryKey as $column) {
+            if ($columns[$column]['binary'] === true) {
+                return [];
+            }
+        }
+        return $primaryKey;
+    }
+
+    /**
+     * Check that a row key names exactly the primary key columns
+     *
+     * @param array<string, array<string, mixed>> $columns
+     * @param array<string, mixed> $key
+     * @return string|null Error message, null when valid
+     */
+    private function validateRowKey(array $columns, array $key): ?string
+    {
+        $primaryKey = $this->primaryKeyColumns($columns);
+        if (empty($primaryKey)) {
+            return 'Table has no primary key, rows cannot be identified';
+        }
+        if (empty($this->gridRowKeyColumns($columns))) {
+            return 'Table has a binary primary key, rows cannot be identified';
+        }
+
+        $keyColumns = array_keys($key);
+        sort($keyColumns);
+        sort($primaryKey);
+        if ($keyColumns !== $primaryKey) {
+            return 'Row key must contain the primary key columns: ' . implode(', ', $primaryKey);
+        }
+        foreach ($key as $value) {
+            if (!is_scalar($value)) {
+                return 'Primary key values must be scalars';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check that submitted values target writable columns
+     *
+     * @param array<string, array<string, mixed>> $columns
+     * @param array<string, mixed> $values
+     * @return string|null Error message, null when valid
+     */
+    private function validateGridValues(array $columns, array $values): ?string
+    {
+        foreach ($values as $column => $value) {
+            if (!isset($columns[$column])) {
+                return "Unknown column '$column'";
+            }
+            if ($columns[$column]['generated'] === true || $columns[$column]['binary'] === true) {
+                return "Column '$column' cannot be edited";
+            }
+            if ($value !== null && !is_scalar($value)) {
+                return "Invalid value for column '$column'";
+            }
+            if ($value === null && $columns[$column]['nullable'] !== true) {
+                return "Column '$column' cannot be NULL";
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Decode the values the grid sends so they are stored exactly as typed
+     *
+     * The request layer trims and HTML-encodes every incoming string, which would change
+     * values with surrounding whitespace. The grid therefore sends strings base64-encoded.
+     *
+     * @param array<string, mixed> $values
+     * @return array<string, mixed>|null Null when a string is not valid base64
+     */
+    private function decodeGridValues(array $values): ?array
+    {
+        foreach ($values as $column => $value) {
+            if (is_string($value)) {
+                $decoded = base64_decode($value, true);
+                if ($decoded === false) {
+                    return null;
+                }
+                $values[$column] = $decoded;
+            } elseif (is_bool($value)) {
+                $values[$column] = (int) $value;
+            }
+        }
+        return $values;
+    }
+
+    /**
+     * Prepare a database row for the grid
+     *
+     * @param array<string, array<string, mixed>> $columns
+     * @param array<string, mixed> $row
+     * @return array<string, mixed>
+     */
+    private function formatGridRow(array $columns, array $row): array
+    {
+        foreach ($row as $column => $value) {
+            if (is_string($value) && isset($columns[$column]) && $columns[$column]['binary'] === true) {
+                $row[$column] = '(' . strlen($value) . ' bytes)';
+            }
+        }
+        return $row;
+    }
+
+    /**
+     * Run a statement from the SQL console
+     *
+     * Statements that may change data or schema only run when confirmed; without it the
+     * response is 409 Conflict so the console can ask first.
+     *
+     * @param string $sql A single statement
+     * @param bool $confirmed
+     * @return JsonResponse
+     */
+    public function runQuery(string $sql, bool $confirmed): JsonResponse
+    {
+        $statement = $this->consoleStatement($sql);
+        if ($statement instanceof JsonResponse) {
+            return $statement;
+        }
+
+        $type = SqlStatement::type($statement);
+        $readOnly = SqlStatement::isReadOnly($statement);
+        if (!$readOnly && !$confirmed) {
+            return Response::conflict("$type statements can change data or schema and must be confirmed");
+        }
+
+        $started = microtime(true);
+        $result = $this->executeSql($statement, self::SQL_CONSOLE_MAX_ROWS);
+        $durationMs = round((microtime(true) - $started) * 1000, 2);
+        if ($result === null) {
+            return Response::badRequest($this->getError() ?? 'Query failed');
+        }
+
+        return Response::success([
+            'statementType' => $type,
+            'readOnly' => $readOnly,
+            'columns' => $result['columns'],
+            'rows' => array_map(fn (array $row): array => array_map(fn (mixed $value): mixed => $this->consoleValue($value), $row), $result['rows']),
+            'truncated' => $result['truncated'],
+            'maxRows' => self::SQL_CONSOLE_MAX_ROWS,
+            'affectedRows' => $result['affectedRows'],
+            'insertId' => $result['insertId'],
+            'durationMs' => $durationMs
+        ]);
+    }
+
+    /**
+     * Get the execution plan of a statement from the SQL console
+     *
+     * @param string $sql A single statement
+     * @return JsonResponse
+     */
+    public function explainQuery(string $sql): JsonResponse
+    {
+        $statement = $this->consoleStatement($sql);
+        if ($statement instanceof JsonResponse) {
+            return $statement;
+        }
+
+        if (!SqlStatement::isExplainable($statement)) {
+            return Response::badRequest('Only SELECT, INSERT, UPDATE, DELETE and REPLACE statements can be explained');
+        }
+
+        $plan = $this->getExplainPlan($statement);
+        if ($plan === null) {
+            return Response::badRequest($this->getError() ?? 'EXPLAIN failed');
+        }
+
+        return Response::success([
+            'statementType' => SqlStatement::type($statement),
+            'plan' => array_map(fn (array $step): array => array_map(fn (mixed $value): mixed => $this->consoleValue($value), $step), $plan)
+        ]);
+    }
+
+    /**
+     * The single statement of a console request, or the error response
+     *
+     * @param string $sql
+     * @return string|JsonResponse
+     */
+    private function consoleStatement(string $sql): string|JsonResponse
+    {
+        // The request layer HTML-encodes incoming strings; quotes and operators must reach MySQL as typed
+        $statements = SqlStatement::split(htmlspecialchars_decode($sql, ENT_QUOTES));
+        if (empty($statements)) {
+            return Response::badRequest('SQL statement is required');
+        }
+        if (count($statements) > 1) {
+            return Response::badRequest('Run one statement at a time');
+        }
+
+        // Each request gets a pooled connection, so session state would leak into other requests
+        $sessionError = SqlStatement::pooledConnectionError($statements[0]);
+        if ($sessionError !== null) {
+            return Response::badRequest("$sessionError in the SQL console; every statement runs on a shared pooled connection");
+        }
+
+        return $statements[0];
+    }
+
+    /**
+     * Make a result value JSON safe
+     *
+     * @param mixed $value
+     * @return mixed
+     */
+    private function consoleValue(mixed $value): mixed
+    {
+        if (is_string($value) && preg_match('//u', $value) !== 1) {
+            return '(binary ' . strlen($value) . ' bytes)';
+        }
+        return $value;
+    }
+
     /**
      * Check if database is ready
      * 
@@ -592,6 +1053,7 @@ class DeveloperModel extends DeveloperTable
     {
         $tableClasses = $this->getAllTableClasses();
         $relationships = $this->getAllTableRelationships();
+        $schemaColumns = $this->getAllTableColumns();
         
         // Don't pass errors to template - they're logged via error_log
         // Only show errors if it's a critical issue (like no directory found)
@@ -605,6 +1067,7 @@ class DeveloperModel extends DeveloperTable
             'tableClasses' => $tableClasses,
             'totalTables' => count($tableClasses),
             'relationships' => $relationships,
+            'schemaColumns' => $schemaColumns,
             'error' => $showError ? $error : null // Only show critical errors
         ];
     }
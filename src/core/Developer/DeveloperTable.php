@@ -358,6 +358,309 @@ class DeveloperTable extends Table
         }
     }
 
+    /**
+     * Get one page of table rows (for data grid)
+     *
+     * Column names are quoted but not checked; callers validate them against the table structure.
+     *
+     * @param string $tableName
+     * @param int $offset
+     * @param int $limit
+     * @param array<int, string> $orderBy Columns to sort by
+     * @param string $direction ASC or DESC
+     * @param array<string, string> $filters Substring filters keyed by column name
+     * @return array{rows: array<int, array<string, mixed>>, total: int}|null Null on error
+     */
+    public function getTableRowsPage(string $tableName, int $offset, int $limit, array $orderBy, string $direction, array $filters): ?array
+    {
+        [$pdo, $connection, $dbManager] = $this->getPdoConnectionWithManager();
+        try {
+            if ($pdo === null) {
+                return null;
+            }
+
+            $conditions = [];
+            $params = [];
+            foreach ($filters as $column => $value) {
+                $conditions[] = 'CAST(' . $this->quoteIdentifier($column) . ' AS CHAR) LIKE ?';
+                $params[] = '%' . addcslashes($value, '%_\\') . '%';
+            }
+            $where = empty($conditions) ? '' : ' WHERE ' . implode(' AND ', $conditions);
+            $table = $this->quoteIdentifier($tableName);
+
+            $countStmt = $pdo->prepare("SELECT COUNT(*) FROM $table$where");
+            $countStmt->execute($params);
+            $total = $countStmt->fetchColumn();
+
+            $order = '';
+            if (!empty($orderBy)) {
+                $direction = strtoupper($direction) === 'DESC' ? 'DESC' : 'ASC';
+                $order = ' ORDER BY ' . implode(', ', array_map(fn (string $column): string => $this->quoteIdentifier($column) . ' ' . $direction, $orderBy));
+            }
+
+            $stmt = $pdo->prepare("SELECT * FROM $table$where$order LIMIT " . max(1, $limit) . ' OFFSET ' . max(0, $offset));
+            $stmt->execute($params);
+
+            return [
+                'rows' => array_values($stmt->fetchAll(PDO::FETCH_ASSOC)),
+                'total' => is_numeric($total) ? (int) $total : 0
+            ];
+        } catch (\Exception $e) {
+            $this->setError($e->getMessage());
+            return null;
+        } finally {
+            $this->releaseConnection($connection, $dbManager);
+        }
+    }
+
+    /**
+     * Find a single row by its primary key
+     *
+     * @param string $tableName
+     * @param array<string, mixed> $key Primary key values keyed by column name
+     * @return array<string, mixed>|null Null when the row does not exist or on error
+     */
+    public function findTableRow(string $tableName, array $key): ?array
+    {
+        [$pdo, $connection, $dbManager] = $this->getPdoConnectionWithManager();
+        try {
+            if ($pdo === null) {
+                return null;
+            }
+
+            [$where, $params] = $this->buildKeyCondition($key);
+            $stmt = $pdo->prepare('SELECT * FROM ' . $this->quoteIdentifier($tableName) . " WHERE $where LIMIT 1");
+            $stmt->execute($params);
+            $row = $stmt->fetch(PDO::FETCH_ASSOC);
+
+            return is_array($row) ? $row : null;
+        } catch (\Exception $e) {
+            $this->setError($e->getMessage());
+            return null;
+        } finally {
+            $this->releaseConnection($connection, $dbManager);
+        }
+    }
+
+    /**
+     * Insert a row
+     *
+     * @param string $tableName
+     * @param array<string, mixed> $values Column values; omitted columns get their defaults
+     * @return string|null Last insert id ('0' without auto increment column), null on error
+     */
+    public function insertTableRow(string $tableName, array $values): ?string
+    {
+        [$pdo, $connection, $dbManager] = $this->getPdoConnectionWithManager();
+        try {
+            if ($pdo === null) {
+                return null;
+            }
+
+            $columns = implode(', ', array_map(fn (string $column): string => $this->quoteIdentifier($column), array_keys($values)));
+            $placeholders = implode(', ', array_fill(0, count($values), '?'));
+            $stmt = $pdo->prepare('INSERT INTO ' . $this->quoteIdentifier($tableName) . " ($columns) VALUES ($placeholders)");
+            $stmt->execute(array_values($values));
+
+            $id = $pdo->lastInsertId();
+            return is_string($id) ? $id : '0';
+        } catch (\Exception $e) {
+            $this->setError($e->getMessage());
+            return null;
+        } finally {
+            $this->releaseConnection($connection, $dbManager);
+        }
+    }
+
+    /**
+     * Update a row identified by its primary key
+     *
+     * @param string $tableName
+     * @param array<string, mixed> $key Primary key values keyed by column name
+     * @param array<string, mixed> $values New column values
+     * @return int|null Affected rows, null on error
+     */
+    public function updateTableRow(string $tableName, array $key, array $values): ?int
+    {
+        [$pdo, $connection, $dbManager] = $this->getPdoConnectionWithManager();
+        try {
+            if ($pdo === null) {
+                return null;
+            }
+
+            $assignments = implode(', ', array_map(fn (string $column): string => $this->quoteIdentifier($column) . ' = ?', array_keys($values)));
+            [$where, $params] = $this->buildKeyCondition($key);
+            $stmt = $pdo->prepare('UPDATE ' . $this->quoteIdentifier($tableName) . " SET $assignments WHERE $where LIMIT 1");
+            $stmt->execute(array_merge(array_values($values), $params));
+
+            return $stmt->rowCount();
+        } catch (\Exception $e) {
+            $this->setError($e->getMessage());
+            return null;
+        } finally {
+            $this->releaseConnection($connection, $dbManager);
+        }
+    }
+
+    /**
+     * Delete a row identified by its primary key
+     *
+     * @param string $tableName
+     * @param array<string, mixed> $key Primary key values keyed by column name
+     * @return int|null Affected rows, null on error
+     */
+    public function deleteTableRow(string $tableName, array $key): ?int
+    {
+        [$pdo, $connection, $dbManager] = $this->getPdoConnectionWithManager();
+        try {
+            if ($pdo === null) {
+                return null;
+            }
+
+            [$where, $params] = $this->buildKeyCondition($key);
+            $stmt = $pdo->prepare('DELETE FROM ' . $this->quoteIdentifier($tableName) . " WHERE $where LIMIT 1");
+            $stmt->execute($params);
+
+            return $stmt->rowCount();
+        } catch (\Exception $e) {
+            $this->setError($e->getMessage());
+            return null;
+        } finally {
+            $this->releaseConnection($connection, $dbManager);
+        }
+    }
+
+    /**
+     * Run a single statement from the SQL console
+     *
+     * At most $maxRows rows of a result set are read. MySQL results are streamed unbuffered,
+     * so a large result does not have to fit into memory first.
+     *
+     * @param string $sql
+     * @param int $maxRows
+     * @return array{columns: array<int, string>, rows: array<int, array<int, mixed>>, truncated: bool, affectedRows: int, insertId: string}|null Null on error
+     */
+    public function executeSql(string $sql, int $maxRows): ?array
+    {
+        [$pdo, $connection, $dbManager] = $this->getPdoConnectionWithManager();
+        $buffered = null;
+        $stmt = false;
+        try {
+            if ($pdo === null) {
+                return null;
+            }
+
+            if ($pdo->getAttribute(PDO::ATTR_DRIVER_NAME) === 'mysql') {
+                $buffered = $pdo->getAttribute(PDO::MYSQL_ATTR_USE_BUFFERED_QUERY);
+                $pdo->setAttribute(PDO::MYSQL_ATTR_USE_BUFFERED_QUERY, false);
+            }
+
+            $stmt = $pdo->query($sql);
+            if ($stmt === false) {
+                $errorInfo = $pdo->errorInfo();
+                $this->setError(is_string($errorInfo[2] ?? null) ? $errorInfo[2] : 'Query failed');
+                return null;
+            }
+
+            // Column names come from the metadata, so duplicate names in joins are kept apart
+            $columns = [];
+            for ($i = 0; $i < $stmt->columnCount(); $i++) {
+                $meta = $stmt->getColumnMeta($i);
+                $columns[] = is_array($meta) && is_string($meta['name'] ?? null) ? $meta['name'] : 'column_' . ($i + 1);
+            }
+
+            $rows = [];
+            $truncated = false;
+            if (!empty($columns)) {
+                while (($row = $stmt->fetch(PDO::FETCH_NUM)) !== false) {
+                    if (count($rows) >= $maxRows) {
+                        $truncated = true;
+                        break;
+                    }
+                    $rows[] = is_array($row) ? array_values($row) : [];
+                }
+            }
+            $affectedRows = empty($columns) ? $stmt->rowCount() : 0;
+            $insertId = $pdo->lastInsertId();
+
+            return [
+                'columns' => $columns,
+                'rows' => $rows,
+                'truncated' => $truncated,
+                'affectedRows' => $affectedRows,
+                'insertId' => is_string($insertId) ? $insertId : '0'
+            ];
+        } catch (\Exception $e) {
+            $this->setError($e->getMessage());
+            return null;
+        } finally {
+            // An unread unbuffered result would block the next query on this pooled connection
+            if ($stmt !== false) {
+                try {
+                    $stmt->closeCursor();
+                } catch (\Exception $e) {
+                    // The connection is released below either way
+                }
+            }
+            if ($pdo !== null && $buffered !== null) {
+                $pdo->setAttribute(PDO::MYSQL_ATTR_USE_BUFFERED_QUERY, $buffered);
+            }
+            $this->releaseConnection($connection, $dbManager);
+        }
+    }
+
+    /**
+     * Get the execution plan of a statement (EXPLAIN, one row per step)
+     *
+     * @param string $sql
+     * @return array<int, array<string, mixed>>|null Null on error
+     */
+    public function getExplainPlan(string $sql): ?array
+    {
+        [$pdo, $connection, $dbManager] = $this->getPdoConnectionWithManager();
+        try {
+            if ($pdo === null) {
+                return null;
+            }
+
+            $result = $pdo->query('EXPLAIN ' . $sql);
+            if ($result === false) {
+                $errorInfo = $pdo->errorInfo();
+                $this->setError(is_string($errorInfo[2] ?? null) ? $errorInfo[2] : 'EXPLAIN failed');
+                return null;
+            }
+            return array_values($result->fetchAll(PDO::FETCH_ASSOC));
+        } catch (\Exception $e) {
+            $this->setError($e->getMessage());
+            return null;
+        } finally {
+            $this->releaseConnection($connection, $dbManager);
+        }
+    }
+
+    /**
+     * Quote a table or column name as a MySQL identifier
+     *
+     * @param string $name
+     * @return string
+     */
+    private function quoteIdentifier(string $name): string
+    {
+        return '`' . str_replace('`', '``', $name) . '`';
+    }
+
+    /**
+     * Build the WHERE condition matching a primary key
+     *
+     * @param array<string, mixed> $key Primary key values keyed by column name
+     * @return array{0: string, 1: array<int, mixed>} Condition and its parameters
+     */
+    private function buildKeyCondition(array $key): array
+    {
+        $conditions = array_map(fn (string $column): string => $this->quoteIdentifier($column) . ' = ?', array_keys($key));
+        return [implode(' AND ', $conditions), array_values($key)];
+    }
+
     /**
      * Get PDO connection and connection interface for proper release
      * 
@@ -1082,6 +1385,56 @@ class DeveloperTable extends Table
         }
     }
 
+    /**
+     * Get the columns of every table (for schema diagram)
+     * 
+     * @return array<string, array<int, array<string, mixed>>> Columns keyed by table name, in table order
+     */
+    public function getAllTableColumns(): array
+    {
+        [$pdo, $connection, $dbManager] = $this->getPdoConnectionWithManager();
+        try {
+            if ($pdo === null) {
+                return [];
+            }
+
+            $dbName = isset($_ENV['DB_NAME']) && is_string($_ENV['DB_NAME']) ? $_ENV['DB_NAME'] : '';
+            
+            // One query for the whole schema; views have no keys and are left out
+            $stmt = $pdo->prepare("
+                SELECT c.TABLE_NAME, c.COLUMN_NAME, c.COLUMN_TYPE, c.IS_NULLABLE, c.COLUMN_KEY
+                FROM INFORMATION_SCHEMA.COLUMNS c
+                INNER JOIN INFORMATION_SCHEMA.TABLES t
+                    ON t.TABLE_SCHEMA = c.TABLE_SCHEMA
+                    AND t.TABLE_NAME = c.TABLE_NAME
+                WHERE c.TABLE_SCHEMA = ?
+                    AND t.TABLE_TYPE = 'BASE TABLE'
+                ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION
+            ");
+            $stmt->execute([$dbName]);
+            
+            $columns = [];
+            foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+                if (!is_array($row) || !isset($row['TABLE_NAME']) || !is_string($row['TABLE_NAME'])) {
+                    continue;
+                }
+                $columns[$row['TABLE_NAME']][] = [
+                    'name' => $row['COLUMN_NAME'] ?? '',
+                    'type' => $row['COLUMN_TYPE'] ?? '',
+                    'nullable' => ($row['IS_NULLABLE'] ?? '') === 'YES',
+                    'primary' => ($row['COLUMN_KEY'] ?? '') === 'PRI'
+                ];
+            }
+            
+            return $columns;
+        } catch (\Exception $e) {
+            $this->setError($e->getMessage());
+            return [];
+        } finally {
+            $this->releaseConnection($connection, $dbManager);
+        }
+    }
+
     /**
      * Get all table relationships (for schema diagram)
      * 
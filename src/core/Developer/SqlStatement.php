@@ -0,0 +1,234 @@
+<?php
+/**
+ * SQL Statement Inspector
+ *
+ * Lightweight lexical checks for statements typed into the developer SQL console:
+ * splitting, statement type and whether a statement only reads data.
+ * This is not a parser; it only has to see past strings, quoted identifiers and comments.
+ */
+namespace Gemvc\Core\Developer;
+
+class SqlStatement
+{
+    /**
+     * Statement types that never change data or schema
+     *
+     * @var array<int, string>
+     */
+    private const READ_TYPES = ['SELECT', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'WITH', 'TABLE', 'VALUES', 'HELP'];
+
+    /**
+     * Statement types MySQL can EXPLAIN
+     *
+     * @var array<int, string>
+     */
+    private const EXPLAINABLE_TYPES = ['SELECT', 'WITH', 'TABLE', 'INSERT', 'REPLACE', 'UPDATE', 'DELETE'];
+
+    /**
+     * Statement types that leave nothing behind on the connection: reads, DML and DDL
+     *
+     * @var array<int, string>
+     */
+    private const POOL_SAFE_TYPES = [
+        'SELECT', 'WITH', 'TABLE', 'VALUES', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'HELP',
+        'INSERT', 'REPLACE', 'UPDATE', 'DELETE',
+        'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME'
+    ];
+
+    /**
+     * Replace the content of strings, quoted identifiers and comments with spaces
+     *
+     * Offsets stay the same, so positions found in the masked text apply to the original.
+     * MySQL runs the body of executable comments (/*! ... */, /*!80000 ... */) and optimizer
+     * hints (/*+ ... */), so only their markers are blanked and the body is kept as code.
+     *
+     * @param string $sql
+     * @return string
+     */
+    public static function mask(string $sql): string
+    {
+        $masked = $sql;
+        $length = strlen($sql);
+        $inExecutableComment = false;
+        $i = 0;
+        while ($i < $length) {
+            $char = $sql[$i];
+            $next = $i + 1 < $length ? $sql[$i + 1] : '';
+
+            if ($inExecutableComment && $char === '*' && $next === '/') {
+                $masked[$i] = ' ';
+                $masked[$i + 1] = ' ';
+                $inExecutableComment = false;
+                $i += 2;
+                continue;
+            }
+
+            if ($char === "'" || $char === '"' || $char === '`') {
+                // Quoted text ends at the matching quote; doubled quotes (and backslashes outside identifiers) escape
+                $end = $i + 1;
+                while ($end < $length) {
+                    if ($sql[$end] === '\\' && $char !== '`') {
+                        $end += 2;
+                        continue;
+                    }
+                    if ($sql[$end] === $char) {
+                        if ($end + 1 < $length && $sql[$end + 1] === $char) {
+                            $end += 2;
+                            continue;
+                        }
+                        break;
+                    }
+                    $end++;
+                }
+                // An unterminated quote runs to the end of the text
+                for ($j = $i + 1; $j < min($end, $length); $j++) {
+                    $masked[$j] = $sql[$j] === "\n" ? "\n" : ' ';
+                }
+                $i = $end + 1;
+                continue;
+            }
+
+            $commentEnd = null;
+            if ($char === '#' || ($char === '-' && $next === '-' && ($i + 2 >= $length || trim($sql[$i + 2]) === ''))) {
+                $newline = strpos($sql, "\n", $i);
+                $commentEnd = $newline === false ? $length : $newline;
+            } elseif ($char === '/' && $next === '*' && !$inExecutableComment && $i + 2 < $length && ($sql[$i + 2] === '!' || $sql[$i + 2] === '+')) {
+                // Blank the opening marker with its version number and scan the body as code
+                $bodyStart = $i + 3;
+                if ($sql[$i + 2] === '!') {
+                    $bodyStart += strspn($sql, '0123456789', $bodyStart);
+                }
+                for ($j = $i; $j < $bodyStart; $j++) {
+                    $masked[$j] = ' ';
+                }
+                $inExecutableComment = true;
+                $i = $bodyStart;
+                continue;
+            } elseif ($char === '/' && $next === '*') {
+                $close = strpos($sql, '*/', $i + 2);
+                $commentEnd = $close === false ? $length : $close + 2;
+            }
+            if ($commentEnd !== null) {
+                for ($j = $i; $j < $commentEnd; $j++) {
+                    $masked[$j] = $sql[$j] === "\n" ? "\n" : ' ';
+                }
+                $i = $commentEnd;
+                continue;
+            }
+
+            $i++;
+        }
+        return $masked;
+    }
+
+    /**
+     * Split a script into its statements
+     *
+     * @param string $sql
+     * @return array<int, string> Trimmed statements without their terminating semicolon
+     */
+    public static function split(string $sql): array
+    {
+        $masked = self::mask($sql);
+        $statements = [];
+        $start = 0;
+        while (($end = strpos($masked, ';', $start)) !== false) {
+            $statements[] = substr($sql, $start, $end - $start);
+            $start = $end + 1;
+        }
+        $statements[] = substr($sql, $start);
+
+        // A piece holding only comments or whitespace is no statement
+        $result = [];
+        foreach ($statements as $statement) {
+            if (trim(self::mask($statement)) !== '') {
+                $result[] = trim($statement);
+            }
+        }
+        return $result;
+    }
+
+    /**
+     * Statement type: the first keyword, upper case ('' when there is none)
+     *
+     * @param string $sql
+     * @return string
+     */
+    public static function type(string $sql): string
+    {
+        // Leading parentheses belong to statements like (SELECT ...) UNION (SELECT ...)
+        if (preg_match('/^[\s(]*([A-Za-z]+)/', self::mask($sql), $matches) === 1) {
+            return strtoupper($matches[1]);
+        }
+        return '';
+    }
+
+    /**
+     * Whether a single statement only reads
+     *
+     * Common table expressions may front an UPDATE or DELETE, and SELECT ... INTO OUTFILE writes files,
+     * so those are checked beyond the statement type.
+     *
+     * @param string $sql
+     * @return bool
+     */
+    public static function isReadOnly(string $sql): bool
+    {
+        $type = self::type($sql);
+        if (!in_array($type, self::READ_TYPES, true)) {
+            return false;
+        }
+
+        $masked = strtoupper(self::mask($sql));
+        if ($type === 'WITH' && preg_match('/\b(INSERT|REPLACE|UPDATE|DELETE)\b/', $masked) === 1) {
+            return false;
+        }
+        if (in_array($type, ['EXPLAIN', 'DESCRIBE', 'DESC'], true)
+            && preg_match('/^[\s(]*(EXPLAIN|DESCRIBE|DESC)\s+ANALYZE(\s+FORMAT\s*=\s*\w+)?\b/', $masked, $matches) === 1) {
+            // EXPLAIN ANALYZE (and its DESCRIBE spellings) runs the statement it explains
+            return self::isReadOnly(substr($sql, strlen($matches[0])));
+        }
+        return preg_match('/\bINTO\s+(OUTFILE|DUMPFILE)\b/', $masked) !== 1;
+    }
+
+    /**
+     * Why a single statement must not run on a shared pooled connection, or null when it may
+     *
+     * Only reads, DML and DDL are allowed. Transactions, SET, locks, prepared statements, temporary
+     * tables and user variables outlive the statement and would carry over to the next request
+     * that gets the connection.
+     *
+     * @param string $sql
+     * @return string|null
+     */
+    public static function pooledConnectionError(string $sql): ?string
+    {
+        $type = self::type($sql);
+        if (!in_array($type, self::POOL_SAFE_TYPES, true)) {
+            return $type === '' ? 'This statement is not supported' : "$type statements are not supported";
+        }
+
+        $masked = strtoupper(self::mask($sql));
+        if (preg_match('/\b(GET_LOCK|RELEASE_LOCK|RELEASE_ALL_LOCKS)\s*\(/', $masked, $matches) === 1) {
+            return "{$matches[1]}() holds locks on the connection and is not supported";
+        }
+        if ($type === 'CREATE' && preg_match('/^[\s(]*CREATE\s+TEMPORARY\b/', $masked) === 1) {
+            return 'Temporary tables belong to the connection session and are not supported';
+        }
+        if (preg_match('/@[A-Z0-9_$.]+\s*:=|\bINTO\s+@/', $masked) === 1) {
+            return 'User variables belong to the connection session and are not supported';
+        }
+        return null;
+    }
+
+    /**
+     * Whether MySQL can show an execution plan for a single statement
+     *
+     * @param string $sql
+     * @return bool
+     */
+    public static function isExplainable(string $sql): bool
+    {
+        return in_array(self::type($sql), self::EXPLAINABLE_TYPES, true);
+    }
+}
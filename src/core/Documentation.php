@@ -54,16 +54,48 @@ class Documentation
                 <div class="nav-tree">
                     <div class="header-section">
                         <h1>API Documentation</h1>
-                        <button onclick="downloadPostmanCollection()" class="export-button">
-                            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-                                <polyline points="7 10 12 15 17 10"/>
-                                <line x1="12" y1="15" x2="12" y2="3"/>
-                            </svg>
-                            Export to Postman
-                        </button>
+                        <div class="export-actions">
+                            <button onclick="downloadPostmanCollection()" class="export-button">
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                                    <polyline points="7 10 12 15 17 10"/>
+                                    <line x1="12" y1="15" x2="12" y2="3"/>
+                                </svg>
+                                Export to Postman
+                            </button>
+                            <select id="postman-body-mode" class="export-select" title="Postman request body mode">
+                                <option value="raw">Postman body: raw JSON</option>
+                                <option value="formdata">Postman body: form-data</option>
+                            </select>
+                            <button onclick="downloadOpenApi('json')" class="export-button">
+                                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                                    <polyline points="7 10 12 15 17 10"/>
+                                    <line x1="12" y1="15" x2="12" y2="3"/>
+                                </svg>
+                                Download OpenAPI
+                            </button>
+                            <button onclick="downloadOpenApi('yaml')" class="export-button export-button-secondary">OpenAPI as YAML</button>
+                            <button onclick="downloadInsomniaExport()" class="export-button export-button-secondary">Export to Insomnia</button>
+                            <button onclick="downloadHttpFile()" class="export-button export-button-secondary">Download .http file</button>
+                            <button onclick="downloadSnapshot()" class="export-button export-button-secondary">Export snapshot</button>
+                            <label class="export-button export-button-secondary" title="Load a snapshot, Postman collection or OpenAPI JSON export to see what changed">
+                                Compare with snapshot
+                                <input type="file" id="snapshot-file" accept=".json,application/json" onchange="loadSnapshotFile(this)" hidden>
+                            </label>
+                        </div>
+                    </div>
+                    <div class="tree-search">
+                        <input type="search" id="tree-search" class="tree-search-input" placeholder="Search endpoints (press /)" aria-label="Search endpoints" autocomplete="off">
+                        <div class="method-filters" id="method-filters">
+                            <button type="button" class="method-chip" data-method="GET" aria-pressed="false">GET</button>
+                            <button type="button" class="method-chip" data-method="POST" aria-pressed="false">POST</button>
+                            <button type="button" class="method-chip" data-method="PUT" aria-pressed="false">PUT</button>
+                            <button type="button" class="method-chip" data-method="DELETE" aria-pressed="false">DELETE</button>
+                        </div>
+                        <div id="tree-search-status" class="tree-search-status"></div>
                     </div>
-                    <div class="tree-content">
+                    <div class="tree-content" id="tree-content">
                         {$this->generateTreeNavigation($documentation)}
                     </div>
                 </div>
@@ -123,7 +155,7 @@ class Documentation
     private function getJavaScript(array $documentation): string
     {
         $parameterTableJs = $this->parameterTableGenerator->generateJavaScriptFunction();
-        $docJson = $this->formatJson(json_encode($documentation, JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_QUOT | JSON_HEX_AMP));
+        $docJson = $this->encodeForScript($documentation);
         $external = '';
         $externalPath = __DIR__ . '/Documentation/documentation.js';
         if (is_file($externalPath)) {
@@ -335,27 +367,25 @@ class Documentation
 
 
     /**
-     * @param string|false|null $json
+     * Encode documentation data as a JavaScript literal that cannot close the surrounding <script> element
+     *
+     * @param array<string, mixed> $documentation
      */
-    private function formatJson($json): string
+    public function encodeForScript(array $documentation): string
     {
-        if (empty($json)) {
-            return 'No example response available';
-        }
-
-        $data = json_decode($json, true);
-        if (json_last_error() !== JSON_ERROR_NONE) {
-            return (string)$json; // Cast to string to ensure type safety
+        $json = json_encode(
+            $documentation,
+            JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_QUOT | JSON_HEX_AMP | JSON_INVALID_UTF8_SUBSTITUTE
+        );
+        if ($json === false) {
+            return '{}';
         }
 
         // Remove any markdown code block markers and "Example Response:" text
-        $json = json_encode($data, JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE);
-        $json = (string)$json; // Cast to string to ensure type safety
         $json = str_replace(['```json', '```', 'Example Response:'], '', $json);
         return trim($json);
     }
 
-
     public function show(): JsonResponse
     {
         $generator = new ApiDocGenerator();
@@ -16,7 +16,30 @@ class HtmlHelper
      */
     public function getMethodClass(string $method): string
     {
-        return strtolower($method);
+        return (string)preg_replace('/[^a-z]/', '', strtolower($method));
+    }
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute
+     * 
+     * @param string $value
+     * @return string
+     */
+    public function escape(string $value): string
+    {
+        return htmlspecialchars($value, ENT_QUOTES | ENT_SUBSTITUTE, 'UTF-8');
+    }
+
+    /**
+     * Encode a value as a JavaScript string argument inside a quoted HTML attribute
+     * 
+     * @param string $value
+     * @return string
+     */
+    public function jsArgument(string $value): string
+    {
+        $json = json_encode($value, JSON_HEX_TAG | JSON_HEX_APOS | JSON_HEX_QUOT | JSON_HEX_AMP | JSON_INVALID_UTF8_SUBSTITUTE);
+        return $this->escape($json === false ? '""' : $json);
     }
 
     /**
@@ -39,7 +62,8 @@ class HtmlHelper
     public function generateMethodIcon(string $method): string
     {
         $methodClass = $this->getMethodClass($method);
-        return "<span class=\"method-icon method-{$methodClass}\">{$method}</span>";
+        $label = $this->escape($method);
+        return "<span class=\"method-icon method-{$methodClass}\">{$label}</span>";
     }
 
     /**
@@ -51,7 +75,8 @@ class HtmlHelper
     public function generateMethodBadge(string $method): string
     {
         $methodClass = $this->getMethodClass($method);
-        return "<span class=\"method method-{$methodClass}\">{$method}</span>";
+        $label = $this->escape($method);
+        return "<span class=\"method method-{$methodClass}\">{$label}</span>";
     }
 
     /**
@@ -64,6 +89,7 @@ class HtmlHelper
     public function generateEndpointHeader(string $method, string $url): string
     {
         $methodBadge = $this->generateMethodBadge($method);
+        $url = $this->escape($url);
         return <<<HTML
             <div class="endpoint-header">
                 {$methodBadge}
@@ -81,6 +107,7 @@ class HtmlHelper
      */
     public function generateServiceNavigation(string $serviceName, string $methodsHtml): string
     {
+        $serviceName = $this->escape($serviceName);
         return <<<HTML
             <div class="tree-item">
                 <div class="service-name" onclick="toggleService(this)">
@@ -106,13 +133,15 @@ class HtmlHelper
      */
     public function generateMethodNavigation(string $serviceName, string $methodName, string $method): string
     {
-        $methodClass = $this->getMethodClass($method);
         $methodIcon = $this->generateMethodIcon($method);
+        $serviceArgument = $this->jsArgument($serviceName);
+        $methodArgument = $this->jsArgument($methodName);
+        $label = $this->escape($methodName);
         
         return <<<HTML
-            <div class="method-item" onclick="showEndpoint('{$serviceName}', '{$methodName}')">
+            <div class="method-item" onclick="showEndpoint({$serviceArgument}, {$methodArgument})">
                 {$methodIcon}
-                {$methodName}
+                {$label}
             </div>
         HTML;
     }
@@ -132,9 +161,9 @@ class HtmlHelper
         
         return sprintf(
             '<tr><td>%s%s</td><td>%s</td><td>%s</td></tr>',
-            htmlspecialchars($name),
+            $this->escape($name),
             $requiredMarkup,
-            htmlspecialchars($type),
+            $this->escape($type),
             $requiredText
         );
     }
@@ -169,7 +198,8 @@ class HtmlHelper
      */
     public function generateSectionHeader(string $title, int $level = 4): string
     {
-        $tag = "h{$level}";
+        $tag = 'h' . max(1, min(6, $level));
+        $title = $this->escape($title);
         return "<{$tag}>{$title}</{$tag}>";
     }
 
@@ -184,6 +214,7 @@ class HtmlHelper
         if (empty(trim($description))) {
             return '<div class="endpoint-description" style="display: none;"></div>';
         }
+        $description = $this->escape($description);
         
         return <<<HTML
             <div class="endpoint-description">
@@ -203,6 +234,7 @@ class HtmlHelper
         if (empty(trim($example))) {
             $example = 'No example documented by developer';
         }
+        $example = $this->escape($example);
         
         return <<<HTML
             <div class="endpoint-example">
@@ -219,6 +251,7 @@ class HtmlHelper
      */
     public function generateResponseSection(string $response): string
     {
+        $response = $this->escape($response);
         return <<<HTML
             <div class="response-section">
                 <div class="response-code">
@@ -7,65 +7,917 @@ function toggleService(element) {
     arrow.style.transform = isExpanded ? 'rotate(0deg)' : 'rotate(90deg)';
 }
 
-function showEndpoint(serviceName, methodName) {
+// Safe rendering: html`` escapes every interpolated value unless it is already SafeHtml
+function SafeHtml(value) { this.value = value; }
+SafeHtml.prototype.toString = function() { return this.value; };
+
+function trustedHtml(value) { return new SafeHtml(String(value)); }
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function renderHtmlValue(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let out = strings[0];
+    values.forEach((value, i) => { out += renderHtmlValue(value) + strings[i + 1]; });
+    return new SafeHtml(out);
+}
+
+function cssToken(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9_-]/g, '') || 'unknown';
+}
+
+// Safe Markdown subset for descriptions: paragraphs, `code` spans, lists and [links](url)
+function safeUrl(url) {
+    const trimmed = String(url).trim();
+    if (/^(https?:|mailto:)/i.test(trimmed)) return trimmed;
+    // Relative links are fine as long as nothing before the first / ? or # looks like a scheme
+    if (!/^[^/?#]*:/.test(trimmed)) return trimmed;
+    return null;
+}
+
+function renderInlineMarkdown(text) {
+    const pattern = /`([^`]+)`|\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+    let out = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        out += escapeHtml(text.slice(last, match.index));
+        if (match[1] !== undefined) {
+            out += html`<code>${match[1]}</code>`;
+        } else {
+            const href = safeUrl(match[3]);
+            out += href === null ? escapeHtml(match[2]) : html`<a href="${href}" target="_blank" rel="noopener noreferrer">${match[2]}</a>`;
+        }
+        last = pattern.lastIndex;
+    }
+    return trustedHtml(out + escapeHtml(text.slice(last)));
+}
+
+function renderMarkdown(text) {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    const flushParagraph = () => { if (paragraph.length) { blocks.push(html`<p>${renderInlineMarkdown(paragraph.join(' '))}</p>`); paragraph = []; } };
+    const flushList = () => {
+        if (!list) return;
+        const items = list.items.map(item => html`<li>${renderInlineMarkdown(item)}</li>`);
+        blocks.push(list.ordered ? html`<ol>${items}</ol>` : html`<ul>${items}</ul>`);
+        list = null;
+    };
+    String(text || '').split(/\r?\n/).forEach(line => {
+        const item = /^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/.exec(line);
+        if (item) {
+            const ordered = item[2] !== undefined;
+            flushParagraph();
+            if (list && list.ordered !== ordered) flushList();
+            if (!list) list = { ordered: ordered, items: [] };
+            list.items.push(item[3]);
+        } else if (line.trim() === '') {
+            flushParagraph(); flushList();
+        } else {
+            flushList(); paragraph.push(line.trim());
+        }
+    });
+    flushParagraph(); flushList();
+    return trustedHtml(blocks.join(''));
+}
+
+function renderDescription(endpoint) {
+    return renderMarkdown(endpoint.description || 'No description available');
+}
+
+function showEndpoint(serviceName, methodName, fromHistory) {
     const service = documentationData[serviceName];
     if (!service || !service.endpoints || !service.endpoints[methodName]) {
         document.getElementById('endpoint-content').innerHTML = '<p>Endpoint not found</p>';
         return;
     }
+    if (!fromHistory) pushEndpointHistory(serviceName, methodName);
+    revealEndpointInTree(serviceName, methodName);
     const endpoint = service.endpoints[methodName];
-    const methodClass = endpoint.method ? endpoint.method.toLowerCase() : 'unknown';
-    const content = `
+    const content = html`
         <div class="endpoint-details">
             <div class="endpoint-header">
-                <span class="method method-${methodClass}">${endpoint.method || 'UNKNOWN'}</span>
+                <span class="method method-${cssToken(endpoint.method)}">${endpoint.method || 'UNKNOWN'}</span>
                 <span class="url">${endpoint.url || '/'}</span>
+                <button type="button" class="copy-link-button" id="copy-endpoint-link" title="Copy a link to this endpoint">Copy link</button>
             </div>
-            <div class="endpoint-description">${endpoint.description || 'No description available'}</div>
+            <div class="endpoint-description markdown">${renderDescription(endpoint)}</div>
             <div class="endpoint-example"><strong>Example:</strong> <code>${endpoint.example || 'No example documented by developer'}</code></div>
             <div class="content-wrapper">
                 <div class="main-content">
-                    <div class="response-section">
-                        <div class="response-code"><pre><code>${formatJson(endpoint.response)}</code></pre></div>
-                    </div>
+                    <div class="response-section" id="endpoint-response"></div>
                 </div>
-                <div class="parameters"><h3>Parameters</h3>${generateParameterTable(endpoint)}</div>
+                <div class="parameters"><h3>Parameters</h3>${trustedHtml(generateParameterTable(endpoint))}</div>
             </div>
+            ${trustedHtml(generateSnippetPanel())}
+            ${trustedHtml(generateTryItOut(endpoint))}
         </div>`;
     document.getElementById('endpoint-content').innerHTML = content;
+    renderResponseViewer(document.getElementById('endpoint-response'), endpoint.response, 'No example response available');
+    bindSnippetPanel(endpoint);
+    bindTryItOut(serviceName, methodName);
+    const copyLink = document.getElementById('copy-endpoint-link');
+    copyLink.addEventListener('click', function() {
+        const link = location.href.split('#')[0] + endpointHash(serviceName, methodName);
+        copyToClipboard(link).then(() => flashButton(copyLink, 'Copied!'), () => flashButton(copyLink, 'Copy failed'));
+    });
 }
 
-function formatJson(json) {
-    if (!json) return 'No example response available';
-    try {
-        const parsed = typeof json === 'string' ? JSON.parse(json) : json;
-        return JSON.stringify(parsed, null, 2);
-    } catch (e) { return json; }
+// Deep links: #/Service/method selects an endpoint, and back/forward moves between viewed endpoints
+function endpointHash(serviceName, methodName) {
+    return '#/' + encodeURIComponent(serviceName) + '/' + encodeURIComponent(methodName);
+}
+
+function parseEndpointHash(hash) {
+    const match = /^#\/([^/]+)\/([^/?]+)/.exec(hash || '');
+    if (!match) return null;
+    let serviceName, methodName;
+    try { serviceName = decodeURIComponent(match[1]); methodName = decodeURIComponent(match[2]); } catch (e) { return null; }
+    // Links are often typed by hand, so fall back to a case-insensitive lookup
+    if (!documentationData[serviceName]) serviceName = Object.keys(documentationData).find(name => name.toLowerCase() === serviceName.toLowerCase()) || serviceName;
+    const endpoints = documentationData[serviceName] && documentationData[serviceName].endpoints;
+    if (endpoints && !endpoints[methodName]) methodName = Object.keys(endpoints).find(name => name.toLowerCase() === methodName.toLowerCase()) || methodName;
+    return { serviceName: serviceName, methodName: methodName };
+}
+
+function pushEndpointHistory(serviceName, methodName) {
+    const hash = endpointHash(serviceName, methodName);
+    if (location.hash === hash) return;
+    history.pushState({ service: serviceName, method: methodName }, '', hash);
+}
+
+function revealEndpointInTree(serviceName, methodName) {
+    document.querySelectorAll('#tree-content .method-item.selected').forEach(item => item.classList.remove('selected'));
+    const item = Array.from(document.querySelectorAll('#tree-content .method-item')).find(el => el.dataset.service === serviceName && el.dataset.method === methodName);
+    if (!item) return;
+    item.classList.add('selected');
+    const header = item.closest('.tree-item').querySelector('.service-name');
+    if (header) setServiceExpanded(header, true);
+    if (item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+}
+
+function restoreEndpointFromHash() {
+    const target = parseEndpointHash(location.hash);
+    if (!target) return false;
+    const current = document.querySelector('#tree-content .method-item.selected');
+    if (current && current.dataset.service === target.serviceName && current.dataset.method === target.methodName) return true;
+    showEndpoint(target.serviceName, target.methodName, true);
+    return true;
+}
+
+window.addEventListener('popstate', restoreEndpointFromHash);
+window.addEventListener('hashchange', restoreEndpointFromHash);
+
+// Response viewer: collapsible, highlighted JSON tree with a raw/pretty toggle and copy button
+function parseResponseBody(body) {
+    if (body === undefined || body === null || body === '' || body === false) return { kind: 'empty', raw: '' };
+    if (typeof body !== 'string') return { kind: 'json', value: body, raw: JSON.stringify(body) };
+    // Docblock examples are often wrapped in code fences or prefixed with a label
+    const candidates = [body, body.replace(/```(?:json)?/g, '').replace(/^\s*Example Response:\s*/i, '')];
+    for (const candidate of candidates) {
+        try { return { kind: 'json', value: JSON.parse(candidate), raw: body }; } catch (e) { /* try the next candidate */ }
+    }
+    return { kind: 'text', raw: body };
+}
+
+function createJsonSpan(className, text) {
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    return span;
+}
+
+function createJsonValue(value) {
+    if (value === null) return createJsonSpan('json-null', 'null');
+    if (typeof value === 'string') return createJsonSpan('json-string', JSON.stringify(value));
+    if (typeof value === 'number') return createJsonSpan('json-number', String(value));
+    if (typeof value === 'boolean') return createJsonSpan('json-boolean', String(value));
+    return createJsonSpan('json-null', String(value));
+}
+
+function buildJsonNode(value, key, depth) {
+    const keyPrefix = key === null ? null : createJsonSpan('json-key', JSON.stringify(String(key)) + ': ');
+    if (value === null || typeof value !== 'object') {
+        const line = document.createElement('div');
+        line.className = 'json-line';
+        if (keyPrefix) line.appendChild(keyPrefix);
+        line.appendChild(createJsonValue(value));
+        return line;
+    }
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+    const node = document.createElement('details');
+    node.className = 'json-node';
+    node.open = depth < 2;
+    const summary = document.createElement('summary');
+    summary.dataset.close = isArray ? ']' : '}';
+    if (keyPrefix) summary.appendChild(keyPrefix);
+    summary.appendChild(createJsonSpan('json-bracket', isArray ? '[' : '{'));
+    summary.appendChild(createJsonSpan('json-count', entries.length + (isArray ? ' item' : ' key') + (entries.length === 1 ? '' : 's')));
+    node.appendChild(summary);
+    const children = document.createElement('div');
+    children.className = 'json-children';
+    entries.forEach(([childKey, child]) => children.appendChild(buildJsonNode(child, isArray ? null : childKey, depth + 1)));
+    node.appendChild(children);
+    node.appendChild(createJsonSpan('json-bracket json-close', isArray ? ']' : '}'));
+    return node;
+}
+
+function renderResponseViewer(container, body, emptyText) {
+    const parsed = parseResponseBody(body);
+    container.textContent = '';
+    if (parsed.kind === 'empty') {
+        container.appendChild(createJsonSpan('json-empty', emptyText));
+        return;
+    }
+    const pretty = parsed.kind === 'json' ? JSON.stringify(parsed.value, null, 2) : parsed.raw;
+    const viewer = document.createElement('div');
+    viewer.className = 'response-code json-viewer';
+    viewer.innerHTML = `
+        <div class="json-toolbar">
+            ${parsed.kind === 'json' ? `<button type="button" class="json-toggle active" data-view="pretty">Pretty</button><button type="button" class="json-toggle" data-view="raw">Raw</button><button type="button" class="json-expand">Expand all</button><button type="button" class="json-collapse">Collapse all</button>` : '<span class="json-notice">Not valid JSON, shown as text</span>'}
+            <button type="button" class="json-copy">Copy</button>
+        </div>
+        <pre class="json-pretty"><code class="json-tree"></code></pre>
+        <pre class="json-raw" hidden><code></code></pre>`;
+    const tree = viewer.querySelector('.json-tree');
+    if (parsed.kind === 'json') tree.appendChild(buildJsonNode(parsed.value, null, 0));
+    else tree.textContent = parsed.raw;
+    viewer.querySelector('.json-raw code').textContent = parsed.raw;
+    let view = 'pretty';
+    viewer.querySelectorAll('.json-toggle').forEach(button => button.addEventListener('click', function() {
+        view = button.dataset.view;
+        viewer.querySelectorAll('.json-toggle').forEach(other => other.classList.toggle('active', other === button));
+        viewer.querySelector('.json-pretty').hidden = view !== 'pretty';
+        viewer.querySelector('.json-raw').hidden = view !== 'raw';
+    }));
+    const setOpen = open => viewer.querySelectorAll('.json-node').forEach(node => { node.open = open; });
+    if (parsed.kind === 'json') {
+        viewer.querySelector('.json-expand').addEventListener('click', () => setOpen(true));
+        viewer.querySelector('.json-collapse').addEventListener('click', () => { setOpen(false); tree.firstChild.open = true; });
+    }
+    const copyButton = viewer.querySelector('.json-copy');
+    copyButton.addEventListener('click', function() {
+        copyToClipboard(view === 'raw' ? parsed.raw : pretty).then(() => flashButton(copyButton, 'Copied!'), () => flashButton(copyButton, 'Copy failed'));
+    });
+    container.appendChild(viewer);
+}
+
+// Shared export helpers: placeholders and the query/body parameters of an endpoint as flat entries
+function paramPlaceholder(type) {
+    const baseType = String(type || 'string').toLowerCase().replace(/^\?/, '');
+    if (baseType.startsWith('decimal')) return '10.00';
+    switch (baseType) {
+        case 'int': case 'integer': case 'positive_int': return 1;
+        case 'timestamp': return 1700000000;
+        case 'float': case 'double': case 'number': return 1.5;
+        case 'bool': case 'boolean': return true;
+        case 'array': return [];
+        case 'json': return {};
+        case 'email': return 'user@example.com';
+        case 'url': return 'https://example.com';
+        case 'date': return '2024-01-01';
+        case 'datetime': return '2024-01-01 12:00:00';
+        case 'ip': case 'ipv4': return '127.0.0.1';
+        case 'ipv6': return '::1';
+        default: return 'string';
+    }
+}
+
+function placeholderText(type) {
+    const value = paramPlaceholder(type);
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function describeParam(param) {
+    return 'Type: ' + param.type + (param.required ? ' (Required)' : '');
+}
+
+function getQueryEntries(endpoint) {
+    const entries = [];
+    const addParams = params => Object.entries(params || {}).forEach(([name, param]) => entries.push({ key: name, value: placeholderText(param.type), required: Boolean(param.required), description: describeParam(param) }));
+    addParams(endpoint.urlparams);
+    addParams(endpoint.get_parameters);
+    if (endpoint.method === 'GET') addParams(endpoint.parameters);
+    const query = endpoint.query_parameters || {};
+    const pairs = params => Object.entries(params).map(([name, param]) => name + '=' + placeholderText(param.type)).join(',');
+    if (query.filters && Object.keys(query.filters).length) entries.push({ key: 'filter_by', value: pairs(query.filters), required: false, description: 'Exact match filters: ' + describeFields(query.filters) });
+    if (query.search && Object.keys(query.search).length) entries.push({ key: 'find_like', value: pairs(query.search), required: false, description: 'LIKE search: ' + describeFields(query.search) });
+    if (query.sort && Object.keys(query.sort).length) entries.push({ key: 'sort_by_asc', value: Object.keys(query.sort)[0], required: false, description: 'Sort ascending, one of: ' + Object.keys(query.sort).join(', ') + ' (use sort_by for descending)' });
+    if (endpoint.query_parameters) {
+        entries.push({ key: 'page_number', value: '1', required: false, description: 'Page number' });
+        entries.push({ key: 'per_page', value: '10', required: false, description: 'Items per page' });
+    }
+    return entries;
+}
+
+function getBodyParams(endpoint) {
+    return endpoint.method === 'GET' ? {} : (endpoint.parameters || {});
+}
+
+function getJsonBody(endpoint) {
+    const body = {};
+    Object.entries(getBodyParams(endpoint)).forEach(([name, param]) => { body[name] = paramPlaceholder(param.type); });
+    return body;
+}
+
+function buildQueryString(entries, requiredOnly) {
+    return entries.filter(entry => !requiredOnly || entry.required).map(entry => encodeURIComponent(entry.key) + '=' + encodeURIComponent(entry.value)).join('&');
+}
+
+function generateUuid() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') return window.crypto.randomUUID();
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, ch => { const r = Math.random() * 16 | 0; return (ch === 'x' ? r : (r & 0x3 | 0x8)).toString(16); });
+}
+
+// Postman collection v2.1 export
+function buildPostmanRequest(endpoint, bodyMode) {
+    const queryEntries = getQueryEntries(endpoint);
+    const queryString = buildQueryString(queryEntries, true);
+    const request = {
+        method: endpoint.method || 'POST',
+        description: endpoint.description,
+        header: [{ key: 'Accept', value: 'application/json' }],
+        url: {
+            raw: '{{base_url}}' + endpoint.url + (queryString ? '?' + queryString : ''),
+            host: ['{{base_url}}'],
+            path: (endpoint.url || '').split('/').filter(Boolean),
+            query: queryEntries.map(entry => ({ key: entry.key, value: entry.value, description: entry.description, disabled: !entry.required }))
+        }
+    };
+    const bodyParams = getBodyParams(endpoint);
+    if (Object.keys(bodyParams).length) {
+        if (bodyMode === 'formdata') {
+            request.body = { mode: 'formdata', formdata: Object.entries(bodyParams).map(([name, param]) => ({ key: name, value: placeholderText(param.type), type: 'text', description: describeParam(param), disabled: !param.required })) };
+        } else {
+            request.header.push({ key: 'Content-Type', value: 'application/json' });
+            request.body = { mode: 'raw', raw: JSON.stringify(getJsonBody(endpoint), null, 2), options: { raw: { language: 'json' } } };
+        }
+    }
+    return request;
+}
+
+function buildPostmanExample(endpoint, request) {
+    if (!endpoint.response) return [];
+    let body = String(endpoint.response);
+    let language = 'text';
+    try { body = JSON.stringify(typeof endpoint.response === 'string' ? JSON.parse(endpoint.response) : endpoint.response, null, 2); language = 'json'; } catch (e) { /* keep the raw example */ }
+    return [{ name: 'Example response', originalRequest: request, status: 'OK', code: 200, _postman_previewlanguage: language, header: [{ key: 'Content-Type', value: language === 'json' ? 'application/json' : 'text/plain' }], body: body }];
+}
+
+function buildPostmanCollection(bodyMode) {
+    const collection = {
+        info: { name: 'API Documentation', _postman_id: generateUuid(), schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' },
+        auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}', type: 'string' }] },
+        variable: [{ key: 'base_url', value: getDocsSetting('base_url', getDefaultBaseUrl()) }],
+        item: []
+    };
+    Object.entries(documentationData).forEach(([serviceName, service]) => {
+        const folder = { name: serviceName, description: service.description, item: [] };
+        Object.entries(service.endpoints || {}).forEach(([methodName, endpoint]) => {
+            const request = buildPostmanRequest(endpoint, bodyMode);
+            folder.item.push({ name: methodName, request: request, response: buildPostmanExample(endpoint, request) });
+        });
+        collection.item.push(folder);
+    });
+    return collection;
 }
 
-function downloadPostmanCollection() {
+function buildPostmanEnvironment() {
+    return {
+        id: generateUuid(),
+        name: 'API Documentation Environment',
+        values: [
+            { key: 'base_url', value: getDocsSetting('base_url', getDefaultBaseUrl()), type: 'default', enabled: true },
+            { key: 'token', value: '', type: 'secret', enabled: true }
+        ],
+        _postman_variable_scope: 'environment',
+        _postman_exported_at: new Date().toISOString(),
+        _postman_exported_using: 'GEMVC API Documentation'
+    };
+}
+
+function downloadPostmanCollection(bodyMode) {
     try {
-        const collection = { info: { name: 'API Documentation', _postman_id: Date.now().toString(), schema: 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json' }, item: [] };
-        Object.entries(documentationData).forEach(([endpointName, endpoint]) => {
-            const folder = { name: endpointName, description: endpoint.description, item: [] };
-            Object.entries(endpoint.endpoints).forEach(([methodName, method]) => {
-                const request = { name: methodName, request: { method: method.method, description: method.description, url: { raw: method.method === 'GET' && method.urlparams ? '{{base_url}}' + method.url + (method.url.endsWith('/') ? '?' : '/?') + Object.keys(method.urlparams).map(key => key + '=').join('&') : '{{base_url}}' + method.url, host: ['{{base_url}}'], path: method.url.split('/').filter(Boolean), query: method.method === 'GET' && method.urlparams ? Object.keys(method.urlparams).map(key => ({ key: key, value: '' })) : [] }, header: [ { key: 'Content-Type', value: 'application/json' } ] } };
-                if (method.urlparams && method.method !== 'GET') {
-                    request.request.url.variable = [];
-                    Object.entries(method.urlparams).forEach(([name, param]) => { request.request.url.variable.push({ key: name, value: '', description: 'Type: ' + param.type + (param.required ? ' (Required)' : '') }); });
-                }
-                if (method.parameters) {
-                    request.request.body = { mode: 'formdata', formdata: [] };
-                    Object.entries(method.parameters).forEach(([name, param]) => { request.request.body.formdata.push({ key: name, value: '', type: 'text', description: 'Type: ' + param.type + (param.required ? ' (Required)' : '') }); });
-                }
-                folder.item.push(request);
+        const modeSelect = document.getElementById('postman-body-mode');
+        bodyMode = bodyMode || (modeSelect ? modeSelect.value : 'raw');
+        downloadFile(JSON.stringify(buildPostmanCollection(bodyMode), null, 2), 'api_collection.json', 'application/json');
+        downloadFile(JSON.stringify(buildPostmanEnvironment(), null, 2), 'api_environment.json', 'application/json');
+    } catch (error) { console.error('Error generating Postman collection:', error); alert('Error generating Postman collection. Please check the console for details.'); }
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = filename; document.body.appendChild(a); a.click(); window.URL.revokeObjectURL(url); document.body.removeChild(a);
+}
+
+// OpenAPI 3.1 export
+function paramTypeToSchema(type) {
+    const baseType = String(type || 'string').toLowerCase().replace(/^\?/, '');
+    if (baseType.startsWith('decimal')) return { type: 'number' };
+    switch (baseType) {
+        case 'int': case 'integer': case 'timestamp': return { type: 'integer' };
+        case 'positive_int': return { type: 'integer', minimum: 1 };
+        case 'float': case 'double': case 'number': return { type: 'number' };
+        case 'bool': case 'boolean': return { type: 'boolean' };
+        case 'array': return { type: 'array', items: {} };
+        case 'json': return { type: 'string', contentMediaType: 'application/json' };
+        case 'email': return { type: 'string', format: 'email' };
+        case 'url': return { type: 'string', format: 'uri' };
+        case 'date': return { type: 'string', format: 'date' };
+        case 'datetime': return { type: 'string', format: 'date-time' };
+        case 'ipv4': return { type: 'string', format: 'ipv4' };
+        case 'ipv6': return { type: 'string', format: 'ipv6' };
+        default: return { type: 'string' };
+    }
+}
+
+function describeFields(params) {
+    return Object.entries(params).map(([name, param]) => name + ' (' + param.type + ')').join(', ');
+}
+
+function buildOpenApiParameters(endpoint) {
+    const parameters = [];
+    const seen = new Set();
+    const add = (name, required, schema, description) => {
+        if (seen.has(name)) return;
+        seen.add(name);
+        const parameter = { name: name, in: 'query', required: Boolean(required), schema: schema };
+        if (description) parameter.description = description;
+        parameters.push(parameter);
+    };
+    Object.entries(endpoint.urlparams || {}).forEach(([name, param]) => add(name, param.required, paramTypeToSchema(param.type), 'URL parameter'));
+    Object.entries(endpoint.get_parameters || {}).forEach(([name, param]) => add(name, param.required, paramTypeToSchema(param.type)));
+    if (endpoint.method === 'GET') {
+        // GET requests cannot carry a body, GEMVC reads these from the query string as well
+        Object.entries(endpoint.parameters || {}).forEach(([name, param]) => add(name, param.required, paramTypeToSchema(param.type)));
+    }
+    const query = endpoint.query_parameters || {};
+    if (query.filters && Object.keys(query.filters).length) add('filter_by', false, { type: 'string' }, 'Exact match filters as field=value pairs separated by commas. Fields: ' + describeFields(query.filters));
+    if (query.search && Object.keys(query.search).length) add('find_like', false, { type: 'string' }, 'LIKE search as field=value pairs separated by commas. Fields: ' + describeFields(query.search));
+    if (query.sort && Object.keys(query.sort).length) {
+        add('sort_by', false, { type: 'string', enum: Object.keys(query.sort) }, 'Sort descending by field');
+        add('sort_by_asc', false, { type: 'string', enum: Object.keys(query.sort) }, 'Sort ascending by field');
+    }
+    if (endpoint.query_parameters) {
+        add('page_number', false, { type: 'integer', minimum: 1 }, 'Page number');
+        add('per_page', false, { type: 'integer', minimum: 1 }, 'Items per page');
+    }
+    return parameters;
+}
+
+function buildOpenApiRequestBody(endpoint) {
+    const params = endpoint.parameters || {};
+    if (endpoint.method === 'GET' || !Object.keys(params).length) return null;
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    Object.entries(params).forEach(([name, param]) => {
+        schema.properties[name] = paramTypeToSchema(param.type);
+        if (param.required) required.push(name);
+    });
+    if (required.length) schema.required = required;
+    return { required: required.length > 0, content: { 'application/json': { schema: schema } } };
+}
+
+function buildOpenApiResponses(endpoint) {
+    const success = { description: 'Successful response' };
+    if (endpoint.response) {
+        try {
+            success.content = { 'application/json': { example: typeof endpoint.response === 'string' ? JSON.parse(endpoint.response) : endpoint.response } };
+        } catch (e) {
+            success.content = { 'text/plain': { example: String(endpoint.response) } };
+        }
+    }
+    return { '200': success, '400': { description: 'Validation error' }, '401': { description: 'Authentication required' } };
+}
+
+function buildOpenApiDocument() {
+    const doc = {
+        openapi: '3.1.0',
+        info: { title: 'API Documentation', version: '1.0.0' },
+        servers: [{ url: getDocsSetting('base_url', getDefaultBaseUrl()) }],
+        tags: [],
+        paths: {},
+        components: { securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } } },
+        security: [{}, { bearerAuth: [] }]
+    };
+    Object.entries(documentationData).forEach(([serviceName, service]) => {
+        const tag = { name: serviceName };
+        if (service.description) tag.description = service.description;
+        doc.tags.push(tag);
+        Object.entries(service.endpoints || {}).forEach(([methodName, endpoint]) => {
+            const path = endpoint.url || '/' + serviceName + '/' + methodName;
+            const httpMethod = (endpoint.method || 'POST').toLowerCase();
+            const operation = { tags: [serviceName], operationId: serviceName + '_' + methodName, summary: methodName };
+            if (endpoint.description) operation.description = endpoint.description;
+            const parameters = buildOpenApiParameters(endpoint);
+            if (parameters.length) operation.parameters = parameters;
+            const requestBody = buildOpenApiRequestBody(endpoint);
+            if (requestBody) operation.requestBody = requestBody;
+            operation.responses = buildOpenApiResponses(endpoint);
+            doc.paths[path] = doc.paths[path] || {};
+            doc.paths[path][httpMethod] = operation;
+        });
+    });
+    return doc;
+}
+
+function validateOpenApiDocument(doc) {
+    const errors = [];
+    const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+    const schemaTypes = ['string', 'number', 'integer', 'boolean', 'array', 'object', 'null'];
+    const operationIds = new Set();
+    const checkSchema = (schema, where) => {
+        if (!schema || typeof schema !== 'object') { errors.push(where + ': schema must be an object'); return; }
+        if (schema.type !== undefined && !schemaTypes.includes(schema.type)) errors.push(where + ': invalid schema type "' + schema.type + '"');
+        Object.entries(schema.properties || {}).forEach(([name, property]) => checkSchema(property, where + '.' + name));
+        (schema.required || []).forEach(name => { if (!schema.properties || !schema.properties[name]) errors.push(where + ': required property "' + name + '" is not defined'); });
+    };
+    if (typeof doc.openapi !== 'string' || !/^3\.1\.\d+$/.test(doc.openapi)) errors.push('openapi must be a 3.1.x version string');
+    if (!doc.info || typeof doc.info.title !== 'string' || typeof doc.info.version !== 'string') errors.push('info.title and info.version are required strings');
+    if (!doc.paths || typeof doc.paths !== 'object') errors.push('paths must be an object');
+    Object.entries(doc.paths || {}).forEach(([path, item]) => {
+        if (!path.startsWith('/')) errors.push('path "' + path + '" must start with "/"');
+        Object.entries(item).forEach(([method, operation]) => {
+            const where = method.toUpperCase() + ' ' + path;
+            if (!httpMethods.includes(method)) { errors.push(where + ': unknown HTTP method'); return; }
+            if (operation.operationId) {
+                if (operationIds.has(operation.operationId)) errors.push(where + ': duplicate operationId "' + operation.operationId + '"');
+                operationIds.add(operation.operationId);
+            }
+            const seen = new Set();
+            (operation.parameters || []).forEach(param => {
+                if (!param.name || !['query', 'header', 'path', 'cookie'].includes(param.in)) errors.push(where + ': parameter needs a name and a valid "in"');
+                if (param.in === 'path' && param.required !== true) errors.push(where + ': path parameter "' + param.name + '" must be required');
+                if (seen.has(param.in + ':' + param.name)) errors.push(where + ': duplicate parameter "' + param.name + '"');
+                seen.add(param.in + ':' + param.name);
+                checkSchema(param.schema, where + ' parameter ' + param.name);
+            });
+            if (operation.requestBody) {
+                const content = operation.requestBody.content || {};
+                if (!Object.keys(content).length) errors.push(where + ': requestBody.content must not be empty');
+                Object.values(content).forEach(media => checkSchema(media.schema, where + ' requestBody'));
+            }
+            if (!operation.responses || !Object.keys(operation.responses).length) errors.push(where + ': at least one response is required');
+            Object.entries(operation.responses || {}).forEach(([code, response]) => {
+                if (!/^([1-5]\d\d|[1-5]XX|default)$/.test(code)) errors.push(where + ': invalid response code "' + code + '"');
+                if (typeof response.description !== 'string') errors.push(where + ' ' + code + ': response description is required');
             });
-            collection.item.push(folder);
         });
-        const blob = new Blob([JSON.stringify(collection, null, 2)], { type: 'application/json' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a'); a.href = url; a.download = 'api_collection.json'; document.body.appendChild(a); a.click(); window.URL.revokeObjectURL(url); document.body.removeChild(a);
-    } catch (error) { console.error('Error generating Postman collection:', error); alert('Error generating Postman collection. Please check the console for details.'); }
+    });
+    return errors;
+}
+
+function toYaml(value, indent) {
+    indent = indent || '';
+    const scalar = item => {
+        if (item === null || item === undefined) return 'null';
+        if (typeof item === 'number' || typeof item === 'boolean') return String(item);
+        const text = String(item);
+        return /^[A-Za-z_][A-Za-z0-9_ ./-]*$/.test(text) && !/^(true|false|null|yes|no|on|off|~)$/i.test(text) && !/ $/.test(text) ? text : JSON.stringify(text);
+    };
+    const key = name => /^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name) ? name : JSON.stringify(name);
+    const isEmpty = item => item !== null && typeof item === 'object' && Object.keys(item).length === 0;
+    if (Array.isArray(value)) {
+        return value.map(item => {
+            if (item !== null && typeof item === 'object' && !isEmpty(item)) {
+                const nested = toYaml(item, indent + '  ');
+                return indent + '- ' + nested.slice(indent.length + 2);
+            }
+            return indent + '- ' + (isEmpty(item) ? (Array.isArray(item) ? '[]' : '{}') : scalar(item));
+        }).join('\n');
+    }
+    return Object.entries(value).map(([name, item]) => {
+        if (item !== null && typeof item === 'object') {
+            if (isEmpty(item)) return indent + key(name) + ': ' + (Array.isArray(item) ? '[]' : '{}');
+            return indent + key(name) + ':\n' + toYaml(item, indent + '  ');
+        }
+        return indent + key(name) + ': ' + scalar(item);
+    }).join('\n');
+}
+
+function downloadOpenApi(format) {
+    try {
+        const doc = buildOpenApiDocument();
+        const errors = validateOpenApiDocument(doc);
+        if (errors.length) {
+            console.error('OpenAPI self-check failed:', errors);
+            alert('The generated OpenAPI document is not valid:\n- ' + errors.slice(0, 10).join('\n- ') + (errors.length > 10 ? '\n...' : ''));
+            return;
+        }
+        if (format === 'yaml') downloadFile(toYaml(doc) + '\n', 'openapi.yaml', 'application/yaml');
+        else downloadFile(JSON.stringify(doc, null, 2), 'openapi.json', 'application/json');
+    } catch (error) { console.error('Error generating OpenAPI document:', error); alert('Error generating OpenAPI document. Please check the console for details.'); }
+}
+
+// Insomnia v4 and .http (VS Code REST Client / JetBrains HTTP Client) exports
+function buildInsomniaExport() {
+    let counter = 0;
+    const nextId = prefix => prefix + '_' + (++counter).toString(36) + generateUuid().replace(/-/g, '').slice(0, 12);
+    const workspaceId = nextId('wrk');
+    const resources = [
+        { _id: workspaceId, _type: 'workspace', parentId: null, name: 'API Documentation', description: '', scope: 'collection' },
+        { _id: nextId('env'), _type: 'environment', parentId: workspaceId, name: 'Base Environment', data: { base_url: getDocsSetting('base_url', getDefaultBaseUrl()), token: '' } }
+    ];
+    Object.entries(documentationData).forEach(([serviceName, service]) => {
+        const folderId = nextId('fld');
+        resources.push({ _id: folderId, _type: 'request_group', parentId: workspaceId, name: serviceName, description: service.description || '' });
+        Object.entries(service.endpoints || {}).forEach(([methodName, endpoint]) => {
+            const request = {
+                _id: nextId('req'),
+                _type: 'request',
+                parentId: folderId,
+                name: methodName,
+                description: endpoint.description || '',
+                method: endpoint.method || 'POST',
+                url: '{{ _.base_url }}' + endpoint.url,
+                parameters: getQueryEntries(endpoint).map(entry => ({ name: entry.key, value: entry.value, description: entry.description, disabled: !entry.required })),
+                headers: [{ name: 'Accept', value: 'application/json' }],
+                authentication: { type: 'bearer', token: '{{ _.token }}' },
+                body: {}
+            };
+            if (Object.keys(getBodyParams(endpoint)).length) {
+                request.headers.push({ name: 'Content-Type', value: 'application/json' });
+                request.body = { mimeType: 'application/json', text: JSON.stringify(getJsonBody(endpoint), null, 2) };
+            }
+            resources.push(request);
+        });
+    });
+    return { _type: 'export', __export_format: 4, __export_date: new Date().toISOString(), __export_source: 'gemvc.documentation', resources: resources };
+}
+
+function buildHttpFile() {
+    const lines = [
+        '# Generated from the GEMVC API documentation',
+        '@base_url = ' + getDocsSetting('base_url', getDefaultBaseUrl()),
+        '@token = ',
+        ''
+    ];
+    Object.entries(documentationData).forEach(([serviceName, service]) => {
+        Object.entries(service.endpoints || {}).forEach(([methodName, endpoint]) => {
+            const queryEntries = getQueryEntries(endpoint);
+            const queryString = buildQueryString(queryEntries, true);
+            lines.push('### ' + serviceName + ' / ' + methodName);
+            if (endpoint.description) String(endpoint.description).split('\n').forEach(line => lines.push('# ' + line));
+            queryEntries.filter(entry => !entry.required).forEach(entry => lines.push('# optional: ' + entry.key + '=' + entry.value));
+            lines.push((endpoint.method || 'POST') + ' {{base_url}}' + endpoint.url + (queryString ? '?' + queryString : ''));
+            lines.push('Accept: application/json');
+            lines.push('Authorization: Bearer {{token}}');
+            if (Object.keys(getBodyParams(endpoint)).length) {
+                lines.push('Content-Type: application/json');
+                lines.push('');
+                lines.push(JSON.stringify(getJsonBody(endpoint), null, 2));
+            }
+            lines.push('');
+        });
+    });
+    return lines.join('\n');
+}
+
+function downloadInsomniaExport() {
+    try {
+        downloadFile(JSON.stringify(buildInsomniaExport(), null, 2), 'insomnia_export.json', 'application/json');
+    } catch (error) { console.error('Error generating Insomnia export:', error); alert('Error generating Insomnia export. Please check the console for details.'); }
+}
+
+function downloadHttpFile() {
+    try {
+        downloadFile(buildHttpFile(), 'api.http', 'text/plain');
+    } catch (error) { console.error('Error generating .http file:', error); alert('Error generating .http file. Please check the console for details.'); }
+}
+
+// API changelog: compare the current documentation with a snapshot, Postman collection or OpenAPI export
+const SNAPSHOT_FORMAT = 'gemvc-doc-snapshot';
+
+function buildSnapshot() {
+    return { format: SNAPSHOT_FORMAT, version: 1, generated_at: new Date().toISOString(), source: location.href.split('#')[0], documentation: documentationData };
+}
+
+function downloadSnapshot() {
+    try {
+        downloadFile(JSON.stringify(buildSnapshot(), null, 2), 'api_snapshot_' + new Date().toISOString().slice(0, 10) + '.json', 'application/json');
+    } catch (error) { console.error('Error generating snapshot:', error); alert('Error generating snapshot. Please check the console for details.'); }
+}
+
+function detectSnapshotFormat(json) {
+    if (!json || typeof json !== 'object') return null;
+    if (json.format === SNAPSHOT_FORMAT && json.documentation) return 'snapshot';
+    if (typeof json.openapi === 'string' && json.paths) return 'openapi';
+    if (Array.isArray(json.item) && (!json.info || !json.info.schema || String(json.info.schema).includes('getpostman'))) return 'postman';
+    const services = Object.values(json);
+    if (services.length && services.every(service => service && typeof service === 'object' && service.endpoints)) return 'documentation';
+    return null;
+}
+
+// Every source is reduced to { service: { method: { httpMethod, url, params: { 'location:name': { name, location, type, required } } } } }
+// Unknown type or required flags are null and never reported as changes
+function addModelParam(params, location, name, type, required) {
+    params[location + ':' + name] = { name: name, location: location, type: type === undefined ? null : type, required: required === undefined ? null : required };
+}
+
+function modelFromDocumentation(data) {
+    const model = {};
+    Object.entries(data || {}).forEach(([serviceName, service]) => {
+        model[serviceName] = {};
+        Object.entries((service && service.endpoints) || {}).forEach(([methodName, endpoint]) => {
+            const params = {};
+            const addAll = (location, group) => Object.entries(group || {}).forEach(([name, param]) => addModelParam(params, location, name, String(param.type || ''), Boolean(param.required)));
+            addAll('url', endpoint.urlparams);
+            addAll('query', endpoint.get_parameters);
+            addAll('body', endpoint.parameters);
+            const query = endpoint.query_parameters || {};
+            addAll('filter', query.filters);
+            addAll('search', query.search);
+            addAll('sort', query.sort);
+            model[serviceName][methodName] = { httpMethod: String(endpoint.method || '').toUpperCase(), url: endpoint.url || '', params: params };
+        });
+    });
+    return model;
+}
+
+function openApiSchemaType(schema) {
+    if (!schema) return null;
+    return schema.format ? schema.type + ':' + schema.format : (schema.type || null);
+}
+
+function modelFromOpenApi(doc) {
+    const model = {};
+    Object.entries(doc.paths || {}).forEach(([path, operations]) => {
+        Object.entries(operations || {}).forEach(([verb, operation]) => {
+            if (!operation || typeof operation !== 'object' || !/^(get|put|post|delete|patch|options|head)$/i.test(verb)) return;
+            const segments = path.split('/').filter(Boolean);
+            const serviceName = (operation.tags && operation.tags[0]) || segments[0] || path;
+            const methodName = operation.summary || segments[segments.length - 1] || verb;
+            const params = {};
+            (operation.parameters || []).forEach(param => { if (param && param.name) addModelParam(params, param.in || 'query', param.name, openApiSchemaType(param.schema), Boolean(param.required)); });
+            const content = (operation.requestBody && operation.requestBody.content) || {};
+            const bodySchema = (content['application/json'] || Object.values(content)[0] || {}).schema;
+            if (bodySchema && bodySchema.properties) {
+                const required = bodySchema.required || [];
+                Object.entries(bodySchema.properties).forEach(([name, schema]) => addModelParam(params, 'body', name, openApiSchemaType(schema), required.includes(name)));
+            }
+            model[serviceName] = model[serviceName] || {};
+            model[serviceName][methodName] = { httpMethod: verb.toUpperCase(), url: path, params: params };
+        });
+    });
+    return model;
+}
+
+function parsePostmanDescription(description) {
+    const text = typeof description === 'string' ? description : (description && description.content) || '';
+    const match = /Type: ([^\s(]+)/.exec(text);
+    return { type: match ? match[1] : null, required: match ? text.includes('(Required)') : null };
+}
+
+function modelFromPostman(collection) {
+    const model = {};
+    const visit = (items, serviceName) => (items || []).forEach(item => {
+        if (Array.isArray(item.item)) { visit(item.item, serviceName || item.name); return; }
+        if (!item.request) return;
+        const request = item.request;
+        const url = typeof request.url === 'string' ? { raw: request.url } : (request.url || {});
+        const path = url.path ? '/' + [].concat(url.path).join('/') : String(url.raw || '').replace(/^\{\{[^}]+\}\}/, '').replace(/^https?:\/\/[^/]+/, '').split('?')[0];
+        const params = {};
+        (url.query || []).forEach(entry => { const info = parsePostmanDescription(entry.description); addModelParam(params, 'query', entry.key, info.type, info.required); });
+        const body = request.body || {};
+        if (body.mode === 'formdata' || body.mode === 'urlencoded') {
+            (body[body.mode] || []).forEach(entry => { const info = parsePostmanDescription(entry.description); addModelParam(params, 'body', entry.key, info.type, info.required); });
+        } else if (body.mode === 'raw' && body.raw) {
+            try { Object.keys(JSON.parse(body.raw) || {}).forEach(name => addModelParam(params, 'body', name, null, null)); } catch (e) { /* body is not JSON, nothing to compare */ }
+        }
+        const service = serviceName || path.split('/').filter(Boolean)[0] || 'default';
+        model[service] = model[service] || {};
+        model[service][item.name] = { httpMethod: String(request.method || 'GET').toUpperCase(), url: path, params: params };
+    });
+    visit(collection.item, null);
+    return model;
+}
+
+function buildComparisonModels(json) {
+    const format = detectSnapshotFormat(json);
+    switch (format) {
+        case 'snapshot': return { format: format, previous: modelFromDocumentation(json.documentation), current: modelFromDocumentation(documentationData) };
+        case 'documentation': return { format: format, previous: modelFromDocumentation(json), current: modelFromDocumentation(documentationData) };
+        // Exports are compared against a fresh export of the current docs so both sides use the same type names
+        case 'openapi': return { format: format, previous: modelFromOpenApi(json), current: modelFromOpenApi(buildOpenApiDocument()) };
+        case 'postman': return { format: format, previous: modelFromPostman(json), current: modelFromPostman(buildPostmanCollection('formdata')) };
+        default: return null;
+    }
+}
+
+function diffParams(previous, current, context, changes) {
+    const push = (kind, breaking, param, message) => changes.push(Object.assign({ kind: kind, breaking: breaking, scope: 'param', param: param }, context, { message: message }));
+    Object.entries(previous).forEach(([key, before]) => {
+        const label = before.location + ' parameter `' + before.name + '`';
+        const after = current[key];
+        if (!after) { push('removed', true, before.name, 'Removed ' + label); return; }
+        if (before.type !== null && after.type !== null && before.type !== after.type) push('changed', true, before.name, 'Changed type of ' + label + ' from `' + before.type + '` to `' + after.type + '`');
+        if (before.required === false && after.required === true) push('changed', true, before.name, label.charAt(0).toUpperCase() + label.slice(1) + ' is now required');
+        if (before.required === true && after.required === false) push('changed', false, before.name, label.charAt(0).toUpperCase() + label.slice(1) + ' is now optional');
+    });
+    Object.entries(current).forEach(([key, after]) => {
+        if (previous[key]) return;
+        const label = after.location + ' parameter `' + after.name + '`';
+        push('added', after.required === true, after.name, 'Added ' + (after.required === true ? 'required ' : after.required === false ? 'optional ' : '') + label);
+    });
+}
+
+function diffDocumentation(previous, current) {
+    const changes = [];
+    Object.entries(previous).forEach(([serviceName, methods]) => {
+        if (!current[serviceName]) { changes.push({ kind: 'removed', breaking: true, scope: 'service', service: serviceName, message: 'Removed service `' + serviceName + '`' }); return; }
+        Object.entries(methods).forEach(([methodName, before]) => {
+            const after = current[serviceName][methodName];
+            const context = { service: serviceName, method: methodName };
+            if (!after) { changes.push(Object.assign({ kind: 'removed', breaking: true, scope: 'endpoint', message: 'Removed endpoint `' + before.httpMethod + ' ' + before.url + '`' }, context)); return; }
+            if (before.httpMethod !== after.httpMethod) changes.push(Object.assign({ kind: 'changed', breaking: true, scope: 'endpoint', message: 'Changed HTTP method from ' + before.httpMethod + ' to ' + after.httpMethod }, context));
+            if (before.url !== after.url) changes.push(Object.assign({ kind: 'changed', breaking: true, scope: 'endpoint', message: 'Changed URL from `' + before.url + '` to `' + after.url + '`' }, context));
+            diffParams(before.params, after.params, context, changes);
+        });
+    });
+    Object.entries(current).forEach(([serviceName, methods]) => {
+        if (!previous[serviceName]) changes.push({ kind: 'added', breaking: false, scope: 'service', service: serviceName, message: 'Added service `' + serviceName + '` with ' + Object.keys(methods).length + ' endpoint' + (Object.keys(methods).length === 1 ? '' : 's') });
+        Object.entries(methods).forEach(([methodName, after]) => {
+            if (previous[serviceName] && !previous[serviceName][methodName]) changes.push({ kind: 'added', breaking: false, scope: 'endpoint', service: serviceName, method: methodName, message: 'Added endpoint `' + after.httpMethod + ' ' + after.url + '`' });
+        });
+    });
+    return changes;
+}
+
+function changeSubject(change) {
+    return change.method ? change.service + '.' + change.method : change.service;
+}
+
+function buildChangelogMarkdown(changes, sourceLabel) {
+    const lines = ['## API changes', '', 'Compared with ' + sourceLabel + ' on ' + new Date().toISOString().slice(0, 10) + '.', ''];
+    const breaking = changes.filter(change => change.breaking);
+    const other = changes.filter(change => !change.breaking);
+    if (!changes.length) lines.push('No endpoint or parameter changes.');
+    if (breaking.length) { lines.push('### Breaking changes', ''); breaking.forEach(change => lines.push('- **' + changeSubject(change) + '**: ' + change.message)); lines.push(''); }
+    if (other.length) { lines.push('### Other changes', ''); other.forEach(change => lines.push('- **' + changeSubject(change) + '**: ' + change.message)); lines.push(''); }
+    return lines.join('\n').trim() + '\n';
+}
+
+function renderChangeList(title, changes, className) {
+    if (!changes.length) return '';
+    return html`<h3>${title}</h3><ul class="changelog-list ${className}">${changes.map(change => html`<li class="changelog-${change.kind}"><span class="changelog-kind">${change.kind}</span><strong>${changeSubject(change)}</strong> ${renderInlineMarkdown(change.message)}</li>`)}</ul>`;
+}
+
+function renderChangelog(changes, sourceLabel) {
+    const breaking = changes.filter(change => change.breaking);
+    const other = changes.filter(change => !change.breaking);
+    const markdown = buildChangelogMarkdown(changes, sourceLabel);
+    document.querySelectorAll('#tree-content .method-item.selected').forEach(item => item.classList.remove('selected'));
+    document.getElementById('endpoint-content').innerHTML = html`
+        <div class="changelog">
+            <div class="changelog-header">
+                <h2>API changes</h2>
+                <button type="button" class="export-button export-button-secondary" id="changelog-copy">Copy as Markdown</button>
+                <button type="button" class="export-button export-button-secondary" id="changelog-download">Download .md</button>
+            </div>
+            <p class="changelog-summary">Compared with ${sourceLabel}: <span class="changelog-count-breaking">${breaking.length} breaking</span>, ${other.length} other change${other.length === 1 ? '' : 's'}.</p>
+            ${changes.length ? '' : html`<p>No endpoint or parameter changes.</p>`}
+            ${renderChangeList('Breaking changes', breaking, 'changelog-breaking')}
+            ${renderChangeList('Other changes', other, 'changelog-other')}
+        </div>`;
+    const copyButton = document.getElementById('changelog-copy');
+    copyButton.addEventListener('click', () => copyToClipboard(markdown).then(() => flashButton(copyButton, 'Copied!'), () => flashButton(copyButton, 'Copy failed')));
+    document.getElementById('changelog-download').addEventListener('click', () => downloadFile(markdown, 'api_changes.md', 'text/markdown'));
+}
+
+function compareWithSnapshot(json, fileName) {
+    const models = buildComparisonModels(json);
+    if (!models) throw new Error('Unrecognised file. Expected a documentation snapshot, a Postman collection or an OpenAPI JSON export.');
+    const labels = { snapshot: 'snapshot', documentation: 'snapshot', openapi: 'OpenAPI export', postman: 'Postman collection' };
+    const when = json.generated_at ? ' from ' + String(json.generated_at).slice(0, 10) : '';
+    const changes = diffDocumentation(models.previous, models.current);
+    renderChangelog(changes, labels[models.format] + ' ' + fileName + when);
+    return changes;
+}
+
+function loadSnapshotFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = function() {
+        try {
+            compareWithSnapshot(JSON.parse(String(reader.result)), file.name);
+        } catch (error) {
+            console.error('Error comparing snapshot:', error);
+            document.getElementById('endpoint-content').innerHTML = html`<div class="try-error"><strong>Could not compare with ${file.name}:</strong> ${error.message}</div>`;
+        }
+        input.value = '';
+    };
+    reader.readAsText(file);
 }
 
 function generateParameterTable(endpoint) {
@@ -91,7 +943,7 @@ function generateParamTable(params) {
     let html = `<table class="parameter-table"><tr><th>Parameter</th><th>Type</th><th>Required</th></tr>`;
     for (const [name, param] of Object.entries(params)) {
         const required = param.required ? '<span class="required">*</span>' : '';
-        html += `<tr><td>${name}${required}</td><td>${param.type}</td><td>${param.required ? 'Yes' : 'No'}</td></tr>`;
+        html += `<tr><td>${escapeHtml(name)}${required}</td><td>${escapeHtml(param.type)}</td><td>${param.required ? 'Yes' : 'No'}</td></tr>`;
     }
     html += '</table>';
     return html;
@@ -101,17 +953,560 @@ function buildTree() {
     const container = document.getElementById('tree-content');
     if (!container) return;
     const frag = document.createDocumentFragment();
+    treeSearchIndex = [];
     Object.entries(documentationData).forEach(([serviceName, service]) => {
-        const treeItem = document.createElement('div'); treeItem.className = 'tree-item';
+        const treeItem = document.createElement('div'); treeItem.className = 'tree-item'; treeItem.dataset.service = serviceName;
         const header = document.createElement('div'); header.className = 'service-name'; header.onclick = function() { toggleService(header); };
-        header.innerHTML = `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 18l6-6-6-6"/></svg>${serviceName}`;
+        header.innerHTML = html`<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 18l6-6-6-6"/></svg><span class="service-label">${serviceName}</span>`;
         const methodsDiv = document.createElement('div'); methodsDiv.className = 'service-methods'; methodsDiv.style.display = 'none';
-        if (service && service.endpoints) { Object.entries(service.endpoints).forEach(([methodName, method]) => { const methodItem = document.createElement('div'); methodItem.className = 'method-item'; methodItem.onclick = function() { showEndpoint(serviceName, methodName); }; const methodClass = method.method ? method.method.toLowerCase() : 'unknown'; methodItem.innerHTML = `<span class="method-icon method-${methodClass}">${method.method || ''}</span>${methodName}`; methodsDiv.appendChild(methodItem); }); }
+        if (service && service.endpoints) {
+            Object.entries(service.endpoints).forEach(([methodName, method]) => {
+                const methodItem = document.createElement('div'); methodItem.className = 'method-item'; methodItem.dataset.service = serviceName; methodItem.dataset.method = methodName;
+                methodItem.onclick = function() { showEndpoint(serviceName, methodName); };
+                methodItem.innerHTML = html`<span class="method-icon method-${cssToken(method.method)}">${method.method || ''}</span><span class="method-text"><span class="method-label">${methodName}</span><small class="match-hint"></small></span>`;
+                methodsDiv.appendChild(methodItem);
+                treeSearchIndex.push({ serviceName: serviceName, methodName: methodName, httpMethod: String(method.method || '').toUpperCase(), element: methodItem, treeItem: treeItem, fields: getSearchFields(serviceName, methodName, method) });
+            });
+        }
         treeItem.appendChild(header); treeItem.appendChild(methodsDiv); frag.appendChild(treeItem);
     });
     container.innerHTML = ''; container.appendChild(frag);
 }
 
-document.addEventListener('DOMContentLoaded', function() { buildTree(); const firstService = document.querySelector('.service-name'); if (firstService) { toggleService(firstService); } });
+// Tree search: fuzzy matching over names, URLs, descriptions and parameter names, plus HTTP method chips
+let treeSearchIndex = [];
+const activeMethodFilters = new Set();
+
+function getSearchFields(serviceName, methodName, endpoint) {
+    const paramNames = [];
+    ['urlparams', 'get_parameters', 'parameters'].forEach(key => paramNames.push(...Object.keys(endpoint[key] || {})));
+    Object.values(endpoint.query_parameters || {}).forEach(group => paramNames.push(...Object.keys(group || {})));
+    return [
+        { label: 'method', text: methodName },
+        { label: 'service', text: serviceName },
+        { label: 'url', text: String(endpoint.url || '') },
+        { label: 'param', text: paramNames.join(' '), items: paramNames },
+        { label: 'description', text: String(endpoint.description || '') }
+    ];
+}
+
+function fuzzyMatch(query, text) {
+    const haystack = text.toLowerCase();
+    const needle = query.toLowerCase();
+    if (!needle) return null;
+    const substringAt = haystack.indexOf(needle);
+    if (substringAt !== -1) {
+        const indices = [];
+        for (let i = 0; i < needle.length; i++) indices.push(substringAt + i);
+        return { score: 100 + (substringAt === 0 ? 20 : 0) - Math.min(substringAt, 20), indices: indices };
+    }
+    // Subsequence match, rewarding consecutive characters and word starts
+    const indices = [];
+    let score = 0;
+    let position = 0;
+    for (const ch of needle) {
+        const found = haystack.indexOf(ch, position);
+        if (found === -1) return null;
+        if (indices.length && found === indices[indices.length - 1] + 1) score += 5;
+        if (found === 0 || /[^a-z0-9]/.test(haystack.charAt(found - 1)) || text.charAt(found) !== haystack.charAt(found)) score += 3;
+        score -= Math.min(found - position, 10) * 0.5;
+        indices.push(found);
+        position = found + 1;
+    }
+    return score > 0 ? { score: score, indices: indices } : null;
+}
+
+function highlightMatch(text, indices) {
+    if (!indices || !indices.length) return escapeHtml(text);
+    const marked = new Set(indices);
+    let html = '';
+    let open = false;
+    for (let i = 0; i < text.length; i++) {
+        if (marked.has(i) && !open) { html += '<mark>'; open = true; }
+        if (!marked.has(i) && open) { html += '</mark>'; open = false; }
+        html += escapeHtml(text.charAt(i));
+    }
+    return html + (open ? '</mark>' : '');
+}
+
+function matchEntry(entry, query) {
+    let best = null;
+    const matches = {};
+    entry.fields.forEach(field => {
+        // Only one parameter needs to match, so test them one by one for a useful hint
+        const candidates = field.items ? field.items : [field.text];
+        candidates.forEach(candidate => {
+            const match = fuzzyMatch(query, candidate);
+            if (!match) return;
+            if (!matches[field.label] || match.score > matches[field.label].score) matches[field.label] = Object.assign({ text: candidate }, match);
+            if (!best || match.score > best.score) best = Object.assign({ label: field.label, text: candidate }, match);
+        });
+    });
+    return best ? { best: best, matches: matches } : null;
+}
+
+function filterTree() {
+    const input = document.getElementById('tree-search');
+    const query = input ? input.value.trim() : '';
+    const filtering = query !== '' || activeMethodFilters.size > 0;
+    const visibleServices = new Map();
+    treeSearchIndex.forEach(entry => {
+        const methodAllowed = activeMethodFilters.size === 0 || activeMethodFilters.has(entry.httpMethod);
+        const result = methodAllowed && query ? matchEntry(entry, query) : null;
+        const visible = methodAllowed && (!query || result !== null);
+        entry.element.style.display = visible ? '' : 'none';
+        entry.element.classList.remove('keyboard-focus');
+        const label = entry.element.querySelector('.method-label');
+        const hint = entry.element.querySelector('.match-hint');
+        label.innerHTML = highlightMatch(entry.methodName, result && result.matches.method ? result.matches.method.indices : null);
+        hint.textContent = result && !result.matches.method && !result.matches.service ? result.best.label + ': ' + result.best.text.slice(0, 40) : '';
+        const serviceMatch = result && result.matches.service ? result.matches.service.indices : null;
+        if (visible) visibleServices.set(entry.treeItem, visibleServices.get(entry.treeItem) || serviceMatch);
+        else if (!visibleServices.has(entry.treeItem)) visibleServices.set(entry.treeItem, undefined);
+    });
+    document.querySelectorAll('#tree-content .tree-item').forEach(treeItem => {
+        const hasVisible = visibleServices.get(treeItem) !== undefined;
+        const serviceName = treeItem.dataset.service;
+        treeItem.style.display = !filtering || hasVisible ? '' : 'none';
+        treeItem.querySelector('.service-label').innerHTML = highlightMatch(serviceName, hasVisible ? visibleServices.get(treeItem) : null);
+        if (filtering && hasVisible) setServiceExpanded(treeItem.querySelector('.service-name'), true);
+    });
+    const status = document.getElementById('tree-search-status');
+    if (status) {
+        const count = treeSearchIndex.filter(entry => entry.element.style.display !== 'none').length;
+        status.textContent = filtering ? count + ' of ' + treeSearchIndex.length + ' endpoints' : '';
+    }
+}
+
+function setServiceExpanded(header, expanded) {
+    const methodsContainer = header.nextElementSibling;
+    methodsContainer.style.display = expanded ? 'block' : 'none';
+    header.querySelector('svg').style.transform = expanded ? 'rotate(90deg)' : 'rotate(0deg)';
+}
+
+function getVisibleMethodItems() {
+    return Array.from(document.querySelectorAll('#tree-content .method-item')).filter(item => item.style.display !== 'none' && item.parentElement.style.display !== 'none' && item.closest('.tree-item').style.display !== 'none');
+}
+
+function moveTreeFocus(step) {
+    const items = getVisibleMethodItems();
+    if (!items.length) return;
+    const current = items.findIndex(item => item.classList.contains('keyboard-focus'));
+    const next = current === -1 ? (step > 0 ? 0 : items.length - 1) : Math.max(0, Math.min(items.length - 1, current + step));
+    items.forEach(item => item.classList.remove('keyboard-focus'));
+    items[next].classList.add('keyboard-focus');
+    items[next].scrollIntoView({ block: 'nearest' });
+}
+
+function openFocusedTreeItem() {
+    const focused = document.querySelector('#tree-content .method-item.keyboard-focus') || getVisibleMethodItems()[0];
+    if (focused) showEndpoint(focused.dataset.service, focused.dataset.method);
+}
+
+function setupTreeSearch() {
+    const input = document.getElementById('tree-search');
+    if (!input) return;
+    input.addEventListener('input', filterTree);
+    input.addEventListener('keydown', function(event) {
+        if (event.key === 'ArrowDown') { event.preventDefault(); moveTreeFocus(1); }
+        else if (event.key === 'ArrowUp') { event.preventDefault(); moveTreeFocus(-1); }
+        else if (event.key === 'Enter') { event.preventDefault(); openFocusedTreeItem(); }
+        else if (event.key === 'Escape') { input.value = ''; filterTree(); input.blur(); }
+    });
+    document.querySelectorAll('#method-filters .method-chip').forEach(chip => {
+        chip.addEventListener('click', function() {
+            const method = chip.dataset.method;
+            if (activeMethodFilters.has(method)) activeMethodFilters.delete(method); else activeMethodFilters.add(method);
+            chip.classList.toggle('active', activeMethodFilters.has(method));
+            chip.setAttribute('aria-pressed', activeMethodFilters.has(method) ? 'true' : 'false');
+            filterTree();
+        });
+    });
+    document.addEventListener('keydown', function(event) {
+        const target = event.target;
+        const typing = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable);
+        if (event.key === '/' && !typing && !event.ctrlKey && !event.metaKey && !event.altKey) { event.preventDefault(); input.focus(); input.select(); return; }
+        if (typing || !document.querySelector('#tree-content .method-item.keyboard-focus')) return;
+        if (event.key === 'ArrowDown') { event.preventDefault(); moveTreeFocus(1); }
+        else if (event.key === 'ArrowUp') { event.preventDefault(); moveTreeFocus(-1); }
+        else if (event.key === 'Enter') { event.preventDefault(); openFocusedTreeItem(); }
+    });
+}
+
+// Code snippets panel: cURL, fetch and PHP Guzzle for the selected endpoint
+function buildSnippetRequest(endpoint) {
+    const queryString = buildQueryString(getQueryEntries(endpoint), true);
+    const body = Object.keys(getBodyParams(endpoint)).length ? getJsonBody(endpoint) : null;
+    const headers = { 'Accept': 'application/json', 'Authorization': 'Bearer YOUR_TOKEN' };
+    if (body) headers['Content-Type'] = 'application/json';
+    return {
+        method: endpoint.method || 'POST',
+        url: getDocsSetting('base_url', getDefaultBaseUrl()).replace(/\/+$/, '') + (endpoint.url || '/') + (queryString ? '?' + queryString : ''),
+        headers: headers,
+        body: body
+    };
+}
+
+function shellQuote(value) {
+    return "'" + String(value).replace(/'/g, "'\\''") + "'";
+}
+
+function toPhpLiteral(value, indent) {
+    indent = indent || '';
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+    if (typeof value === 'string') return "'" + value.replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+    const entries = Array.isArray(value) ? value.map(item => [null, item]) : Object.entries(value);
+    if (!entries.length) return '[]';
+    const inner = indent + '    ';
+    return '[\n' + entries.map(([key, item]) => inner + (key === null ? '' : toPhpLiteral(key) + ' => ') + toPhpLiteral(item, inner) + ',').join('\n') + '\n' + indent + ']';
+}
+
+function generateCurlSnippet(request) {
+    const parts = ['curl -X ' + request.method + ' ' + shellQuote(request.url)];
+    Object.entries(request.headers).forEach(([name, value]) => parts.push('-H ' + shellQuote(name + ': ' + value)));
+    if (request.body) parts.push('-d ' + shellQuote(JSON.stringify(request.body)));
+    return parts.join(' \\\n  ');
+}
+
+function generateFetchSnippet(request) {
+    const options = ['    method: ' + JSON.stringify(request.method), '    headers: ' + JSON.stringify(request.headers, null, 4).replace(/\n/g, '\n    ')];
+    if (request.body) options.push('    body: JSON.stringify(' + JSON.stringify(request.body, null, 4).replace(/\n/g, '\n    ') + ')');
+    return 'const response = await fetch(' + JSON.stringify(request.url) + ', {\n' + options.join(',\n') + '\n});\nconst data = await response.json();';
+}
+
+function generateGuzzleSnippet(request) {
+    const options = { headers: request.headers };
+    if (request.body) options.json = request.body;
+    return '$client = new \\GuzzleHttp\\Client();\n'
+        + '$response = $client->request(' + toPhpLiteral(request.method) + ', ' + toPhpLiteral(request.url) + ', ' + toPhpLiteral(options) + ');\n'
+        + '$data = json_decode((string) $response->getBody(), true);';
+}
+
+function generateSnippetPanel() {
+    return `
+        <div class="snippet-panel">
+            <div class="snippet-tabs">
+                <button type="button" class="snippet-tab active" data-snippet="curl">cURL</button>
+                <button type="button" class="snippet-tab" data-snippet="fetch">fetch</button>
+                <button type="button" class="snippet-tab" data-snippet="guzzle">PHP Guzzle</button>
+                <button type="button" class="snippet-copy" id="snippet-copy">Copy</button>
+            </div>
+            <pre class="snippet-code"><code id="snippet-code"></code></pre>
+        </div>`;
+}
+
+function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) return navigator.clipboard.writeText(text);
+    return new Promise((resolve, reject) => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text; textarea.style.position = 'fixed'; textarea.style.opacity = '0';
+        document.body.appendChild(textarea); textarea.select();
+        try { document.execCommand('copy') ? resolve() : reject(new Error('Copy command was rejected')); } catch (e) { reject(e); } finally { document.body.removeChild(textarea); }
+    });
+}
+
+function flashButton(button, text) {
+    const original = button.textContent;
+    button.textContent = text;
+    setTimeout(() => { button.textContent = original; }, 1500);
+}
+
+function bindSnippetPanel(endpoint) {
+    const code = document.getElementById('snippet-code');
+    if (!code) return;
+    const request = buildSnippetRequest(endpoint);
+    const generators = { curl: generateCurlSnippet, fetch: generateFetchSnippet, guzzle: generateGuzzleSnippet };
+    const show = name => {
+        code.textContent = generators[name](request);
+        document.querySelectorAll('.snippet-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.snippet === name));
+        setDocsSetting('snippet', name);
+    };
+    document.querySelectorAll('.snippet-tab').forEach(tab => tab.addEventListener('click', () => show(tab.dataset.snippet)));
+    const copyButton = document.getElementById('snippet-copy');
+    copyButton.addEventListener('click', () => copyToClipboard(code.textContent).then(() => flashButton(copyButton, 'Copied!'), () => flashButton(copyButton, 'Copy failed')));
+    const saved = getDocsSetting('snippet', 'curl');
+    show(generators[saved] ? saved : 'curl');
+}
+
+// Try it out console: builds a request form from the documented parameters and sends it with fetch
+const DOCS_STORAGE_PREFIX = 'gemvc_docs_';
+
+function getDocsSetting(key, fallback) {
+    try { const value = localStorage.getItem(DOCS_STORAGE_PREFIX + key); return value !== null ? value : fallback; } catch (e) { return fallback; }
+}
+
+function setDocsSetting(key, value) {
+    try { localStorage.setItem(DOCS_STORAGE_PREFIX + key, value); } catch (e) { /* storage disabled */ }
+}
+
+function getDefaultBaseUrl() {
+    // The page is served from {api}/index/document, so everything before it is the API base
+    return window.location.origin + window.location.pathname.replace(/\/index\/document\/?$/i, '');
+}
+
+function generateTryInput(group, name, param) {
+    const type = String(param.type || 'string').toLowerCase();
+    const attrs = `data-group="${group}" data-name="${escapeHtml(name)}" data-type="${escapeHtml(type)}" data-required="${param.required ? '1' : '0'}"`;
+    let control;
+    if (type === 'bool' || type === 'boolean') {
+        control = `<select class="try-input" ${attrs}><option value=""></option><option value="true">true</option><option value="false">false</option></select>`;
+    } else if (type === 'array' || type === 'json') {
+        control = `<textarea class="try-input" rows="3" ${attrs} placeholder="${type === 'array' ? '[&quot;value&quot;]' : '{&quot;key&quot;: &quot;value&quot;}'}"></textarea>`;
+    } else {
+        control = `<input type="text" class="try-input" ${attrs} placeholder="${escapeHtml(type)}">`;
+    }
+    return `<label class="try-field"><span class="try-label">${escapeHtml(name)}${param.required ? '<span class="required">*</span>' : ''} <small>${escapeHtml(type)}</small></span>${control}</label>`;
+}
+
+function generateTryGroup(group, title, params) {
+    if (!params || Object.keys(params).length === 0) return '';
+    return `<fieldset class="try-group"><legend>${title}</legend>${Object.entries(params).map(([name, param]) => generateTryInput(group, name, param)).join('')}</fieldset>`;
+}
+
+function generateTryQueryGroup(queryParams) {
+    if (!queryParams) return '';
+    const filters = queryParams.filters || {};
+    const search = queryParams.search || {};
+    const sort = queryParams.sort || {};
+    if (!Object.keys(filters).length && !Object.keys(search).length && !Object.keys(sort).length) return '';
+    let html = '<fieldset class="try-group"><legend>Query Parameters</legend>';
+    html += generateTryGroup('filter', 'Filters (filter_by)', filters);
+    html += generateTryGroup('search', 'Search (find_like)', search);
+    if (Object.keys(sort).length) {
+        html += `<label class="try-field"><span class="try-label">Sort by</span><span class="try-inline">
+            <select class="try-input" data-group="sort" data-name="field"><option value=""></option>${Object.keys(sort).map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}</select>
+            <select class="try-input" data-group="sort" data-name="direction"><option value="asc">asc</option><option value="desc">desc</option></select></span></label>`;
+    }
+    html += `<label class="try-field"><span class="try-label">page_number <small>int</small></span><input type="text" class="try-input" data-group="paging" data-name="page_number" data-type="int" placeholder="1"></label>`;
+    html += `<label class="try-field"><span class="try-label">per_page <small>int</small></span><input type="text" class="try-input" data-group="paging" data-name="per_page" data-type="int" placeholder="10"></label>`;
+    return html + '</fieldset>';
+}
+
+function generateTryItOut(endpoint) {
+    const baseUrl = getDocsSetting('base_url', getDefaultBaseUrl());
+    const token = getDocsSetting('token', '');
+    return `
+        <div class="try-it-out">
+            <h3>Try it out</h3>
+            <form id="try-form" class="try-form" novalidate>
+                <fieldset class="try-group"><legend>Connection</legend>
+                    <label class="try-field"><span class="try-label">Base URL</span><input type="text" class="try-input" id="try-base-url" value="${escapeHtml(baseUrl)}"></label>
+                    <label class="try-field"><span class="try-label">Bearer token <small>optional</small></span><input type="text" class="try-input" id="try-token" value="${escapeHtml(token)}" autocomplete="off"></label>
+                </fieldset>
+                ${generateTryGroup('url', 'URL Parameters', endpoint.urlparams)}
+                ${generateTryGroup('get', 'GET Parameters', endpoint.get_parameters)}
+                ${generateTryGroup('body', 'Body Parameters', endpoint.parameters)}
+                ${generateTryQueryGroup(endpoint.query_parameters)}
+                <div class="try-actions"><button type="submit" class="export-button" id="try-send">Send request</button><button type="reset" class="try-reset">Clear</button><label class="try-skip"><input type="checkbox" id="try-skip-validation"> Skip client-side validation</label></div>
+            </form>
+            <div id="try-response" class="try-response"></div>
+        </div>`;
+}
+
+function bindTryItOut(serviceName, methodName) {
+    const form = document.getElementById('try-form');
+    if (!form) return;
+    form.addEventListener('submit', function(event) { event.preventDefault(); sendTryRequest(serviceName, methodName); });
+    form.addEventListener('change', function(event) { if (event.target.dataset.type) validateTryInput(event.target); });
+    form.addEventListener('input', function(event) { if (event.target.classList.contains('try-invalid')) validateTryInput(event.target); });
+    form.addEventListener('reset', function() { form.querySelectorAll('.try-invalid').forEach(input => setFieldError(input, null)); });
+}
+
+function collectTryValues(form) {
+    const values = { url: {}, get: {}, body: {}, filter: {}, search: {}, sort: {}, paging: {} };
+    form.querySelectorAll('[data-group]').forEach(input => {
+        const value = input.value.trim();
+        if (value !== '' && values[input.dataset.group]) values[input.dataset.group][input.dataset.name] = value;
+    });
+    return values;
+}
+
+function coerceTryValue(value, type) {
+    switch (type) {
+        case 'int': case 'integer': case 'number': case 'float': case 'double': return isNaN(Number(value)) ? value : Number(value);
+        case 'bool': case 'boolean': return value === 'true' ? true : value === 'false' ? false : value;
+        case 'array': case 'json': try { return JSON.parse(value); } catch (e) { return value; }
+        default: return value;
+    }
+}
+
+function buildTryRequest(endpoint, values, baseUrl, token) {
+    const method = (endpoint.method || 'GET').toUpperCase();
+    const query = new URLSearchParams();
+    Object.entries(values.url).forEach(([name, value]) => query.append(name, value));
+    Object.entries(values.get).forEach(([name, value]) => query.append(name, value));
+    const pairs = group => Object.entries(group).map(([name, value]) => name + '=' + value).join(',');
+    if (Object.keys(values.filter).length) query.append('filter_by', pairs(values.filter));
+    if (Object.keys(values.search).length) query.append('find_like', pairs(values.search));
+    if (values.sort.field) query.append(values.sort.direction === 'desc' ? 'sort_by' : 'sort_by_asc', values.sort.field);
+    Object.entries(values.paging).forEach(([name, value]) => query.append(name, value));
+    const queryString = query.toString();
+    const url = baseUrl.replace(/\/+$/, '') + (endpoint.url || '/') + (queryString ? '?' + queryString : '');
+    const headers = { 'Accept': 'application/json' };
+    if (token) headers['Authorization'] = 'Bearer ' + token;
+    const options = { method: method, headers: headers };
+    if (method !== 'GET' && Object.keys(values.body).length) {
+        const body = {};
+        const params = endpoint.parameters || {};
+        Object.entries(values.body).forEach(([name, value]) => { body[name] = coerceTryValue(value, String((params[name] || {}).type || 'string').toLowerCase()); });
+        headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+    return { method: method, url: url, options: options };
+}
+
+// Client-side validation, mirrors Request::defineSchema() and the TypeChecker types
+const NUMERIC_PARAM_TYPES = ['int', 'integer', 'float', 'double', 'number', 'positive_int', 'timestamp'];
+
+function isValidDate(value, withTime) {
+    const match = withTime
+        ? /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?$/.exec(value)
+        : /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    if (date.getUTCFullYear() !== +match[1] || date.getUTCMonth() !== +match[2] - 1 || date.getUTCDate() !== +match[3]) return false;
+    return !withTime || (+match[4] < 24 && +match[5] < 60 && (match[6] === undefined || +match[6] < 60));
+}
+
+function isValidIpv4(value) {
+    return /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/.test(value);
+}
+
+function isValidIpv6(value) {
+    if (!/^[0-9a-f:.]+$/i.test(value) || (value.match(/::/g) || []).length > 1) return false;
+    const groups = value.split(':');
+    if (groups.length < 3 || groups.length > 8) return false;
+    const last = groups[groups.length - 1];
+    if (last.includes('.') && !isValidIpv4(last)) return false;
+    return groups.every((group, index) => group === '' || /^[0-9a-f]{1,4}$/i.test(group) || (index === groups.length - 1 && group.includes('.')));
+}
+
+function checkParamType(type, value) {
+    const baseType = String(type || 'string').toLowerCase().replace(/^\?/, '');
+    if (baseType.startsWith('decimal')) return /^-?\d+(\.\d+)?$/.test(value);
+    switch (baseType) {
+        case 'string': return true;
+        case 'int': case 'integer': case 'timestamp': return /^-?\d+$/.test(value);
+        case 'positive_int': return /^\d+$/.test(value) && Number(value) > 0;
+        case 'float': case 'double': case 'number': return value !== '' && !isNaN(Number(value)) && isFinite(Number(value));
+        case 'bool': case 'boolean': return ['true', 'false', '1', '0'].includes(value.toLowerCase());
+        case 'array': try { const parsed = JSON.parse(value); return parsed !== null && typeof parsed === 'object'; } catch (e) { return false; }
+        case 'json': try { JSON.parse(value); return true; } catch (e) { return false; }
+        case 'email': return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+        case 'url': try { return /^[a-z][a-z0-9+.-]*:/i.test(value) && Boolean(new URL(value)); } catch (e) { return false; }
+        case 'date': return isValidDate(value, false);
+        case 'datetime': return isValidDate(value, true);
+        case 'ip': return isValidIpv4(value) || isValidIpv6(value);
+        case 'ipv4': return isValidIpv4(value);
+        case 'ipv6': return isValidIpv6(value);
+        default: return true; // Unknown types are left to the server
+    }
+}
+
+// PHP empty() for a value decoded from JSON
+function isPhpEmpty(value) {
+    if (value === null || value === false || value === 0 || value === '' || value === '0') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+}
+
+function isEmptyParamValue(value, type, group) {
+    const trimmed = value.trim();
+    if (trimmed === '') return true;
+    const baseType = String(type || 'string').toLowerCase().replace(/^\?/, '');
+    if (baseType.startsWith('decimal') || NUMERIC_PARAM_TYPES.includes(baseType)) return false;
+    // Non-numeric types follow PHP empty() on the value the server receives: body values are
+    // sent coerced, so false, [] and {} are missing as well as "0"
+    return isPhpEmpty(group === 'body' ? coerceTryValue(trimmed, baseType) : trimmed);
+}
+
+function validateParamValue(value, type, required, group) {
+    if (value.trim() === '') return required ? 'Required field is missing' : null;
+    if (isEmptyParamValue(value, type, group)) return required ? 'Required field is missing: the server treats ' + value.trim() + ' as empty' : null;
+    return checkParamType(type, value.trim()) ? null : 'Expected type: ' + type;
+}
+
+function setFieldError(input, message) {
+    const field = input.closest('.try-field');
+    if (!field) return;
+    let errorEl = field.querySelector('.try-field-error');
+    input.classList.toggle('try-invalid', Boolean(message));
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (!message) { if (errorEl) errorEl.remove(); return; }
+    if (!errorEl) { errorEl = document.createElement('small'); errorEl.className = 'try-field-error'; field.appendChild(errorEl); }
+    errorEl.textContent = message;
+}
+
+function validateTryInput(input) {
+    if (!input.dataset.type) return true;
+    const message = validateParamValue(input.value, input.dataset.type, input.dataset.required === '1', input.dataset.group);
+    setFieldError(input, message);
+    return message === null;
+}
+
+function validateTryForm(form) {
+    let invalid = 0;
+    form.querySelectorAll('[data-group][data-type]').forEach(input => { if (!validateTryInput(input)) invalid++; });
+    return invalid;
+}
+
+async function sendTryRequest(serviceName, methodName) {
+    const endpoint = documentationData[serviceName].endpoints[methodName];
+    const form = document.getElementById('try-form');
+    const output = document.getElementById('try-response');
+    const baseUrl = form.querySelector('#try-base-url').value.trim() || getDefaultBaseUrl();
+    const token = form.querySelector('#try-token').value.trim();
+    const invalid = validateTryForm(form);
+    if (invalid > 0 && !form.querySelector('#try-skip-validation').checked) {
+        output.innerHTML = `<div class="try-error"><strong>${invalid} field${invalid === 1 ? '' : 's'} do${invalid === 1 ? 'es' : ''} not match the documented schema.</strong> Fix the highlighted inputs or enable "Skip client-side validation" to send anyway.</div>`;
+        return;
+    }
+    setDocsSetting('base_url', baseUrl);
+    setDocsSetting('token', token);
+    const request = buildTryRequest(endpoint, collectTryValues(form), baseUrl, token);
+    const sendButton = document.getElementById('try-send');
+    sendButton.disabled = true;
+    output.innerHTML = '<p class="try-pending">Sending request...</p>';
+    const started = performance.now();
+    try {
+        const response = await fetch(request.url, request.options);
+        const text = await response.text();
+        renderTryResponse(output, endpoint, request, response, text, performance.now() - started);
+    } catch (error) {
+        output.innerHTML = `<div class="try-error"><strong>Request failed:</strong> ${escapeHtml(error.message)}<br><small>Check the base URL and that the server allows requests from this origin (CORS).</small></div>`;
+    } finally {
+        sendButton.disabled = false;
+    }
+}
+
+function renderTryResponse(output, endpoint, request, response, text, elapsed) {
+    const statusClass = 'try-status-' + String(response.status).charAt(0) + 'xx';
+    let headerRows = '';
+    response.headers.forEach((value, name) => { headerRows += `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(value)}</td></tr>`; });
+    output.innerHTML = `
+        <div class="try-summary">
+            <span class="try-status ${statusClass}">${response.status} ${escapeHtml(response.statusText)}</span>
+            <span class="try-meta">${elapsed.toFixed(0)} ms</span>
+            <span class="try-meta">${text.length} bytes</span>
+            <code class="try-request-line">${escapeHtml(request.method)} ${escapeHtml(request.url)}</code>
+        </div>
+        <details class="try-headers"><summary>Response headers</summary><table class="parameter-table">${headerRows || '<tr><td colspan="2">No headers exposed</td></tr>'}</table></details>
+        <div class="try-compare">
+            <div><h4>Actual response</h4><div id="try-actual-body"></div></div>
+            <div><h4>Documented example</h4><div id="try-documented-body"></div></div>
+        </div>`;
+    renderResponseViewer(document.getElementById('try-actual-body'), text, '(empty body)');
+    renderResponseViewer(document.getElementById('try-documented-body'), endpoint.response, 'No example response available');
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    buildTree();
+    setupTreeSearch();
+    if (restoreEndpointFromHash()) return;
+    const firstService = document.querySelector('.service-name');
+    if (firstService) { toggleService(firstService); }
+});
 
 
@@ -5,6 +5,8 @@ use Gemvc\Core\Monitoring\GemvcMonitoringModel;
 use Gemvc\Core\Controller;
 use Gemvc\Http\Request;
 use Gemvc\Http\JsonResponse;
+use Gemvc\Http\Response;
+use Gemvc\Http\StreamResponse;
 
 class GemvcMonitoringController extends Controller
 {
@@ -90,4 +92,35 @@ class GemvcMonitoringController extends Controller
         $model = new GemvcMonitoringModel();
         return $model->getDatabaseLatency();
     }
+
+    /**
+     * Get all metrics in one response
+     * 
+     * @return JsonResponse
+     */
+    public function snapshot(): JsonResponse
+    {
+        $model = new GemvcMonitoringModel();
+        return $model->getSnapshot();
+    }
+
+    /**
+     * Push snapshots as Server-Sent Events (OpenSwoole only)
+     * 
+     * @return JsonResponse|StreamResponse
+     */
+    public function stream(): JsonResponse|StreamResponse
+    {
+        if (!StreamResponse::isSupported()) {
+            return Response::notAcceptable('event stream requires OpenSwoole, use snapshot polling instead');
+        }
+        
+        $interval = isset($this->request->get['interval']) && is_numeric($this->request->get['interval'])
+            ? (int) $this->request->get['interval']
+            : 2;
+        $interval = max(1, min(60, $interval));
+        
+        $model = new GemvcMonitoringModel();
+        return new StreamResponse(fn (): array => $model->collectSnapshot(), $interval, 'snapshot');
+    }
 }
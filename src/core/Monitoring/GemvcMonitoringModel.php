@@ -229,5 +229,59 @@ class GemvcMonitoringModel extends DeveloperTable
             $this->releaseConnection($connection, $dbManager);
         }
     }
-}
 
+    /**
+     * Collect all metrics in one payload
+     * 
+     * Each section holds the data of the matching single-metric method, or null
+     * when that metric failed; failure messages are listed under 'errors'.
+     * 
+     * @return array<string, mixed>
+     */
+    public function collectSnapshot(): array
+    {
+        $sections = [
+            'ram' => fn (): JsonResponse => $this->getRamMetrics(),
+            'dockerRam' => fn (): JsonResponse => $this->getDockerContainerMemoryUsage(),
+            'dockerCpu' => fn (): JsonResponse => $this->getDockerContainerCpuLoad(),
+            'cpu' => fn (): JsonResponse => $this->getCpuMetrics(),
+            'network' => fn (): JsonResponse => $this->getNetworkMetrics(),
+            'databaseLatency' => fn (): JsonResponse => $this->getDatabaseLatency(),
+            'databaseConnections' => fn (): JsonResponse => $this->getDatabaseConnections(),
+            'databasePool' => fn (): JsonResponse => $this->getDatabasePoolStats(),
+        ];
+        
+        $snapshot = [];
+        $errors = [];
+        foreach ($sections as $name => $collect) {
+            try {
+                $result = $collect();
+            } catch (\Throwable $e) {
+                $snapshot[$name] = null;
+                $errors[$name] = $e->getMessage();
+                continue;
+            }
+            if ($result->response_code === 200) {
+                $snapshot[$name] = $result->data;
+            } else {
+                $snapshot[$name] = null;
+                $errors[$name] = $result->service_message ?? $result->message;
+            }
+        }
+        
+        $snapshot['errors'] = $errors;
+        $snapshot['timestamp'] = date('Y-m-d H:i:s');
+        
+        return $snapshot;
+    }
+
+    /**
+     * Get all metrics with a single request
+     * 
+     * @return JsonResponse
+     */
+    public function getSnapshot(): JsonResponse
+    {
+        return Response::success($this->collectSnapshot(), 1, 'Monitoring snapshot retrieved successfully');
+    }
+}
@@ -177,6 +177,10 @@ class OpenSwooleServer
                 } elseif ($result instanceof \Gemvc\Http\HtmlResponse) {
                     $responseCode = $result->response_code ?? 200;
                     $result->showSwoole($response);
+                } elseif ($result instanceof \Gemvc\Http\StreamResponse) {
+                    // Event streams keep writing until the client disconnects or the stream expires
+                    $responseCode = $result->response_code;
+                    $result->showSwoole($response);
                 }
                 
                 // Store response code on Request object for APM to access (Swoole doesn't support http_response_code() after headers sent)
@@ -0,0 +1,112 @@
+<?php
+
+namespace Gemvc\Http;
+
+/**
+ * Server-Sent Events response
+ *
+ * Calls the producer every interval and pushes its result to the client as one
+ * `event:`/`data:` frame. Only OpenSwoole can keep the connection open without
+ * blocking a worker, so the stream ends after $maxDuration seconds (the browser
+ * reconnects) or as soon as a write fails because the client went away.
+ */
+class StreamResponse implements ResponseInterface
+{
+    /** @var callable(): mixed */
+    private $producer;
+    private float $interval;
+    private string $event;
+    private int $maxDuration;
+    public int $response_code = 200;
+
+    /**
+     * @param callable(): mixed $producer Returns the payload of the next event
+     * @param float $interval Seconds between two events
+     * @param string $event SSE event name
+     * @param int $maxDuration Seconds after which the stream is closed
+     */
+    public function __construct(callable $producer, float $interval = 2.0, string $event = 'message', int $maxDuration = 300)
+    {
+        $this->producer = $producer;
+        $this->interval = max(0.1, $interval);
+        $this->event = $event;
+        $this->maxDuration = max(0, $maxDuration);
+    }
+
+    /**
+     * Whether the current request can hold an event stream open
+     */
+    public static function isSupported(): bool
+    {
+        return class_exists('\OpenSwoole\Coroutine') && \OpenSwoole\Coroutine::getCid() > 0;
+    }
+
+    /**
+     * Format one SSE frame
+     */
+    public function formatEvent(mixed $payload): string
+    {
+        $json = json_encode($payload, JSON_INVALID_UTF8_SUBSTITUTE);
+        if ($json === false) {
+            $json = json_encode(['error' => 'failed to encode event payload']);
+        }
+        return "event: {$this->event}\ndata: {$json}\n\n";
+    }
+
+    /**
+     * Stream events in Swoole until the deadline or until the client disconnects
+     *
+     * @param \OpenSwoole\HTTP\Response $response The Swoole response object
+     */
+    public function showSwoole(object $response): void
+    {
+        $response->header('Content-Type', 'text/event-stream');
+        $response->header('Cache-Control', 'no-cache');
+        $response->header('X-Accel-Buffering', 'no');
+        $response->status($this->response_code);
+
+        $retry = (int) ($this->interval * 1000);
+        if (!$response->write("retry: {$retry}\n\n")) {
+            return;
+        }
+
+        $deadline = microtime(true) + $this->maxDuration;
+        while (true) {
+            if (!$response->write($this->formatEvent(($this->producer)()))) {
+                // Client closed the connection
+                return;
+            }
+            if (microtime(true) + $this->interval > $deadline) {
+                break;
+            }
+            $this->pause();
+        }
+        $response->end();
+    }
+
+    /**
+     * Show the response in Apache/Nginx (standard PHP)
+     *
+     * A PHP-FPM worker must not be held open, so a single event is sent and
+     * the connection closed; clients are expected to poll instead.
+     */
+    public function show(): void
+    {
+        http_response_code($this->response_code);
+        header('Content-Type: text/event-stream');
+        header('Cache-Control: no-cache');
+
+        $retry = (int) ($this->interval * 1000);
+        echo "retry: {$retry}\n\n";
+        echo $this->formatEvent(($this->producer)());
+    }
+
+    private function pause(): void
+    {
+        if (self::isSupported()) {
+            \OpenSwoole\Coroutine::sleep($this->interval);
+            return;
+        }
+        usleep((int) ($this->interval * 1000000));
+    }
+}
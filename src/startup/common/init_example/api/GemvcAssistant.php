@@ -106,6 +106,160 @@ class GemvcAssistant extends ApiService
         return new GemvcAssistantController($this->request)->database();
     }
 
+    /**
+     * Table Rows - One page of table data for the data grid
+     * 
+     * @return JsonResponse
+     * @http GET
+     * @description Paged, sorted and filtered table rows with column types
+     * @hidden
+     * @example /api/GemvcAssistant/tableRows?table=users&page=1&perPage=25&sort=id&dir=asc&filter[name]=john
+     */
+    public function tableRows(): JsonResponse
+    {
+        // Authentication check
+        if (!$this->request->auth(['developer','admin'])) {
+            return Response::unauthorized('Authentication required');
+        }
+        
+        return new GemvcAssistantController($this->request)->tableRows();
+    }
+
+    /**
+     * Insert Row - Inserts a row from the data grid
+     * 
+     * @return JsonResponse
+     * @http POST
+     * @description Insert a table row; omitted columns get their defaults, string values are base64-encoded
+     * @hidden
+     * @example /api/GemvcAssistant/insertRow
+     */
+    public function insertRow(): JsonResponse
+    {
+        // Authentication check
+        if (!$this->request->auth(['developer','admin'])) {
+            return Response::unauthorized('Authentication required');
+        }
+        
+        // Validate POST schema
+        if (!$this->request->definePostSchema([
+            'table' => 'string',
+            '?values' => 'array'
+        ])) {
+            return $this->request->returnResponse();
+        }
+        
+        return new GemvcAssistantController($this->request)->insertRow();
+    }
+
+    /**
+     * Update Row - Updates a row from the data grid
+     * 
+     * @return JsonResponse
+     * @http POST
+     * @description Update columns of a table row identified by its primary key; string keys and values are base64-encoded
+     * @hidden
+     * @example /api/GemvcAssistant/updateRow
+     */
+    public function updateRow(): JsonResponse
+    {
+        // Authentication check
+        if (!$this->request->auth(['developer','admin'])) {
+            return Response::unauthorized('Authentication required');
+        }
+        
+        // Validate POST schema
+        if (!$this->request->definePostSchema([
+            'table' => 'string',
+            'key' => 'array',
+            'values' => 'array'
+        ])) {
+            return $this->request->returnResponse();
+        }
+        
+        return new GemvcAssistantController($this->request)->updateRow();
+    }
+
+    /**
+     * Delete Row - Deletes a row from the data grid
+     * 
+     * @return JsonResponse
+     * @http POST
+     * @description Delete a table row identified by its primary key; string key values are base64-encoded
+     * @hidden
+     * @example /api/GemvcAssistant/deleteRow
+     */
+    public function deleteRow(): JsonResponse
+    {
+        // Authentication check
+        if (!$this->request->auth(['developer','admin'])) {
+            return Response::unauthorized('Authentication required');
+        }
+        
+        // Validate POST schema
+        if (!$this->request->definePostSchema([
+            'table' => 'string',
+            'key' => 'array'
+        ])) {
+            return $this->request->returnResponse();
+        }
+        
+        return new GemvcAssistantController($this->request)->deleteRow();
+    }
+
+    /**
+     * Run Query - Runs one statement from the SQL console
+     * 
+     * @return JsonResponse
+     * @http POST
+     * @description Run a single SQL statement; statements that change data or schema need confirm=true (409 otherwise)
+     * @hidden
+     * @example /api/GemvcAssistant/runQuery
+     */
+    public function runQuery(): JsonResponse
+    {
+        // Authentication check
+        if (!$this->request->auth(['developer','admin'])) {
+            return Response::unauthorized('Authentication required');
+        }
+        
+        // Validate POST schema
+        if (!$this->request->definePostSchema([
+            'sql' => 'string',
+            '?confirm' => 'bool'
+        ])) {
+            return $this->request->returnResponse();
+        }
+        
+        return new GemvcAssistantController($this->request)->runQuery();
+    }
+
+    /**
+     * Explain Query - Execution plan of a SQL console statement
+     * 
+     * @return JsonResponse
+     * @http POST
+     * @description EXPLAIN a single SELECT, INSERT, UPDATE, DELETE or REPLACE statement without running it
+     * @hidden
+     * @example /api/GemvcAssistant/explainQuery
+     */
+    public function explainQuery(): JsonResponse
+    {
+        // Authentication check
+        if (!$this->request->auth(['developer','admin'])) {
+            return Response::unauthorized('Authentication required');
+        }
+        
+        // Validate POST schema
+        if (!$this->request->definePostSchema([
+            'sql' => 'string'
+        ])) {
+            return $this->request->returnResponse();
+        }
+        
+        return new GemvcAssistantController($this->request)->explainQuery();
+    }
+
     /**
      * Get API Configuration
      * 
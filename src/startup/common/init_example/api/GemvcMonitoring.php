@@ -6,6 +6,7 @@ use Gemvc\Core\ApiService;
 use Gemvc\Http\Request;
 use Gemvc\Http\JsonResponse;
 use Gemvc\Http\Response;
+use Gemvc\Http\StreamResponse;
 /**
  * this @hidden is used to hide the API from the public documentation
  * @hidden
@@ -155,5 +156,46 @@ class GemvcMonitoring extends ApiService
         
         return new GemvcMonitoringController($this->request)->databaseLatency();
     }
-}
 
+    /**
+     * Get Monitoring Snapshot
+     * 
+     * @return JsonResponse
+     * @http GET
+     * @description Get all monitoring metrics in one response
+     * @hidden
+     * @example /api/GemvcMonitoring/snapshot
+     */
+    public function snapshot(): JsonResponse
+    {
+        // Authentication check
+        if (!$this->request->auth(['developer','admin'])) {
+            return Response::unauthorized('Authentication required');
+        }
+        
+        return new GemvcMonitoringController($this->request)->snapshot();
+    }
+
+    /**
+     * Stream Monitoring Snapshots
+     * 
+     * @return JsonResponse|StreamResponse
+     * @http GET
+     * @description Push a monitoring snapshot every interval seconds as Server-Sent Events (OpenSwoole only)
+     * @hidden
+     * @example /api/GemvcMonitoring/stream?interval=2
+     */
+    public function stream(): JsonResponse|StreamResponse
+    {
+        // Authentication check
+        if (!$this->request->auth(['developer','admin'])) {
+            return Response::unauthorized('Authentication required');
+        }
+        
+        if (!$this->request->defineGetSchema(['?interval' => 'int'])) {
+            return $this->request->returnResponse();
+        }
+        
+        return new GemvcMonitoringController($this->request)->stream();
+    }
+}
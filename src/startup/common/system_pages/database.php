@@ -336,6 +336,75 @@ if (($_ENV['APP_ENV'] ?? '') !== 'dev') {
                 </div>
             <?php endif; ?>
         </div>
+
+        <!-- Table Data (grid is filled by the SPA from /GemvcAssistant/tableRows) -->
+        <div id="dataGrid" class="mb-8 bg-white border border-gray-200 rounded-lg p-6"
+            data-table="<?php echo htmlspecialchars($selectedTable); ?>">
+            <div class="flex items-center justify-between mb-4">
+                <h2 class="text-2xl font-semibold text-gray-800 border-b-2 border-gemvc-green pb-2.5">Table Data</h2>
+                <div class="flex items-center gap-3">
+                    <label class="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                        <input type="checkbox" id="gridReadOnly" checked class="accent-gemvc-green">
+                        Read-only
+                    </label>
+                    <button type="button" id="gridClearFiltersBtn"
+                        class="bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs font-medium px-3 py-1.5 rounded transition-colors">
+                        Clear Filters
+                    </button>
+                    <button type="button" id="gridAddRowBtn"
+                        class="bg-gemvc-green hover:bg-gemvc-green-dark text-white text-xs font-medium px-3 py-1.5 rounded transition-colors disabled:opacity-50 disabled:cursor-not-allowed">
+                        Add Row
+                    </button>
+                </div>
+            </div>
+
+            <div id="gridMessage" class="hidden border-l-4 p-3 rounded mb-4 text-sm"></div>
+
+            <!-- New row form -->
+            <div id="gridInsertForm" class="hidden bg-green-50 border-l-4 border-gemvc-green p-4 rounded mb-4">
+                <h3 class="text-lg font-semibold text-gray-800 mb-3">New Row</h3>
+                <div id="gridInsertFields" class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4"></div>
+                <div class="flex items-center gap-2">
+                    <button type="button" id="gridInsertSaveBtn"
+                        class="bg-gemvc-green hover:bg-gemvc-green-dark text-white text-sm font-medium px-4 py-2 rounded transition-colors">
+                        Insert Row
+                    </button>
+                    <button type="button" id="gridInsertCancelBtn"
+                        class="bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm font-medium px-4 py-2 rounded transition-colors">
+                        Cancel
+                    </button>
+                </div>
+            </div>
+
+            <div class="overflow-x-auto border border-gray-200 rounded">
+                <table class="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead id="gridHead" class="bg-gray-100"></thead>
+                    <tbody id="gridBody" class="bg-white divide-y divide-gray-200">
+                        <tr>
+                            <td class="px-4 py-6 text-center text-gray-500">Loading rows...</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            <!-- Pagination -->
+            <div class="flex items-center justify-between mt-4 text-sm text-gray-600">
+                <span id="gridSummary"></span>
+                <div class="flex items-center gap-2">
+                    <select id="gridPerPage" class="border border-gray-300 rounded px-2 py-1">
+                        <option value="10">10 / page</option>
+                        <option value="25" selected>25 / page</option>
+                        <option value="50">50 / page</option>
+                        <option value="100">100 / page</option>
+                    </select>
+                    <button type="button" id="gridPrevBtn"
+                        class="bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded disabled:opacity-50 disabled:cursor-not-allowed">← Prev</button>
+                    <span id="gridPageInfo"></span>
+                    <button type="button" id="gridNextBtn"
+                        class="bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded disabled:opacity-50 disabled:cursor-not-allowed">Next →</button>
+                </div>
+            </div>
+        </div>
     <?php elseif ($selectedTable): ?>
         <div class="bg-yellow-50 border-l-4 border-yellow-400 p-5 rounded mb-5">
             <p class="text-yellow-800 m-0">Table "<?php echo htmlspecialchars($selectedTable); ?>" not found or could not be
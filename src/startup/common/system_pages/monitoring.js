@@ -3,21 +3,122 @@
     'use strict';
     
     // Module state
-    let monitoringInterval = null;
     let refreshInterval = 2000; // Default 2 seconds
     let isPaused = false;
     let currentApiBase = null; // Store API_BASE for use in module
     let eventListeners = []; // Track event listeners for cleanup
     let visibilityHandler = null; // Page visibility handler
-    let chartData = {
-        ram: [],
-        dockerRam: [],
-        dockerCpu: [],
-        cpu: [],
-        network: [],
-        latency: []
+    let chartData = emptyChartData(); // Series of the focused target, or of the recording being replayed
+    const MAX_DATA_POINTS = 300; // Circular buffer limit, the history charts can zoom and pan over
+    // Dashboard panels: panel id (data-panel in the page) -> its chart canvas and the snapshot section it shows
+    const PANELS = {
+        ram: {label: 'RAM Usage', canvas: 'ramChart', section: 'ram'},
+        dockerRam: {label: 'Docker Container RAM', canvas: 'dockerRamChart', section: 'dockerRam'},
+        dockerCpu: {label: 'Docker Container CPU', canvas: 'dockerCpuChart', section: 'dockerCpu'},
+        cpu: {label: 'CPU Usage', canvas: 'cpuChart', section: 'cpu'},
+        network: {label: 'Network Throughput', canvas: 'networkChart', section: 'network'},
+        latency: {label: 'Database Latency', canvas: 'latencyChart', section: 'databaseLatency'},
+        pool: {label: 'Database Pool', canvas: 'poolChart', section: 'databasePool'}
     };
-    const MAX_DATA_POINTS = 60; // Circular buffer limit
+    const CHART_HEIGHT = 200; // Default panel height, also used when the canvas has no CSS height
+    const TIME_STEPS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600].map(seconds => seconds * 1000);
+    const MIN_VIEW_SPAN = 10000; // Closest zoom: 10 seconds
+    const SINGLE_POINT_SPAN = 60000; // Axis width while there is only one sample
+    let charts = {}; // canvas id -> chart state
+    const POOL_WARNING_RATIO = 0.75; // Pool usage that starts a saturation warning
+    const POOL_CRITICAL_RATIO = 0.9; // Pool usage that is treated as saturated
+    const COUNTER_WRAP = 4294967296; // 32-bit interface counters wrap at 2^32
+    const COUNTER_WRAP_MARGIN = 1073741824; // Only a drop from within 1 GiB of 2^32 counts as a wrap
+    const NETWORK_INTERFACE_KEY = 'monitoring_network_interface';
+    let selectedInterface = ''; // '' = all interfaces
+    const SLOW_QUERY_KEY = 'monitoring_slow_query_seconds';
+    const DEFAULT_SLOW_QUERY_SECONDS = 5;
+    const PROCESS_INFO_PREVIEW = 80; // Characters of a query shown before it is expanded
+    let processList = []; // Latest SHOW PROCESSLIST rows
+    let processRows = new Map(); // process Id -> <tr>
+    let processView = {sortKey: 'Time', sortDir: 'desc', filters: {db: '', user: '', command: ''}, expanded: new Set(), pinned: new Map()};
+    let slowQuerySeconds = DEFAULT_SLOW_QUERY_SECONDS;
+    const ALERT_RULES_KEY = 'monitoring_alert_rules';
+    const ALERT_HISTORY_KEY = 'monitoring_alert_history';
+    const MAX_ALERT_HISTORY = 100;
+    const TOAST_DURATION = 6000;
+    
+    // Metrics that alert rules can watch, filled from each sample in updateMonitoringData()
+    const ALERT_METRICS = {
+        cpu: {label: 'CPU', unit: '%'},
+        ram: {label: 'RAM', unit: '%'},
+        dockerCpu: {label: 'Docker CPU', unit: '%'},
+        dockerRam: {label: 'Docker RAM', unit: '%'},
+        dockerCpuThrottled: {label: 'Docker CPU throttled', boolean: true},
+        latency: {label: 'DB latency avg', unit: 'ms'},
+        poolUsage: {label: 'DB pool usage', unit: '%'},
+        poolWaiting: {label: 'DB pool waiting requests', unit: ''},
+        slowQueries: {label: 'Slow DB queries', unit: ''}
+    };
+    const DEFAULT_ALERT_RULES = [
+        {id: 'default-cpu', metric: 'cpu', operator: '>', threshold: 85, duration: 30, hysteresis: 5, enabled: true, notify: false},
+        {id: 'default-latency', metric: 'latency', operator: '>', threshold: 200, duration: 0, hysteresis: 20, enabled: true, notify: false},
+        {id: 'default-throttled', metric: 'dockerCpuThrottled', operator: 'is', threshold: 1, duration: 0, hysteresis: 0, enabled: true, notify: false}
+    ];
+    let alertRules = [];
+    let alertState = {}; // rule id -> {breachSince, firing}
+    let alertHistory = [];
+    
+    // Session recording: every sample is kept (not just the last 60) so it can be exported and replayed
+    const RECORDING_KEY = 'monitoring_session_recording';
+    const RECORDING_FORMAT = 'gemvc-monitoring-recording';
+    const MAX_RECORDED_SAMPLES = 50000; // About 28 hours at a 2 second interval
+    const RECORDING_FIELDS = ['ram', 'dockerRam', 'dockerCpu', 'dockerCpuThrottled', 'cpu', 'networkRx', 'networkTx', 'latency', 'poolActive', 'poolIdle', 'poolUsage', 'poolWaiting'];
+    const REPLAY_PLAYBACK_MS = 200;
+    let recording = {startedAt: Date.now(), samples: []};
+    let recordingPersistable = true;
+    let replayState = null; // {name, samples, index, playTimer} while a recording is replayed
+    
+    // Transport: 'stream' (server pushes snapshots as Server-Sent Events, OpenSwoole only),
+    // 'batched' (one snapshot request per tick) or 'polling' (one request per metric, older servers)
+    const SNAPSHOT_SECTIONS = ['ram', 'dockerRam', 'dockerCpu', 'cpu', 'network', 'databaseLatency', 'databaseConnections', 'databasePool'];
+    const TRANSPORT_LABELS = {stream: 'Live stream (SSE)', batched: 'Batched polling', polling: 'Polling per metric'};
+    
+    // Connection health: every snapshot section is reported as ok, stale or error, and an unreachable
+    // target is polled less and less often until it answers again
+    const SECTION_LABELS = {ram: 'RAM', dockerRam: 'Docker RAM', dockerCpu: 'Docker CPU', cpu: 'CPU', network: 'Network', databaseLatency: 'DB latency', databaseConnections: 'DB connections', databasePool: 'DB pool'};
+    const SECTION_SERIES = {ram: ['ram'], dockerRam: ['dockerRam'], dockerCpu: ['dockerCpu'], cpu: ['cpu'], network: ['networkRx', 'networkTx'], databaseLatency: ['latency'], databasePool: ['poolActive', 'poolIdle']};
+    const MAX_BACKOFF = 60000; // Longest wait between two polls of an unreachable target
+    const STALE_AFTER_INTERVALS = 3; // Data older than this many refresh intervals is stale
+    const HEALTH_REFRESH_MS = 1000;
+    let healthTimer = null; // Ages the health indicators while no update arrives
+    let onUnauthorized = null; // Called when this server rejects the token, see render()
+    
+    // Targets: every GEMVC instance on the dashboard is polled on its own, with its own transport and error state.
+    // The focused target fills the stats, process list, alerts and recording; the charts show all targets.
+    const TARGETS_KEY = 'monitoring_targets';
+    const TARGET_FOCUS_KEY = 'monitoring_target_focus';
+    const TARGET_LAYOUT_KEY = 'monitoring_target_layout';
+    const LOCAL_TARGET_ID = 'local';
+    const TARGET_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#6b7280'];
+    const SPLIT_LANE_HEIGHT = 120; // Canvas height per target in the split layout
+    let targets = []; // {id, name, apiBase, color, builtIn}; built-in targets cannot be removed from the UI
+    let targetStates = {}; // target id -> state from createTargetState()
+    let focusedTargetId = LOCAL_TARGET_ID;
+    let targetLayout = 'overlay'; // 'overlay' (one chart, a colour per target) or 'split' (one lane per target)
+    
+    // Dashboard layout: panel order, visibility and size plus the view mode, persisted in localStorage
+    const LAYOUT_KEY = 'monitoring_layout';
+    const PANEL_WIDTHS = [1, 2, 3]; // Grid columns a panel spans on large screens
+    const PANEL_HEIGHTS = [140, 200, 300, 420]; // Chart heights the resize button cycles through
+    const COMPACT_CHART_HEIGHT = 120;
+    const GRID_CLASSES = {
+        grid: 'grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6',
+        compact: 'grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-2 mb-6',
+        fullscreen: 'grid grid-cols-1 gap-4 mb-6'
+    };
+    const PANEL_SPAN_CLASSES = {
+        grid: {1: '', 2: 'md:col-span-2', 3: 'md:col-span-2 lg:col-span-3'},
+        compact: {1: '', 2: 'col-span-2', 3: 'col-span-2 md:col-span-3'}
+    };
+    let layout = defaultLayout();
+    let unavailablePanels = new Set(); // Panels whose metric the focused target reports as unavailable
+    let draggedPanel = null;
     
     // Helper functions
     function formatBytes(bytes) {
@@ -38,169 +139,2272 @@
         return Math.floor(seconds / 3600) + 'h ' + Math.floor((seconds % 3600) / 60) + 'm';
     }
     
-    // Initialize canvas dimensions
-    function initializeCanvasDimensions() {
-        const canvases = ['ramChart', 'dockerRamChart', 'dockerCpuChart', 'cpuChart', 'networkChart', 'latencyChart'];
-        canvases.forEach(id => {
-            const canvas = document.getElementById(id);
-            if (canvas) {
-                const container = canvas.parentElement;
-                if (container) {
-                    const containerWidth = container.clientWidth;
-                    if (containerWidth > 0) {
-                        canvas.width = containerWidth - 32; // Account for padding
-                        canvas.height = 200;
-                    } else {
-                        // Fallback if container width not available
-                        canvas.width = 400;
-                        canvas.height = 200;
-                    }
-                }
-            }
+    // Canvas sizing
+    // The backing store follows the CSS size times devicePixelRatio so lines stay crisp on HiDPI screens
+    function sizeChartCanvas(canvas) {
+        const container = canvas.parentElement;
+        let width = canvas.clientWidth;
+        if (!width) {
+            width = container && container.clientWidth > 0 ? container.clientWidth - 32 : 400; // Account for padding
+        }
+        const height = canvas.clientHeight || CHART_HEIGHT;
+        const dpr = window.devicePixelRatio || 1;
+        const pixelWidth = Math.round(width * dpr);
+        const pixelHeight = Math.round(height * dpr);
+        if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+            canvas.width = pixelWidth;
+            canvas.height = pixelHeight;
+        }
+        return {width, height, dpr};
+    }
+    
+    // Initialize canvas dimensions of the panels on screen
+    function initializeCanvasDimensions() {
+        Object.keys(PANELS).forEach(id => {
+            const canvas = document.getElementById(PANELS[id].canvas);
+            if (canvas && isPanelDrawn(id)) {
+                sizeChartCanvas(canvas);
+            }
+        });
+    }
+    
+    // Time-series chart component
+    // One instance per canvas, kept in `charts` so hover, zoom and pan survive redraws.
+    // Series data are points {t: timestamp in ms, v: number}; a null value leaves a gap in the line.
+    function pushPoint(series, value, time) {
+        series.push({t: time, v: value});
+        if (series.length > MAX_DATA_POINTS) {
+            series.shift();
+        }
+    }
+    
+    // A null point after real data breaks the line, so a missed sample shows as a gap instead of a flat line
+    function pushGap(series, time) {
+        const last = series[series.length - 1];
+        if (last && last.v !== null) {
+            pushPoint(series, null, time);
+        }
+    }
+    
+    function latestValue(series) {
+        return series.length > 0 ? series[series.length - 1].v : null;
+    }
+    
+    function niceStep(range, targetTicks) {
+        const raw = range / targetTicks;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const residual = raw / magnitude;
+        return (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+    }
+    
+    function formatClock(time, withSeconds) {
+        const date = new Date(time);
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}` + (withSeconds ? `:${pad(date.getSeconds())}` : '');
+    }
+    
+    function formatChartValue(options, value) {
+        if (value === null || value === undefined) return '-';
+        if (options.format) return options.format(value);
+        return (Number.isInteger(value) ? value : value.toFixed(1)) + (options.unit || '');
+    }
+    
+    function chartExtent(series) {
+        let first = Infinity;
+        let last = -Infinity;
+        series.forEach(s => {
+            if (s.data.length === 0) return;
+            first = Math.min(first, s.data[0].t);
+            last = Math.max(last, s.data[s.data.length - 1].t);
+        });
+        return last === -Infinity ? null : {first, last};
+    }
+    
+    // Visible time window: the whole buffer unless zoomed, ending at the latest sample unless panned
+    function chartTimeRange(chart) {
+        const extent = chartExtent(chartSeriesList(chart.options));
+        if (!extent) return null;
+        const fullSpan = extent.last - extent.first;
+        const span = chart.view.span !== null ? Math.min(chart.view.span, Math.max(fullSpan, MIN_VIEW_SPAN)) : fullSpan;
+        const end = chart.view.end !== null ? Math.max(extent.first + span, Math.min(chart.view.end, extent.last)) : extent.last;
+        // A single sample still gets an axis with some width
+        return {start: end - (span > 0 ? span : SINGLE_POINT_SPAN), end: end, extent: extent};
+    }
+    
+    function resetChartView(chart) {
+        chart.view = {span: null, end: null};
+    }
+    
+    // Points inside the window plus the neighbour on each side, so lines run to the edges
+    function visiblePoints(data, range) {
+        let from = 0;
+        while (from < data.length - 1 && data[from + 1].t < range.start) from++;
+        let to = data.length - 1;
+        while (to > 0 && data[to - 1].t > range.end) to--;
+        return data.slice(from, to + 1);
+    }
+    
+    function nearestPoint(points, time) {
+        let best = null;
+        points.forEach(point => {
+            if (point.v === null) return;
+            if (!best || Math.abs(point.t - time) < Math.abs(best.t - time)) best = point;
+        });
+        return best;
+    }
+    
+    // Series of every lane; the lanes of a split chart share one time axis
+    function chartSeriesList(options) {
+        return options.lanes ? options.lanes.flatMap(lane => lane.series) : options.series;
+    }
+    
+    // Sample of a series at the hovered time. Targets are polled independently, so the
+    // closest sample within half a refresh interval counts as the same moment.
+    function pointAt(points, time) {
+        let best = null;
+        points.forEach(point => {
+            if (!best || Math.abs(point.t - time) < Math.abs(best.t - time)) best = point;
+        });
+        return best && Math.abs(best.t - time) <= refreshInterval / 2 ? best : null;
+    }
+    
+    // Place legend entries left to right, wrapping onto a new row when one does not fit
+    function layoutLegend(ctx, items, left, right) {
+        let x = left;
+        let row = 0;
+        items.forEach(item => {
+            const width = ctx.measureText(item.text).width;
+            if (x > left && x + width > right) {
+                x = left;
+                row++;
+            }
+            item.x = x;
+            item.row = row;
+            x += width + 16;
+        });
+        return row + 1;
+    }
+    
+    function drawChart(chart) {
+        const canvas = chart.canvas;
+        const options = chart.options;
+        const {width, height, dpr} = sizeChartCanvas(canvas);
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        chart.layout = null;
+        
+        const range = chartTimeRange(chart);
+        if (!range) return;
+        const span = range.end - range.start;
+        
+        // A plain chart is a single lane without a title
+        const lanes = (options.lanes || [{title: null, series: options.series}]).map(lane => {
+            const series = lane.series.filter(s => s.data.length > 0);
+            return {
+                title: lane.title || null,
+                color: lane.color || '#374151',
+                max: lane.max !== undefined ? lane.max : options.max,
+                series: series,
+                visible: series.map(s => visiblePoints(s.data, range))
+            };
+        });
+        
+        // Y scale per lane: fixed maximum (percentages) or rounded up from the visible data
+        lanes.forEach(lane => {
+            const values = lane.visible.flat().map(point => point.v).filter(v => v !== null && isFinite(v));
+            let yMax = lane.max || Math.max(options.suggestedMax || 0, ...values, 0);
+            if (yMax <= 0) yMax = 1;
+            const yStep = niceStep(yMax, lanes.length > 1 ? 3 : 5);
+            if (!lane.max) yMax = Math.ceil(yMax / yStep) * yStep;
+            lane.yMax = yMax;
+            lane.ticks = [];
+            for (let i = 0; i * yStep <= yMax * 1.0001; i++) {
+                lane.ticks.push(i * yStep);
+            }
+            lane.tickLabels = lane.ticks.map(value => formatChartValue(options, value));
+        });
+        
+        ctx.font = '11px Inter, sans-serif';
+        const left = Math.ceil(Math.max(...lanes.flatMap(lane => lane.tickLabels).map(label => ctx.measureText(label).width))) + 12;
+        const layout = {left: left, top: 28, right: width - 12, bottom: height - 22, range: range};
+        layout.width = Math.max(1, layout.right - layout.left);
+        chart.layout = layout;
+        const xOf = t => layout.left + ((t - range.start) / span) * layout.width;
+        
+        // Hovered sample, shared by every lane
+        let hoverTime = null;
+        if (chart.hoverX !== null && !chart.drag && chart.hoverX >= layout.left && chart.hoverX <= layout.right) {
+            const inRange = lanes.flatMap(lane => lane.visible).flat().filter(point => point.t >= range.start && point.t <= range.end);
+            const anchor = nearestPoint(inRange, range.start + ((chart.hoverX - layout.left) / layout.width) * span);
+            hoverTime = anchor ? anchor.t : null;
+        }
+        
+        // Legend with the latest (or hovered) value of each series; the lane title leads a split lane
+        const zoomed = chart.view.span !== null || chart.view.end !== null;
+        const zoomHint = 'Zoomed · double-click to reset';
+        const zoomHintWidth = zoomed ? ctx.measureText(zoomHint).width + 16 : 0;
+        const legendCount = lanes.reduce((count, lane) => count + lane.series.length + (lane.title ? 1 : 0), 0);
+        const legendFont = legendCount > 2 ? 'bold 12px Inter, sans-serif' : 'bold 14px Inter, sans-serif';
+        ctx.font = legendFont;
+        lanes.forEach((lane, index) => {
+            lane.hovered = lane.series.map((s, i) => hoverTime === null ? null : pointAt(lane.visible[i], hoverTime));
+            lane.legend = lane.series.map((s, i) => {
+                const value = hoverTime === null ? latestValue(s.data) : (lane.hovered[i] ? lane.hovered[i].v : null);
+                return {text: `${s.label}: ${formatChartValue(options, value)}`, color: s.color};
+            });
+            if (lane.title) {
+                lane.legend.unshift({text: lane.series.length > 0 ? lane.title : `${lane.title}: no data`, color: lane.color});
+            }
+            lane.legendRows = layoutLegend(ctx, lane.legend, layout.left, layout.right - (index === 0 ? zoomHintWidth : 0));
+        });
+        
+        // Stack the lanes above the time axis; each plot starts below its legend
+        const laneHeight = layout.bottom / lanes.length;
+        lanes.forEach((lane, index) => {
+            lane.top = index * laneHeight;
+            lane.plotTop = lane.top + 10 + lane.legendRows * 18;
+            lane.plotBottom = index === lanes.length - 1 ? layout.bottom : lane.top + laneHeight - 12;
+            const plotHeight = Math.max(1, lane.plotBottom - lane.plotTop);
+            lane.yOf = v => lane.plotBottom - (v / lane.yMax) * plotHeight;
+        });
+        layout.top = lanes[0].plotTop;
+        layout.height = Math.max(1, layout.bottom - layout.top);
+        
+        // Horizontal grid with y-axis labels
+        ctx.font = '11px Inter, sans-serif';
+        ctx.strokeStyle = '#e5e7eb';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#6b7280';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        lanes.forEach(lane => {
+            lane.ticks.forEach((value, i) => {
+                const y = Math.round(lane.yOf(value)) + 0.5;
+                ctx.beginPath();
+                ctx.moveTo(layout.left, y);
+                ctx.lineTo(layout.right, y);
+                ctx.stroke();
+                ctx.fillText(lane.tickLabels[i], layout.left - 6, y);
+            });
+        });
+        
+        // Time axis: the largest step that keeps labels about 70px apart
+        const timeStep = TIME_STEPS.find(step => span / step <= layout.width / 70) || TIME_STEPS[TIME_STEPS.length - 1];
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let t = Math.ceil(range.start / timeStep) * timeStep; t <= range.end; t += timeStep) {
+            const x = Math.round(xOf(t)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, layout.bottom);
+            ctx.lineTo(x, layout.bottom + 4);
+            ctx.stroke();
+            ctx.fillText(formatClock(t, timeStep < 60000), x, layout.bottom + 6);
+        }
+        
+        // Series lines, clipped to the plot area of their lane
+        lanes.forEach(lane => {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(layout.left, lane.plotTop - 4, layout.width, lane.plotBottom - lane.plotTop + 8);
+            ctx.clip();
+            lane.series.forEach((s, i) => {
+                const points = lane.visible[i];
+                ctx.strokeStyle = s.color;
+                ctx.fillStyle = s.color;
+                ctx.lineWidth = 2;
+                ctx.setLineDash(s.dash ? [6, 4] : []);
+                ctx.beginPath();
+                let penDown = false;
+                points.forEach((point, j) => {
+                    if (point.v === null) {
+                        penDown = false;
+                        return;
+                    }
+                    const x = xOf(point.t);
+                    const y = lane.yOf(point.v);
+                    if (penDown) {
+                        ctx.lineTo(x, y);
+                    } else {
+                        ctx.moveTo(x, y);
+                    }
+                    penDown = true;
+                    // An isolated sample has no line through it, mark it with a dot
+                    const before = points[j - 1];
+                    const after = points[j + 1];
+                    if ((!before || before.v === null) && (!after || after.v === null)) {
+                        ctx.fillRect(x - 2, y - 2, 4, 4);
+                    }
+                });
+                ctx.stroke();
+                ctx.setLineDash([]);
+                
+                // Point at the latest value
+                const last = s.data[s.data.length - 1];
+                if (last.v !== null && last.t >= range.start && last.t <= range.end) {
+                    ctx.beginPath();
+                    ctx.arc(xOf(last.t), lane.yOf(last.v), 4, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+            });
+            ctx.restore();
+        });
+        
+        ctx.font = legendFont;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        lanes.forEach(lane => {
+            lane.legend.forEach(item => {
+                ctx.fillStyle = item.color;
+                ctx.fillText(item.text, item.x, lane.top + 18 + item.row * 18);
+            });
+        });
+        if (zoomed) {
+            ctx.font = '11px Inter, sans-serif';
+            ctx.fillStyle = '#9ca3af';
+            ctx.textAlign = 'right';
+            ctx.fillText(zoomHint, layout.right, 18);
+        }
+        
+        if (hoverTime !== null) {
+            drawChartTooltip(ctx, chart, lanes, xOf(hoverTime), hoverTime);
+        }
+    }
+    
+    // Crosshair at the hovered sample with a tooltip listing every series of every lane
+    function drawChartTooltip(ctx, chart, lanes, x, time) {
+        const layout = chart.layout;
+        ctx.strokeStyle = '#9ca3af';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(Math.round(x) + 0.5, layout.top);
+        ctx.lineTo(Math.round(x) + 0.5, layout.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        const lines = [formatClock(time, true)];
+        lanes.forEach(lane => {
+            if (lane.title && lane.hovered.some(Boolean)) lines.push(lane.title);
+            lane.series.forEach((s, i) => {
+                const hovered = lane.hovered[i];
+                if (!hovered) return;
+                lines.push(`${lane.title ? '  ' : ''}${s.label}: ${formatChartValue(chart.options, hovered.v)}`);
+                if (hovered.v !== null) {
+                    ctx.fillStyle = s.color;
+                    ctx.beginPath();
+                    ctx.arc(x, lane.yOf(hovered.v), 4, 0, 2 * Math.PI);
+                    ctx.fill();
+                }
+            });
+        });
+        
+        ctx.font = '12px Inter, sans-serif';
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 16;
+        const boxHeight = lines.length * 16 + 8;
+        let boxX = x + 12;
+        if (boxX + boxWidth > layout.right) boxX = x - 12 - boxWidth;
+        const boxY = layout.top + 4;
+        ctx.fillStyle = 'rgba(17, 24, 39, 0.85)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 8, boxY + 6 + i * 16));
+    }
+
+    // Hover, ctrl/cmd + wheel zoom, drag to pan and double-click to reset
+    function attachChartInteractions(chart) {
+        const canvas = chart.canvas;
+        const listen = (element, event, handler, listenerOptions) => {
+            element.addEventListener(event, handler, listenerOptions);
+            eventListeners.push({element, event, handler});
+        };
+        const offsetX = (e) => e.clientX - canvas.getBoundingClientRect().left;
+        canvas.title = 'Ctrl + wheel to zoom, drag to pan, double-click to reset';
+        
+        listen(canvas, 'mousemove', (e) => {
+            chart.hoverX = offsetX(e);
+            if (chart.drag && chart.layout) {
+                const drag = chart.drag;
+                const end = drag.end - ((chart.hoverX - drag.x) / chart.layout.width) * drag.span;
+                chart.view = {span: drag.span, end: end >= drag.latest ? null : end};
+            }
+            drawChart(chart);
+        });
+        listen(canvas, 'mouseleave', () => {
+            chart.hoverX = null;
+            drawChart(chart);
+        });
+        listen(canvas, 'mousedown', (e) => {
+            if (!chart.layout) return;
+            const range = chart.layout.range;
+            chart.drag = {x: offsetX(e), end: range.end, span: range.end - range.start, latest: range.extent.last};
+            canvas.style.cursor = 'grabbing';
+        });
+        listen(window, 'mouseup', () => {
+            if (!chart.drag) return;
+            chart.drag = null;
+            canvas.style.cursor = '';
+            drawChart(chart);
+        });
+        listen(canvas, 'wheel', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || !chart.layout) return;
+            e.preventDefault();
+            const range = chart.layout.range;
+            const span = range.end - range.start;
+            const fullSpan = range.extent.last - range.extent.first;
+            const newSpan = Math.max(MIN_VIEW_SPAN, span * (e.deltaY > 0 ? 1.25 : 0.8));
+            if (newSpan >= fullSpan) {
+                resetChartView(chart);
+            } else {
+                // Keep the time under the cursor in place
+                const ratio = Math.min(1, Math.max(0, (offsetX(e) - chart.layout.left) / chart.layout.width));
+                const anchor = range.start + ratio * span;
+                const end = anchor + (1 - ratio) * newSpan;
+                chart.view = {span: newSpan, end: end >= range.extent.last ? null : end};
+            }
+            drawChart(chart);
+        }, {passive: false});
+        listen(canvas, 'dblclick', () => {
+            resetChartView(chart);
+            drawChart(chart);
+        });
+    }
+    
+    // Draw a chart; options: {series: [{label, data, color, dash}], max, suggestedMax, unit, format},
+    // or {lanes: [{title, color, series, max}], ...} for one stacked lane per target
+    function renderChart(canvasId, options) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) return null;
+        let chart = charts[canvasId];
+        if (!chart || chart.canvas !== canvas) {
+            chart = {canvas: canvas, options: options, view: {span: null, end: null}, hoverX: null, drag: null, layout: null};
+            charts[canvasId] = chart;
+            attachChartInteractions(chart);
+        }
+        // Panel height from the layout; split charts grow with the number of lanes
+        const laneCount = options.lanes ? options.lanes.length : 1;
+        canvas.style.height = `${Math.max(chartHeight(canvasId), laneCount > 1 ? laneCount * SPLIT_LANE_HEIGHT + 22 : 0)}px`;
+        chart.options = options;
+        drawChart(chart);
+        return chart;
+    }
+    
+    function redrawCharts() {
+        Object.keys(charts).forEach(canvasId => {
+            if (isPanelDrawn(panelOfCanvas(canvasId))) drawChart(charts[canvasId]);
+        });
+    }
+    
+    // Series of each chart, built from one chartData object
+    const usageSeries = (label, data) => ({label: label, data: data, color: usageColor(latestValue(data) || 0)});
+    const CHART_DEFINITIONS = {
+        ramChart: {max: 100, unit: '%', series: data => [
+            usageSeries('RAM', data.ram),
+            {label: 'Docker RAM', data: data.dockerRam, color: '#8b5cf6'}
+        ]},
+        dockerRamChart: {max: 100, unit: '%', series: data => [usageSeries('Docker RAM', data.dockerRam)]},
+        dockerCpuChart: {max: 100, unit: '%', series: data => [usageSeries('Docker CPU', data.dockerCpu)]},
+        cpuChart: {max: 100, unit: '%', series: data => [
+            usageSeries('CPU', data.cpu),
+            {label: 'Docker CPU', data: data.dockerCpu, color: '#8b5cf6'}
+        ]},
+        networkChart: {format: formatRate, series: data => {
+            const network = selectedNetworkSeries(data);
+            return [
+                {label: 'RX', data: network.rx, color: '#3b82f6'},
+                {label: 'TX', data: network.tx, color: '#10b981'}
+            ];
+        }},
+        latencyChart: {suggestedMax: 100, unit: 'ms', series: data => [
+            {label: 'DB Latency', data: data.latency, color: '#f59e0b'}
+        ]},
+        poolChart: {poolMax: true, unit: '', series: data => [
+            {label: 'Active', data: data.poolActive, color: '#ef4444'},
+            {label: 'Idle', data: data.poolIdle, color: '#10b981'}
+        ]}
+    };
+    
+    // Every chart on the page: the replayed recording, a single target, or all targets overlaid or split
+    function drawCharts() {
+        const sources = replayState
+            ? [{name: null, color: null, data: chartData, poolSize: null}]
+            : targets.map(target => {
+                const state = targetStates[target.id];
+                return {name: target.name, color: target.color, data: state.chartData, poolSize: state.lastPoolSize};
+            });
+        if (sources.length === 0) return;
+        Object.keys(PANELS).forEach(panelId => {
+            // Hidden and collapsed panels are drawn once they are shown again
+            if (!isPanelDrawn(panelId)) return;
+            const canvasId = PANELS[panelId].canvas;
+            const definition = CHART_DEFINITIONS[canvasId];
+            const options = {max: definition.max, suggestedMax: definition.suggestedMax, unit: definition.unit, format: definition.format};
+            if (sources.length === 1) {
+                options.series = definition.series(sources[0].data);
+                if (definition.poolMax) options.max = sources[0].poolSize || null;
+            } else if (targetLayout === 'split') {
+                options.lanes = sources.map(source => ({
+                    title: source.name,
+                    color: source.color,
+                    series: definition.series(source.data),
+                    max: definition.poolMax ? source.poolSize || null : undefined
+                }));
+            } else {
+                // Overlay: one colour per target, the second metric of a chart dashed
+                options.series = sources.flatMap(source => definition.series(source.data).map((s, i) => ({
+                    label: `${s.label} · ${source.name}`,
+                    data: s.data,
+                    color: source.color,
+                    dash: i > 0
+                })));
+                if (definition.poolMax) options.max = Math.max(0, ...sources.map(source => source.poolSize || 0)) || null;
+            }
+            renderChart(canvasId, options);
+        });
+    }
+
+    // Dashboard layout
+    function defaultLayout() {
+        return {order: Object.keys(PANELS), hidden: [], sizes: {}, mode: 'grid', fullscreen: null, expanded: []};
+    }
+    
+    function loadLayout() {
+        layout = defaultLayout();
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(LAYOUT_KEY) || 'null');
+        } catch (e) {
+            saved = null;
+        }
+        if (!saved || typeof saved !== 'object') return;
+        const known = id => Object.prototype.hasOwnProperty.call(PANELS, id);
+        const order = Array.isArray(saved.order) ? saved.order.filter(known) : [];
+        // Panels added in a later version go to the end
+        layout.order.forEach(id => {
+            if (!order.includes(id)) order.push(id);
+        });
+        layout.order = Array.from(new Set(order));
+        layout.hidden = Array.isArray(saved.hidden) ? saved.hidden.filter(known) : [];
+        layout.expanded = Array.isArray(saved.expanded) ? saved.expanded.filter(known) : [];
+        Object.keys(saved.sizes || {}).filter(known).forEach(id => {
+            const size = saved.sizes[id] || {};
+            layout.sizes[id] = {
+                width: PANEL_WIDTHS.includes(size.width) ? size.width : 1,
+                height: PANEL_HEIGHTS.includes(size.height) ? size.height : CHART_HEIGHT
+            };
+        });
+        layout.mode = saved.mode === 'compact' ? 'compact' : 'grid';
+        layout.fullscreen = known(saved.fullscreen) && !layout.hidden.includes(saved.fullscreen) ? saved.fullscreen : null;
+    }
+    
+    function saveLayout() {
+        localStorage.setItem(LAYOUT_KEY, JSON.stringify(layout));
+    }
+    
+    function panelSize(id) {
+        return layout.sizes[id] || {width: 1, height: CHART_HEIGHT};
+    }
+    
+    // Unavailable metrics stay collapsed unless the user opened the panel anyway
+    function isPanelCollapsed(id) {
+        return unavailablePanels.has(id) && !layout.expanded.includes(id);
+    }
+    
+    // Whether the panel's chart is on screen and has to be drawn
+    function isPanelDrawn(id) {
+        if (!id) return true;
+        if (layout.hidden.includes(id) || isPanelCollapsed(id)) return false;
+        return !layout.fullscreen || layout.fullscreen === id;
+    }
+    
+    function panelOfCanvas(canvasId) {
+        return Object.keys(PANELS).find(id => PANELS[id].canvas === canvasId) || null;
+    }
+    
+    function chartHeight(canvasId) {
+        const id = panelOfCanvas(canvasId);
+        if (!id) return CHART_HEIGHT;
+        if (layout.fullscreen === id) return Math.max(300, window.innerHeight - 360);
+        if (layout.mode === 'compact') return COMPACT_CHART_HEIGHT;
+        return panelSize(id).height;
+    }
+    
+    // Move, show and size the panels to match the layout, then redraw the visible charts
+    function applyLayout() {
+        const grid = document.getElementById('monitoringPanels');
+        if (!grid) return;
+        const fullscreen = layout.fullscreen;
+        grid.className = GRID_CLASSES[fullscreen ? 'fullscreen' : layout.mode];
+        layout.order.forEach(id => {
+            const panel = grid.querySelector(`[data-panel="${id}"]`);
+            if (!panel) return;
+            grid.appendChild(panel);
+            const hidden = layout.hidden.includes(id) || (fullscreen !== null && fullscreen !== id);
+            const span = fullscreen ? '' : PANEL_SPAN_CLASSES[layout.mode][panelSize(id).width];
+            panel.className = `bg-gray-50 rounded ${layout.mode === 'compact' && !fullscreen ? 'p-2' : 'p-4'} ${span} ${hidden ? 'hidden' : ''}`.trim();
+            
+            const body = panel.querySelector('.panel-body');
+            if (body) body.classList.toggle('hidden', isPanelCollapsed(id));
+            const note = panel.querySelector('.panel-unavailable');
+            if (note) {
+                note.classList.toggle('hidden', !unavailablePanels.has(id));
+                note.textContent = isPanelCollapsed(id) ? 'Not available here · show' : 'Not available here · collapse';
+            }
+            const fullscreenBtn = panel.querySelector('[data-action="fullscreen"]');
+            if (fullscreenBtn) {
+                fullscreenBtn.textContent = fullscreen === id ? '🗗' : '⛶';
+                fullscreenBtn.title = fullscreen === id ? 'Back to the dashboard' : 'Show only this chart';
+            }
+            const canvas = document.getElementById(PANELS[id].canvas);
+            if (canvas) canvas.style.height = `${chartHeight(PANELS[id].canvas)}px`;
+        });
+        
+        const exitFullscreenBtn = document.getElementById('exitFullscreenBtn');
+        if (exitFullscreenBtn) exitFullscreenBtn.classList.toggle('hidden', !fullscreen);
+        const modeSelector = document.getElementById('layoutMode');
+        if (modeSelector) modeSelector.value = layout.mode;
+        renderPanelList();
+        initializeCanvasDimensions();
+        drawCharts();
+    }
+    
+    function updateLayout(change) {
+        change();
+        saveLayout();
+        applyLayout();
+    }
+    
+    function nextInCycle(values, current) {
+        const index = values.indexOf(current);
+        return values[(index + 1) % values.length];
+    }
+    
+    // Drop target: the dragged panel takes the target's place
+    function movePanel(id, targetId) {
+        if (id === targetId) return;
+        updateLayout(() => {
+            const order = layout.order.filter(other => other !== id);
+            const targetIndex = order.indexOf(targetId);
+            const movingDown = layout.order.indexOf(id) < layout.order.indexOf(targetId);
+            order.splice(movingDown ? targetIndex + 1 : targetIndex, 0, id);
+            layout.order = order;
+        });
+    }
+    
+    function movePanelBy(id, offset) {
+        const index = layout.order.indexOf(id);
+        const target = layout.order[index + offset];
+        if (target) movePanel(id, target);
+    }
+    
+    function setPanelHidden(id, hidden) {
+        updateLayout(() => {
+            layout.hidden = layout.hidden.filter(other => other !== id);
+            if (hidden) layout.hidden.push(id);
+            if (hidden && layout.fullscreen === id) layout.fullscreen = null;
+        });
+    }
+    
+    function setFullscreenPanel(id) {
+        updateLayout(() => {
+            layout.fullscreen = id && !layout.hidden.includes(id) ? id : null;
+        });
+        window.scrollTo(0, 0);
+    }
+    
+    function handlePanelAction(id, action) {
+        switch (action) {
+            case 'width':
+                updateLayout(() => { layout.sizes[id] = Object.assign({}, panelSize(id), {width: nextInCycle(PANEL_WIDTHS, panelSize(id).width)}); });
+                break;
+            case 'height':
+                updateLayout(() => { layout.sizes[id] = Object.assign({}, panelSize(id), {height: nextInCycle(PANEL_HEIGHTS, panelSize(id).height)}); });
+                break;
+            case 'fullscreen':
+                setFullscreenPanel(layout.fullscreen === id ? null : id);
+                break;
+            case 'hide':
+                setPanelHidden(id, true);
+                break;
+            case 'expand':
+                updateLayout(() => {
+                    if (layout.expanded.includes(id)) {
+                        layout.expanded = layout.expanded.filter(other => other !== id);
+                    } else {
+                        layout.expanded.push(id);
+                    }
+                });
+                break;
+        }
+    }
+    
+    // Collapse panels whose metric the focused target reports as unavailable (e.g. no Docker, no pool)
+    function updatePanelAvailability(snapshot) {
+        let changed = false;
+        Object.keys(PANELS).forEach(id => {
+            const data = snapshot[PANELS[id].section];
+            if (!data) return; // Missing data is an error, not an unavailable metric
+            const unavailable = data.available === false || (id === 'pool' && !normalizePoolStats(data).hasPool);
+            if (unavailable !== unavailablePanels.has(id)) {
+                if (unavailable) unavailablePanels.add(id);
+                else unavailablePanels.delete(id);
+                changed = true;
+            }
+        });
+        if (changed) applyLayout();
+    }
+    
+    function renderPanelList() {
+        const list = document.getElementById('panelList');
+        if (!list) return;
+        list.innerHTML = '';
+        layout.order.forEach((id, index) => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center gap-2';
+            item.dataset.panel = id;
+            item.innerHTML = `
+                <label class="flex items-center gap-1 flex-1"><input type="checkbox" data-field="visible"> <span data-field="label"></span></label>
+                <button type="button" class="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" data-move="-1" title="Move earlier">↑</button>
+                <button type="button" class="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30" data-move="1" title="Move later">↓</button>
+            `;
+            item.querySelector('[data-field="visible"]').checked = !layout.hidden.includes(id);
+            item.querySelector('[data-field="label"]').textContent = PANELS[id].label + (unavailablePanels.has(id) ? ' (not available)' : '');
+            item.querySelector('[data-move="-1"]').disabled = index === 0;
+            item.querySelector('[data-move="1"]').disabled = index === layout.order.length - 1;
+            list.appendChild(item);
+        });
+    }
+    
+    function setupLayout() {
+        loadLayout();
+        const grid = document.getElementById('monitoringPanels');
+        if (!grid) return;
+        const listen = (element, event, handler) => {
+            if (!element) return;
+            element.addEventListener(event, handler);
+            eventListeners.push({element, event, handler});
+        };
+        
+        // Panel controls live in each panel header; the title is the drag handle
+        Object.keys(PANELS).forEach(id => {
+            const header = grid.querySelector(`[data-panel="${id}"] .panel-header`);
+            if (!header || header.querySelector('.panel-controls')) return;
+            const title = header.querySelector('h3');
+            if (title) {
+                title.draggable = true;
+                title.classList.add('cursor-move');
+            }
+            const note = document.createElement('button');
+            note.type = 'button';
+            note.className = 'panel-unavailable hidden text-xs text-gray-500 hover:underline';
+            note.dataset.action = 'expand';
+            const controls = document.createElement('span');
+            controls.className = 'panel-controls flex items-center gap-1 ml-auto text-gray-400';
+            controls.innerHTML = `
+                <button type="button" class="hover:text-gray-700" data-action="width" title="Change width">⇔</button>
+                <button type="button" class="hover:text-gray-700" data-action="height" title="Change height">⇕</button>
+                <button type="button" class="hover:text-gray-700" data-action="fullscreen" title="Show only this chart">⛶</button>
+                <button type="button" class="hover:text-red-600" data-action="hide" title="Hide panel">✕</button>
+            `;
+            header.appendChild(note);
+            header.appendChild(controls);
+        });
+        
+        listen(grid, 'click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const panel = e.target.closest('[data-panel]');
+            if (button && panel) handlePanelAction(panel.dataset.panel, button.dataset.action);
+        });
+        listen(grid, 'dragstart', (e) => {
+            const title = e.target.closest && e.target.closest('.panel-header h3');
+            if (!title) return;
+            draggedPanel = title.closest('[data-panel]').dataset.panel;
+            if (e.dataTransfer) {
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', draggedPanel);
+            }
+        });
+        listen(grid, 'dragover', (e) => {
+            if (draggedPanel && e.target.closest('[data-panel]')) e.preventDefault();
+        });
+        listen(grid, 'drop', (e) => {
+            const target = e.target.closest('[data-panel]');
+            if (!draggedPanel || !target) return;
+            e.preventDefault();
+            movePanel(draggedPanel, target.dataset.panel);
+            draggedPanel = null;
+        });
+        listen(grid, 'dragend', () => { draggedPanel = null; });
+        
+        // Toolbar: view mode, panel menu, reset and leaving the fullscreen view
+        const modeSelector = document.getElementById('layoutMode');
+        listen(modeSelector, 'change', () => updateLayout(() => {
+            layout.mode = modeSelector.value === 'compact' ? 'compact' : 'grid';
+            layout.fullscreen = null;
+        }));
+        const panelsMenu = document.getElementById('panelsMenu');
+        listen(document.getElementById('panelsToggle'), 'click', () => {
+            if (panelsMenu) panelsMenu.classList.toggle('hidden');
+        });
+        listen(document.getElementById('layoutResetBtn'), 'click', () => updateLayout(() => { layout = defaultLayout(); }));
+        listen(document.getElementById('exitFullscreenBtn'), 'click', () => setFullscreenPanel(null));
+        listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && layout.fullscreen) setFullscreenPanel(null);
+        });
+        const panelList = document.getElementById('panelList');
+        listen(panelList, 'change', (e) => {
+            const item = e.target.closest('[data-panel]');
+            if (item && e.target.matches('[data-field="visible"]')) setPanelHidden(item.dataset.panel, !e.target.checked);
+        });
+        listen(panelList, 'click', (e) => {
+            const button = e.target.closest('[data-move]');
+            const item = e.target.closest('[data-panel]');
+            if (button && item) movePanelBy(item.dataset.panel, parseInt(button.dataset.move, 10));
+        });
+        
+        applyLayout();
+    }
+    
+    // Pool statistics come from the connection package, so accept the common key names
+    function pickNumber(source, keys) {
+        for (const key of keys) {
+            if (source[key] !== null && source[key] !== undefined && source[key] !== '' && !isNaN(parseFloat(source[key]))) {
+                return parseFloat(source[key]);
+            }
+        }
+        return null;
+    }
+    
+    function normalizePoolStats(data) {
+        const stats = data.pool_stats || {};
+        const managerInfo = data.manager_info || {};
+        const active = pickNumber(stats, ['active', 'active_connections', 'in_use', 'busy', 'used']);
+        let idle = pickNumber(stats, ['idle', 'idle_connections', 'available', 'available_connections', 'free']);
+        const max = pickNumber(stats, ['max', 'max_connections', 'pool_size', 'max_size', 'size', 'capacity']);
+        const total = pickNumber(stats, ['total', 'total_connections', 'created', 'current_size']);
+        const waiting = pickNumber(stats, ['waiting', 'wait_count', 'waiting_requests', 'waiters', 'pending']);
+        if (idle === null && active !== null && total !== null) {
+            idle = Math.max(0, total - active);
+        }
+        return {
+            hasPool: active !== null || idle !== null,
+            active: active,
+            idle: idle,
+            max: max,
+            total: total,
+            waiting: waiting,
+            environment: managerInfo.environment || null,
+            error: managerInfo.has_error ? (managerInfo.error || 'Unknown error') : null
+        };
+    }
+    
+    function getPoolSaturation(pool) {
+        if (pool.waiting !== null && pool.waiting > 0) {
+            return {level: 'critical', message: `⚠️ ${pool.waiting} request(s) waiting for a connection, the pool is exhausted`};
+        }
+        if (pool.max && pool.active !== null) {
+            const ratio = pool.active / pool.max;
+            if (ratio >= POOL_CRITICAL_RATIO) {
+                return {level: 'critical', message: `⚠️ Pool saturated: ${pool.active} of ${pool.max} connections in use`};
+            }
+            if (ratio >= POOL_WARNING_RATIO) {
+                return {level: 'warning', message: `Pool usage high: ${pool.active} of ${pool.max} connections in use`};
+            }
+        }
+        return null;
+    }
+    
+    // Network throughput
+    // The helper reports cumulative byte counters, so rates are the delta between two snapshots
+    function readByteCounters(source) {
+        if (!source || typeof source !== 'object') return null;
+        const rx = pickNumber(source, ['bytes_received', 'rx_bytes', 'received', 'rx']);
+        const tx = pickNumber(source, ['bytes_sent', 'tx_bytes', 'sent', 'transmitted', 'tx']);
+        return rx === null && tx === null ? null : {rx: rx || 0, tx: tx || 0};
+    }
+    
+    // {totals: {rx, tx}, interfaces: {name: {rx, tx}}} from totals plus whatever per-interface data is present
+    function normalizeNetworkStats(data) {
+        const totals = readByteCounters(data.totals) || readByteCounters(data) || {rx: 0, tx: 0};
+        let source = data.interfaces || null;
+        if (!source) {
+            // Interfaces listed as top-level entries next to 'totals'
+            source = {};
+            Object.keys(data).forEach(key => {
+                if (key !== 'totals' && data[key] && typeof data[key] === 'object') source[key] = data[key];
+            });
+        }
+        const interfaces = {};
+        if (Array.isArray(source)) {
+            source.forEach((entry, i) => {
+                const counters = readByteCounters(entry);
+                if (counters) interfaces[entry.name || entry.interface || 'interface ' + (i + 1)] = counters;
+            });
+        } else {
+            Object.keys(source).forEach(name => {
+                const counters = readByteCounters(source[name]);
+                if (counters) interfaces[name] = counters;
+            });
+        }
+        return {totals, interfaces};
+    }
+    
+    // Bytes per second between two counter readings, null when the counter was reset
+    function counterRate(previous, current, seconds) {
+        if (seconds <= 0) return null;
+        let delta = current - previous;
+        if (delta < 0) {
+            if (previous < COUNTER_WRAP && previous >= COUNTER_WRAP - COUNTER_WRAP_MARGIN && current < COUNTER_WRAP_MARGIN) {
+                // 32-bit counter wrapped around
+                delta += COUNTER_WRAP;
+            } else {
+                // Interface or container restarted: no rate for this interval
+                return null;
+            }
+        }
+        return delta / seconds;
+    }
+    
+    // Rates against the target's previous snapshot; null for the first one
+    function networkRates(state, network, time) {
+        const previous = state.networkCounters;
+        state.networkCounters = {time: time, totals: network.totals, interfaces: network.interfaces};
+        if (!previous) return null;
+        const seconds = (time - previous.time) / 1000;
+        const rate = (before, after) => before
+            ? {rx: counterRate(before.rx, after.rx, seconds), tx: counterRate(before.tx, after.tx, seconds)}
+            : null;
+        const interfaces = {};
+        Object.keys(network.interfaces).forEach(name => {
+            interfaces[name] = rate(previous.interfaces[name], network.interfaces[name]);
+        });
+        return {totals: rate(previous.totals, network.totals), interfaces: interfaces};
+    }
+    
+    function formatRate(bytesPerSecond) {
+        if (bytesPerSecond === null || bytesPerSecond === undefined) return '-';
+        return (bytesPerSecond < 1 ? '0 B' : formatBytes(bytesPerSecond)) + '/s';
+    }
+    
+    // Series shown in the network chart: all interfaces or the selected one (totals if a target lacks it)
+    function selectedNetworkSeries(data) {
+        const series = selectedInterface && data.networkInterfaces[selectedInterface];
+        return series || {rx: data.networkRx, tx: data.networkTx};
+    }
+    
+    function updateInterfaceSelector(names) {
+        const selector = document.getElementById('networkInterface');
+        if (!selector) return;
+        const current = Array.from(selector.options).slice(1).map(option => option.value);
+        if (current.join('\n') !== names.join('\n')) {
+            selector.innerHTML = '<option value="">All interfaces</option>';
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                selector.appendChild(option);
+            });
+        }
+        selector.value = names.includes(selectedInterface) ? selectedInterface : '';
+        selector.classList.toggle('hidden', names.length === 0);
+    }
+    
+    function renderInterfaceBreakdown(rates) {
+        const breakdown = document.getElementById('networkInterfaceStats');
+        if (!breakdown) return;
+        const names = rates ? Object.keys(rates.interfaces) : [];
+        breakdown.textContent = names.map(name => {
+            const rate = rates.interfaces[name];
+            return `${name}: ↓ ${formatRate(rate ? rate.rx : null)} ↑ ${formatRate(rate ? rate.tx : null)}`;
+        }).join(' | ');
+    }
+    
+    function setupNetworkInterfaceSelector() {
+        const selector = document.getElementById('networkInterface');
+        if (!selector) return;
+        selectedInterface = localStorage.getItem(NETWORK_INTERFACE_KEY) || '';
+        const handler = () => {
+            selectedInterface = selector.value;
+            if (selectedInterface) {
+                localStorage.setItem(NETWORK_INTERFACE_KEY, selectedInterface);
+            } else {
+                localStorage.removeItem(NETWORK_INTERFACE_KEY);
+            }
+            drawCharts();
+        };
+        selector.addEventListener('change', handler);
+        eventListeners.push({element: selector, event: 'change', handler: handler});
+    }
+    
+    // Database process list
+    // Rows are keyed by process Id and patched in place, so scroll position, expanded queries and pins survive a refresh
+    function processKey(process) {
+        return String(process.Id ?? '');
+    }
+    
+    function isSlowProcess(process) {
+        return Boolean(process.Info) && process.Command !== 'Sleep' && (parseFloat(process.Time) || 0) >= slowQuerySeconds;
+    }
+    
+    function compareProcesses(a, b) {
+        const key = processView.sortKey;
+        let result;
+        if (key === 'Id' || key === 'Time') {
+            result = (parseFloat(a[key]) || 0) - (parseFloat(b[key]) || 0);
+        } else {
+            result = String(a[key] ?? '').localeCompare(String(b[key] ?? ''));
+        }
+        return processView.sortDir === 'asc' ? result : -result;
+    }
+    
+    function matchesProcessFilters(process) {
+        const contains = (value, filter) => !filter || String(value ?? '').toLowerCase().includes(filter.toLowerCase());
+        return contains(process.db, processView.filters.db)
+            && contains(process.User, processView.filters.user)
+            && (!processView.filters.command || process.Command === processView.filters.command);
+    }
+    
+    function createProcessRow(key) {
+        const row = document.createElement('tr');
+        row.dataset.id = key;
+        row.innerHTML = `
+            <td class="px-2 py-2 border text-center"><button type="button" class="process-pin opacity-40 hover:opacity-100" title="Pin this query">📌</button></td>
+            <td class="px-4 py-2 border" data-field="Id"></td>
+            <td class="px-4 py-2 border" data-field="User"></td>
+            <td class="px-4 py-2 border" data-field="Host"></td>
+            <td class="px-4 py-2 border" data-field="db"></td>
+            <td class="px-4 py-2 border" data-field="Command"></td>
+            <td class="px-4 py-2 border" data-field="Time"></td>
+            <td class="px-4 py-2 border" data-field="State"></td>
+            <td class="px-4 py-2 border font-mono text-xs process-info cursor-pointer" data-field="Info" title="Click to show the full query"></td>
+        `;
+        return row;
+    }
+    
+    function setCellText(row, field, text) {
+        const cell = row.querySelector(`[data-field="${field}"]`);
+        if (cell && cell.textContent !== text) {
+            cell.textContent = text;
+        }
+        return cell;
+    }
+    
+    function updateProcessRow(row, process, pinned, finished) {
+        const key = row.dataset.id;
+        const expanded = processView.expanded.has(key);
+        const slow = !finished && isSlowProcess(process);
+        const info = process.Info || '-';
+        
+        ['Id', 'User', 'Host', 'db', 'Command'].forEach(field => setCellText(row, field, String(process[field] || '-')));
+        const timeCell = setCellText(row, 'Time', String(process.Time || 0));
+        setCellText(row, 'State', (process.State || '-') + (finished ? ' (finished)' : ''));
+        const infoCell = setCellText(row, 'Info', expanded || info.length <= PROCESS_INFO_PREVIEW ? info : info.substring(0, PROCESS_INFO_PREVIEW) + '…');
+        infoCell.className = `px-4 py-2 border font-mono text-xs process-info cursor-pointer ${expanded ? 'whitespace-pre-wrap break-all' : 'whitespace-nowrap'}`;
+        timeCell.className = `px-4 py-2 border ${slow ? 'text-red-700 font-semibold' : ''}`;
+        
+        row.className = slow ? 'bg-red-50' : pinned ? 'bg-yellow-50' : 'hover:bg-gray-50';
+        if (finished) row.className += ' opacity-60';
+        row.title = finished ? 'This query is no longer in the process list' : '';
+        const pin = row.querySelector('.process-pin');
+        pin.className = `process-pin ${pinned ? '' : 'opacity-40'} hover:opacity-100`;
+        pin.title = pinned ? 'Unpin' : 'Pin this query';
+    }
+    
+    function updateCommandFilterOptions(processes) {
+        const select = document.getElementById('processFilterCommand');
+        if (!select) return;
+        const commands = Array.from(new Set(processes.map(process => process.Command).filter(Boolean))).sort();
+        if (processView.filters.command && !commands.includes(processView.filters.command)) {
+            commands.push(processView.filters.command);
+        }
+        const current = Array.from(select.options).slice(1).map(option => option.value);
+        if (current.join('\n') === commands.join('\n')) return;
+        select.innerHTML = '<option value="">All commands</option>';
+        commands.forEach(command => {
+            const option = document.createElement('option');
+            option.value = command;
+            option.textContent = command;
+            select.appendChild(option);
+        });
+        select.value = processView.filters.command;
+    }
+    
+    function updateSortIndicators() {
+        document.querySelectorAll('#connectionsTable th[data-sort]').forEach(th => {
+            const indicator = th.querySelector('.sort-indicator');
+            if (indicator) {
+                indicator.textContent = th.dataset.sort === processView.sortKey ? (processView.sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+            }
+        });
+    }
+    
+    function renderProcessList() {
+        const body = document.getElementById('connectionsBody');
+        if (!body) return;
+        
+        // Pinned queries first (kept after they finish), then the filtered and sorted rest
+        const live = new Map(processList.map(process => [processKey(process), process]));
+        const ordered = [];
+        processView.pinned.forEach((lastSeen, key) => {
+            const process = live.get(key);
+            if (process) processView.pinned.set(key, process);
+            ordered.push({key, process: process || lastSeen, pinned: true, finished: !process});
+        });
+        processList.filter(matchesProcessFilters).sort(compareProcesses).forEach(process => {
+            const key = processKey(process);
+            if (!processView.pinned.has(key)) ordered.push({key, process, pinned: false, finished: false});
+        });
+        
+        const keep = new Set(ordered.map(entry => entry.key));
+        processRows.forEach((row, key) => {
+            if (!keep.has(key)) {
+                row.remove();
+                processRows.delete(key);
+                processView.expanded.delete(key);
+            }
+        });
+        ordered.forEach((entry, index) => {
+            let row = processRows.get(entry.key);
+            if (!row) {
+                row = createProcessRow(entry.key);
+                processRows.set(entry.key, row);
+            }
+            updateProcessRow(row, entry.process, entry.pinned, entry.finished);
+            if (body.children[index] !== row) {
+                body.insertBefore(row, body.children[index] || null);
+            }
+        });
+        
+        const slowCount = processList.filter(isSlowProcess).length;
+        setStatsText('processSummary', `${ordered.length} of ${processList.length} shown` + (slowCount > 0 ? ` · ${slowCount} slow` : ''));
+        updateSortIndicators();
+    }
+    
+    function setupProcessList() {
+        const table = document.getElementById('connectionsTable');
+        const body = document.getElementById('connectionsBody');
+        if (!table || !body) return;
+        const saved = parseFloat(localStorage.getItem(SLOW_QUERY_KEY));
+        slowQuerySeconds = saved > 0 ? saved : DEFAULT_SLOW_QUERY_SECONDS;
+        
+        const bind = (id, event, handler) => {
+            const element = document.getElementById(id);
+            if (!element) return null;
+            element.addEventListener(event, handler);
+            eventListeners.push({element, event, handler});
+            return element;
+        };
+        const listen = (element, event, handler) => {
+            element.addEventListener(event, handler);
+            eventListeners.push({element, event, handler});
+        };
+        
+        listen(table.querySelector('thead'), 'click', (e) => {
+            const th = e.target.closest('th[data-sort]');
+            if (!th) return;
+            const key = th.dataset.sort;
+            if (processView.sortKey === key) {
+                processView.sortDir = processView.sortDir === 'asc' ? 'desc' : 'asc';
+            } else {
+                processView.sortKey = key;
+                processView.sortDir = key === 'Time' ? 'desc' : 'asc';
+            }
+            renderProcessList();
+        });
+        listen(body, 'click', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (!row) return;
+            const key = row.dataset.id;
+            if (e.target.closest('.process-pin')) {
+                if (processView.pinned.has(key)) {
+                    processView.pinned.delete(key);
+                } else {
+                    processView.pinned.set(key, processList.find(process => processKey(process) === key) || {Id: key});
+                }
+            } else if (e.target.closest('.process-info')) {
+                // Keep the full query open while selecting its text
+                if (window.getSelection && String(window.getSelection()).length > 0) return;
+                if (processView.expanded.has(key)) {
+                    processView.expanded.delete(key);
+                } else {
+                    processView.expanded.add(key);
+                }
+            } else {
+                return;
+            }
+            renderProcessList();
+        });
+        
+        bind('processFilterDb', 'input', (e) => { processView.filters.db = e.target.value.trim(); renderProcessList(); });
+        bind('processFilterUser', 'input', (e) => { processView.filters.user = e.target.value.trim(); renderProcessList(); });
+        bind('processFilterCommand', 'change', (e) => { processView.filters.command = e.target.value; renderProcessList(); });
+        const slowInput = bind('slowQuerySeconds', 'change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!(value > 0)) {
+                e.target.value = slowQuerySeconds;
+                return;
+            }
+            slowQuerySeconds = value;
+            localStorage.setItem(SLOW_QUERY_KEY, String(value));
+            renderProcessList();
+        });
+        if (slowInput) slowInput.value = slowQuerySeconds;
+    }
+    
+    // Alert rules
+    function loadAlertRules() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ALERT_RULES_KEY) || 'null');
+            alertRules = Array.isArray(saved) ? saved.filter(rule => rule && ALERT_METRICS[rule.metric]) : DEFAULT_ALERT_RULES.map(rule => Object.assign({}, rule));
+        } catch (e) {
+            alertRules = DEFAULT_ALERT_RULES.map(rule => Object.assign({}, rule));
+        }
+        try {
+            const history = JSON.parse(localStorage.getItem(ALERT_HISTORY_KEY) || '[]');
+            alertHistory = Array.isArray(history) ? history.slice(0, MAX_ALERT_HISTORY) : [];
+        } catch (e) {
+            alertHistory = [];
+        }
+    }
+    
+    function saveAlertRules() {
+        localStorage.setItem(ALERT_RULES_KEY, JSON.stringify(alertRules));
+    }
+    
+    function describeAlertRule(rule) {
+        const metric = ALERT_METRICS[rule.metric];
+        if (metric.boolean) {
+            return `${metric.label}${rule.duration > 0 ? ` for ${rule.duration}s` : ''}`;
+        }
+        return `${metric.label} ${rule.operator} ${rule.threshold}${metric.unit}${rule.duration > 0 ? ` for ${rule.duration}s` : ''}`;
+    }
+    
+    function isRuleBreached(rule, value) {
+        if (ALERT_METRICS[rule.metric].boolean) return value === true;
+        switch (rule.operator) {
+            case '>': return value > rule.threshold;
+            case '>=': return value >= rule.threshold;
+            case '<': return value < rule.threshold;
+            case '<=': return value <= rule.threshold;
+            default: return false;
+        }
+    }
+    
+    // A firing rule only resolves once the value is back past the threshold by the hysteresis margin
+    function isRuleCleared(rule, value) {
+        if (ALERT_METRICS[rule.metric].boolean) return value !== true;
+        const margin = Math.abs(parseFloat(rule.hysteresis) || 0);
+        return rule.operator.startsWith('>') ? value < rule.threshold - margin : value > rule.threshold + margin;
+    }
+    
+    function formatAlertValue(rule, value) {
+        const metric = ALERT_METRICS[rule.metric];
+        if (metric.boolean) return value ? 'yes' : 'no';
+        return (Math.round(value * 100) / 100) + metric.unit;
+    }
+    
+    function evaluateAlertRules(sample, now = Date.now()) {
+        alertRules.forEach(rule => {
+            const value = sample[rule.metric];
+            if (!rule.enabled || value === undefined || value === null) return;
+            const state = alertState[rule.id] || (alertState[rule.id] = {breachSince: null, firing: false});
+            
+            if (state.firing) {
+                if (isRuleCleared(rule, value)) {
+                    state.firing = false;
+                    state.breachSince = null;
+                    recordAlert(rule, 'resolved', value, now);
+                }
+                return;
+            }
+            
+            if (!isRuleBreached(rule, value)) {
+                state.breachSince = null;
+                return;
+            }
+            if (state.breachSince === null) {
+                state.breachSince = now;
+            }
+            if (now - state.breachSince >= (parseFloat(rule.duration) || 0) * 1000) {
+                state.firing = true;
+                recordAlert(rule, 'firing', value, now);
+            }
+        });
+        updateAlertsBadge();
+    }
+    
+    function recordAlert(rule, status, value, time) {
+        const entry = {ruleId: rule.id, rule: describeAlertRule(rule), status: status, value: formatAlertValue(rule, value), time: time};
+        alertHistory.unshift(entry);
+        alertHistory = alertHistory.slice(0, MAX_ALERT_HISTORY);
+        localStorage.setItem(ALERT_HISTORY_KEY, JSON.stringify(alertHistory));
+        
+        const message = status === 'firing'
+            ? `🔔 ${entry.rule} (now ${entry.value})`
+            : `✅ Resolved: ${entry.rule} (now ${entry.value})`;
+        showToast(message, status === 'firing' ? 'critical' : 'ok');
+        if (rule.notify && status === 'firing' && 'Notification' in window && Notification.permission === 'granted') {
+            try {
+                new Notification('GEMVC Monitoring', {body: message, tag: 'gemvc-alert-' + rule.id});
+            } catch (e) {
+                console.warn('Notification failed:', e);
+            }
+        }
+        renderAlertHistory();
+    }
+    
+    function showToast(message, level) {
+        const container = document.getElementById('alertToasts');
+        if (!container) return;
+        const toast = document.createElement('div');
+        const colors = level === 'critical' ? 'bg-red-600' : level === 'ok' ? 'bg-green-600' : 'bg-gray-800';
+        toast.className = `${colors} text-white text-sm rounded shadow-lg px-4 py-2 cursor-pointer`;
+        toast.textContent = message;
+        toast.title = 'Click to dismiss';
+        toast.addEventListener('click', () => toast.remove());
+        container.appendChild(toast);
+        setTimeout(() => toast.remove(), TOAST_DURATION);
+    }
+    
+    function updateAlertsBadge() {
+        const badge = document.getElementById('alertsFiring');
+        if (!badge) return;
+        const firing = Object.values(alertState).filter(state => state.firing).length;
+        badge.textContent = firing;
+        badge.classList.toggle('hidden', firing === 0);
+    }
+    
+    function renderAlertRules() {
+        const list = document.getElementById('alertRulesList');
+        if (!list) return;
+        list.innerHTML = '';
+        if (alertRules.length === 0) {
+            list.innerHTML = '<li class="text-sm text-gray-500">No alert rules yet.</li>';
+            return;
+        }
+        alertRules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = 'flex items-center gap-3 text-sm py-1 border-b';
+            item.innerHTML = `
+                <label class="flex items-center gap-1"><input type="checkbox" data-field="enabled"> On</label>
+                <span class="flex-1 font-medium" data-field="description"></span>
+                <span class="text-gray-500" data-field="hysteresis"></span>
+                <label class="flex items-center gap-1"><input type="checkbox" data-field="notify"> Notify</label>
+                <button type="button" class="text-red-600 hover:underline" data-field="delete">Delete</button>
+            `;
+            item.querySelector('[data-field="description"]').textContent = describeAlertRule(rule);
+            item.querySelector('[data-field="hysteresis"]').textContent = ALERT_METRICS[rule.metric].boolean ? '' : `±${rule.hysteresis}${ALERT_METRICS[rule.metric].unit} hysteresis`;
+            const enabled = item.querySelector('[data-field="enabled"]');
+            const notify = item.querySelector('[data-field="notify"]');
+            enabled.checked = rule.enabled;
+            notify.checked = rule.notify;
+            enabled.addEventListener('change', () => {
+                rule.enabled = enabled.checked;
+                delete alertState[rule.id];
+                saveAlertRules();
+                updateAlertsBadge();
+            });
+            notify.addEventListener('change', () => {
+                rule.notify = notify.checked;
+                saveAlertRules();
+                if (rule.notify) requestNotificationPermission();
+            });
+            item.querySelector('[data-field="delete"]').addEventListener('click', () => {
+                alertRules = alertRules.filter(other => other !== rule);
+                delete alertState[rule.id];
+                saveAlertRules();
+                renderAlertRules();
+                updateAlertsBadge();
+            });
+            list.appendChild(item);
+        });
+    }
+    
+    function renderAlertHistory() {
+        const list = document.getElementById('alertHistoryList');
+        if (!list) return;
+        list.innerHTML = '';
+        if (alertHistory.length === 0) {
+            list.innerHTML = '<li class="text-sm text-gray-500">No alerts fired yet.</li>';
+            return;
+        }
+        alertHistory.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `text-sm py-1 ${entry.status === 'firing' ? 'text-red-700' : 'text-green-700'}`;
+            item.textContent = `${new Date(entry.time).toLocaleTimeString()} ${entry.status === 'firing' ? 'FIRING' : 'RESOLVED'} ${entry.rule} (value ${entry.value})`;
+            list.appendChild(item);
+        });
+    }
+    
+    function requestNotificationPermission() {
+        if (!('Notification' in window)) {
+            showToast('Browser notifications are not supported here', 'info');
+            return;
+        }
+        if (Notification.permission === 'default') {
+            Notification.requestPermission().then(permission => {
+                if (permission !== 'granted') showToast('Browser notifications were not allowed', 'info');
+            });
+        } else if (Notification.permission === 'denied') {
+            showToast('Browser notifications are blocked for this site', 'info');
+        }
+    }
+    
+    function setupAlerts() {
+        loadAlertRules();
+        renderAlertRules();
+        renderAlertHistory();
+        updateAlertsBadge();
+        
+        const toggle = document.getElementById('alertsToggle');
+        const panel = document.getElementById('alertsPanel');
+        if (toggle && panel) {
+            const toggleHandler = () => panel.classList.toggle('hidden');
+            toggle.addEventListener('click', toggleHandler);
+            eventListeners.push({element: toggle, event: 'click', handler: toggleHandler});
+        }
+        
+        const metricSelect = document.getElementById('alertMetric');
+        const operatorSelect = document.getElementById('alertOperator');
+        if (metricSelect && metricSelect.options.length === 0) {
+            Object.entries(ALERT_METRICS).forEach(([key, metric]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = metric.label + (metric.unit ? ` (${metric.unit})` : '');
+                metricSelect.appendChild(option);
+            });
+        }
+        if (metricSelect && operatorSelect) {
+            // Boolean metrics have no threshold to compare against
+            const metricHandler = () => {
+                const isBoolean = ALERT_METRICS[metricSelect.value].boolean === true;
+                ['alertOperator', 'alertThreshold', 'alertHysteresis'].forEach(id => {
+                    const el = document.getElementById(id);
+                    if (el) el.disabled = isBoolean;
+                });
+            };
+            metricSelect.addEventListener('change', metricHandler);
+            eventListeners.push({element: metricSelect, event: 'change', handler: metricHandler});
+            metricHandler();
+        }
+        
+        const form = document.getElementById('alertRuleForm');
+        if (form) {
+            const submitHandler = (e) => {
+                e.preventDefault();
+                const metric = metricSelect.value;
+                const isBoolean = ALERT_METRICS[metric].boolean === true;
+                const threshold = parseFloat(document.getElementById('alertThreshold').value);
+                if (!isBoolean && isNaN(threshold)) {
+                    showToast('Enter a numeric threshold for the rule', 'info');
+                    return;
+                }
+                const rule = {
+                    id: 'rule-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+                    metric: metric,
+                    operator: isBoolean ? 'is' : operatorSelect.value,
+                    threshold: isBoolean ? 1 : threshold,
+                    duration: Math.max(0, parseInt(document.getElementById('alertDuration').value, 10) || 0),
+                    hysteresis: isBoolean ? 0 : Math.abs(parseFloat(document.getElementById('alertHysteresis').value) || 0),
+                    enabled: true,
+                    notify: document.getElementById('alertNotify').checked
+                };
+                alertRules.push(rule);
+                saveAlertRules();
+                renderAlertRules();
+                if (rule.notify) requestNotificationPermission();
+            };
+            form.addEventListener('submit', submitHandler);
+            eventListeners.push({element: form, event: 'submit', handler: submitHandler});
+        }
+        
+        const clearHistory = document.getElementById('alertHistoryClear');
+        if (clearHistory) {
+            const clearHandler = () => {
+                alertHistory = [];
+                localStorage.removeItem(ALERT_HISTORY_KEY);
+                renderAlertHistory();
+            };
+            clearHistory.addEventListener('click', clearHandler);
+            eventListeners.push({element: clearHistory, event: 'click', handler: clearHandler});
+        }
+    }
+    
+    // Session recording
+    function loadRecording() {
+        try {
+            const saved = JSON.parse(sessionStorage.getItem(RECORDING_KEY) || 'null');
+            if (saved && Array.isArray(saved.samples)) {
+                recording = {startedAt: saved.startedAt || Date.now(), samples: saved.samples};
+            }
+        } catch (e) {
+            console.warn('Could not restore monitoring recording:', e);
+        }
+    }
+    
+    function persistRecording() {
+        if (!recordingPersistable) return;
+        try {
+            sessionStorage.setItem(RECORDING_KEY, JSON.stringify(recording));
+        } catch (e) {
+            // Storage is full: keep recording in memory, export still works
+            recordingPersistable = false;
+            console.warn('Monitoring recording is too large for sessionStorage, keeping it in memory only');
+        }
+    }
+    
+    function recordSample(sample) {
+        const entry = {time: Date.now()};
+        RECORDING_FIELDS.forEach(field => {
+            if (sample[field] !== undefined) entry[field] = sample[field];
+        });
+        recording.samples.push(entry);
+        if (recording.samples.length > MAX_RECORDED_SAMPLES) {
+            recording.samples.shift();
+        }
+        // Persist every few samples so a reload keeps the session
+        if (recording.samples.length % 10 === 0) {
+            persistRecording();
+        }
+        updateRecordingStatus();
+    }
+    
+    function updateRecordingStatus() {
+        const status = document.getElementById('recordingStatus');
+        if (!status) return;
+        const count = recording.samples.length;
+        const since = count > 0 ? new Date(recording.samples[0].time).toLocaleTimeString() : '-';
+        status.textContent = `⏺ Recording: ${count} sample${count === 1 ? '' : 's'} since ${since}`;
+    }
+    
+    function clearRecording() {
+        recording = {startedAt: Date.now(), samples: []};
+        recordingPersistable = true;
+        sessionStorage.removeItem(RECORDING_KEY);
+        updateRecordingStatus();
+    }
+    
+    function downloadText(content, filename, mimeType) {
+        const blob = new Blob([content], {type: mimeType});
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    function recordingFileName(extension) {
+        return 'monitoring_' + new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-') + '.' + extension;
+    }
+    
+    function recordingToCsv(samples) {
+        const rows = [['time'].concat(RECORDING_FIELDS).join(',')];
+        samples.forEach(sample => {
+            const cells = [new Date(sample.time).toISOString()];
+            RECORDING_FIELDS.forEach(field => cells.push(sample[field] === undefined || sample[field] === null ? '' : String(sample[field])));
+            rows.push(cells.join(','));
+        });
+        return rows.join('\n') + '\n';
+    }
+    
+    function recordingToJson(samples) {
+        return JSON.stringify({
+            format: RECORDING_FORMAT,
+            version: 1,
+            started_at: samples.length ? new Date(samples[0].time).toISOString() : null,
+            exported_at: new Date().toISOString(),
+            api_base: focusedState() ? focusedState().target.apiBase : currentApiBase,
+            fields: RECORDING_FIELDS,
+            samples: samples.map(sample => Object.assign({}, sample, {time: new Date(sample.time).toISOString()}))
+        }, null, 2);
+    }
+    
+    function parseRecordedValue(field, value) {
+        if (value === '' || value === null || value === undefined) return undefined;
+        if (field === 'dockerCpuThrottled') return value === true || value === 'true' || value === '1';
+        const number = parseFloat(value);
+        return isNaN(number) ? undefined : number;
+    }
+    
+    function normalizeRecordedSample(raw) {
+        const time = typeof raw.time === 'number' ? raw.time : Date.parse(raw.time);
+        if (isNaN(time)) return null;
+        const sample = {time: time};
+        RECORDING_FIELDS.forEach(field => {
+            const value = parseRecordedValue(field, raw[field]);
+            if (value !== undefined) sample[field] = value;
+        });
+        return sample;
+    }
+    
+    function parseRecording(text) {
+        const trimmed = text.trim();
+        let rawSamples;
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const json = JSON.parse(trimmed);
+            rawSamples = Array.isArray(json) ? json : json.samples;
+            if (!Array.isArray(rawSamples)) throw new Error('JSON file has no samples array');
+        } else {
+            const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+            const header = (lines.shift() || '').split(',').map(cell => cell.trim());
+            if (header[0] !== 'time') throw new Error('CSV file must start with a time column');
+            rawSamples = lines.map(line => {
+                const cells = line.split(',');
+                const raw = {};
+                header.forEach((name, i) => { raw[name] = cells[i]; });
+                return raw;
+            });
+        }
+        const samples = rawSamples.map(normalizeRecordedSample).filter(Boolean).sort((a, b) => a.time - b.time);
+        if (samples.length === 0) throw new Error('Recording contains no valid samples');
+        return samples;
+    }
+    
+    function usageColor(value) {
+        return value < 70 ? '#10b981' : value < 90 ? '#f59e0b' : '#ef4444';
+    }
+    
+    function seriesUntil(samples, index, field, transform) {
+        const points = [];
+        samples.slice(Math.max(0, index - MAX_DATA_POINTS + 1), index + 1).forEach(sample => {
+            if (sample[field] !== undefined) points.push({t: sample.time, v: transform ? transform(sample[field]) : sample[field]});
+        });
+        return points;
+    }
+    
+    // Throughput from recorded cumulative counters, one point per pair of samples
+    function rateSeriesUntil(samples, index, field) {
+        const points = [];
+        let previous = null;
+        samples.slice(Math.max(0, index - MAX_DATA_POINTS), index + 1).forEach(sample => {
+            if (sample[field] === undefined) return;
+            if (previous) {
+                points.push({t: sample.time, v: counterRate(previous[field], sample[field], (sample.time - previous.time) / 1000)});
+            }
+            previous = sample;
+        });
+        return points;
+    }
+    
+    function chartDataFromSamples(samples, index) {
+        return {
+            ram: seriesUntil(samples, index, 'ram'),
+            dockerRam: seriesUntil(samples, index, 'dockerRam'),
+            dockerCpu: seriesUntil(samples, index, 'dockerCpu'),
+            cpu: seriesUntil(samples, index, 'cpu'),
+            networkRx: rateSeriesUntil(samples, index, 'networkRx'),
+            networkTx: rateSeriesUntil(samples, index, 'networkTx'),
+            networkInterfaces: {}, // Only totals are recorded
+            latency: seriesUntil(samples, index, 'latency'),
+            poolActive: seriesUntil(samples, index, 'poolActive'),
+            poolIdle: seriesUntil(samples, index, 'poolIdle')
+        };
+    }
+    
+    function setStatsText(id, text) {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    }
+    
+    // Redraw every chart from the recorded samples up to the scrubber position
+    function renderReplayFrame(index) {
+        if (!replayState) return;
+        const samples = replayState.samples;
+        index = Math.max(0, Math.min(samples.length - 1, index));
+        replayState.index = index;
+        const current = samples[index];
+        initializeCanvasDimensions();
+        
+        chartData = chartDataFromSamples(samples, index);
+        drawCharts();
+        
+        const percentStats = [
+            ['ram', 'ramStats'],
+            ['dockerRam', 'dockerRamStats'],
+            ['dockerCpu', 'dockerCpuStats'],
+            ['cpu', 'cpuStats']
+        ];
+        percentStats.forEach(([field, statsId]) => {
+            const value = current[field];
+            let text = value === undefined ? 'No data recorded' : formatPercentage(value);
+            if (field === 'dockerCpu' && current.dockerCpuThrottled) text += ' ⚠️ Throttled';
+            setStatsText(statsId, text);
+        });
+        
+        setStatsText('networkStats', current.networkRx === undefined ? 'No data recorded' : `RX: ${formatRate(latestValue(chartData.networkRx))} | TX: ${formatRate(latestValue(chartData.networkTx))} | Total received: ${formatBytes(current.networkRx)} | Total sent: ${formatBytes(current.networkTx || 0)}`);
+        setStatsText('networkInterfaceStats', '');
+        setStatsText('latencyStats', current.latency === undefined ? 'No data recorded' : `Avg: ${current.latency.toFixed(2)}ms`);
+        setStatsText('poolStats', current.poolActive === undefined ? 'No data recorded' : `Active: ${current.poolActive} | Idle: ${current.poolIdle ?? '-'}${current.poolWaiting !== undefined ? ' | Waiting: ' + current.poolWaiting : ''}`);
+        
+        const scrubber = document.getElementById('replayScrubber');
+        if (scrubber) scrubber.value = String(index);
+        setStatsText('replayPosition', `${index + 1} / ${samples.length} · ${new Date(current.time).toLocaleString()}`);
+        setStatsText('lastUpdate', new Date(current.time).toLocaleTimeString() + ' (replay)');
+    }
+    
+    function setLiveControlsDisabled(disabled) {
+        ['pauseBtn', 'refreshNowBtn', 'refreshInterval', 'customInterval'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = disabled;
+        });
+    }
+    
+    function stopReplayPlayback() {
+        if (replayState && replayState.playTimer) {
+            clearInterval(replayState.playTimer);
+            replayState.playTimer = null;
+        }
+        setStatsText('replayPlayBtn', '▶ Play');
+    }
+    
+    function startReplay(name, samples) {
+        stopReplayPlayback();
+        stopMonitoring();
+        replayState = {name: name, samples: samples, index: 0, playTimer: null};
+        const replayBar = document.getElementById('replayBar');
+        if (replayBar) replayBar.classList.remove('hidden');
+        setStatsText('replayName', `Replaying ${name} (read-only)`);
+        const scrubber = document.getElementById('replayScrubber');
+        if (scrubber) {
+            scrubber.min = '0';
+            scrubber.max = String(samples.length - 1);
+        }
+        setLiveControlsDisabled(true);
+        renderReplayFrame(samples.length - 1);
+    }
+    
+    function exitReplay() {
+        if (!replayState) return;
+        stopReplayPlayback();
+        replayState = null;
+        const replayBar = document.getElementById('replayBar');
+        if (replayBar) replayBar.classList.add('hidden');
+        setLiveControlsDisabled(false);
+        // Live charts of the focused target start from the samples recorded in this session
+        const focused = focusedState();
+        if (focused) {
+            focused.chartData = chartDataFromSamples(recording.samples, recording.samples.length - 1);
+            chartData = focused.chartData;
+        }
+        if (currentApiBase) {
+            startMonitoring(refreshInterval);
+        }
+    }
+    
+    function toggleReplayPlayback() {
+        if (!replayState) return;
+        if (replayState.playTimer) {
+            stopReplayPlayback();
+            return;
+        }
+        if (replayState.index >= replayState.samples.length - 1) {
+            renderReplayFrame(0);
+        }
+        setStatsText('replayPlayBtn', '⏸ Pause');
+        replayState.playTimer = setInterval(() => {
+            if (!replayState || replayState.index >= replayState.samples.length - 1) {
+                stopReplayPlayback();
+                return;
+            }
+            renderReplayFrame(replayState.index + 1);
+        }, REPLAY_PLAYBACK_MS);
+    }
+    
+    function setupRecording() {
+        loadRecording();
+        updateRecordingStatus();
+        
+        const bind = (id, event, handler) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener(event, handler);
+            eventListeners.push({element: el, event: event, handler: handler});
+        };
+        bind('exportCsvBtn', 'click', () => downloadText(recordingToCsv(recording.samples), recordingFileName('csv'), 'text/csv'));
+        bind('exportJsonBtn', 'click', () => downloadText(recordingToJson(recording.samples), recordingFileName('json'), 'application/json'));
+        bind('clearRecordingBtn', 'click', () => {
+            if (confirm('Discard all samples recorded in this session?')) clearRecording();
+        });
+        bind('importRecording', 'change', (e) => {
+            const input = e.target;
+            const file = input.files && input.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    startReplay(file.name, parseRecording(String(reader.result)));
+                } catch (error) {
+                    console.error('Error importing recording:', error);
+                    showToast('Could not import ' + file.name + ': ' + error.message, 'critical');
+                }
+                input.value = '';
+            };
+            reader.readAsText(file);
+        });
+        bind('replayScrubber', 'input', (e) => {
+            stopReplayPlayback();
+            renderReplayFrame(parseInt(e.target.value, 10) || 0);
+        });
+        bind('replayPlayBtn', 'click', toggleReplayPlayback);
+        bind('exitReplayBtn', 'click', exitReplay);
+    }
+    
+    // Interval management
+    function setRefreshInterval(seconds) {
+        if (seconds < 1000) seconds = 1000; // Minimum 1 second
+        refreshInterval = seconds;
+        
+        // Save to localStorage
+        localStorage.setItem('monitoring_refresh_interval', seconds.toString());
+        
+        // Restart monitoring with new interval
+        if (isMonitoring() && currentApiBase) {
+            stopMonitoring();
+            startMonitoring(refreshInterval);
+        }
+    }
+    
+    function loadSavedInterval() {
+        const saved = localStorage.getItem('monitoring_refresh_interval');
+        if (saved) {
+            const interval = parseInt(saved, 10);
+            if (interval >= 1000) {
+                refreshInterval = interval;
+            }
+        }
+    }
+    
+    // Targets
+    function emptyChartData() {
+        return {
+            ram: [],
+            dockerRam: [],
+            dockerCpu: [],
+            cpu: [],
+            networkRx: [],
+            networkTx: [],
+            networkInterfaces: {}, // name -> {rx, tx}
+            latency: [],
+            poolActive: [],
+            poolIdle: []
+        };
+    }
+    
+    function createTargetState(target) {
+        return {
+            target: target,
+            chartData: emptyChartData(),
+            timer: null, // Timeout id of the next poll
+            interval: refreshInterval,
+            streamController: null, // AbortController of the open event stream
+            transport: null,
+            streamUnavailable: false,
+            snapshotUnavailable: false,
+            networkCounters: null, // Previous counters {time, totals, interfaces} for rate deltas
+            lastPoolSize: null,
+            error: null, // Message of the last failed update, null once an update succeeds
+            lastSuccess: null,
+            failures: 0, // Consecutive failed updates of an unreachable target, drives the backoff
+            nextPollAt: null,
+            retryStream: false, // The stream failed because the target was down; try it again once it answers
+            endpoints: {} // section -> {status: 'ok'|'error', httpStatus, message, lastOk}
+        };
+    }
+    
+    function focusedState() {
+        return targetStates[focusedTargetId] || null;
+    }
+    
+    function isFocusedState(state) {
+        return targetStates[focusedTargetId] === state;
+    }
+    
+    function normalizeApiBase(url) {
+        return String(url || '').trim().replace(/\/+$/, '');
+    }
+    
+    function nextTargetColor() {
+        return TARGET_COLORS.find(color => !targets.some(target => target.color === color))
+            || TARGET_COLORS[targets.length % TARGET_COLORS.length];
+    }
+    
+    // Only targets added from the UI (or setTargets) are stored; the local and configured ones come from render()
+    function loadSavedTargets() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(TARGETS_KEY) || '[]');
+            return Array.isArray(saved) ? saved.filter(target => target && target.id && target.apiBase) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    function saveTargets() {
+        const custom = targets.filter(target => !target.builtIn).map(target => ({id: target.id, name: target.name, apiBase: target.apiBase}));
+        localStorage.setItem(TARGETS_KEY, JSON.stringify(custom));
+    }
+    
+    function registerTarget(target) {
+        target.apiBase = normalizeApiBase(target.apiBase);
+        target.name = String(target.name || '').trim() || target.apiBase;
+        if (!target.apiBase || targets.some(other => other.id === target.id || other.apiBase === target.apiBase)) {
+            return null;
+        }
+        target.color = nextTargetColor();
+        targets.push(target);
+        targetStates[target.id] = createTargetState(target);
+        return target;
+    }
+    
+    // configured: [{name, apiBase}] passed to render(), shown next to this server and not removable
+    function loadTargets(apiBase, configured) {
+        targets = [];
+        targetStates = {};
+        registerTarget({id: LOCAL_TARGET_ID, name: 'This server', apiBase: apiBase, builtIn: true});
+        (Array.isArray(configured) ? configured : []).forEach((target, i) => {
+            registerTarget({id: target.id || 'configured-' + i, name: target.name, apiBase: target.apiBase, builtIn: true});
+        });
+        loadSavedTargets().forEach(target => {
+            registerTarget({id: target.id, name: target.name, apiBase: target.apiBase, builtIn: false});
+        });
+        const savedFocus = localStorage.getItem(TARGET_FOCUS_KEY);
+        focusedTargetId = targetStates[savedFocus] ? savedFocus : LOCAL_TARGET_ID;
+        targetLayout = localStorage.getItem(TARGET_LAYOUT_KEY) === 'split' ? 'split' : 'overlay';
+        chartData = focusedState().chartData;
+    }
+    
+    function addTarget(name, apiBase) {
+        const target = registerTarget({id: 'target-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), name: name, apiBase: apiBase, builtIn: false});
+        if (!target) return null;
+        saveTargets();
+        renderTargetList();
+        if (currentApiBase && !replayState) {
+            startTarget(targetStates[target.id], refreshInterval);
+        }
+        drawCharts();
+        return target;
+    }
+    
+    function removeTarget(id) {
+        const target = targets.find(other => other.id === id);
+        if (!target || target.builtIn) return false;
+        stopTarget(targetStates[id]);
+        delete targetStates[id];
+        targets = targets.filter(other => other !== target);
+        saveTargets();
+        if (focusedTargetId === id) {
+            focusTarget(LOCAL_TARGET_ID);
+        }
+        renderTargetList();
+        drawCharts();
+        return true;
+    }
+    
+    // Replace the stored targets, e.g. with the containers behind a load balancer: [{name, apiBase}]
+    function setTargets(list) {
+        targets.filter(target => !target.builtIn).map(target => target.id).forEach(removeTarget);
+        (Array.isArray(list) ? list : []).forEach(target => addTarget(target.name, target.apiBase));
+        saveTargets();
+    }
+    
+    // Stats, process list, alerts and recording follow the focused target
+    function focusTarget(id) {
+        const state = targetStates[id];
+        if (!state || id === focusedTargetId) return;
+        focusedTargetId = id;
+        localStorage.setItem(TARGET_FOCUS_KEY, id);
+        if (!replayState) {
+            chartData = state.chartData;
+        }
+        
+        // Process ids and alert state belong to the previous server
+        processList = [];
+        processRows.forEach(row => row.remove());
+        processRows = new Map();
+        processView.expanded = new Set();
+        processView.pinned = new Map();
+        renderProcessList();
+        alertState = {};
+        updateAlertsBadge();
+        
+        setStatsText('transportMode', TRANSPORT_LABELS[state.transport] || '-');
+        setStatsText('lastUpdate', state.error ? 'Error: ' + state.error : '-');
+        renderTargetList();
+        drawCharts();
+        if (currentApiBase && !isPaused && !replayState) {
+            updateMonitoringData(state);
+        }
+    }
+    
+    function setTargetLayout(layout) {
+        targetLayout = layout === 'split' ? 'split' : 'overlay';
+        localStorage.setItem(TARGET_LAYOUT_KEY, targetLayout);
+        const selector = document.getElementById('targetLayout');
+        if (selector) selector.value = targetLayout;
+        drawCharts();
+    }
+    
+    function renderTargetList() {
+        const list = document.getElementById('targetList');
+        if (!list) return;
+        list.innerHTML = '';
+        targets.forEach(target => {
+            const item = document.createElement('li');
+            item.dataset.target = target.id;
+            item.innerHTML = `
+                <span class="inline-block w-3 h-3 rounded-full" data-field="color"></span>
+                <span class="font-medium" data-field="name"></span>
+                <span class="text-xs" data-field="status"></span>
+                <button type="button" class="text-gray-400 hover:text-red-600" data-field="remove" title="Remove target">✕</button>
+            `;
+            item.querySelector('[data-field="color"]').style.backgroundColor = target.color;
+            item.querySelector('[data-field="name"]').textContent = target.name;
+            item.title = target.apiBase;
+            if (target.builtIn) item.querySelector('[data-field="remove"]').remove();
+            list.appendChild(item);
+            updateTargetStatus(targetStates[target.id]);
         });
+        const layoutSelector = document.getElementById('targetLayout');
+        if (layoutSelector) layoutSelector.classList.toggle('hidden', targets.length < 2);
     }
     
-    // Chart rendering functions
-    function drawLineChart(canvas, dataPoints, label, color, maxValue, unit = '%') {
-        if (!canvas) return;
-        
-        // Ensure canvas has valid dimensions
-        if (canvas.width === 0 || canvas.height === 0) {
-            const container = canvas.parentElement;
-            if (container && container.clientWidth > 0) {
-                canvas.width = container.clientWidth - 32;
-                canvas.height = 200;
-            } else {
-                canvas.width = 400;
-                canvas.height = 200;
-            }
+    function updateTargetStatus(state) {
+        const list = document.getElementById('targetList');
+        if (!list || !state) return;
+        const item = Array.from(list.children).find(child => child.dataset.target === state.target.id);
+        if (!item) return;
+        const focused = isFocusedState(state);
+        item.className = `flex items-center gap-1 px-2 py-1 rounded border cursor-pointer ${focused ? 'border-gray-700 bg-white shadow-sm' : 'border-gray-200 bg-gray-50'}`;
+        const status = item.querySelector('[data-field="status"]');
+        if (state.error) {
+            const retryIn = state.failures > 0 && state.timer && state.nextPollAt ? Math.max(0, Math.ceil((state.nextPollAt - Date.now()) / 1000)) : null;
+            status.textContent = '⚠️ ' + state.error + (retryIn !== null ? ` · retry in ${retryIn}s` : '');
+            status.className = 'text-xs text-red-600';
+        } else {
+            status.textContent = state.lastSuccess ? TRANSPORT_LABELS[state.transport] || 'OK' : 'Connecting...';
+            status.className = 'text-xs text-gray-500';
         }
+    }
+    
+    function setupTargets() {
+        renderTargetList();
+        const list = document.getElementById('targetList');
+        const form = document.getElementById('targetForm');
+        const layoutSelector = document.getElementById('targetLayout');
+        const listen = (element, event, handler) => {
+            element.addEventListener(event, handler);
+            eventListeners.push({element, event, handler});
+        };
         
-        const ctx = canvas.getContext('2d');
-        const width = canvas.width;
-        const height = canvas.height;
-        const padding = 40;
-        const chartWidth = width - (padding * 2);
-        const chartHeight = height - (padding * 2);
-        
-        // Clear canvas
-        ctx.clearRect(0, 0, width, height);
-        
-        if (dataPoints.length === 0) return;
-        
-        // Draw grid
-        ctx.strokeStyle = '#e5e7eb';
-        ctx.lineWidth = 1;
-        // Horizontal grid lines
-        for (let i = 0; i <= 5; i++) {
-            const y = padding + (chartHeight / 5) * i;
-            ctx.beginPath();
-            ctx.moveTo(padding, y);
-            ctx.lineTo(width - padding, y);
-            ctx.stroke();
+        if (list) {
+            listen(list, 'click', (e) => {
+                const item = e.target.closest('li[data-target]');
+                if (!item) return;
+                if (e.target.closest('[data-field="remove"]')) {
+                    const target = targets.find(other => other.id === item.dataset.target);
+                    if (target && confirm(`Stop monitoring ${target.name}?`)) removeTarget(target.id);
+                    return;
+                }
+                focusTarget(item.dataset.target);
+            });
         }
-        
-        // Draw line
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        
-        const currentValue = parseFloat(dataPoints[dataPoints.length - 1]) || 0;
-        const normalizedMax = maxValue || Math.max(...dataPoints.map(v => parseFloat(v) || 0), 100);
-        
-        if (dataPoints.length === 1) {
-            // Single point - draw a horizontal line
-            const x = padding + (chartWidth / 2);
-            const y = padding + chartHeight - ((currentValue / normalizedMax) * chartHeight);
-            ctx.moveTo(x, y);
-            ctx.lineTo(x, y);
-        } else {
-            // Multiple points - draw line chart
-            const stepX = chartWidth / (dataPoints.length - 1);
-            dataPoints.forEach((value, index) => {
-                const numValue = parseFloat(value) || 0;
-                const x = padding + (stepX * index);
-                const y = padding + chartHeight - ((numValue / normalizedMax) * chartHeight);
-                
-                if (index === 0) {
-                    ctx.moveTo(x, y);
-                } else {
-                    ctx.lineTo(x, y);
+        if (form) {
+            listen(form, 'submit', (e) => {
+                e.preventDefault();
+                const nameInput = document.getElementById('targetName');
+                const urlInput = document.getElementById('targetUrl');
+                const url = urlInput ? urlInput.value : '';
+                if (!normalizeApiBase(url)) {
+                    showToast('Enter the API base URL of the instance to monitor', 'info');
+                    return;
                 }
+                if (!addTarget(nameInput ? nameInput.value : '', url)) {
+                    showToast('That instance is already on the dashboard', 'info');
+                    return;
+                }
+                form.reset();
             });
         }
-        
-        ctx.stroke();
-        
-        // Draw point at current value
-        if (dataPoints.length > 0) {
-            const pointX = dataPoints.length === 1 
-                ? padding + (chartWidth / 2)
-                : padding + (chartWidth / (dataPoints.length - 1)) * (dataPoints.length - 1);
-            const numCurrentValue = parseFloat(currentValue) || 0;
-            const pointY = padding + chartHeight - ((numCurrentValue / normalizedMax) * chartHeight);
-            ctx.fillStyle = color;
-            ctx.beginPath();
-            ctx.arc(pointX, pointY, 4, 0, 2 * Math.PI);
-            ctx.fill();
+        if (layoutSelector) {
+            layoutSelector.value = targetLayout;
+            listen(layoutSelector, 'change', () => setTargetLayout(layoutSelector.value));
         }
-        
-        // Draw current value text
-        ctx.fillStyle = color;
-        ctx.font = 'bold 14px Inter';
-        ctx.fillText(`${label}: ${currentValue.toFixed(1)}${unit}`, padding, 20);
+    }
+
+    // Event stream
+    // EventSource cannot send the Authorization header, so the stream is read with fetch() instead
+    function setTransport(state, mode) {
+        state.transport = mode;
+        if (isFocusedState(state)) {
+            setStatsText('transportMode', TRANSPORT_LABELS[mode] || '-');
+        }
+        updateTargetStatus(state);
     }
     
-    // Interval management
-    function setRefreshInterval(seconds) {
-        if (seconds < 1000) seconds = 1000; // Minimum 1 second
-        refreshInterval = seconds;
-        
-        // Save to localStorage
-        localStorage.setItem('monitoring_refresh_interval', seconds.toString());
-        
-        // Restart monitoring with new interval
-        if (monitoringInterval && currentApiBase) {
-            stopMonitoring();
-            startMonitoring(currentApiBase, refreshInterval);
+    function parseStreamFrame(frame) {
+        let event = 'message';
+        const data = [];
+        frame.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        });
+        if (data.length === 0) return null;
+        try {
+            return {event, data: JSON.parse(data.join('\n'))};
+        } catch (e) {
+            return null;
         }
     }
     
-    function loadSavedInterval() {
-        const saved = localStorage.getItem('monitoring_refresh_interval');
-        if (saved) {
-            const interval = parseInt(saved, 10);
-            if (interval >= 1000) {
-                refreshInterval = interval;
+    async function readStream(state, interval, controller, onSnapshot) {
+        const seconds = Math.max(1, Math.round(interval / 1000));
+        const res = await fetch(`${state.target.apiBase}/GemvcMonitoring/stream?interval=${seconds}`, {
+            headers: {Accept: 'text/event-stream'},
+            signal: controller.signal
+        });
+        if (res.status === 401 || isUnreachableStatus(res.status)) {
+            throw await responseError(res);
+        }
+        const contentType = res.headers.get('Content-Type') || '';
+        if (!res.ok || !res.body || !contentType.includes('text/event-stream')) {
+            // Apache/Nginx or a server without the stream endpoint
+            return;
+        }
+        setTransport(state, 'stream');
+        
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const {done, value} = await reader.read();
+            if (done) return;
+            buffer += decoder.decode(value, {stream: true}).replace(/\r\n?/g, '\n');
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const frame = parseStreamFrame(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+                if (frame && frame.event === 'snapshot') {
+                    onSnapshot(frame.data);
+                }
             }
         }
     }
     
-    function startMonitoring(apiBase, interval) {
-        if (monitoringInterval) {
-            clearInterval(monitoringInterval);
+    function startStream(state, interval) {
+        const controller = new AbortController();
+        let received = 0;
+        state.streamController = controller;
+        
+        readStream(state, interval, controller, (snapshot) => {
+            received++;
+            // Paused or replaying: drop pushed snapshots, like a skipped poll
+            if (!isPaused && !replayState) {
+                applyTargetSnapshot(state, snapshot);
+            }
+        }).then(() => null, error => error).then((error) => {
+            // Stopped on purpose (pause, interval change, target removed, leaving the page)
+            if (state.streamController !== controller) return;
+            state.streamController = null;
+            if (error && error.status === 401) {
+                markTargetFailed(state, error);
+                return;
+            }
+            if (received > 0) {
+                // The server closes long-lived streams after a while; reconnect
+                startStream(state, interval);
+                return;
+            }
+            if (error) {
+                // Target down: poll with backoff and reopen the stream once it answers again
+                state.retryStream = true;
+                markTargetFailed(state, error);
+            } else {
+                state.streamUnavailable = true;
+            }
+            state.transport = null;
+            startPolling(state, interval);
+        });
+    }
+    
+    function stopStream(state) {
+        if (state.streamController) {
+            const controller = state.streamController;
+            state.streamController = null;
+            controller.abort();
         }
+    }
+    
+    // Every target runs its own stream or poll timer, so a slow or unreachable one never delays the others
+    function startMonitoring(interval) {
+        stopMonitoring();
+        targets.forEach(target => startTarget(targetStates[target.id], interval));
+    }
+    
+    function startTarget(state, interval) {
+        stopTarget(state);
         
-        // Initial load
-        updateMonitoringData(apiBase);
+        // Prefer pushed snapshots; fall back to polling when the server cannot stream
+        if (!state.streamUnavailable && window.ReadableStream && window.AbortController && window.TextDecoder) {
+            startStream(state, interval);
+            return;
+        }
+        startPolling(state, interval);
+    }
+    
+    function startPolling(state, interval) {
+        if (state.timer) {
+            clearTimeout(state.timer);
+        }
+        state.interval = interval;
         
-        // Set interval
-        monitoringInterval = setInterval(() => {
+        // Initial load, unless the target already failed and is backing off
+        schedulePoll(state, state.failures > 0 ? pollDelay(state) : 0);
+    }
+    
+    // Polls are chained timeouts so the next one can wait longer while the target is unreachable
+    function schedulePoll(state, delay) {
+        state.nextPollAt = Date.now() + delay;
+        const timer = setTimeout(async () => {
             if (!isPaused) {
-                updateMonitoringData(apiBase);
+                await updateMonitoringData(state);
             }
-        }, interval);
+            // Stopped or restarted while the request was in flight
+            if (state.timer !== timer) return;
+            schedulePoll(state, pollDelay(state));
+        }, delay);
+        state.timer = timer;
     }
     
-    function stopMonitoring() {
-        if (monitoringInterval) {
-            clearInterval(monitoringInterval);
-            monitoringInterval = null;
+    function pollDelay(state) {
+        if (state.failures === 0) return state.interval;
+        return Math.min(MAX_BACKOFF, state.interval * Math.pow(2, state.failures));
+    }
+    
+    function stopTarget(state) {
+        if (state.timer) {
+            clearTimeout(state.timer);
+            state.timer = null;
         }
+        state.nextPollAt = null;
+        stopStream(state);
+    }
+    
+    function stopMonitoring() {
+        Object.values(targetStates).forEach(stopTarget);
+    }
+    
+    function isMonitoring() {
+        return Object.values(targetStates).some(state => state.timer || state.streamController);
     }
     
     function pauseMonitoring() {
         isPaused = true;
+        // Close the streams instead of discarding pushed snapshots while paused
+        Object.values(targetStates).forEach(stopStream);
         const pauseBtn = document.getElementById('pauseBtn');
         if (pauseBtn) {
             pauseBtn.textContent = '▶️ Resume';
@@ -213,10 +2417,16 @@
         if (pauseBtn) {
             pauseBtn.textContent = '⏸️ Pause';
         }
-        // Immediate update when resuming
-        if (currentApiBase) {
-            updateMonitoringData(currentApiBase);
-        }
+        if (!currentApiBase) return;
+        Object.values(targetStates).forEach(state => {
+            if (state.transport === 'stream' && !state.streamController) {
+                // The reopened stream delivers a snapshot right away
+                startStream(state, refreshInterval);
+                return;
+            }
+            // Immediate update when resuming
+            updateMonitoringData(state);
+        });
     }
     
     // Interval selector setup
@@ -268,309 +2478,475 @@
     }
     
     // Data fetching and updating
-    async function updateMonitoringData(apiBase) {
+    
+    // Error carrying the HTTP status (0 when there was no response) and the API's message, if any
+    function requestError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+    
+    async function responseError(res) {
+        const body = await res.json().catch(() => null);
+        const detail = body && (body.service_message || body.message);
+        return requestError(`HTTP ${res.status}${detail ? ': ' + detail : ''}`, res.status);
+    }
+    
+    // No answer at all, or a proxy reporting that the instance behind it is down
+    function isUnreachableStatus(status) {
+        return !status || status === 502 || status === 503 || status === 504;
+    }
+    
+    // One request per metric, for servers that predate the snapshot endpoint
+    async function fetchLegacySnapshot(apiBase) {
+        const responses = await Promise.all(SNAPSHOT_SECTIONS.map(section =>
+            fetch(`${apiBase}/GemvcMonitoring/${section}`).catch(() => null)
+        ));
+        if (responses.every(res => !res)) {
+            throw requestError('Server is unreachable', 0);
+        }
+        const unauthorized = responses.find(res => res && res.status === 401);
+        if (unauthorized) {
+            throw await responseError(unauthorized);
+        }
+        const snapshot = {errors: {}, statuses: {}};
+        await Promise.all(responses.map(async (res, i) => {
+            const section = SNAPSHOT_SECTIONS[i];
+            snapshot.statuses[section] = res ? res.status : 0;
+            if (!res) {
+                snapshot[section] = null;
+                snapshot.errors[section] = 'No response';
+                return;
+            }
+            if (!res.ok) {
+                snapshot[section] = null;
+                snapshot.errors[section] = (await responseError(res)).message;
+                return;
+            }
+            // API returns { response_code: 200, data: {...} } structure
+            const body = await res.json().catch(() => null);
+            snapshot[section] = body && body.data ? body.data : null;
+        }));
+        return snapshot;
+    }
+    
+    // All metrics in one request; drops to per-metric polling if the server has no snapshot endpoint
+    async function fetchSnapshot(state) {
+        const apiBase = state.target.apiBase;
+        if (!state.snapshotUnavailable) {
+            const res = await fetch(`${apiBase}/GemvcMonitoring/snapshot`).catch(() => null);
+            if (!res) {
+                throw requestError('Server is unreachable', 0);
+            }
+            if (res.status !== 404) {
+                if (state.transport !== 'stream') setTransport(state, 'batched');
+                if (!res.ok) {
+                    throw await responseError(res);
+                }
+                const body = await res.json().catch(() => null);
+                if (!body || !body.data) {
+                    throw requestError('Invalid snapshot response', res.status);
+                }
+                return body.data;
+            }
+            state.snapshotUnavailable = true;
+        }
+        if (state.transport !== 'stream') setTransport(state, 'polling');
+        return fetchLegacySnapshot(apiBase);
+    }
+    
+    async function updateMonitoringData(state) {
+        // A replayed recording is read-only: redraw the current frame instead of polling
+        if (replayState) {
+            renderReplayFrame(replayState.index);
+            return;
+        }
+        let snapshot;
         try {
-            // Ensure canvas dimensions are initialized
-            initializeCanvasDimensions();
+            snapshot = await fetchSnapshot(state);
+        } catch (error) {
+            // The target may have been removed while its request was in flight
+            if (targetStates[state.target.id] === state) {
+                markTargetFailed(state, error);
+            }
+            return;
+        }
+        if (targetStates[state.target.id] !== state) return;
+        const recovered = state.failures > 0;
+        applyTargetSnapshot(state, snapshot);
+        if (state.retryStream && !state.streamUnavailable) {
+            // Back online after an outage that closed the stream
+            state.retryStream = false;
+            startTarget(state, state.interval);
+        } else if (recovered && state.timer) {
+            // Answered early (e.g. Refresh Now): drop the long backoff wait
+            clearTimeout(state.timer);
+            schedulePoll(state, state.interval);
+        }
+    }
+    
+    function applyTargetSnapshot(state, snapshot) {
+        state.error = null;
+        state.failures = 0;
+        state.lastSuccess = Date.now();
+        recordEndpointHealth(state, snapshot);
+        updateTargetStatus(state);
+        applySnapshot(snapshot, state);
+    }
+    
+    // Every section of a failed update is an error and gets a gap in its chart
+    function markTargetFailed(state, error) {
+        const now = Date.now();
+        const status = error.status || 0;
+        console.error(`Error fetching monitoring data from ${state.target.name}:`, error);
+        state.error = error.message;
+        if (isUnreachableStatus(status)) {
+            state.failures++;
+        }
+        SNAPSHOT_SECTIONS.forEach(section => {
+            const previous = state.endpoints[section];
+            state.endpoints[section] = {status: 'error', httpStatus: status, message: error.message, lastOk: previous ? previous.lastOk : null};
+            pushSectionGap(state.chartData, section, now);
+        });
+        updateTargetStatus(state);
+        drawCharts();
+        if (isFocusedState(state)) {
+            setStatsText('lastUpdate', 'Error: ' + error.message);
+            renderEndpointHealth();
+        }
+        if (status === 401) {
+            handleUnauthorized(state);
+        }
+    }
+    
+    // An expired or revoked token for this server goes back to the login page like the rest of the SPA;
+    // another instance rejecting the token only marks that target as failed
+    function handleUnauthorized(state) {
+        if (state.target.id !== LOCAL_TARGET_ID) {
+            stopTarget(state);
+            return;
+        }
+        stopMonitoring();
+        if (onUnauthorized) {
+            onUnauthorized();
+        } else {
+            window.location.hash = 'login';
+        }
+    }
+    
+    function pushSectionGap(data, section, time) {
+        (SECTION_SERIES[section] || []).forEach(key => pushGap(data[key], time));
+        if (section === 'network') {
+            Object.values(data.networkInterfaces).forEach(series => {
+                pushGap(series.rx, time);
+                pushGap(series.tx, time);
+            });
+        }
+    }
+    
+    // snapshot.errors: section -> message (from the server or fetchLegacySnapshot); statuses: section -> HTTP status
+    function recordEndpointHealth(state, snapshot) {
+        const now = Date.now();
+        const errors = snapshot.errors || {};
+        const statuses = snapshot.statuses || {};
+        SNAPSHOT_SECTIONS.forEach(section => {
+            const previous = state.endpoints[section];
+            const httpStatus = statuses[section] !== undefined ? statuses[section] : 200;
+            if (snapshot[section]) {
+                state.endpoints[section] = {status: 'ok', httpStatus: httpStatus, message: null, lastOk: now};
+            } else {
+                state.endpoints[section] = {status: 'error', httpStatus: httpStatus, message: errors[section] || 'No data returned', lastOk: previous ? previous.lastOk : null};
+            }
+        });
+        if (isFocusedState(state)) {
+            renderEndpointHealth();
+        }
+    }
+    
+    // ok, stale (no fresh data for a few intervals, e.g. a silent stream) or error
+    function endpointStatus(entry) {
+        if (!entry) return 'pending';
+        if (entry.status === 'ok' && Date.now() - entry.lastOk > STALE_AFTER_INTERVALS * refreshInterval) return 'stale';
+        return entry.status;
+    }
+    
+    function renderEndpointHealth() {
+        const container = document.getElementById('endpointHealth');
+        const state = focusedState();
+        if (!container || !state) return;
+        const colors = {ok: 'bg-green-100 text-green-800', stale: 'bg-yellow-100 text-yellow-800', error: 'bg-red-100 text-red-700', pending: 'bg-gray-100 text-gray-500'};
+        SNAPSHOT_SECTIONS.forEach(section => {
+            let badge = Array.from(container.children).find(child => child.dataset.section === section);
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.dataset.section = section;
+                container.appendChild(badge);
+            }
+            const entry = state.endpoints[section];
+            const status = endpointStatus(entry);
+            badge.className = `px-2 py-0.5 rounded-full ${colors[status]}`;
+            badge.textContent = `● ${SECTION_LABELS[section]}`;
+            const details = [`${SECTION_LABELS[section]}: ${status}`];
+            if (entry && entry.httpStatus !== undefined) details.push(entry.httpStatus ? `HTTP ${entry.httpStatus}` : 'no response');
+            if (entry && entry.message) details.push(entry.message);
+            details.push(entry && entry.lastOk ? 'last data ' + new Date(entry.lastOk).toLocaleTimeString() : 'no data yet');
+            badge.title = details.join(' · ');
+        });
+    }
+    
+    function startHealthTimer() {
+        stopHealthTimer();
+        healthTimer = setInterval(() => {
+            renderEndpointHealth();
+            Object.values(targetStates).forEach(updateTargetStatus);
+        }, HEALTH_REFRESH_MS);
+    }
+    
+    function stopHealthTimer() {
+        if (healthTimer) {
+            clearInterval(healthTimer);
+            healthTimer = null;
+        }
+    }
+    
+    // Draw one snapshot ({ram, cpu, ..., databasePool}, each the data of the matching endpoint or null)
+    // of a target. Every target feeds the charts; only the focused one writes the stats, process list,
+    // alerts and recording.
+    function applySnapshot(snapshot, state) {
+        const focused = isFocusedState(state);
+        const byId = id => focused ? document.getElementById(id) : null;
+        const series = state.chartData;
+        try {
+            // Latest values for alert rules; one timestamp for every chart point of this snapshot
+            const sample = {};
+            const now = Date.now();
             
-            // Fetch all metrics in parallel
-            const [ramRes, dockerRamRes, dockerCpuRes, cpuRes, networkRes, latencyRes, connectionsRes] = await Promise.all([
-                fetch(`${apiBase}/GemvcMonitoring/ram`).catch(() => null),
-                fetch(`${apiBase}/GemvcMonitoring/dockerRam`).catch(() => null),
-                fetch(`${apiBase}/GemvcMonitoring/dockerCpu`).catch(() => null),
-                fetch(`${apiBase}/GemvcMonitoring/cpu`).catch(() => null),
-                fetch(`${apiBase}/GemvcMonitoring/network`).catch(() => null),
-                fetch(`${apiBase}/GemvcMonitoring/databaseLatency`).catch(() => null),
-                fetch(`${apiBase}/GemvcMonitoring/databaseConnections`).catch(() => null)
-            ]);
+            // Sections the server could not collect leave a gap in their charts
+            SNAPSHOT_SECTIONS.forEach(section => {
+                if (!snapshot[section]) pushSectionGap(series, section, now);
+            });
             
             // Process RAM data
-            if (ramRes && ramRes.ok) {
-                const ramData = await ramRes.json();
-                // API returns { response_code: 200, data: {...} } structure
-                if (ramData && ramData.data) {
-                    const usagePercent = ramData.data.system_usage_percent !== null && ramData.data.system_usage_percent !== undefined
-                        ? parseFloat(ramData.data.system_usage_percent) || 0
-                        : 0;
-                    chartData.ram.push(usagePercent);
-                    if (chartData.ram.length > MAX_DATA_POINTS) {
-                        chartData.ram.shift();
-                    }
-                    
-                    const ramCanvas = document.getElementById('ramChart');
-                    if (ramCanvas) {
-                        // Ensure canvas dimensions are set
-                        if (ramCanvas.width === 0 || ramCanvas.height === 0) {
-                            initializeCanvasDimensions();
-                        }
-                        const color = usagePercent < 70 ? '#10b981' : usagePercent < 90 ? '#f59e0b' : '#ef4444';
-                        drawLineChart(ramCanvas, chartData.ram, 'RAM', color, 100, '%');
-                    } else {
-                        console.warn('RAM canvas not found');
-                    }
-                    
-                    const ramStats = document.getElementById('ramStats');
-                    if (ramStats) {
-                        const total = formatBytes(ramData.data.system_total || 0);
-                        const used = formatBytes(ramData.data.system_used || 0);
-                        const free = formatBytes(ramData.data.system_free || 0);
-                        ramStats.textContent = `${formatPercentage(usagePercent)} | Used: ${used} / Total: ${total} | Free: ${free}`;
-                    }
-                } else {
-                    console.warn('RAM data format invalid or missing data:', ramData);
+            const ramData = snapshot.ram;
+            if (ramData) {
+                const usagePercent = ramData.system_usage_percent !== null && ramData.system_usage_percent !== undefined
+                    ? parseFloat(ramData.system_usage_percent) || 0
+                    : 0;
+                sample.ram = usagePercent;
+                pushPoint(series.ram, usagePercent, now);
+                
+                const ramStats = byId('ramStats');
+                if (ramStats) {
+                    const total = formatBytes(ramData.system_total || 0);
+                    const used = formatBytes(ramData.system_used || 0);
+                    const free = formatBytes(ramData.system_free || 0);
+                    ramStats.textContent = `${formatPercentage(usagePercent)} | Used: ${used} / Total: ${total} | Free: ${free}`;
                 }
             }
             
             // Process Docker Container RAM data
-            if (dockerRamRes && dockerRamRes.ok) {
-                const dockerRamData = await dockerRamRes.json();
-                // API returns { response_code: 200, data: {...} } structure
-                if (dockerRamData && dockerRamData.data) {
-                    const usagePercent = dockerRamData.data.container_usage_percent !== null && dockerRamData.data.container_usage_percent !== undefined
-                        ? parseFloat(dockerRamData.data.container_usage_percent) || 0
+            const dockerRamData = snapshot.dockerRam;
+            if (dockerRamData) {
+                const usagePercent = dockerRamData.container_usage_percent !== null && dockerRamData.container_usage_percent !== undefined
+                    ? parseFloat(dockerRamData.container_usage_percent) || 0
+                    : 0;
+                sample.dockerRam = usagePercent;
+                pushPoint(series.dockerRam, usagePercent, now);
+                
+                const dockerRamStats = byId('dockerRamStats');
+                if (dockerRamStats) {
+                    const containerUsed = dockerRamData.container_used_mb !== null && dockerRamData.container_used_mb !== undefined
+                        ? parseFloat(dockerRamData.container_used_mb) || 0
                         : 0;
-                    chartData.dockerRam.push(usagePercent);
-                    if (chartData.dockerRam.length > MAX_DATA_POINTS) {
-                        chartData.dockerRam.shift();
-                    }
-                    
-                    const dockerRamCanvas = document.getElementById('dockerRamChart');
-                    if (dockerRamCanvas) {
-                        // Ensure canvas dimensions are set
-                        if (dockerRamCanvas.width === 0 || dockerRamCanvas.height === 0) {
-                            initializeCanvasDimensions();
-                        }
-                        const color = usagePercent < 70 ? '#10b981' : usagePercent < 90 ? '#f59e0b' : '#ef4444';
-                        drawLineChart(dockerRamCanvas, chartData.dockerRam, 'Docker RAM', color, 100, '%');
-                    }
-                    
-                    const dockerRamStats = document.getElementById('dockerRamStats');
-                    if (dockerRamStats) {
-                        const containerUsed = dockerRamData.data.container_used_mb !== null && dockerRamData.data.container_used_mb !== undefined
-                            ? parseFloat(dockerRamData.data.container_used_mb) || 0
-                            : 0;
-                        const containerTotal = dockerRamData.data.container_total_mb;
-                        const containerTotalStr = (containerTotal === 'No Limit' || containerTotal === null || containerTotal === undefined)
-                            ? 'No Limit'
-                            : formatBytes(parseFloat(containerTotal) * 1024 * 1024);
-                        const containerUsedStr = containerUsed > 0 ? formatBytes(containerUsed * 1024 * 1024) : '0 B';
-                        const phpCurrent = dockerRamData.data.php_current_mb !== null && dockerRamData.data.php_current_mb !== undefined
-                            ? parseFloat(dockerRamData.data.php_current_mb) || 0
-                            : 0;
-                        const phpPeak = dockerRamData.data.php_peak_mb !== null && dockerRamData.data.php_peak_mb !== undefined
-                            ? parseFloat(dockerRamData.data.php_peak_mb) || 0
-                            : 0;
-                        const usageDisplay = usagePercent > 0 ? formatPercentage(usagePercent) : 'N/A';
-                        dockerRamStats.textContent = `${usageDisplay} | Container: ${containerUsedStr} / ${containerTotalStr} | PHP: ${phpCurrent.toFixed(2)} MB (Peak: ${phpPeak.toFixed(2)} MB)`;
-                    }
+                    const containerTotal = dockerRamData.container_total_mb;
+                    const containerTotalStr = (containerTotal === 'No Limit' || containerTotal === null || containerTotal === undefined)
+                        ? 'No Limit'
+                        : formatBytes(parseFloat(containerTotal) * 1024 * 1024);
+                    const containerUsedStr = containerUsed > 0 ? formatBytes(containerUsed * 1024 * 1024) : '0 B';
+                    const phpCurrent = dockerRamData.php_current_mb !== null && dockerRamData.php_current_mb !== undefined
+                        ? parseFloat(dockerRamData.php_current_mb) || 0
+                        : 0;
+                    const phpPeak = dockerRamData.php_peak_mb !== null && dockerRamData.php_peak_mb !== undefined
+                        ? parseFloat(dockerRamData.php_peak_mb) || 0
+                        : 0;
+                    const usageDisplay = usagePercent > 0 ? formatPercentage(usagePercent) : 'N/A';
+                    dockerRamStats.textContent = `${usageDisplay} | Container: ${containerUsedStr} / ${containerTotalStr} | PHP: ${phpCurrent.toFixed(2)} MB (Peak: ${phpPeak.toFixed(2)} MB)`;
                 }
             }
             
             // Process Docker Container CPU data
-            if (dockerCpuRes && dockerCpuRes.ok) {
-                const dockerCpuData = await dockerCpuRes.json();
-                // API returns { response_code: 200, data: {...} } structure
-                if (dockerCpuData && dockerCpuData.data) {
-                    const available = dockerCpuData.data.available !== false;
-                    if (available) {
-                        const cpuPercent = dockerCpuData.data.container_cpu_percent !== null && dockerCpuData.data.container_cpu_percent !== undefined
-                            ? parseFloat(dockerCpuData.data.container_cpu_percent) || 0
+            const dockerCpuData = snapshot.dockerCpu;
+            if (dockerCpuData) {
+                const available = dockerCpuData.available !== false;
+                if (available) {
+                    const cpuPercent = dockerCpuData.container_cpu_percent !== null && dockerCpuData.container_cpu_percent !== undefined
+                        ? parseFloat(dockerCpuData.container_cpu_percent) || 0
+                        : 0;
+                    sample.dockerCpu = cpuPercent;
+                    sample.dockerCpuThrottled = dockerCpuData.is_throttled === true;
+                    pushPoint(series.dockerCpu, cpuPercent, now);
+                    
+                    const dockerCpuStats = byId('dockerCpuStats');
+                    if (dockerCpuStats) {
+                        const assignedCores = dockerCpuData.assigned_cores !== null && dockerCpuData.assigned_cores !== undefined
+                            ? parseFloat(dockerCpuData.assigned_cores) || 0
                             : 0;
-                        chartData.dockerCpu.push(cpuPercent);
-                        if (chartData.dockerCpu.length > MAX_DATA_POINTS) {
-                            chartData.dockerCpu.shift();
-                        }
-                        
-                        const dockerCpuCanvas = document.getElementById('dockerCpuChart');
-                        if (dockerCpuCanvas) {
-                            // Ensure canvas dimensions are set
-                            if (dockerCpuCanvas.width === 0 || dockerCpuCanvas.height === 0) {
-                                initializeCanvasDimensions();
-                            }
-                            const color = cpuPercent < 70 ? '#10b981' : cpuPercent < 90 ? '#f59e0b' : '#ef4444';
-                            drawLineChart(dockerCpuCanvas, chartData.dockerCpu, 'Docker CPU', color, 100, '%');
-                        }
-                        
-                        const dockerCpuStats = document.getElementById('dockerCpuStats');
-                        if (dockerCpuStats) {
-                            const assignedCores = dockerCpuData.data.assigned_cores !== null && dockerCpuData.data.assigned_cores !== undefined
-                                ? parseFloat(dockerCpuData.data.assigned_cores) || 0
-                                : 0;
-                            const isThrottled = dockerCpuData.data.is_throttled === true;
-                            const throttledText = isThrottled ? ' ⚠️ Throttled' : '';
-                            dockerCpuStats.textContent = `${formatPercentage(cpuPercent)} | Cores: ${assignedCores.toFixed(2)}${throttledText}`;
-                        }
-                    } else {
-                        // Docker CPU metrics not available (not in Docker or cgroup not accessible)
-                        const dockerCpuStats = document.getElementById('dockerCpuStats');
-                        if (dockerCpuStats) {
-                            dockerCpuStats.textContent = 'Not available (not in Docker container or cgroup not accessible)';
-                        }
+                        const isThrottled = dockerCpuData.is_throttled === true;
+                        const throttledText = isThrottled ? ' ⚠️ Throttled' : '';
+                        dockerCpuStats.textContent = `${formatPercentage(cpuPercent)} | Cores: ${assignedCores.toFixed(2)}${throttledText}`;
+                    }
+                } else {
+                    // Docker CPU metrics not available (not in Docker or cgroup not accessible)
+                    const dockerCpuStats = byId('dockerCpuStats');
+                    if (dockerCpuStats) {
+                        dockerCpuStats.textContent = 'Not available (not in Docker container or cgroup not accessible)';
                     }
                 }
             }
             
             // Process CPU data
-            if (cpuRes && cpuRes.ok) {
-                const cpuData = await cpuRes.json();
-                // API returns { response_code: 200, data: {...} } structure
-                if (cpuData && cpuData.data) {
-                    const usage = cpuData.data.usage !== null && cpuData.data.usage !== undefined
-                        ? parseFloat(cpuData.data.usage) || 0
-                        : 0;
-                    chartData.cpu.push(usage);
-                    if (chartData.cpu.length > MAX_DATA_POINTS) {
-                        chartData.cpu.shift();
-                    }
-                    
-                    const cpuCanvas = document.getElementById('cpuChart');
-                    if (cpuCanvas) {
-                        // Ensure canvas dimensions are set
-                        if (cpuCanvas.width === 0 || cpuCanvas.height === 0) {
-                            initializeCanvasDimensions();
-                        }
-                        const color = usage < 70 ? '#10b981' : usage < 90 ? '#f59e0b' : '#ef4444';
-                        drawLineChart(cpuCanvas, chartData.cpu, 'CPU', color, 100, '%');
-                    }
-                    
-                    const cpuStats = document.getElementById('cpuStats');
-                    if (cpuStats) {
-                        const cores = cpuData.data.cores || 0;
-                        const load = cpuData.data.load_average || [];
-                        const load1m = load && load.length > 0 ? parseFloat(load[0]) || 0 : 0;
-                        const load5m = load && load.length > 1 ? parseFloat(load[1]) || 0 : 0;
-                        const load15m = load && load.length > 2 ? parseFloat(load[2]) || 0 : 0;
-                        cpuStats.textContent = `${formatPercentage(usage)} | Cores: ${cores} | Load: ${load1m.toFixed(2)} (1m), ${load5m.toFixed(2)} (5m), ${load15m.toFixed(2)} (15m)`;
-                    }
+            const cpuData = snapshot.cpu;
+            if (cpuData) {
+                const usage = cpuData.usage !== null && cpuData.usage !== undefined
+                    ? parseFloat(cpuData.usage) || 0
+                    : 0;
+                sample.cpu = usage;
+                pushPoint(series.cpu, usage, now);
+                
+                const cpuStats = byId('cpuStats');
+                if (cpuStats) {
+                    const cores = cpuData.cores || 0;
+                    const load = cpuData.load_average || [];
+                    const load1m = load && load.length > 0 ? parseFloat(load[0]) || 0 : 0;
+                    const load5m = load && load.length > 1 ? parseFloat(load[1]) || 0 : 0;
+                    const load15m = load && load.length > 2 ? parseFloat(load[2]) || 0 : 0;
+                    cpuStats.textContent = `${formatPercentage(usage)} | Cores: ${cores} | Load: ${load1m.toFixed(2)} (1m), ${load5m.toFixed(2)} (5m), ${load15m.toFixed(2)} (15m)`;
                 }
             }
             
             // Process Network data
-            if (networkRes && networkRes.ok) {
-                const networkData = await networkRes.json();
-                // API returns { response_code: 200, data: {...} } structure
-                if (networkData && networkData.data) {
-                    const totals = networkData.data.totals || networkData.data || {};
-                    const bytesReceived = totals.bytes_received !== null && totals.bytes_received !== undefined
-                        ? parseFloat(totals.bytes_received) || 0
-                        : 0;
-                    const bytesSent = totals.bytes_sent !== null && totals.bytes_sent !== undefined
-                        ? parseFloat(totals.bytes_sent) || 0
-                        : 0;
-                    
-                    // Calculate total MB (cumulative bytes converted to MB)
-                    const totalBytes = bytesReceived + bytesSent;
-                    const totalMB = totalBytes / 1024 / 1024;
-                    chartData.network.push(totalMB); // Convert to MB
-                    if (chartData.network.length > MAX_DATA_POINTS) {
-                        chartData.network.shift();
-                    }
-                    
-                    const networkCanvas = document.getElementById('networkChart');
-                    if (networkCanvas) {
-                        // Ensure canvas dimensions are set
-                        if (networkCanvas.width === 0 || networkCanvas.height === 0) {
-                            initializeCanvasDimensions();
+            const networkData = snapshot.network;
+            if (networkData) {
+                const network = normalizeNetworkStats(networkData);
+                sample.networkRx = network.totals.rx;
+                sample.networkTx = network.totals.tx;
+                
+                const rates = networkRates(state, network, now);
+                if (rates) {
+                    pushPoint(series.networkRx, rates.totals.rx, now);
+                    pushPoint(series.networkTx, rates.totals.tx, now);
+                    Object.keys(rates.interfaces).forEach(name => {
+                        const rate = rates.interfaces[name];
+                        if (!rate) return;
+                        if (!series.networkInterfaces[name]) {
+                            series.networkInterfaces[name] = {rx: [], tx: []};
                         }
-                        // Calculate max value for network chart (use max of data or a reasonable default)
-                        const networkMax = chartData.network.length > 0 
-                            ? Math.max(...chartData.network.map(v => parseFloat(v) || 0), 100) 
-                            : 100;
-                        drawLineChart(networkCanvas, chartData.network, 'Network', '#3b82f6', networkMax, ' MB');
-                    }
-                    
-                    const networkStats = document.getElementById('networkStats');
-                    if (networkStats) {
-                        const received = formatBytes(parseFloat(bytesReceived) || 0);
-                        const sent = formatBytes(parseFloat(bytesSent) || 0);
-                        networkStats.textContent = `Received: ${received} | Sent: ${sent}`;
-                    }
+                        pushPoint(series.networkInterfaces[name].rx, rate.rx, now);
+                        pushPoint(series.networkInterfaces[name].tx, rate.tx, now);
+                    });
+                }
+                if (focused) {
+                    updateInterfaceSelector(Object.keys(network.interfaces));
+                    renderInterfaceBreakdown(rates);
+                }
+                
+                const networkStats = byId('networkStats');
+                if (networkStats) {
+                    const throughput = rates
+                        ? `RX: ${formatRate(rates.totals.rx)} | TX: ${formatRate(rates.totals.tx)}`
+                        : 'Measuring throughput...';
+                    networkStats.textContent = `${throughput} | Total received: ${formatBytes(network.totals.rx)} | Total sent: ${formatBytes(network.totals.tx)}`;
                 }
             }
             
             // Process Database Latency data
-            if (latencyRes && latencyRes.ok) {
-                const latencyData = await latencyRes.json();
-                // API returns { response_code: 200, data: {...} } structure
-                if (latencyData && latencyData.data) {
-                    const latency = latencyData.data.average_latency_ms !== null && latencyData.data.average_latency_ms !== undefined
-                        ? parseFloat(latencyData.data.average_latency_ms) || 0
-                        : (latencyData.data.latency_ms !== null && latencyData.data.latency_ms !== undefined
-                            ? parseFloat(latencyData.data.latency_ms) || 0
-                            : 0);
-                    chartData.latency.push(latency);
-                    if (chartData.latency.length > MAX_DATA_POINTS) {
-                        chartData.latency.shift();
-                    }
-                    
-                    const latencyCanvas = document.getElementById('latencyChart');
-                    if (latencyCanvas) {
-                        // Ensure canvas dimensions are set
-                        if (latencyCanvas.width === 0 || latencyCanvas.height === 0) {
-                            initializeCanvasDimensions();
-                        }
-                        // Calculate max value for latency chart
-                        const latencyMax = chartData.latency.length > 0 
-                            ? Math.max(...chartData.latency.map(v => parseFloat(v) || 0), 100) 
-                            : 100;
-                        const color = '#f59e0b'; // Orange color
-                        drawLineChart(latencyCanvas, chartData.latency, 'DB Latency', color, latencyMax, 'ms');
-                    }
-                    
-                    const latencyStats = document.getElementById('latencyStats');
-                    if (latencyStats) {
-                        const min = parseFloat(latencyData.data.min_latency_ms) || 0;
-                        const max = parseFloat(latencyData.data.max_latency_ms) || 0;
-                        latencyStats.textContent = `Avg: ${latency.toFixed(2)}ms | Min: ${min.toFixed(2)}ms | Max: ${max.toFixed(2)}ms`;
-                    }
+            const latencyData = snapshot.databaseLatency;
+            if (latencyData) {
+                const latency = latencyData.average_latency_ms !== null && latencyData.average_latency_ms !== undefined
+                    ? parseFloat(latencyData.average_latency_ms) || 0
+                    : (latencyData.latency_ms !== null && latencyData.latency_ms !== undefined
+                        ? parseFloat(latencyData.latency_ms) || 0
+                        : 0);
+                sample.latency = latency;
+                pushPoint(series.latency, latency, now);
+                
+                const latencyStats = byId('latencyStats');
+                if (latencyStats) {
+                    const min = parseFloat(latencyData.min_latency_ms) || 0;
+                    const max = parseFloat(latencyData.max_latency_ms) || 0;
+                    latencyStats.textContent = `Avg: ${latency.toFixed(2)}ms | Min: ${min.toFixed(2)}ms | Max: ${max.toFixed(2)}ms`;
                 }
             }
             
             // Process Database Connections data
-            if (connectionsRes && connectionsRes.ok) {
-                const connectionsData = await connectionsRes.json();
-                // API returns { response_code: 200, data: {...} } structure
-                if (connectionsData && connectionsData.data) {
-                    const processList = connectionsData.data.process_list || [];
-                    const activeConnections = connectionsData.data.active_connections || 0;
-                    
-                    // Update connection count
-                    const connectionCount = document.getElementById('connectionCount');
-                    if (connectionCount) {
-                        connectionCount.textContent = activeConnections;
-                    }
+            const connectionsData = snapshot.databaseConnections;
+            if (connectionsData && focused) {
+                processList = Array.isArray(connectionsData.process_list) ? connectionsData.process_list : [];
+                const activeConnections = connectionsData.active_connections || 0;
+                sample.slowQueries = processList.filter(isSlowProcess).length;
+                
+                // Update connection count
+                const connectionCount = byId('connectionCount');
+                if (connectionCount) {
+                    connectionCount.textContent = activeConnections;
+                }
+                
+                // Patch the process list rows in place
+                updateCommandFilterOptions(processList);
+                renderProcessList();
+            }
+            
+            // Process Database Pool data
+            const poolData = snapshot.databasePool;
+            if (poolData) {
+                const pool = normalizePoolStats(poolData);
+                const poolStats = byId('poolStats');
+                const poolWarning = byId('poolWarning');
+                
+                if (pool.hasPool) {
+                    if (pool.max && pool.active !== null) sample.poolUsage = (pool.active / pool.max) * 100;
+                    if (pool.active !== null) sample.poolActive = pool.active;
+                    if (pool.idle !== null) sample.poolIdle = pool.idle;
+                    if (pool.waiting !== null) sample.poolWaiting = pool.waiting;
+                    state.lastPoolSize = pool.max;
+                    pushPoint(series.poolActive, pool.active || 0, now);
+                    pushPoint(series.poolIdle, pool.idle || 0, now);
                     
-                    // Update connections table
-                    const connectionsBody = document.getElementById('connectionsBody');
-                    if (connectionsBody) {
-                        connectionsBody.innerHTML = '';
-                        processList.forEach(process => {
-                            const row = document.createElement('tr');
-                            row.className = 'hover:bg-gray-50';
-                            row.innerHTML = `
-                                <td class="px-4 py-2 border">${process.Id || '-'}</td>
-                                <td class="px-4 py-2 border">${process.User || '-'}</td>
-                                <td class="px-4 py-2 border">${process.Host || '-'}</td>
-                                <td class="px-4 py-2 border">${process.db || '-'}</td>
-                                <td class="px-4 py-2 border">${process.Command || '-'}</td>
-                                <td class="px-4 py-2 border">${process.Time || 0}</td>
-                                <td class="px-4 py-2 border">${process.State || '-'}</td>
-                                <td class="px-4 py-2 border">${(process.Info || '-').substring(0, 50)}</td>
-                            `;
-                            connectionsBody.appendChild(row);
-                        });
+                    if (poolStats) {
+                        const parts = [`Active: ${pool.active ?? '-'}`, `Idle: ${pool.idle ?? '-'}`];
+                        if (pool.max !== null) parts.push(`Size: ${pool.max}`);
+                        if (pool.waiting !== null) parts.push(`Waiting: ${pool.waiting}`);
+                        poolStats.textContent = parts.join(' | ');
                     }
+                } else if (poolStats) {
+                    poolStats.textContent = `No connection pool in this environment${pool.environment ? ' (' + pool.environment + ')' : ''}`;
+                }
+                
+                if (poolWarning) {
+                    const saturation = pool.error
+                        ? {level: 'critical', message: 'Database manager error: ' + pool.error}
+                        : getPoolSaturation(pool);
+                    poolWarning.className = saturation
+                        ? `mb-2 rounded px-2 py-1 text-sm ${saturation.level === 'critical' ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'}`
+                        : 'hidden';
+                    poolWarning.textContent = saturation ? saturation.message : '';
                 }
             }
             
+            if (focused) updatePanelAvailability(snapshot);
+            drawCharts();
+            if (!focused) return;
+            evaluateAlertRules(sample);
+            recordSample(sample);
+            
             // Update last update time
-            const lastUpdateEl = document.getElementById('lastUpdate');
+            const lastUpdateEl = byId('lastUpdate');
             if (lastUpdateEl) {
                 lastUpdateEl.textContent = new Date().toLocaleTimeString();
             }
         } catch (error) {
-            console.error('Error fetching monitoring data:', error);
-            const lastUpdateEl = document.getElementById('lastUpdate');
+            console.error('Error rendering monitoring data:', error);
+            const lastUpdateEl = byId('lastUpdate');
             if (lastUpdateEl) {
                 lastUpdateEl.textContent = 'Error: ' + error.message;
             }
@@ -578,19 +2954,45 @@
     }
     
     // Main render function - now just initializes monitoring on existing HTML
-    function renderMonitoring(apiBase) {
-        // Store API base for module use
-        currentApiBase = apiBase;
-        
+    // options.targets: further GEMVC instances [{name, apiBase}] to monitor next to this one
+    function renderMonitoring(apiBase, options = {}) {
         // Cleanup any existing monitoring first
         cleanupMonitoring();
         
+        // Store API base for module use (after cleanup, which resets it)
+        currentApiBase = apiBase;
+        
+        // This server, configured targets and the ones added from the UI
+        loadTargets(apiBase, options.targets);
+        
+        // How to send the user back to the login page when the token is rejected
+        onUnauthorized = typeof options.onUnauthorized === 'function' ? options.onUnauthorized : null;
+        
         // Load saved interval preference
         loadSavedInterval();
         
         // Setup interval selector
         setupIntervalSelector();
         
+        // Setup target chips, add form and overlay/split layout
+        setupTargets();
+        
+        // Setup panel visibility, order, size and the compact/fullscreen views
+        setupLayout();
+        
+        // Setup per-endpoint health indicators
+        renderEndpointHealth();
+        startHealthTimer();
+        
+        // Setup network interface breakdown
+        setupNetworkInterfaceSelector();
+        
+        // Setup alert rules, history and toasts
+        setupAlerts();
+        
+        // Setup session recording, export/import and replay
+        setupRecording();
+        
         // Setup pause/resume button
         const pauseBtn = document.getElementById('pauseBtn');
         if (pauseBtn) {
@@ -610,7 +3012,7 @@
         if (refreshNowBtn) {
             const refreshNowHandler = () => {
                 if (currentApiBase) {
-                    updateMonitoringData(currentApiBase);
+                    Object.values(targetStates).forEach(updateMonitoringData);
                 }
             };
             refreshNowBtn.addEventListener('click', refreshNowHandler);
@@ -624,32 +3026,29 @@
             const toggleHandler = () => {
                 connectionsTable.classList.toggle('hidden');
                 const isHidden = connectionsTable.classList.contains('hidden');
-                const countEl = document.getElementById('connectionCount');
-                const count = countEl ? countEl.textContent : '0';
-                connectionsToggle.innerHTML = `Database Connections (${count} active) ${isHidden ? '▼' : '▲'}`;
+                // Only swap the arrow so the live #connectionCount span is kept
+                const arrow = document.getElementById('connectionsArrow');
+                if (arrow) {
+                    arrow.textContent = isHidden ? '▼' : '▲';
+                }
             };
             connectionsToggle.addEventListener('click', toggleHandler);
             eventListeners.push({element: connectionsToggle, event: 'click', handler: toggleHandler});
         }
         
+        // Setup process list sorting, filters, pins and slow-query threshold
+        setupProcessList();
+        
         // Setup canvas resize handlers
-        const canvases = ['ramChart', 'dockerRamChart', 'dockerCpuChart', 'cpuChart', 'networkChart', 'latencyChart'];
         const resizeHandler = () => {
-            // Redraw all charts on window resize
-            if (currentApiBase) {
-                // Update canvas dimensions
-                canvases.forEach(id => {
-                    const canvas = document.getElementById(id);
-                    if (canvas) {
-                        const container = canvas.parentElement;
-                        if (container) {
-                            canvas.width = container.clientWidth - 32; // Account for padding
-                            canvas.height = 200;
-                        }
-                    }
-                });
-                updateMonitoringData(currentApiBase);
+            // Resize the canvases and redraw the buffered data, no refetch needed;
+            // the fullscreen chart follows the window height
+            if (layout.fullscreen) {
+                applyLayout();
+                return;
             }
+            initializeCanvasDimensions();
+            redrawCharts();
         };
         window.addEventListener('resize', resizeHandler);
         eventListeners.push({element: window, event: 'resize', handler: resizeHandler});
@@ -675,7 +3074,7 @@
         setTimeout(() => {
             initializeCanvasDimensions();
             // Start monitoring after canvas is initialized
-            startMonitoring(apiBase, refreshInterval);
+            startMonitoring(refreshInterval);
         }, 50);
     }
     
@@ -683,6 +3082,7 @@
     function cleanupMonitoring() {
         // Stop monitoring interval
         stopMonitoring();
+        stopHealthTimer();
         
         // Remove all event listeners
         eventListeners.forEach(({element, event, handler}) => {
@@ -697,18 +3097,32 @@
         }
         
         // Clear chart data
-        chartData = {
-            ram: [],
-            dockerRam: [],
-            dockerCpu: [],
-            cpu: [],
-            network: [],
-            latency: []
-        };
+        chartData = emptyChartData();
+        charts = {};
+        processList = [];
+        processRows = new Map();
+        processView = {sortKey: 'Time', sortDir: 'desc', filters: {db: '', user: '', command: ''}, expanded: new Set(), pinned: new Map()};
+        unavailablePanels = new Set();
+        draggedPanel = null;
+        
+        // Leave replay mode; the session recording itself is kept
+        stopReplayPlayback();
+        replayState = null;
+        persistRecording();
+        
+        // Reset alert state (rules and history stay in localStorage)
+        alertState = {};
+        const toasts = document.getElementById('alertToasts');
+        if (toasts) {
+            toasts.innerHTML = '';
+        }
         
-        // Reset state
+        // Reset state; targets and their transports are set up again on the next render
         isPaused = false;
         currentApiBase = null;
+        onUnauthorized = null;
+        targets = [];
+        targetStates = {};
     }
     
     // Export to global scope for spa.php to use
@@ -717,7 +3131,12 @@
         cleanup: cleanupMonitoring,
         setInterval: setRefreshInterval,
         pause: pauseMonitoring,
-        resume: resumeMonitoring
+        resume: resumeMonitoring,
+        addTarget: addTarget,
+        removeTarget: removeTarget,
+        setTargets: setTargets,
+        focusTarget: focusTarget,
+        setLayout: setTargetLayout
     };
     
     // Debug: verify module is loaded
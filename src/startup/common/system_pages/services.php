@@ -93,7 +93,7 @@ if (($_ENV['APP_ENV'] ?? '') !== 'dev') {
     <?php else: ?>
         <div class="space-y-4">
             <?php foreach ($services as $index => $service): ?>
-                <div class="bg-white border border-gray-200 rounded-lg shadow-md overflow-hidden">
+                <div class="bg-white border border-gray-200 rounded-lg shadow-md overflow-hidden" data-service="<?php echo htmlspecialchars(ucfirst($service['name'])); ?>">
                     <button 
                         type="button"
                         onclick="toggleService(<?php echo $index; ?>)"
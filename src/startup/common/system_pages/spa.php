@@ -52,16 +52,19 @@ try {
         </style>
         <script>
 <?php
-$monitoringJsPath = dirname(__FILE__) . DIRECTORY_SEPARATOR . 'monitoring.js';
-if (file_exists($monitoringJsPath)) {
-    $monitoringJs = file_get_contents($monitoringJsPath);
-    if ($monitoringJs !== false) {
-        echo $monitoringJs;
+// Page modules are inlined so the SPA stays a single response
+foreach (['monitoring.js', 'sql-console.js'] as $moduleFile) {
+    $moduleJsPath = dirname(__FILE__) . DIRECTORY_SEPARATOR . $moduleFile;
+    if (file_exists($moduleJsPath)) {
+        $moduleJs = file_get_contents($moduleJsPath);
+        if ($moduleJs !== false) {
+            echo $moduleJs . "\n";
+        } else {
+            echo 'console.error("Failed to load ' . $moduleFile . '");';
+        }
     } else {
-        echo 'console.error("Failed to load monitoring.js");';
+        echo 'console.error("' . $moduleFile . ' file not found at: ' . htmlspecialchars($moduleJsPath, ENT_QUOTES, 'UTF-8') . '");';
     }
-} else {
-    echo 'console.error("monitoring.js file not found at: ' . htmlspecialchars($monitoringJsPath, ENT_QUOTES, 'UTF-8') . '");';
 }
 ?>
         </script>
@@ -81,6 +84,7 @@ if (file_exists($monitoringJsPath)) {
                         <a href="#" data-route="tables" class="nav-link text-base font-medium transition-colors no-underline text-gray-600 hover:text-gemvc-green">Tables Layer</a>
                         <a href="#" data-route="database" class="nav-link text-base font-medium transition-colors no-underline text-gray-600 hover:text-gemvc-green">Database</a>
                         <a href="#" data-route="monitoring" class="nav-link text-base font-medium transition-colors no-underline text-gray-600 hover:text-gemvc-green">Monitoring</a>
+                        <a href="#" data-route="sql" class="nav-link text-base font-medium transition-colors no-underline text-gray-600 hover:text-gemvc-green">SQL Console</a>
                     </div>
                     <div class="flex items-center gap-4">
                         <button onclick="logout()" class="text-base font-medium transition-colors text-gray-600 hover:text-red-600 bg-transparent border-0 cursor-pointer">Logout</button>
@@ -97,6 +101,15 @@ if (file_exists($monitoringJsPath)) {
             </div>
         </div>
 
+        <!-- Session expiry warning -->
+        <div id="sessionWarning" class="hidden fixed bottom-24 right-4 z-50 max-w-sm bg-yellow-50 border-l-4 border-yellow-400 rounded shadow-lg p-4 text-sm">
+            <p class="text-yellow-800 mb-3">Your session expires in <span id="sessionWarningTime" class="font-semibold">-</span>.</p>
+            <div class="flex gap-2">
+                <button type="button" id="sessionRenewBtn" class="px-3 py-1 bg-gemvc-green text-white rounded">Stay logged in</button>
+                <button type="button" id="sessionLogoutBtn" class="px-3 py-1 bg-gray-200 rounded">Log out</button>
+            </div>
+        </div>
+
         <!-- Footer -->
         <footer id="footer" class="fixed bottom-0 left-0 right-0 w-full bg-gray-900 border-t border-gray-700 shadow-md z-50 hidden">
             <div class="max-w-6xl mx-auto px-10 py-4">
@@ -205,96 +218,356 @@ if (file_exists($monitoringJsPath)) {
                 let token = localStorage.getItem('gemvc_admin_token');
 
                 // JWT Token Management
-                const originalFetch = window.fetch;
-                window.fetch = function (url, options = {}) {
-                    // Initialize options if not provided
-                    options = options || {};
-                    
-                    // Always get the latest token from localStorage (source of truth)
-                    const currentToken = localStorage.getItem('gemvc_admin_token');
-                    if (currentToken) {
-                        // Handle Headers object or plain object
-                        if (options.headers instanceof Headers) {
-                            // If it's a Headers object, check if Authorization is already set
-                            if (!options.headers.has('Authorization') && !options.headers.has('authorization')) {
-                                options.headers.set('Authorization', 'Bearer ' + currentToken);
+                // The wrapper renews the session token shortly before it expires while the user is
+                // active, queues requests behind a running renewal and retries them once after a 401/403.
+                // When the token cannot be renewed the user goes back to #login and returns afterwards.
+                const TOKEN_KEY = 'gemvc_admin_token';
+                const RETURN_ROUTE_KEY = 'gemvc_return_route';
+                const TOKEN_REFRESH_AHEAD_MS = 120000; // Requests within two minutes of expiry renew first
+                const TOKEN_WARN_AHEAD_MS = 60000; // Idle sessions get a warning one minute before expiry
+                const heldTokens = new Set(token ? [token] : []); // Tokens this session stored, so stale explicit headers can be upgraded
+                let tokenRenewal = null; // Running renewal, shared by every request waiting for it
+                let renewalFailedFor = null; // Token whose renewal failed, so requests don't retry it one by one
+                let tokenTimer = null;
+                let loginNotice = null;
+
+                // Payload of a JWT, or null when the value is not a JWT
+                function tokenClaims(value) {
+                    const parts = String(value || '').split('.');
+                    if (parts.length !== 3) {
+                        return null;
+                    }
+                    try {
+                        const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+                        const payload = JSON.parse(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+                        return payload && typeof payload === 'object' ? payload : null;
+                    } catch (e) {
+                        return null;
+                    }
+                }
+
+                // Expiry of a JWT in milliseconds, or null when it is not a JWT with an exp claim
+                function tokenExpiry(value) {
+                    const payload = tokenClaims(value);
+                    return payload && typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+                }
+
+                function tokenExpiresWithin(ms) {
+                    const expiry = tokenExpiry(token);
+                    return expiry !== null && expiry - Date.now() <= ms;
+                }
+
+                function storeSessionToken(value) {
+                    token = value;
+                    heldTokens.add(value);
+                    localStorage.setItem(TOKEN_KEY, value);
+                    renewalFailedFor = null;
+                    loginNotice = null;
+                    scheduleTokenCheck();
+                }
+
+                function clearSession() {
+                    token = null;
+                    heldTokens.clear();
+                    localStorage.removeItem(TOKEN_KEY);
+                    clearTimeout(tokenTimer);
+                    tokenTimer = null;
+                    showSessionWarning(null);
+                }
+
+                // fetch() takes a URL string, a URL object or a Request
+                function requestUrl(url) {
+                    return url && typeof url.url === 'string' ? url.url : String(url);
+                }
+
+                // Only our own API gets the 401/403 handling; remote monitoring targets keep their errors
+                function isApiRequest(url) {
+                    if (!API_BASE) {
+                        return false;
+                    }
+                    try {
+                        const target = new URL(requestUrl(url), window.location.href);
+                        const base = new URL(API_BASE, window.location.href);
+                        return target.origin === base.origin && target.pathname.startsWith(base.pathname);
+                    } catch (e) {
+                        return false;
+                    }
+                }
+
+                function isLoginRequest(url) {
+                    return requestUrl(url).endsWith('/User/login');
+                }
+
+                // Authorization built by this session (or left out) is replaced by the current token
+                function isSessionAuthorization(header) {
+                    return !header || (header.startsWith('Bearer ') && heldTokens.has(header.slice(7)));
+                }
+
+                function withSessionToken(options, sessionToken) {
+                    if (!sessionToken) {
+                        return options;
+                    }
+                    const headers = new Headers(options.headers || {});
+                    if (isSessionAuthorization(headers.get('Authorization'))) {
+                        headers.set('Authorization', 'Bearer ' + sessionToken);
+                    }
+                    return Object.assign({}, options, {headers: headers});
+                }
+
+                // Renew through the framework's User/renewToken endpoint; resolves to true on success
+                function renewSession() {
+                    if (tokenRenewal) {
+                        return tokenRenewal;
+                    }
+                    const current = token;
+                    tokenRenewal = (async () => {
+                        // An expired token cannot be renewed, the user has to log in again
+                        if (!current || tokenExpiresWithin(0) || !API_BASE) {
+                            return false;
+                        }
+                        try {
+                            const response = await originalFetch(API_BASE + '/User/renewToken', {
+                                method: 'POST',
+                                headers: {
+                                    'Content-Type': 'application/json',
+                                    'Authorization': 'Bearer ' + current
+                                }
+                            });
+                            const data = response.ok ? await response.json() : null;
+                            const renewed = data && data.data ? data.data.token : null;
+                            const renewedExpiry = typeof renewed === 'string' ? tokenExpiry(renewed) : null;
+                            // A token that does not outlive the current one (e.g. the server renews with a zero lifetime) is no renewal
+                            if (renewedExpiry === null || renewedExpiry <= Math.max(Date.now(), tokenExpiry(current) || 0)) {
+                                renewalFailedFor = current;
+                                return false;
                             }
-                        } else {
-                            // If it's a plain object or undefined, create/use plain object
-                            options.headers = options.headers || {};
-                            if (!options.headers['Authorization'] && !options.headers['authorization']) {
-                                options.headers['Authorization'] = 'Bearer ' + currentToken;
+                            // Logged out while the renewal was running
+                            if (token !== current) {
+                                return false;
                             }
+                            storeSessionToken(renewed);
+                            return true;
+                        } catch (error) {
+                            console.warn('Token renewal failed:', error);
+                            renewalFailedFor = current;
+                            return false;
                         }
+                    })().finally(() => {
+                        tokenRenewal = null;
+                    });
+                    return tokenRenewal;
+                }
+
+                // Back to login with a notice; the page the user was on is opened after logging in
+                function sessionExpired(message = 'Your session has expired. Please log in again.') {
+                    const route = getRoute();
+                    if (route !== 'login') {
+                        sessionStorage.setItem(RETURN_ROUTE_KEY, route);
                     }
-                    return originalFetch(url, options);
+                    clearSession();
+                    loginNotice = message;
+                    setRoute('login');
+                }
+
+                function takeReturnRoute() {
+                    const route = sessionStorage.getItem(RETURN_ROUTE_KEY);
+                    sessionStorage.removeItem(RETURN_ROUTE_KEY);
+                    return route && route !== 'login' ? route : 'welcome';
+                }
+
+                // Warn idle sessions before the token runs out and log out once it has
+                function scheduleTokenCheck() {
+                    clearTimeout(tokenTimer);
+                    tokenTimer = null;
+                    const expiry = tokenExpiry(token);
+                    if (expiry === null) {
+                        showSessionWarning(null);
+                        return;
+                    }
+                    const left = expiry - Date.now();
+                    if (left <= 0) {
+                        showSessionWarning(null);
+                        if (getRoute() !== 'login') {
+                            sessionExpired();
+                        }
+                        return;
+                    }
+                    showSessionWarning(left <= TOKEN_WARN_AHEAD_MS && getRoute() !== 'login' ? left : null);
+                    const delay = left > TOKEN_WARN_AHEAD_MS ? left - TOKEN_WARN_AHEAD_MS : Math.min(1000, left);
+                    // setTimeout overflows past ~24 days; re-check daily for long-lived tokens
+                    tokenTimer = setTimeout(scheduleTokenCheck, Math.min(delay, 86400000));
+                }
+
+                function showSessionWarning(msLeft) {
+                    const warning = document.getElementById('sessionWarning');
+                    if (!warning) {
+                        return;
+                    }
+                    warning.classList.toggle('hidden', msLeft === null);
+                    if (msLeft !== null) {
+                        const seconds = Math.ceil(msLeft / 1000);
+                        document.getElementById('sessionWarningTime').textContent = Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+                    }
+                }
+
+                document.getElementById('sessionRenewBtn').addEventListener('click', async () => {
+                    if (!(await renewSession())) {
+                        sessionExpired('Your session could not be renewed. Please log in again.');
+                    }
+                });
+                document.getElementById('sessionLogoutBtn').addEventListener('click', () => window.logout());
+
+                const originalFetch = window.fetch;
+                window.fetch = async function (url, options = {}) {
+                    // Initialize options if not provided
+                    options = options || {};
+                    const ownsAuthorization = isSessionAuthorization(new Headers(options.headers || {}).get('Authorization'));
+                    const managed = ownsAuthorization && isApiRequest(url) && !isLoginRequest(url);
+
+                    // Renew first when the token is about to expire, instead of letting the request fail
+                    if (managed && token && token !== renewalFailedFor && tokenExpiresWithin(TOKEN_REFRESH_AHEAD_MS)) {
+                        await renewSession();
+                    } else if (managed && tokenRenewal) {
+                        await tokenRenewal;
+                    }
+
+                    const sentToken = token;
+                    const response = await originalFetch(url, withSessionToken(options, sentToken));
+                    if (!managed || !sentToken || (response.status !== 401 && response.status !== 403)) {
+                        return response;
+                    }
+
+                    // Renewed while this request was in flight, or renewable now: retry once with the new token
+                    const renewed = token !== sentToken ? !!token : await renewSession();
+                    if (renewed) {
+                        return originalFetch(url, withSessionToken(options, token));
+                    }
+                    // A 403 with a token that is still valid is a missing permission, not an expired session
+                    if (token === sentToken && (response.status === 401 || tokenExpiresWithin(0))) {
+                        sessionExpired();
+                    }
+                    return response;
                 };
 
+                scheduleTokenCheck();
+
                 // Router
+                // Pages register a hash pattern with a mount(params) hook and an optional unmount() hook.
+                // ":name" segments become params and a trailing "?" makes one optional,
+                // e.g. "database/:table?" matches #database and #database/users.
+                const routes = [];
+                let activePage = null;
+                let navigationId = 0;
+
+                function registerRoute(pattern, page) {
+                    if (!page || typeof page.mount !== 'function') {
+                        throw new Error('Route "' + pattern + '" needs a mount() hook');
+                    }
+                    routes.push({pattern: pattern, segments: pattern.split('/'), page: page});
+                }
+
+                function matchRoute(path) {
+                    const parts = path.split('/').filter(part => part !== '');
+                    for (const route of routes) {
+                        const params = {};
+                        const required = route.segments.filter(segment => !segment.endsWith('?')).length;
+                        if (parts.length < required || parts.length > route.segments.length) {
+                            continue;
+                        }
+                        const matched = route.segments.every((segment, i) => {
+                            if (segment.startsWith(':')) {
+                                const name = segment.replace(/^:/, '').replace(/\?$/, '');
+                                if (parts[i] !== undefined) {
+                                    try {
+                                        params[name] = decodeURIComponent(parts[i]);
+                                    } catch (e) {
+                                        return false;
+                                    }
+                                }
+                                return true;
+                            }
+                            return parts[i] === segment;
+                        });
+                        if (matched) {
+                            return {route: route, params: params};
+                        }
+                    }
+                    return null;
+                }
+
+                // Hash for a route with its params, e.g. routePath('database', 'users') → "database/users"
+                function routePath(name, ...params) {
+                    return [name].concat(params.filter(param => param !== null && param !== undefined && param !== '').map(param => encodeURIComponent(param))).join('/');
+                }
+
                 function getRoute() {
                     const hash = window.location.hash.slice(1) || 'login';
                     return hash;
                 }
 
+                // First segment of a route, used for the navbar and the login check
+                function routeName(route) {
+                    return route.split('/')[0];
+                }
+
                 function setRoute(route) {
                     window.location.hash = route;
                     currentRoute = route;
                 }
 
                 async function loadPage(route) {
+                    const name = routeName(route);
                     try { // Check authentication for protected routes
-                        if (route !== 'login' && ! token) {
+                        if (name !== 'login' && ! token) {
+                            // Open the requested page once the user has logged in
+                            sessionStorage.setItem(RETURN_ROUTE_KEY, route);
                             setRoute('login');
                             return;
                         }
+                        if (name !== 'login' && tokenExpiresWithin(0)) {
+                            sessionExpired();
+                            return;
+                        }
 
                         // Show/hide navbar and footer
                         const navbar = document.getElementById('navbar');
                         const footer = document.getElementById('footer');
-                        if (route === 'login') {
+                        if (name === 'login') {
                             navbar.classList.add('hidden');
                             footer.classList.add('hidden');
                         } else {
                             navbar.classList.remove('hidden');
                             footer.classList.remove('hidden');
-                            updateNavbar(route);
+                            updateNavbar(name);
                         }
 
                         // Load page content
                         const content = document.getElementById('content');
                         content.innerHTML = '<div class="text-center">Loading...</div>';
 
-                        // Store previous route for cleanup check
-                        const previousRoute = currentRoute;
+                        // Let the page we are leaving release its timers, streams and listeners
+                        const leaving = activePage;
+                        activePage = null;
                         currentRoute = route;
-
-                        // Cleanup monitoring if leaving monitoring page
-                        if (previousRoute === 'monitoring' && route !== 'monitoring') {
-                            if (window.MonitoringModule && typeof window.MonitoringModule.cleanup === 'function') {
-                                window.MonitoringModule.cleanup();
+                        if (leaving && typeof leaving.unmount === 'function') {
+                            try {
+                                leaving.unmount();
+                            } catch (error) {
+                                console.error('Error leaving page:', error);
                             }
                         }
 
-                        switch (route) {
-                            case 'login':
-                                await renderLogin();
-                                break;
-                            case 'welcome':
-                                await renderWelcome();
-                                break;
-                            case 'services':
-                                await renderServices();
-                                break;
-                            case 'tables':
-                                await renderTables();
-                                break;
-                            case 'database':
-                                await renderDatabase();
-                                break;
-                            case 'monitoring':
-                                await renderMonitoring();
-                                break;
-                            default: content.innerHTML = '<div class="text-center text-red-600">Page not found</div>';
+                        const match = matchRoute(route);
+                        if (!match) {
+                            renderNotFound(route);
+                            return;
+                        }
+                        const navigation = ++navigationId;
+                        activePage = match.route.page;
+                        await activePage.mount(match.params);
+                        // Navigated away while this page was loading: undo its mount
+                        if (navigation !== navigationId && activePage !== match.route.page && typeof match.route.page.unmount === 'function') {
+                            match.route.page.unmount();
                         }
                     } catch (error) {
                         console.error('Error loading page:', error);
@@ -302,6 +575,55 @@ if (file_exists($monitoringJsPath)) {
                     }
                 }
 
+                function renderNotFound(route) {
+                    const appDiv = document.getElementById('app');
+                    appDiv.className = 'flex items-center justify-center p-5';
+                    const contentWrapper = appDiv.querySelector('div');
+                    contentWrapper.className = 'bg-white rounded-xl shadow-2xl max-w-6xl w-full p-10';
+
+                    const content = document.getElementById('content');
+                    content.innerHTML = `
+                        <div class="text-center py-10">
+                            <p class="text-6xl font-bold text-gemvc-green mb-4">404</p>
+                            <h1 class="text-2xl font-semibold text-gray-800 mb-2">Page not found</h1>
+                            <p class="text-gray-600 mb-6">There is no page at <code class="bg-gray-100 px-2 py-0.5 rounded" id="notFoundRoute"></code>.</p>
+                            <button type="button" id="notFoundHomeBtn" class="bg-gemvc-green hover:bg-gemvc-green-dark text-white font-medium py-2 px-4 rounded transition-colors">Back to Home</button>
+                        </div>
+                    `;
+                    document.getElementById('notFoundRoute').textContent = '#' + route;
+                    document.getElementById('notFoundHomeBtn').onclick = () => setRoute('welcome');
+                }
+
+                registerRoute('login', {mount: renderLogin});
+                registerRoute('welcome', {mount: renderWelcome});
+                registerRoute('services/:service?', {mount: params => renderServices(params.service || null)});
+                registerRoute('tables', {mount: renderTables});
+                registerRoute('database/:table?', {mount: params => renderDatabase(params.table || null)});
+                registerRoute('monitoring', {
+                    mount: renderMonitoring,
+                    unmount: () => {
+                        if (window.MonitoringModule && typeof window.MonitoringModule.cleanup === 'function') {
+                            window.MonitoringModule.cleanup();
+                        }
+                    }
+                });
+                registerRoute('sql', {
+                    mount: renderSqlConsole,
+                    unmount: () => {
+                        if (window.SqlConsoleModule && typeof window.SqlConsoleModule.cleanup === 'function') {
+                            window.SqlConsoleModule.cleanup();
+                        }
+                    }
+                });
+
+                // Extension point for further system pages
+                window.GemvcRouter = {
+                    register: registerRoute,
+                    navigate: setRoute,
+                    path: routePath,
+                    current: () => currentRoute
+                };
+
                 function updateNavbar(activeRoute) {
                     document.querySelectorAll('.nav-link').forEach(link => {
                         const route = link.getAttribute('data-route');
@@ -328,6 +650,9 @@ if (file_exists($monitoringJsPath)) {
                         <h1 class="text-3xl font-bold text-gemvc-green mb-2 tracking-tight">Developer Login</h1>
                         <p class="text-gray-600"></p>
                     </div>
+                    <div id="loginNotice" class="hidden bg-yellow-50 border-l-4 border-yellow-400 p-4 rounded mb-6">
+                        <p class="text-yellow-800 text-sm" id="loginNoticeText"></p>
+                    </div>
                     <div id="loginError" class="hidden bg-red-50 border-l-4 border-red-500 p-4 rounded mb-6">
                         <p class="text-red-800 text-sm" id="loginErrorText"></p>
                     </div>
@@ -357,6 +682,12 @@ if (file_exists($monitoringJsPath)) {
                     </div>
                 `;
 
+                    // Why the user was sent back here, e.g. an expired session
+                    if (loginNotice) {
+                        document.getElementById('loginNoticeText').textContent = loginNotice;
+                        document.getElementById('loginNotice').classList.remove('hidden');
+                    }
+
                     // Load logo
                     const logoResponse = await fetch(API_BASE + '/index/logo');
                     if (logoResponse.ok) {
@@ -399,12 +730,12 @@ if (file_exists($monitoringJsPath)) {
                                 // Store login token (prefer login_token, fallback to access_token)
                                 const loginToken = data.data.login_token || data.data.access_token;
                                 if (loginToken) {
-                                    token = loginToken;
-                                    localStorage.setItem('gemvc_admin_token', token);
+                                    storeSessionToken(loginToken);
                                     // Ensure token is stored before navigation
-                                    token = localStorage.getItem('gemvc_admin_token');
+                                    token = localStorage.getItem(TOKEN_KEY);
                                     if (token) {
-                                        setRoute('welcome');
+                                        // Back to the page the user was on before the session expired
+                                        setRoute(takeReturnRoute());
                                     } else {
                                         throw new Error('Failed to store authentication token');
                                     }
@@ -675,22 +1006,22 @@ if (file_exists($monitoringJsPath)) {
                                     backButton.closest('form').remove();
                                 }
 
-                                // Convert "View Structure" buttons to SPA navigation
+                                // Convert "View Structure" and referenced table buttons to #database/<table> links
                                 // Convert NodeList to Array to avoid issues with DOM mutations
                                 Array.from(content.querySelectorAll('form[method="POST"]')).forEach(form => {
                                     const setTableInput = form.querySelector('input[name="set_table"]');
                                     if (setTableInput) {
                                         const tableName = setTableInput.value;
                                         const button = form.querySelector('button[type="submit"]');
-                                        if (button && button.textContent.includes('View Structure')) { // Extract button from form before removing form
+                                        if (button) { // Extract button from form before removing form
                                             const parent = form.parentNode;
                                             if (parent) {
                                                 button.type = 'button';
-                                                button.onclick = async (e) => {
+                                                button.onclick = (e) => {
                                                     e.preventDefault();
                                                     e.stopPropagation();
-                                                    // Reload database page with selected table
-                                                    await renderDatabase(tableName);
+                                                    // The route change reloads the database page with the selected table
+                                                    setRoute(routePath('database', tableName));
                                                 };
                                                 // Replace form with button
                                                 parent.replaceChild(button, form);
@@ -786,6 +1117,12 @@ if (file_exists($monitoringJsPath)) {
                                         }
                                     });
                                 }
+
+                                // Browse and edit the rows of the selected table
+                                const dataGrid = content.querySelector('#dataGrid');
+                                if (dataGrid) {
+                                    renderDataGrid(dataGrid, dataGrid.dataset.table);
+                                }
                                 
                                 // Clear controller after successful request
                                 databaseRequestController = null;
@@ -807,7 +1144,7 @@ if (file_exists($monitoringJsPath)) {
                     });
                 }
 
-                async function renderServices() {
+                async function renderServices(serviceName = null) {
                     // Reset content area styling for normal pages
                     const appDiv = document.getElementById('app');
                     appDiv.className = 'flex items-center justify-center p-5';
@@ -951,8 +1288,29 @@ if (file_exists($monitoringJsPath)) {
                                 icon.classList.add('rotate-90');
                                 button.setAttribute('aria-expanded', 'true');
                             }
+                            
+                            // Keep #services/<Service> in the address bar without reloading the page
+                            const service = button.closest('[data-service]');
+                            const route = routePath('services', !isExpanded && service ? service.getAttribute('data-service') : null);
+                            history.replaceState(null, '', '#' + route);
+                            currentRoute = route;
                         }
                     };
+                    
+                    // Deep link: open and scroll to the requested service
+                    if (serviceName) {
+                        const services = Array.from(content.querySelectorAll('[data-service]'));
+                        const index = services.findIndex(service => service.getAttribute('data-service').toLowerCase() === serviceName.toLowerCase());
+                        if (index === -1) {
+                            renderNotFound(getRoute());
+                            return;
+                        }
+                        const toggle = services[index].querySelector('[id^="service-toggle-"]');
+                        if (toggle && toggle.getAttribute('aria-expanded') !== 'true') {
+                            window.toggleService(toggle.id.replace('service-toggle-', ''));
+                        }
+                        services[index].scrollIntoView({block: 'start'});
+                    }
                 }
 
                 async function renderTables() {
@@ -1023,10 +1381,10 @@ if (file_exists($monitoringJsPath)) {
                         }
                     };
 
-                    // Render schema diagram if relationships exist
+                    // Render the schema diagram from the tables, columns and foreign keys
                     const schemaSvg = document.getElementById('schemaSvg');
-                    if (schemaSvg && data.data && data.data.relationships) {
-                        renderSchemaDiagram(schemaSvg, data.data.relationships, data.data.tableClasses);
+                    if (schemaSvg && data.data && data.data.schemaColumns) {
+                        renderSchemaDiagram(schemaSvg, data.data);
                     }
                 }
 
@@ -1045,6 +1403,7 @@ if (file_exists($monitoringJsPath)) {
                                 <div class="flex justify-between items-center mb-6">
                                     <h1 class="text-2xl font-bold text-gray-800">Server Monitoring</h1>
                                     <div class="flex items-center gap-2">
+                                        <span class="text-sm text-gray-500" title="How metrics reach the browser">Transport: <span id="transportMode" class="font-medium text-gray-700">-</span></span>
                                         <label class="text-sm font-medium">Refresh:</label>
                                         <select id="refreshInterval" class="border rounded px-2 py-1">
                                             <option value="2000">2 seconds</option>
@@ -1057,70 +1416,212 @@ if (file_exists($monitoringJsPath)) {
                                                placeholder="ms" min="1000" step="1000">
                                         <button id="pauseBtn" class="px-3 py-1 bg-gray-200 rounded">⏸️ Pause</button>
                                         <button id="refreshNowBtn" class="px-3 py-1 bg-gemvc-green text-white rounded">🔄 Refresh Now</button>
+                                        <button id="alertsToggle" class="px-3 py-1 bg-gray-200 rounded">🔔 Alerts <span id="alertsFiring" class="hidden ml-1 px-1.5 rounded-full bg-red-600 text-white text-xs">0</span></button>
                                     </div>
                                 </div>
                                 
+                                <!-- Targets -->
+                                <div class="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                                    <span class="font-medium text-gray-700">Targets:</span>
+                                    <ul id="targetList" class="flex flex-wrap items-center gap-2" title="Click a target to show its details below"></ul>
+                                    <select id="targetLayout" class="hidden border rounded px-2 py-1" title="How the targets share a chart">
+                                        <option value="overlay">Overlay</option>
+                                        <option value="split">Split</option>
+                                    </select>
+                                    <form id="targetForm" class="flex items-center gap-1 ml-auto">
+                                        <input type="text" id="targetName" class="border rounded px-2 py-1 w-28" placeholder="Name">
+                                        <input type="text" id="targetUrl" class="border rounded px-2 py-1 w-64" placeholder="API base, e.g. http://10.0.0.12:9501/api">
+                                        <button type="submit" class="px-3 py-1 bg-gray-200 rounded">+ Add target</button>
+                                    </form>
+                                </div>
+                                
+                                                                <!-- Endpoint health of the focused target -->
+                                <div class="flex flex-wrap items-center gap-2 mb-4 text-xs">
+                                    <span class="text-sm font-medium text-gray-700">Endpoints:</span>
+                                    <div id="endpointHealth" class="flex flex-wrap items-center gap-2" title="Hover a badge for the HTTP status and error message"></div>
+                                </div>
+                                
+                                <!-- Session Recording -->
+                                <div class="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                                    <span id="recordingStatus" class="text-gray-600 mr-auto">⏺ Recording: 0 samples</span>
+                                    <button id="exportCsvBtn" class="px-3 py-1 bg-gray-200 rounded">Export CSV</button>
+                                    <button id="exportJsonBtn" class="px-3 py-1 bg-gray-200 rounded">Export JSON</button>
+                                    <label class="px-3 py-1 bg-gray-200 rounded cursor-pointer">Import recording
+                                        <input type="file" id="importRecording" accept=".json,.csv,application/json,text/csv" class="hidden">
+                                    </label>
+                                    <button id="clearRecordingBtn" class="px-3 py-1 bg-gray-200 rounded">Clear</button>
+                                </div>
+                                <div id="replayBar" class="hidden flex items-center gap-3 mb-6 bg-blue-50 border border-blue-200 rounded p-3 text-sm">
+                                    <span id="replayName" class="font-semibold text-blue-800"></span>
+                                    <button id="replayPlayBtn" class="px-3 py-1 bg-white border rounded">▶ Play</button>
+                                    <input type="range" id="replayScrubber" class="flex-1" min="0" max="0" value="0">
+                                    <span id="replayPosition" class="text-gray-600"></span>
+                                    <button id="exitReplayBtn" class="px-3 py-1 bg-gemvc-green text-white rounded">Back to live</button>
+                                </div>
+                                
+                                <!-- Alert Rules -->
+                                <div id="alertsPanel" class="hidden mb-6 bg-gray-50 rounded p-4">
+                                    <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                                        <div>
+                                            <h3 class="font-semibold mb-2">Alert Rules</h3>
+                                            <ul id="alertRulesList" class="mb-4"></ul>
+                                            <form id="alertRuleForm" class="flex flex-wrap items-end gap-2 text-sm">
+                                                <label class="flex flex-col">Metric<select id="alertMetric" class="border rounded px-2 py-1"></select></label>
+                                                <label class="flex flex-col">When
+                                                    <select id="alertOperator" class="border rounded px-2 py-1">
+                                                        <option value=">">&gt;</option>
+                                                        <option value=">=">&ge;</option>
+                                                        <option value="<">&lt;</option>
+                                                        <option value="<=">&le;</option>
+                                                    </select>
+                                                </label>
+                                                <label class="flex flex-col">Threshold<input type="number" id="alertThreshold" class="border rounded px-2 py-1 w-24" step="any"></label>
+                                                <label class="flex flex-col">For (s)<input type="number" id="alertDuration" class="border rounded px-2 py-1 w-20" min="0" value="0"></label>
+                                                <label class="flex flex-col">Hysteresis<input type="number" id="alertHysteresis" class="border rounded px-2 py-1 w-20" min="0" step="any" value="5"></label>
+                                                <label class="flex items-center gap-1 py-1"><input type="checkbox" id="alertNotify"> Browser notification</label>
+                                                <button type="submit" class="px-3 py-1 bg-gemvc-green text-white rounded">Add rule</button>
+                                            </form>
+                                        </div>
+                                        <div>
+                                            <div class="flex justify-between items-center mb-2">
+                                                <h3 class="font-semibold">Alert History</h3>
+                                                <button id="alertHistoryClear" class="text-sm text-gray-600 hover:underline">Clear</button>
+                                            </div>
+                                            <ul id="alertHistoryList" class="max-h-64 overflow-y-auto"></ul>
+                                        </div>
+                                    </div>
+                                </div>
+                                <div id="alertToasts" class="fixed bottom-4 right-4 z-50 flex flex-col gap-2 max-w-sm"></div>
+                                
+                                <!-- Dashboard Layout -->
+                                <div class="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                                    <label class="font-medium">View:</label>
+                                    <select id="layoutMode" class="border rounded px-2 py-1">
+                                        <option value="grid">Grid</option>
+                                        <option value="compact">Compact</option>
+                                    </select>
+                                    <button id="panelsToggle" class="px-3 py-1 bg-gray-200 rounded">▦ Panels</button>
+                                    <button id="layoutResetBtn" class="px-3 py-1 bg-gray-200 rounded">Reset layout</button>
+                                    <button id="exitFullscreenBtn" class="hidden px-3 py-1 bg-gemvc-green text-white rounded">✕ Exit fullscreen</button>
+                                    <span class="text-gray-400 ml-auto">Drag a panel by its title to move it</span>
+                                </div>
+                                <div id="panelsMenu" class="hidden mb-4 bg-gray-50 rounded p-3 text-sm">
+                                    <ul id="panelList" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-1"></ul>
+                                </div>
+                                
                                 <!-- Charts Grid -->
-                                <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+                                <div id="monitoringPanels" class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
                                     <!-- RAM Chart -->
-                                    <div class="bg-gray-50 rounded p-4">
-                                        <h3 class="font-semibold mb-2">RAM Usage</h3>
-                                        <canvas id="ramChart" style="width: 100%; height: 200px;"></canvas>
-                                        <div id="ramStats" class="mt-2 text-sm text-gray-600"></div>
+                                    <div class="bg-gray-50 rounded p-4" data-panel="ram">
+                                        <div class="panel-header flex justify-between items-center gap-2 mb-2">
+                                            <h3 class="font-semibold">RAM Usage</h3>
+                                        </div>
+                                        <div class="panel-body">
+                                            <canvas id="ramChart" style="width: 100%; height: 200px;"></canvas>
+                                            <div id="ramStats" class="mt-2 text-sm text-gray-600"></div>
+                                        </div>
                                     </div>
                                     
                                     <!-- Docker Container RAM Chart -->
-                                    <div class="bg-gray-50 rounded p-4">
-                                        <h3 class="font-semibold mb-2">Docker Container RAM</h3>
-                                        <canvas id="dockerRamChart" style="width: 100%; height: 200px;"></canvas>
-                                        <div id="dockerRamStats" class="mt-2 text-sm text-gray-600"></div>
+                                    <div class="bg-gray-50 rounded p-4" data-panel="dockerRam">
+                                        <div class="panel-header flex justify-between items-center gap-2 mb-2">
+                                            <h3 class="font-semibold">Docker Container RAM</h3>
+                                        </div>
+                                        <div class="panel-body">
+                                            <canvas id="dockerRamChart" style="width: 100%; height: 200px;"></canvas>
+                                            <div id="dockerRamStats" class="mt-2 text-sm text-gray-600"></div>
+                                        </div>
                                     </div>
                                     
                                     <!-- Docker Container CPU Chart -->
-                                    <div class="bg-gray-50 rounded p-4">
-                                        <h3 class="font-semibold mb-2">Docker Container CPU</h3>
-                                        <canvas id="dockerCpuChart" style="width: 100%; height: 200px;"></canvas>
-                                        <div id="dockerCpuStats" class="mt-2 text-sm text-gray-600"></div>
+                                    <div class="bg-gray-50 rounded p-4" data-panel="dockerCpu">
+                                        <div class="panel-header flex justify-between items-center gap-2 mb-2">
+                                            <h3 class="font-semibold">Docker Container CPU</h3>
+                                        </div>
+                                        <div class="panel-body">
+                                            <canvas id="dockerCpuChart" style="width: 100%; height: 200px;"></canvas>
+                                            <div id="dockerCpuStats" class="mt-2 text-sm text-gray-600"></div>
+                                        </div>
                                     </div>
                                     
                                     <!-- CPU Chart -->
-                                    <div class="bg-gray-50 rounded p-4">
-                                        <h3 class="font-semibold mb-2">CPU Usage</h3>
-                                        <canvas id="cpuChart" style="width: 100%; height: 200px;"></canvas>
-                                        <div id="cpuStats" class="mt-2 text-sm text-gray-600"></div>
+                                    <div class="bg-gray-50 rounded p-4" data-panel="cpu">
+                                        <div class="panel-header flex justify-between items-center gap-2 mb-2">
+                                            <h3 class="font-semibold">CPU Usage</h3>
+                                        </div>
+                                        <div class="panel-body">
+                                            <canvas id="cpuChart" style="width: 100%; height: 200px;"></canvas>
+                                            <div id="cpuStats" class="mt-2 text-sm text-gray-600"></div>
+                                        </div>
                                     </div>
                                     
                                     <!-- Network Chart -->
-                                    <div class="bg-gray-50 rounded p-4">
-                                        <h3 class="font-semibold mb-2">Network Bandwidth</h3>
-                                        <canvas id="networkChart" style="width: 100%; height: 200px;"></canvas>
-                                        <div id="networkStats" class="mt-2 text-sm text-gray-600"></div>
+                                    <div class="bg-gray-50 rounded p-4" data-panel="network">
+                                        <div class="panel-header flex justify-between items-center gap-2 mb-2">
+                                            <h3 class="font-semibold">Network Throughput</h3>
+                                            <select id="networkInterface" class="border rounded px-2 py-1 text-sm hidden">
+                                                <option value="">All interfaces</option>
+                                            </select>
+                                        </div>
+                                        <div class="panel-body">
+                                            <canvas id="networkChart" style="width: 100%; height: 200px;"></canvas>
+                                            <div id="networkStats" class="mt-2 text-sm text-gray-600"></div>
+                                            <div id="networkInterfaceStats" class="mt-1 text-xs text-gray-500"></div>
+                                        </div>
                                     </div>
                                     
                                     <!-- Database Latency Chart -->
-                                    <div class="bg-gray-50 rounded p-4">
-                                        <h3 class="font-semibold mb-2">Database Latency</h3>
-                                        <canvas id="latencyChart" style="width: 100%; height: 200px;"></canvas>
-                                        <div id="latencyStats" class="mt-2 text-sm text-gray-600"></div>
+                                    <div class="bg-gray-50 rounded p-4" data-panel="latency">
+                                        <div class="panel-header flex justify-between items-center gap-2 mb-2">
+                                            <h3 class="font-semibold">Database Latency</h3>
+                                        </div>
+                                        <div class="panel-body">
+                                            <canvas id="latencyChart" style="width: 100%; height: 200px;"></canvas>
+                                            <div id="latencyStats" class="mt-2 text-sm text-gray-600"></div>
+                                        </div>
+                                    </div>
+                                    
+                                    <!-- Database Pool Chart -->
+                                    <div class="bg-gray-50 rounded p-4" data-panel="pool">
+                                        <div class="panel-header flex justify-between items-center gap-2 mb-2">
+                                            <h3 class="font-semibold">Database Pool</h3>
+                                        </div>
+                                        <div class="panel-body">
+                                            <div id="poolWarning" class="hidden"></div>
+                                            <canvas id="poolChart" style="width: 100%; height: 200px;"></canvas>
+                                            <div id="poolStats" class="mt-2 text-sm text-gray-600"></div>
+                                        </div>
                                     </div>
                                 </div>
                                 
                                 <!-- Database Connections -->
                                 <div class="mt-6">
                                     <button id="connectionsToggle" class="w-full text-left bg-gray-100 rounded p-3 font-semibold">
-                                        Database Connections (<span id="connectionCount">0</span> active) ▼
+                                        Database Connections (<span id="connectionCount">0</span> active) <span id="connectionsArrow">▼</span>
                                     </button>
                                     <div id="connectionsTable" class="hidden mt-2 overflow-x-auto">
+                                        <div class="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                                            <input type="text" id="processFilterDb" class="border rounded px-2 py-1 w-32" placeholder="Filter DB">
+                                            <input type="text" id="processFilterUser" class="border rounded px-2 py-1 w-32" placeholder="Filter user">
+                                            <select id="processFilterCommand" class="border rounded px-2 py-1">
+                                                <option value="">All commands</option>
+                                            </select>
+                                            <label class="flex items-center gap-1">Slow after
+                                                <input type="number" id="slowQuerySeconds" class="border rounded px-2 py-1 w-16" min="1" step="1"> s
+                                            </label>
+                                            <span id="processSummary" class="ml-auto text-gray-500"></span>
+                                        </div>
                                         <table class="min-w-full bg-white border">
                                             <thead>
                                                 <tr class="bg-gray-100">
-                                                    <th class="px-4 py-2 border">ID</th>
-                                                    <th class="px-4 py-2 border">User</th>
+                                                    <th class="px-2 py-2 border" title="Pinned queries stay on top">📌</th>
+                                                    <th class="px-4 py-2 border cursor-pointer select-none" data-sort="Id">ID<span class="sort-indicator"></span></th>
+                                                    <th class="px-4 py-2 border cursor-pointer select-none" data-sort="User">User<span class="sort-indicator"></span></th>
                                                     <th class="px-4 py-2 border">Host</th>
-                                                    <th class="px-4 py-2 border">DB</th>
-                                                    <th class="px-4 py-2 border">Command</th>
-                                                    <th class="px-4 py-2 border">Time</th>
-                                                    <th class="px-4 py-2 border">State</th>
+                                                    <th class="px-4 py-2 border cursor-pointer select-none" data-sort="db">DB<span class="sort-indicator"></span></th>
+                                                    <th class="px-4 py-2 border cursor-pointer select-none" data-sort="Command">Command<span class="sort-indicator"></span></th>
+                                                    <th class="px-4 py-2 border cursor-pointer select-none" data-sort="Time">Time<span class="sort-indicator"></span></th>
+                                                    <th class="px-4 py-2 border cursor-pointer select-none" data-sort="State">State<span class="sort-indicator"></span></th>
                                                     <th class="px-4 py-2 border">Info</th>
                                                 </tr>
                                             </thead>
@@ -1138,104 +1639,1222 @@ if (file_exists($monitoringJsPath)) {
 
                     // Initialize monitoring module after HTML is loaded
                     if (window.MonitoringModule && typeof window.MonitoringModule.render === 'function') {
-                        await window.MonitoringModule.render(API_BASE);
+                        await window.MonitoringModule.render(API_BASE, {
+                            // Expired or revoked token: back to login like the other pages
+                            onUnauthorized: () => setRoute('login')
+                        });
                     } else {
                         console.error('MonitoringModule not available');
                         content.innerHTML = '<div class="text-center text-red-600">Monitoring module not loaded. Check browser console for errors.</div>';
                     }
                 }
 
-                function renderSchemaDiagram(svg, relationships, tableClasses) {
-                    // Simple schema diagram rendering
+                async function renderSqlConsole() {
+                    // Reset content area styling for normal pages
+                    const appDiv = document.getElementById('app');
+                    appDiv.className = 'flex items-center justify-center p-5';
+                    const contentWrapper = appDiv.querySelector('div');
+                    contentWrapper.className = 'bg-white rounded-xl shadow-2xl max-w-6xl w-full p-10';
+
+                    // Editor: a transparent textarea over the highlighted copy of its text, both in the same font and padding
+                    const editorLayer = 'absolute inset-0 m-0 p-3 font-mono text-sm leading-5 whitespace-pre';
+                    const content = document.getElementById('content');
+                    content.innerHTML = `
+                        <div class="container mx-auto px-4 py-6">
+                            <div class="bg-white rounded-lg shadow-lg p-6">
+                                <div class="flex justify-between items-center mb-4">
+                                    <h1 class="text-2xl font-bold text-gray-800">SQL Console</h1>
+                                    <span class="text-sm text-gray-500">Ctrl+Enter runs the selection or the whole editor · Ctrl+Space suggests tables and columns</span>
+                                </div>
+                                <div class="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                                    <div class="lg:col-span-3 min-w-0">
+                                        <div id="sqlEditor" class="relative h-56 border rounded bg-gray-50 focus-within:border-gemvc-green">
+                                            <pre id="sqlHighlight" aria-hidden="true" class="${editorLayer} overflow-hidden pointer-events-none text-gray-800" style="tab-size: 4"></pre>
+                                            <textarea id="sqlInput" spellcheck="false" wrap="off" autocomplete="off" aria-label="SQL statement"
+                                                      class="${editorLayer} w-full h-full resize-none overflow-auto bg-transparent text-transparent caret-gray-900 border-0 outline-none" style="tab-size: 4"
+                                                      placeholder="SELECT * FROM users LIMIT 10"></textarea>
+                                            <ul id="sqlSuggestions" class="hidden absolute z-10 min-w-[16rem] max-h-56 overflow-y-auto bg-white border rounded shadow-lg text-xs list-none m-0 p-0"></ul>
+                                        </div>
+                                        <div class="flex items-center gap-2 mt-3">
+                                            <button id="sqlRunBtn" class="px-4 py-2 bg-gemvc-green text-white rounded font-medium">▶ Run</button>
+                                            <button id="sqlExplainBtn" class="px-4 py-2 bg-gray-200 rounded font-medium">EXPLAIN</button>
+                                            <button id="sqlClearBtn" class="px-4 py-2 bg-gray-100 text-gray-600 rounded">Clear</button>
+                                            <span id="sqlStatus" class="text-sm text-gray-500"></span>
+                                        </div>
+                                        <div id="sqlConfirm" class="hidden mt-3 p-3 rounded border border-yellow-300 bg-yellow-50" role="alertdialog">
+                                            <p id="sqlConfirmMessage" class="text-sm font-medium text-yellow-900"></p>
+                                            <pre id="sqlConfirmPreview" class="mt-2 p-2 bg-white border rounded text-xs font-mono whitespace-pre-wrap max-h-32 overflow-y-auto"></pre>
+                                            <div class="flex gap-2 mt-2">
+                                                <button id="sqlConfirmRunBtn" class="px-3 py-1 bg-red-600 text-white rounded text-sm">Run</button>
+                                                <button id="sqlConfirmCancelBtn" class="px-3 py-1 bg-gray-200 rounded text-sm">Cancel</button>
+                                            </div>
+                                        </div>
+                                        <div id="sqlMessage" class="hidden"></div>
+                                        <div id="sqlResults" class="hidden mt-4">
+                                            <div id="sqlResultMeta" class="text-sm text-gray-600 mb-2"></div>
+                                            <div class="overflow-x-auto border rounded">
+                                                <table class="min-w-full text-sm">
+                                                    <thead id="sqlResultHead" class="bg-gray-50"></thead>
+                                                    <tbody id="sqlResultBody"></tbody>
+                                                </table>
+                                            </div>
+                                            <div id="sqlResultPager" class="hidden flex items-center justify-end gap-2 mt-2 text-sm">
+                                                <button id="sqlResultPrev" class="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">‹ Prev</button>
+                                                <span id="sqlResultPage" class="text-gray-600"></span>
+                                                <button id="sqlResultNext" class="px-3 py-1 bg-gray-200 rounded disabled:opacity-50">Next ›</button>
+                                            </div>
+                                        </div>
+                                        <div id="sqlExplain" class="hidden mt-4">
+                                            <div id="sqlExplainSummary" class="mb-3"></div>
+                                            <div id="sqlExplainSteps" class="space-y-2"></div>
+                                            <details class="mt-3 text-xs">
+                                                <summary class="cursor-pointer text-gray-600">EXPLAIN output</summary>
+                                                <div class="overflow-x-auto mt-2"><table id="sqlExplainRaw" class="min-w-full"></table></div>
+                                            </details>
+                                        </div>
+                                    </div>
+                                    <aside class="min-w-0">
+                                        <div class="flex items-center justify-between mb-2">
+                                            <h2 class="text-lg font-semibold text-gray-800">History</h2>
+                                            <button id="sqlHistoryClearBtn" class="text-xs text-gray-500 hover:text-red-600 bg-transparent border-0 cursor-pointer">Clear</button>
+                                        </div>
+                                        <input id="sqlHistoryFilter" type="search" placeholder="Filter history" class="w-full border rounded px-2 py-1 text-sm mb-2">
+                                        <ul id="sqlHistoryList" class="space-y-2 max-h-[32rem] overflow-y-auto list-none m-0 p-0"></ul>
+                                    </aside>
+                                </div>
+                            </div>
+                        </div>
+                    `;
+
+                    if (window.SqlConsoleModule && typeof window.SqlConsoleModule.render === 'function') {
+                        // History is kept per account, so each user sees only their own statements
+                        const claims = tokenClaims(token);
+                        await window.SqlConsoleModule.render(API_BASE, {
+                            onUnauthorized: () => setRoute('login'),
+                            user: claims && claims.user_id !== undefined ? (claims.role || 'user') + '-' + claims.user_id : null
+                        });
+                    } else {
+                        console.error('SqlConsoleModule not available');
+                        content.innerHTML = '<div class="text-center text-red-600">SQL console module not loaded. Check browser console for errors.</div>';
+                    }
+                }
+
+                // Schema diagram: box sizes and gaps of the layered layout
+                const SVG_NS = 'http://www.w3.org/2000/svg';
+                const SCHEMA_BOX_WIDTH = 240;
+                const SCHEMA_HEADER_HEIGHT = 28;
+                const SCHEMA_ROW_HEIGHT = 20;
+                const SCHEMA_LAYER_GAP = 120;
+                const SCHEMA_TABLE_GAP = 40;
+                const SCHEMA_POSITIONS_KEY = 'gemvc_schema_positions';
+
+                function svgElement(tag, attributes = {}, text = null) {
+                    const element = document.createElementNS(SVG_NS, tag);
+                    Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+                    if (text !== null) {
+                        element.textContent = text;
+                    }
+                    return element;
+                }
+
+                function truncateLabel(text, max) {
+                    return text.length > max ? text.slice(0, max - 1) + '…' : text;
+                }
+
+                function downloadBlob(blob, filename) {
+                    const url = window.URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = filename;
+                    document.body.appendChild(a);
+                    a.click();
+                    document.body.removeChild(a);
+                    window.URL.revokeObjectURL(url);
+                }
+
+                // Tables with their columns and one edge per foreign key column
+                function buildSchemaModel(schema) {
+                    const classNames = {};
+                    (schema.tableClasses || []).forEach(table => {
+                        classNames[table.tableName] = table.className;
+                    });
+
                     const tables = {};
-                    tableClasses.forEach(table => {
-                        if (table.isMigrated) {
-                            tables[table.tableName] = table;
+                    Object.keys(schema.schemaColumns || {}).forEach(name => {
+                        tables[name] = {
+                            name: name,
+                            className: classNames[name] || null,
+                            columns: schema.schemaColumns[name].map(column => ({
+                                name: String(column.name),
+                                type: String(column.type),
+                                nullable: !!column.nullable,
+                                primary: !!column.primary,
+                                references: null
+                            }))
+                        };
+                    });
+
+                    const edges = [];
+                    Object.keys(schema.relationships || {}).forEach(name => {
+                        (schema.relationships[name] || []).forEach(fk => {
+                            const table = tables[name];
+                            const referenced = tables[fk.referenced_table];
+                            if (!table || !referenced) {
+                                return;
+                            }
+                            const column = table.columns.find(c => c.name === fk.column_name);
+                            if (column) {
+                                column.references = fk.referenced_table + '.' + fk.referenced_column;
+                            }
+                            edges.push({
+                                from: name,
+                                fromColumn: fk.column_name,
+                                to: fk.referenced_table,
+                                toColumn: fk.referenced_column,
+                                constraint: fk.constraint_name
+                            });
+                        });
+                    });
+                    return {tables, edges};
+                }
+
+                function schemaTableHeight(table) {
+                    return SCHEMA_HEADER_HEIGHT + table.columns.length * SCHEMA_ROW_HEIGHT + 8;
+                }
+
+                // Edges between the same two layers cross when their endpoints are in opposite order
+                function countSchemaCrossings(edges, layerOf, position) {
+                    let crossings = 0;
+                    for (let i = 0; i < edges.length; i++) {
+                        for (let j = i + 1; j < edges.length; j++) {
+                            const a = edges[i];
+                            const b = edges[j];
+                            if (layerOf[a[0]] !== layerOf[b[0]] || layerOf[a[1]] !== layerOf[b[1]]) {
+                                continue;
+                            }
+                            if ((position[a[0]] - position[b[0]]) * (position[a[1]] - position[b[1]]) < 0) {
+                                crossings++;
+                            }
+                        }
+                    }
+                    return crossings;
+                }
+
+                // Layered layout: referenced tables sit left of the tables pointing at them, and the
+                // order inside each layer comes from barycenter sweeps keeping the fewest crossings.
+                // Tables without relationships are stacked in columns after the last layer.
+                function layoutSchema(model) {
+                    const names = Object.keys(model.tables);
+                    const references = {};
+                    const neighbours = {};
+                    names.forEach(name => {
+                        references[name] = [];
+                        neighbours[name] = new Set();
+                    });
+                    const links = [];
+                    model.edges.forEach(edge => {
+                        if (edge.from === edge.to) {
+                            return;
                         }
+                        references[edge.from].push(edge.to);
+                        neighbours[edge.from].add(edge.to);
+                        neighbours[edge.to].add(edge.from);
+                        links.push([edge.to, edge.from]);
                     });
 
-                    // Clear existing content
+                    const layerOf = {};
+                    const visiting = new Set();
+                    const assignLayer = name => {
+                        if (layerOf[name] !== undefined) {
+                            return layerOf[name];
+                        }
+                        if (visiting.has(name)) {
+                            return 0; // Reference cycle: break it here
+                        }
+                        visiting.add(name);
+                        layerOf[name] = 1 + Math.max(-1, ...references[name].map(assignLayer));
+                        visiting.delete(name);
+                        return layerOf[name];
+                    };
+                    const connected = names.filter(name => neighbours[name].size > 0);
+                    const isolated = names.filter(name => neighbours[name].size === 0);
+                    connected.forEach(assignLayer);
+
+                    let layers = [];
+                    connected.forEach(name => {
+                        (layers[layerOf[name]] = layers[layerOf[name]] || []).push(name);
+                    });
+                    layers = layers.filter(Boolean);
+                    layers.forEach((layer, index) => layer.forEach(name => {
+                        layerOf[name] = index;
+                    }));
+                    // Links always point from the lower layer to the higher one
+                    links.forEach(link => {
+                        if (layerOf[link[0]] > layerOf[link[1]]) {
+                            link.reverse();
+                        }
+                    });
+
+                    const position = {};
+                    const indexLayers = () => layers.forEach(layer => layer.forEach((name, i) => {
+                        position[name] = (i + 0.5) / layer.length;
+                    }));
+                    indexLayers();
+                    let best = layers.map(layer => layer.slice());
+                    let bestCrossings = countSchemaCrossings(links, layerOf, position);
+                    for (let sweep = 0; sweep < 8 && bestCrossings > 0; sweep++) {
+                        const forward = sweep % 2 === 0;
+                        const sequence = layers.map((layer, i) => i);
+                        if (!forward) {
+                            sequence.reverse();
+                        }
+                        sequence.forEach(li => {
+                            const barycenter = {};
+                            layers[li].forEach(name => {
+                                const fixed = Array.from(neighbours[name]).filter(other => forward ? layerOf[other] < li : layerOf[other] > li);
+                                barycenter[name] = fixed.length > 0
+                                    ? fixed.reduce((sum, other) => sum + position[other], 0) / fixed.length
+                                    : position[name];
+                            });
+                            layers[li].sort((a, b) => barycenter[a] - barycenter[b]);
+                            indexLayers();
+                        });
+                        const crossings = countSchemaCrossings(links, layerOf, position);
+                        if (crossings < bestCrossings) {
+                            best = layers.map(layer => layer.slice());
+                            bestCrossings = crossings;
+                        }
+                    }
+
+                    // Columns of tables, each centred against the tallest one
+                    const columns = best.slice();
+                    const columnHeight = column => column.reduce((sum, name) => sum + schemaTableHeight(model.tables[name]) + SCHEMA_TABLE_GAP, -SCHEMA_TABLE_GAP);
+                    const maxHeight = Math.max(600, ...columns.map(columnHeight));
+                    let column = [];
+                    isolated.forEach(name => {
+                        if (column.length > 0 && columnHeight(column.concat(name)) > maxHeight) {
+                            columns.push(column);
+                            column = [];
+                        }
+                        column.push(name);
+                    });
+                    if (column.length > 0) {
+                        columns.push(column);
+                    }
+
+                    const tallest = Math.max(...columns.map(columnHeight));
+                    const positions = {};
+                    columns.forEach((names, ci) => {
+                        let y = (tallest - columnHeight(names)) / 2;
+                        names.forEach(name => {
+                            positions[name] = {x: ci * (SCHEMA_BOX_WIDTH + SCHEMA_LAYER_GAP), y: Math.round(y)};
+                            y += schemaTableHeight(model.tables[name]) + SCHEMA_TABLE_GAP;
+                        });
+                    });
+                    return positions;
+                }
+
+                function loadSchemaPositions() {
+                    try {
+                        const saved = JSON.parse(localStorage.getItem(SCHEMA_POSITIONS_KEY) || '{}');
+                        return saved && typeof saved === 'object' ? saved : {};
+                    } catch (e) {
+                        return {};
+                    }
+                }
+
+                function openSchemaTable(tableName) {
+                    setRoute(routePath('database', tableName));
+                }
+
+                function renderSchemaDiagram(svg, schema) {
+                    const model = buildSchemaModel(schema);
                     svg.innerHTML = '';
-                    
-                    // Add arrow marker definition
-                    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-                    const marker = document.createElementNS('http://www.w3.org/2000/svg', 'marker');
-                    marker.setAttribute('id', 'arrowhead');
-                    marker.setAttribute('markerWidth', '10');
-                    marker.setAttribute('markerHeight', '10');
-                    marker.setAttribute('refX', '9');
-                    marker.setAttribute('refY', '3');
-                    marker.setAttribute('orient', 'auto');
-                    const polygon = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
-                    polygon.setAttribute('points', '0 0, 10 3, 0 6');
-                    polygon.setAttribute('fill', '#3b82f6');
-                    marker.appendChild(polygon);
+                    const names = Object.keys(model.tables);
+                    if (names.length === 0) {
+                        svg.appendChild(svgElement('text', {x: 20, y: 30, 'font-family': 'sans-serif', 'font-size': '14', fill: '#6b7280'}, 'No tables in the database yet.'));
+                        return;
+                    }
+
+                    // Moved tables keep their place; new tables get the automatic position
+                    const autoPositions = layoutSchema(model);
+                    const saved = loadSchemaPositions();
+                    const positions = {};
+                    names.forEach(name => {
+                        const position = saved[name];
+                        positions[name] = position && isFinite(position.x) && isFinite(position.y)
+                            ? {x: position.x, y: position.y}
+                            : Object.assign({}, autoPositions[name]);
+                    });
+                    const view = {x: 0, y: 0, k: 1};
+
+                    // Arrow marker at the referenced column
+                    const defs = svgElement('defs');
+                    const marker = svgElement('marker', {id: 'arrowhead', markerWidth: '10', markerHeight: '10', refX: '9', refY: '3', orient: 'auto'});
+                    marker.appendChild(svgElement('polygon', {points: '0 0, 10 3, 0 6', fill: '#3b82f6'}));
                     defs.appendChild(marker);
                     svg.appendChild(defs);
-                    
-                    let y = 30;
-                    let x = 20;
-                    const boxWidth = 200;
-                    const boxHeight = 60;
-                    const spacing = 250;
-                    let row = 0;
-                    let col = 0;
-                    const colsPerRow = 3;
-
-                    Object.keys(relationships).forEach((tableName, index) => {
-                        if (col >= colsPerRow) {
-                            col = 0;
-                            row++;
+
+                    const viewport = svgElement('g', {'data-role': 'viewport'});
+                    const edgeLayer = svgElement('g');
+                    const tableLayer = svgElement('g');
+                    viewport.appendChild(edgeLayer);
+                    viewport.appendChild(tableLayer);
+                    svg.appendChild(viewport);
+
+                    // Table boxes: header with the table name, then one row per column with PK/FK markers
+                    const boxes = {};
+                    names.forEach(name => {
+                        const table = model.tables[name];
+                        const height = schemaTableHeight(table);
+                        const box = svgElement('g', {'data-table': name, cursor: 'pointer'});
+                        box.appendChild(svgElement('title', {}, (table.className ? table.className + ' · ' : '') + 'click to open ' + name));
+                        box.appendChild(svgElement('rect', {
+                            width: SCHEMA_BOX_WIDTH, height: height, rx: '5',
+                            fill: '#ffffff', stroke: table.className ? '#10b981' : '#9ca3af', 'stroke-width': '2'
+                        }));
+                        box.appendChild(svgElement('path', {
+                            d: `M0 ${SCHEMA_HEADER_HEIGHT} V5 Q0 0 5 0 H${SCHEMA_BOX_WIDTH - 5} Q${SCHEMA_BOX_WIDTH} 0 ${SCHEMA_BOX_WIDTH} 5 V${SCHEMA_HEADER_HEIGHT} Z`,
+                            fill: table.className ? '#10b981' : '#9ca3af'
+                        }));
+                        box.appendChild(svgElement('text', {
+                            x: '10', y: '19', 'font-family': 'monospace', 'font-size': '13', 'font-weight': 'bold', fill: '#ffffff'
+                        }, truncateLabel(name, 28)));
+
+                        table.columns.forEach((column, i) => {
+                            const y = SCHEMA_HEADER_HEIGHT + i * SCHEMA_ROW_HEIGHT + 15;
+                            const row = svgElement('g');
+                            row.appendChild(svgElement('title', {}, `${column.name} ${column.type}${column.nullable ? ' NULL' : ' NOT NULL'}${column.primary ? ' · primary key' : ''}${column.references ? ' → ' + column.references : ''}`));
+                            const markers = [column.primary ? 'PK' : null, column.references ? 'FK' : null].filter(Boolean);
+                            if (markers.length > 0) {
+                                row.appendChild(svgElement('text', {
+                                    x: '8', y: y, 'font-family': 'monospace', 'font-size': markers.length > 1 ? '8' : '10', 'font-weight': 'bold',
+                                    fill: column.primary ? '#b45309' : '#2563eb'
+                                }, markers.join(' ')));
+                            }
+                            row.appendChild(svgElement('text', {
+                                x: '40', y: y, 'font-family': 'monospace', 'font-size': '11',
+                                'font-weight': column.primary ? 'bold' : 'normal', fill: '#1f2937'
+                            }, truncateLabel(column.name + (column.nullable ? '?' : ''), 16)));
+                            row.appendChild(svgElement('text', {
+                                x: SCHEMA_BOX_WIDTH - 8, y: y, 'text-anchor': 'end', 'font-family': 'monospace', 'font-size': '10', fill: '#6b7280'
+                            }, truncateLabel(column.type, 16)));
+                            box.appendChild(row);
+                        });
+                        tableLayer.appendChild(box);
+                        boxes[name] = box;
+                    });
+
+                    const columnY = (name, columnName) => {
+                        const index = model.tables[name].columns.findIndex(c => c.name === columnName);
+                        return positions[name].y + SCHEMA_HEADER_HEIGHT + Math.max(0, index) * SCHEMA_ROW_HEIGHT + SCHEMA_ROW_HEIGHT / 2 + 2;
+                    };
+
+                    // Curves from the foreign key column to the referenced column, on the facing sides
+                    const drawEdges = () => {
+                        edgeLayer.innerHTML = '';
+                        model.edges.forEach(edge => {
+                            const from = positions[edge.from];
+                            const to = positions[edge.to];
+                            const y1 = columnY(edge.from, edge.fromColumn);
+                            const y2 = columnY(edge.to, edge.toColumn);
+                            let d;
+                            if (edge.from === edge.to) {
+                                const x = from.x + SCHEMA_BOX_WIDTH;
+                                d = `M${x} ${y1} C${x + 50} ${y1}, ${x + 50} ${y2}, ${x} ${y2}`;
+                            } else {
+                                const rightwards = from.x + SCHEMA_BOX_WIDTH / 2 < to.x + SCHEMA_BOX_WIDTH / 2;
+                                const x1 = rightwards ? from.x + SCHEMA_BOX_WIDTH : from.x;
+                                const x2 = rightwards ? to.x : to.x + SCHEMA_BOX_WIDTH;
+                                const bend = Math.max(40, Math.abs(x2 - x1) / 2) * (rightwards ? 1 : -1);
+                                d = `M${x1} ${y1} C${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`;
+                            }
+                            const path = svgElement('path', {
+                                d: d, fill: 'none', stroke: '#3b82f6', 'stroke-width': '1.5', 'marker-end': 'url(#arrowhead)',
+                                'data-from': edge.from, 'data-to': edge.to
+                            });
+                            path.appendChild(svgElement('title', {}, `${edge.from}.${edge.fromColumn} → ${edge.to}.${edge.toColumn} (${edge.constraint})`));
+                            edgeLayer.appendChild(path);
+                        });
+                    };
+
+                    const placeBox = name => {
+                        boxes[name].setAttribute('transform', `translate(${positions[name].x} ${positions[name].y})`);
+                    };
+                    const applyView = () => {
+                        viewport.setAttribute('transform', `translate(${view.x} ${view.y}) scale(${view.k})`);
+                    };
+                    const bounds = () => {
+                        const boxesBounds = names.map(name => ({
+                            left: positions[name].x,
+                            top: positions[name].y,
+                            right: positions[name].x + SCHEMA_BOX_WIDTH,
+                            bottom: positions[name].y + schemaTableHeight(model.tables[name])
+                        }));
+                        const left = Math.min(...boxesBounds.map(b => b.left)) - 20;
+                        const top = Math.min(...boxesBounds.map(b => b.top)) - 20;
+                        // Room for self-reference loops on the right
+                        const right = Math.max(...boxesBounds.map(b => b.right)) + 60;
+                        const bottom = Math.max(...boxesBounds.map(b => b.bottom)) + 20;
+                        return {x: left, y: top, width: right - left, height: bottom - top};
+                    };
+                    const zoomAt = (factor, px, py) => {
+                        const k = Math.min(3, Math.max(0.2, view.k * factor));
+                        view.x = px - (px - view.x) * (k / view.k);
+                        view.y = py - (py - view.y) * (k / view.k);
+                        view.k = k;
+                        applyView();
+                    };
+                    const fit = () => {
+                        const rect = svg.getBoundingClientRect();
+                        const width = rect.width || 800;
+                        const height = rect.height || 560;
+                        const area = bounds();
+                        view.k = Math.min(1, Math.max(0.2, Math.min(width / area.width, height / area.height)));
+                        view.x = (width - area.width * view.k) / 2 - area.x * view.k;
+                        view.y = (height - area.height * view.k) / 2 - area.y * view.k;
+                        applyView();
+                    };
+
+                    names.forEach(placeBox);
+                    drawEdges();
+                    fit();
+
+                    // Pointer: drag the background to pan, drag a table to move it, click a table to open it
+                    let drag = null;
+                    svg.addEventListener('pointerdown', (e) => {
+                        if (e.button !== 0) {
+                            return;
                         }
-                        
-                        x = 20 + (col * spacing);
-                        y = 30 + (row * (boxHeight + 80));
-                        
-                        // Draw table box
-                        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-                        rect.setAttribute('x', x);
-                        rect.setAttribute('y', y);
-                        rect.setAttribute('width', boxWidth);
-                        rect.setAttribute('height', boxHeight);
-                        rect.setAttribute('fill', '#f3f4f6');
-                        rect.setAttribute('stroke', '#10b981');
-                        rect.setAttribute('stroke-width', '2');
-                        rect.setAttribute('rx', '5');
-                        svg.appendChild(rect);
-                        
-                        // Table name
-                        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                        text.setAttribute('x', x + 10);
-                        text.setAttribute('y', y + 25);
-                        text.setAttribute('font-family', 'monospace');
-                        text.setAttribute('font-size', '14');
-                        text.setAttribute('font-weight', 'bold');
-                        text.setAttribute('fill', '#1f2937');
-                        text.textContent = tableName;
-                        svg.appendChild(text);
-                        
-                        // Foreign keys count
-                        const fkText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-                        fkText.setAttribute('x', x + 10);
-                        fkText.setAttribute('y', y + 45);
-                        fkText.setAttribute('font-family', 'monospace');
-                        fkText.setAttribute('font-size', '10');
-                        fkText.setAttribute('fill', '#6b7280');
-                        const fkCount = relationships[tableName].length;
-                        fkText.textContent = fkCount + ' foreign key' + (fkCount !== 1 ? 's' : '');
-                        svg.appendChild(fkText);
-                        
-                        col++;
+                        const box = e.target.closest('[data-table]');
+                        const table = box ? box.getAttribute('data-table') : null;
+                        drag = {
+                            table: table,
+                            startX: e.clientX,
+                            startY: e.clientY,
+                            origin: table ? Object.assign({}, positions[table]) : {x: view.x, y: view.y},
+                            moved: false
+                        };
+                        if (svg.setPointerCapture) {
+                            svg.setPointerCapture(e.pointerId);
+                        }
+                        svg.style.cursor = 'grabbing';
                     });
-                    
-                    // Update SVG size
-                    const totalHeight = 30 + ((row + 1) * (boxHeight + 80));
-                    svg.setAttribute('height', totalHeight.toString());
+                    svg.addEventListener('pointermove', (e) => {
+                        if (!drag) {
+                            return;
+                        }
+                        const dx = e.clientX - drag.startX;
+                        const dy = e.clientY - drag.startY;
+                        if (Math.abs(dx) + Math.abs(dy) > 3) {
+                            drag.moved = true;
+                        }
+                        if (!drag.moved) {
+                            return;
+                        }
+                        if (drag.table) {
+                            positions[drag.table] = {x: Math.round(drag.origin.x + dx / view.k), y: Math.round(drag.origin.y + dy / view.k)};
+                            placeBox(drag.table);
+                            drawEdges();
+                        } else {
+                            view.x = drag.origin.x + dx;
+                            view.y = drag.origin.y + dy;
+                            applyView();
+                        }
+                    });
+                    const endDrag = (e) => {
+                        if (!drag) {
+                            return;
+                        }
+                        const finished = drag;
+                        drag = null;
+                        svg.style.cursor = 'grab';
+                        if (e.type !== 'pointerup' || !finished.table) {
+                            return;
+                        }
+                        if (finished.moved) {
+                            const moved = loadSchemaPositions();
+                            moved[finished.table] = positions[finished.table];
+                            localStorage.setItem(SCHEMA_POSITIONS_KEY, JSON.stringify(moved));
+                        } else {
+                            openSchemaTable(finished.table);
+                        }
+                    };
+                    svg.addEventListener('pointerup', endDrag);
+                    svg.addEventListener('pointercancel', endDrag);
+                    svg.addEventListener('wheel', (e) => {
+                        e.preventDefault();
+                        const rect = svg.getBoundingClientRect();
+                        zoomAt(e.deltaY < 0 ? 1.1 : 1 / 1.1, e.clientX - rect.left, e.clientY - rect.top);
+                    }, {passive: false});
+
+                    // Toolbar
+                    const onClick = (id, handler) => {
+                        const button = document.getElementById(id);
+                        if (button) {
+                            button.onclick = handler;
+                        }
+                    };
+                    const zoomCentre = factor => {
+                        const rect = svg.getBoundingClientRect();
+                        zoomAt(factor, (rect.width || 800) / 2, (rect.height || 560) / 2);
+                    };
+                    onClick('schemaZoomInBtn', () => zoomCentre(1.25));
+                    onClick('schemaZoomOutBtn', () => zoomCentre(1 / 1.25));
+                    onClick('schemaFitBtn', fit);
+                    onClick('schemaAutoLayoutBtn', () => {
+                        localStorage.removeItem(SCHEMA_POSITIONS_KEY);
+                        names.forEach(name => {
+                            positions[name] = Object.assign({}, autoPositions[name]);
+                            placeBox(name);
+                        });
+                        drawEdges();
+                        fit();
+                    });
+
+                    // Export the whole diagram, not just the visible part, on a white background
+                    const exportMarkup = () => {
+                        const area = bounds();
+                        const clone = svg.cloneNode(true);
+                        clone.setAttribute('width', area.width);
+                        clone.setAttribute('height', area.height);
+                        clone.setAttribute('viewBox', `${area.x} ${area.y} ${area.width} ${area.height}`);
+                        clone.removeAttribute('style');
+                        clone.removeAttribute('id');
+                        clone.querySelector('[data-role="viewport"]').removeAttribute('transform');
+                        clone.insertBefore(svgElement('rect', {x: area.x, y: area.y, width: area.width, height: area.height, fill: '#ffffff'}), clone.querySelector('[data-role="viewport"]'));
+                        return {markup: new XMLSerializer().serializeToString(clone), width: area.width, height: area.height};
+                    };
+                    const exportName = extension => 'schema_' + new Date().toISOString().slice(0, 10) + '.' + extension;
+                    onClick('schemaExportSvgBtn', () => {
+                        downloadBlob(new Blob([exportMarkup().markup], {type: 'image/svg+xml'}), exportName('svg'));
+                    });
+                    onClick('schemaExportPngBtn', () => {
+                        const exported = exportMarkup();
+                        const url = window.URL.createObjectURL(new Blob([exported.markup], {type: 'image/svg+xml'}));
+                        const image = new Image();
+                        image.onload = () => {
+                            // Twice the size so the PNG stays sharp in documents
+                            const canvas = document.createElement('canvas');
+                            canvas.width = Math.ceil(exported.width * 2);
+                            canvas.height = Math.ceil(exported.height * 2);
+                            const ctx = canvas.getContext('2d');
+                            ctx.scale(2, 2);
+                            ctx.drawImage(image, 0, 0);
+                            window.URL.revokeObjectURL(url);
+                            canvas.toBlob(blob => {
+                                if (blob) {
+                                    downloadBlob(blob, exportName('png'));
+                                } else {
+                                    alert('PNG export failed');
+                                }
+                            }, 'image/png');
+                        };
+                        image.onerror = () => {
+                            window.URL.revokeObjectURL(url);
+                            alert('PNG export failed');
+                        };
+                        image.src = url;
+                    });
+                }
+
+                // Data grid on the database page: paging, sorting and filtering happen on the server
+                const GRID_READONLY_KEY = 'gemvc_grid_readonly';
+                const GRID_PER_PAGE_KEY = 'gemvc_grid_per_page';
+                const GRID_FILTER_DELAY_MS = 400;
+
+                // Editor kind of a column, derived from its MySQL column type
+                function gridColumnKind(column) {
+                    const type = column.type.toLowerCase();
+                    if (column.binary) return 'binary';
+                    if (type === 'tinyint(1)' || type.startsWith('bool')) return 'boolean';
+                    if (/^(tinyint|smallint|mediumint|int|integer|bigint|year)\b/.test(type)) return 'integer';
+                    if (/^(decimal|numeric|float|double|real)\b/.test(type)) return 'decimal';
+                    if (type.startsWith('datetime') || type.startsWith('timestamp')) return 'datetime';
+                    if (type === 'date') return 'date';
+                    if (type.startsWith('time')) return 'time';
+                    if (type.startsWith('enum(')) return 'enum';
+                    if (/text$|^json/.test(type)) return 'text';
+                    return 'string';
+                }
+
+                // Values of enum('a','b'); quotes inside a value are doubled
+                function gridEnumOptions(column) {
+                    const body = column.type.slice(column.type.indexOf('(') + 1, column.type.lastIndexOf(')'));
+                    return (body.match(/'((?:[^']|'')*)'/g) || []).map(option => option.slice(1, -1).replace(/''/g, "'"));
+                }
+
+                function gridValue(value) {
+                    return value === null || value === undefined ? null : String(value);
+                }
+
+                // Type-aware cell editor; value() returns the new text, or null for NULL
+                function createGridEditor(column, value) {
+                    const kind = gridColumnKind(column);
+                    value = gridValue(value);
+                    let input;
+                    if (kind === 'enum') {
+                        input = document.createElement('select');
+                        gridEnumOptions(column).forEach(option => {
+                            input.appendChild(new Option(option, option, false, option === value));
+                        });
+                    } else if (kind === 'text') {
+                        input = document.createElement('textarea');
+                        input.rows = 3;
+                        input.value = value || '';
+                    } else {
+                        input = document.createElement('input');
+                        if (kind === 'boolean') {
+                            input.type = 'checkbox';
+                            input.checked = value !== null && value !== '0';
+                        } else if (kind === 'integer' || kind === 'decimal') {
+                            input.type = 'number';
+                            input.step = kind === 'integer' ? '1' : 'any';
+                        } else if (kind === 'date' && (value === null || /^\d{4}-\d{2}-\d{2}$/.test(value))) {
+                            input.type = 'date';
+                        } else if (kind === 'datetime' && (value === null || /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value))) {
+                            input.type = 'datetime-local';
+                            input.step = '1';
+                        } else if (kind === 'time' && (value === null || /^\d{2}:\d{2}:\d{2}$/.test(value))) {
+                            input.type = 'time';
+                            input.step = '1';
+                        } else {
+                            // Also the fallback for zero dates and other values a date picker cannot show
+                            input.type = 'text';
+                            const length = column.type.match(/^(?:var)?char\((\d+)\)/i);
+                            if (length) input.maxLength = Number(length[1]);
+                        }
+                        if (kind !== 'boolean') {
+                            input.value = value === null ? '' : (input.type === 'datetime-local' ? value.replace(' ', 'T') : value);
+                        }
+                    }
+                    input.className = kind === 'boolean'
+                        ? 'accent-gemvc-green'
+                        : 'w-full min-w-[8rem] border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-gemvc-green';
+
+                    const element = document.createElement('div');
+                    element.className = 'flex items-center gap-2';
+                    element.appendChild(input);
+
+                    // Nullable columns get a NULL switch next to the editor
+                    let nullBox = null;
+                    if (column.nullable) {
+                        const label = document.createElement('label');
+                        label.className = 'flex items-center gap-1 text-xs text-gray-500 whitespace-nowrap';
+                        nullBox = document.createElement('input');
+                        nullBox.type = 'checkbox';
+                        nullBox.checked = value === null;
+                        input.disabled = value === null;
+                        nullBox.addEventListener('change', () => {
+                            // Keep the focus inside the editor so a cell editor does not save on blur
+                            if (nullBox.checked) nullBox.focus();
+                            input.disabled = nullBox.checked;
+                            if (!nullBox.checked) input.focus();
+                        });
+                        label.addEventListener('mousedown', (e) => {
+                            if (e.target !== nullBox) e.preventDefault();
+                        });
+                        label.appendChild(nullBox);
+                        label.appendChild(document.createTextNode('NULL'));
+                        element.appendChild(label);
+                    }
+
+                    return {
+                        element: element,
+                        input: input,
+                        setDisabled: (disabled) => {
+                            input.disabled = disabled || (nullBox !== null && nullBox.checked);
+                            if (nullBox) nullBox.disabled = disabled;
+                        },
+                        value: () => {
+                            if (nullBox && nullBox.checked) return null;
+                            if (kind === 'boolean') return input.checked ? '1' : '0';
+                            if (input.type === 'datetime-local') {
+                                const text = input.value.replace('T', ' ');
+                                return text.length === 16 ? text + ':00' : text;
+                            }
+                            return input.value;
+                        }
+                    };
+                }
+
+                // Row keys and values with their strings base64-encoded (UTF-8), so the request
+                // layer's trimming and HTML-encoding cannot change them on the way to the server
+                function gridEncode(values) {
+                    const encoded = {};
+                    Object.keys(values).forEach(name => {
+                        const value = values[name];
+                        if (typeof value !== 'string') {
+                            encoded[name] = value;
+                            return;
+                        }
+                        let binary = '';
+                        new TextEncoder().encode(value).forEach(byte => {
+                            binary += String.fromCharCode(byte);
+                        });
+                        encoded[name] = btoa(binary);
+                    });
+                    return encoded;
+                }
+
+                // JSON call to a GemvcAssistant endpoint; resolves with the response data
+                async function gridRequest(endpoint, body = null) {
+                    const options = {headers: {'Content-Type': 'application/json'}};
+                    if (body !== null) {
+                        options.method = 'POST';
+                        options.body = JSON.stringify(body);
+                    }
+                    const response = await fetch(API_BASE + '/GemvcAssistant/' + endpoint, options);
+                    let data = null;
+                    try {
+                        data = await response.json();
+                    } catch (e) {
+                        // Not JSON, reported below with the status text
+                    }
+                    if (!response.ok || !data || data.response_code !== 200) {
+                        throw new Error((data && (data.service_message || data.message)) || response.statusText || 'Request failed');
+                    }
+                    return data.data;
+                }
+
+                function renderDataGrid(container, tableName) {
+                    const head = container.querySelector('#gridHead');
+                    const body = container.querySelector('#gridBody');
+                    const message = container.querySelector('#gridMessage');
+                    const readOnlyBox = container.querySelector('#gridReadOnly');
+                    const addRowBtn = container.querySelector('#gridAddRowBtn');
+                    const insertForm = container.querySelector('#gridInsertForm');
+                    const insertFields = container.querySelector('#gridInsertFields');
+                    const perPageSelect = container.querySelector('#gridPerPage');
+                    const prevBtn = container.querySelector('#gridPrevBtn');
+                    const nextBtn = container.querySelector('#gridNextBtn');
+
+                    const state = {
+                        page: 1,
+                        perPage: Number(localStorage.getItem(GRID_PER_PAGE_KEY)) || 25,
+                        sort: '',
+                        direction: 'asc',
+                        filters: {},
+                        // Read-only unless switched off before; the grid edits live data
+                        readOnly: localStorage.getItem(GRID_READONLY_KEY) !== 'false',
+                        columns: [],
+                        primaryKey: [],
+                        rows: [],
+                        total: 0,
+                        requestId: 0
+                    };
+                    let filterTimer = null;
+                    let messageTimer = null;
+                    let insertEditors = null;
+
+                    function showMessage(text, isError = false) {
+                        clearTimeout(messageTimer);
+                        message.textContent = text;
+                        message.className = 'border-l-4 p-3 rounded mb-4 text-sm ' + (isError
+                            ? 'bg-red-50 border-red-500 text-red-800'
+                            : 'bg-green-50 border-green-500 text-green-800');
+                        if (!isError) {
+                            messageTimer = setTimeout(() => message.classList.add('hidden'), 3000);
+                        }
+                    }
+
+                    function hideMessage() {
+                        clearTimeout(messageTimer);
+                        message.classList.add('hidden');
+                    }
+
+                    // Rows are only identifiable (and so editable) through a primary key
+                    function canEdit() {
+                        return !state.readOnly && state.primaryKey.length > 0;
+                    }
+
+                    function rowKey(row) {
+                        const key = {};
+                        state.primaryKey.forEach(name => {
+                            key[name] = row[name];
+                        });
+                        return key;
+                    }
+
+                    async function load() {
+                        const requestId = ++state.requestId;
+                        const params = new URLSearchParams({
+                            table: tableName,
+                            page: state.page,
+                            perPage: state.perPage,
+                            sort: state.sort,
+                            dir: state.direction
+                        });
+                        Object.keys(state.filters).forEach(name => {
+                            if (state.filters[name] !== '') params.append('filter[' + name + ']', state.filters[name]);
+                        });
+                        try {
+                            const data = await gridRequest('tableRows?' + params.toString());
+                            // A newer request or another page took over meanwhile
+                            if (requestId !== state.requestId || !container.isConnected) return;
+                            const lastPage = Math.max(1, Math.ceil(data.total / data.perPage));
+                            if (data.page > lastPage) {
+                                // Rows were removed or filtered away; show the last page that has any
+                                state.page = lastPage;
+                                await load();
+                                return;
+                            }
+                            const firstLoad = state.columns.length === 0;
+                            state.columns = data.columns;
+                            state.primaryKey = data.primaryKey;
+                            state.rows = data.rows;
+                            state.total = data.total;
+                            if (firstLoad) {
+                                renderHead();
+                                if (state.primaryKey.length === 0) {
+                                    // Binary key values are not sent to the grid, so they cannot identify a row either
+                                    const binaryKey = state.columns.some(column => column.primary && column.binary);
+                                    showMessage(`This table has ${binaryKey ? 'a binary' : 'no'} primary key. Rows can be inserted but not edited or deleted.`, true);
+                                }
+                            }
+                            renderSortState();
+                            renderBody();
+                            renderPager();
+                        } catch (error) {
+                            if (requestId !== state.requestId || !container.isConnected) return;
+                            console.error('Error loading table rows:', error);
+                            showMessage(error.message, true);
+                        }
+                    }
+
+                    // Column titles sort on click (ascending, descending, off); the second row holds the filters
+                    function renderHead() {
+                        head.innerHTML = '';
+                        const titles = document.createElement('tr');
+                        const filters = document.createElement('tr');
+                        filters.className = 'bg-gray-50';
+                        const actions = document.createElement('th');
+                        actions.className = 'grid-actions w-px';
+                        titles.appendChild(actions);
+                        filters.appendChild(actions.cloneNode());
+
+                        state.columns.forEach(column => {
+                            const th = document.createElement('th');
+                            th.className = 'px-4 py-2 text-left text-xs font-medium text-gray-700 uppercase tracking-wider whitespace-nowrap cursor-pointer select-none hover:bg-gray-200';
+                            th.dataset.column = column.name;
+                            th.title = column.type + (column.nullable ? ', nullable' : '');
+                            if (column.primary) {
+                                const badge = document.createElement('span');
+                                badge.className = 'mr-1 px-1 rounded bg-yellow-100 text-yellow-800 normal-case';
+                                badge.textContent = 'PK';
+                                th.appendChild(badge);
+                            }
+                            th.appendChild(document.createTextNode(column.name));
+                            const arrow = document.createElement('span');
+                            arrow.className = 'sort-arrow ml-1 text-gemvc-green';
+                            th.appendChild(arrow);
+                            th.addEventListener('click', () => {
+                                if (state.sort !== column.name) {
+                                    state.sort = column.name;
+                                    state.direction = 'asc';
+                                } else if (state.direction === 'asc') {
+                                    state.direction = 'desc';
+                                } else {
+                                    state.sort = '';
+                                    state.direction = 'asc';
+                                }
+                                state.page = 1;
+                                load();
+                            });
+                            titles.appendChild(th);
+
+                            const cell = document.createElement('th');
+                            cell.className = 'px-2 py-1';
+                            const filter = document.createElement('input');
+                            filter.type = 'search';
+                            filter.placeholder = 'Filter';
+                            filter.dataset.column = column.name;
+                            filter.className = 'w-full min-w-[6rem] border border-gray-300 rounded px-2 py-1 text-xs font-normal focus:outline-none focus:ring-1 focus:ring-gemvc-green';
+                            filter.value = state.filters[column.name] || '';
+                            filter.disabled = column.binary;
+                            filter.addEventListener('input', () => {
+                                state.filters[column.name] = filter.value;
+                                clearTimeout(filterTimer);
+                                filterTimer = setTimeout(() => {
+                                    state.page = 1;
+                                    load();
+                                }, GRID_FILTER_DELAY_MS);
+                            });
+                            cell.appendChild(filter);
+                            filters.appendChild(cell);
+                        });
+
+                        head.appendChild(titles);
+                        head.appendChild(filters);
+                        renderActionsVisibility();
+                    }
+
+                    function renderSortState() {
+                        head.querySelectorAll('th[data-column]').forEach(th => {
+                            const sorted = th.dataset.column === state.sort;
+                            th.querySelector('.sort-arrow').textContent = sorted ? (state.direction === 'asc' ? '▲' : '▼') : '';
+                            th.setAttribute('aria-sort', sorted ? (state.direction === 'asc' ? 'ascending' : 'descending') : 'none');
+                        });
+                    }
+
+                    // The delete column only shows while rows can be edited
+                    function renderActionsVisibility() {
+                        container.querySelectorAll('.grid-actions').forEach(cell => {
+                            cell.classList.toggle('hidden', !canEdit());
+                        });
+                        addRowBtn.disabled = state.readOnly || state.columns.length === 0;
+                        if (state.readOnly) closeInsertForm();
+                    }
+
+                    function renderBody() {
+                        body.innerHTML = '';
+                        if (state.rows.length === 0) {
+                            const tr = document.createElement('tr');
+                            const td = document.createElement('td');
+                            td.colSpan = state.columns.length + 1;
+                            td.className = 'px-4 py-6 text-center text-gray-500';
+                            td.textContent = Object.values(state.filters).some(Boolean) ? 'No rows match the filters.' : 'This table is empty.';
+                            tr.appendChild(td);
+                            body.appendChild(tr);
+                            return;
+                        }
+                        state.rows.forEach((row, index) => body.appendChild(renderRow(row, index)));
+                        renderActionsVisibility();
+                    }
+
+                    function renderRow(row, index) {
+                        const tr = document.createElement('tr');
+                        tr.className = 'hover:bg-gray-50';
+                        tr.dataset.index = index;
+
+                        const actions = document.createElement('td');
+                        actions.className = 'grid-actions px-2 py-1 whitespace-nowrap';
+                        const deleteBtn = document.createElement('button');
+                        deleteBtn.type = 'button';
+                        deleteBtn.className = 'grid-delete text-red-600 hover:text-red-800 text-xs font-medium';
+                        deleteBtn.textContent = 'Delete';
+                        deleteBtn.addEventListener('click', () => deleteRow(index));
+                        actions.appendChild(deleteBtn);
+                        tr.appendChild(actions);
+
+                        state.columns.forEach(column => {
+                            const td = document.createElement('td');
+                            td.dataset.column = column.name;
+                            renderCell(td, column, row[column.name]);
+                            td.addEventListener('dblclick', () => editCell(td, index, column));
+                            tr.appendChild(td);
+                        });
+                        return tr;
+                    }
+
+                    // Cell text is set via textContent; table data is never parsed as HTML
+                    function renderCell(td, column, value) {
+                        value = gridValue(value);
+                        td.innerHTML = '';
+                        td.className = 'px-4 py-2 text-gray-900 max-w-xs truncate' + (canEdit() && !column.binary && !column.generated ? ' cursor-text' : '');
+                        td.title = value === null ? 'NULL' : value;
+                        if (value === null) {
+                            const nullMark = document.createElement('span');
+                            nullMark.className = 'italic text-gray-400';
+                            nullMark.textContent = 'NULL';
+                            td.appendChild(nullMark);
+                        } else {
+                            td.textContent = value;
+                            if (column.binary) td.classList.add('italic', 'text-gray-500');
+                        }
+                    }
+
+                    // Double-click edits a cell: Enter (Ctrl+Enter in text areas) or leaving the cell saves, Escape cancels
+                    function editCell(td, index, column) {
+                        if (!canEdit() || column.binary || column.generated || td.querySelector('.grid-editor')) return;
+                        const original = gridValue(state.rows[index][column.name]);
+                        const editor = createGridEditor(column, original);
+                        editor.element.classList.add('grid-editor');
+                        td.innerHTML = '';
+                        td.className = 'px-2 py-1 bg-green-50';
+                        td.appendChild(editor.element);
+                        editor.input.focus();
+
+                        let done = false;
+                        const finish = async (save) => {
+                            if (done) return;
+                            done = true;
+                            const value = editor.value();
+                            if (!save || value === original) {
+                                renderCell(td, column, original);
+                                return;
+                            }
+                            td.classList.add('opacity-50');
+                            try {
+                                const data = await gridRequest('updateRow', {
+                                    table: tableName,
+                                    key: gridEncode(rowKey(state.rows[index])),
+                                    values: gridEncode({[column.name]: value})
+                                });
+                                state.rows[index] = data.row;
+                                const tr = td.closest('tr');
+                                if (tr) tr.replaceWith(renderRow(data.row, index));
+                                renderActionsVisibility();
+                                hideMessage();
+                            } catch (error) {
+                                console.error('Error updating row:', error);
+                                showMessage(column.name + ': ' + error.message, true);
+                                renderCell(td, column, original);
+                            }
+                        };
+                        editor.element.addEventListener('keydown', (e) => {
+                            if (e.key === 'Escape') {
+                                e.preventDefault();
+                                finish(false);
+                            } else if (e.key === 'Enter' && (editor.input.tagName !== 'TEXTAREA' || e.ctrlKey || e.metaKey)) {
+                                e.preventDefault();
+                                finish(true);
+                            }
+                        });
+                        editor.element.addEventListener('focusout', () => {
+                            // Checked after the focus has moved, e.g. onto the NULL switch
+                            setTimeout(() => {
+                                if (!editor.element.contains(document.activeElement)) finish(true);
+                            }, 0);
+                        });
+                    }
+
+                    async function deleteRow(index) {
+                        const key = rowKey(state.rows[index]);
+                        const description = Object.keys(key).map(name => name + ' = ' + key[name]).join(', ');
+                        if (!confirm('Delete the row with ' + description + ' from "' + tableName + '"? This cannot be undone.')) return;
+                        try {
+                            await gridRequest('deleteRow', {table: tableName, key: gridEncode(key)});
+                            showMessage('Row deleted');
+                            await load();
+                        } catch (error) {
+                            console.error('Error deleting row:', error);
+                            showMessage(error.message, true);
+                        }
+                    }
+
+                    // New row form; columns left on "default" are omitted from the INSERT
+                    function openInsertForm() {
+                        insertFields.innerHTML = '';
+                        insertEditors = [];
+                        state.columns.filter(column => !column.binary && !column.generated).forEach(column => {
+                            const field = document.createElement('div');
+                            const label = document.createElement('div');
+                            label.className = 'flex items-center justify-between text-xs font-medium text-gray-700 mb-1';
+                            const name = document.createElement('span');
+                            name.textContent = column.name + ' (' + column.type + ')';
+                            label.appendChild(name);
+
+                            const editor = createGridEditor(column, column.nullable ? null : '');
+                            const hasDefault = column.autoIncrement || column.default !== null || column.nullable;
+                            const useDefault = document.createElement('input');
+                            useDefault.type = 'checkbox';
+                            useDefault.checked = hasDefault;
+                            const defaultLabel = document.createElement('label');
+                            defaultLabel.className = 'flex items-center gap-1 font-normal text-gray-500';
+                            defaultLabel.appendChild(useDefault);
+                            defaultLabel.appendChild(document.createTextNode(column.autoIncrement ? 'auto' : 'default'));
+                            if (hasDefault) label.appendChild(defaultLabel);
+                            const syncDefault = () => {
+                                editor.element.classList.toggle('opacity-50', useDefault.checked);
+                                editor.setDisabled(useDefault.checked);
+                            };
+                            useDefault.addEventListener('change', syncDefault);
+                            syncDefault();
+
+                            field.appendChild(label);
+                            field.appendChild(editor.element);
+                            insertFields.appendChild(field);
+                            insertEditors.push({column: column, editor: editor, useDefault: useDefault});
+                        });
+                        insertForm.classList.remove('hidden');
+                    }
+
+                    function closeInsertForm() {
+                        insertForm.classList.add('hidden');
+                        insertFields.innerHTML = '';
+                        insertEditors = null;
+                    }
+
+                    async function insertRow() {
+                        if (!insertEditors) return;
+                        const values = {};
+                        insertEditors.forEach(({column, editor, useDefault}) => {
+                            if (!useDefault.checked) values[column.name] = editor.value();
+                        });
+                        if (!confirm('Insert a new row into "' + tableName + '"?')) return;
+                        try {
+                            const data = await gridRequest('insertRow', {table: tableName, values: gridEncode(values)});
+                            closeInsertForm();
+                            showMessage(data.message || 'Row inserted');
+                            await load();
+                        } catch (error) {
+                            console.error('Error inserting row:', error);
+                            showMessage(error.message, true);
+                        }
+                    }
+
+                    function renderPager() {
+                        const lastPage = Math.max(1, Math.ceil(state.total / state.perPage));
+                        const first = state.total === 0 ? 0 : (state.page - 1) * state.perPage + 1;
+                        const last = Math.min(state.total, state.page * state.perPage);
+                        container.querySelector('#gridSummary').textContent = 'Rows ' + first + '–' + last + ' of ' + state.total;
+                        container.querySelector('#gridPageInfo').textContent = 'Page ' + state.page + ' of ' + lastPage;
+                        prevBtn.disabled = state.page <= 1;
+                        nextBtn.disabled = state.page >= lastPage;
+                    }
+
+                    readOnlyBox.checked = state.readOnly;
+                    readOnlyBox.addEventListener('change', () => {
+                        state.readOnly = readOnlyBox.checked;
+                        localStorage.setItem(GRID_READONLY_KEY, String(state.readOnly));
+                        // Cells pick up the edit cursor and the delete column
+                        renderBody();
+                        renderActionsVisibility();
+                    });
+                    addRowBtn.addEventListener('click', () => {
+                        if (insertEditors) {
+                            closeInsertForm();
+                        } else {
+                            openInsertForm();
+                        }
+                    });
+                    container.querySelector('#gridInsertSaveBtn').addEventListener('click', insertRow);
+                    container.querySelector('#gridInsertCancelBtn').addEventListener('click', closeInsertForm);
+                    container.querySelector('#gridClearFiltersBtn').addEventListener('click', () => {
+                        state.filters = {};
+                        head.querySelectorAll('input[data-column]').forEach(input => {
+                            input.value = '';
+                        });
+                        state.page = 1;
+                        load();
+                    });
+                    if (!Array.from(perPageSelect.options).some(option => Number(option.value) === state.perPage)) {
+                        state.perPage = 25;
+                    }
+                    perPageSelect.value = String(state.perPage);
+                    perPageSelect.addEventListener('change', () => {
+                        state.perPage = Number(perPageSelect.value);
+                        localStorage.setItem(GRID_PER_PAGE_KEY, perPageSelect.value);
+                        state.page = 1;
+                        load();
+                    });
+                    prevBtn.addEventListener('click', () => {
+                        state.page = Math.max(1, state.page - 1);
+                        load();
+                    });
+                    nextBtn.addEventListener('click', () => {
+                        state.page++;
+                        load();
+                    });
+                    renderActionsVisibility();
+                    load();
                 }
 
                 window.logout = function () {
-                    token = null;
-                    localStorage.removeItem('gemvc_admin_token');
+                    clearSession();
+                    loginNotice = null;
+                    sessionStorage.removeItem(RETURN_ROUTE_KEY);
                     setRoute('login');
                 };
 
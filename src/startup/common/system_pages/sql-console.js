@@ -0,0 +1,912 @@
+// sql-console.js - Ad-hoc SQL Console Module for GEMVC Developer Assistant SPA
+(function() {
+    'use strict';
+    
+    // Module state
+    let currentApiBase = null;
+    let onUnauthorized = null; // Called when the server rejects the token, see render()
+    let eventListeners = []; // Track event listeners for cleanup
+    let activeRequest = null; // AbortController of the running request
+    let historyKey = null; // localStorage key of the signed-in user's history
+    let history = [];
+    let result = null; // Last result set and the page shown
+    let pendingWrite = null; // Statement waiting for the write confirmation
+    let suggestion = {items: [], index: 0, start: 0, open: false};
+    let schema = Object.create(null); // table -> [{name, type, nullable, primary}]
+    let schemaLoadedAt = 0;
+    let charWidth = 0; // Editor character width in px, measured on first use
+    const SCHEMA_TTL = 60000; // Table list is fetched again after a minute
+    const DRAFT_KEY = 'gemvc_sql_console_draft';
+    const HISTORY_KEY_PREFIX = 'gemvc_sql_history_';
+    const MAX_HISTORY = 50;
+    const PAGE_SIZE = 50; // Result rows per page; the server returns up to 1000
+    const MAX_SUGGESTIONS = 12;
+    const LINE_HEIGHT = 20; // Matches leading-5 on the editor layers
+    
+    const SQL_KEYWORDS = [
+        'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN', 'EXISTS',
+        'AS', 'DISTINCT', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'OUTER', 'CROSS', 'ON', 'USING', 'GROUP', 'BY',
+        'ORDER', 'ASC', 'DESC', 'HAVING', 'LIMIT', 'OFFSET', 'UNION', 'ALL', 'WITH', 'RECURSIVE', 'CASE',
+        'WHEN', 'THEN', 'ELSE', 'END', 'INSERT', 'INTO', 'VALUES', 'REPLACE', 'UPDATE', 'SET', 'DELETE',
+        'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'RENAME', 'TABLE', 'INDEX', 'VIEW', 'DATABASE', 'ADD',
+        'COLUMN', 'PRIMARY', 'KEY', 'FOREIGN', 'REFERENCES', 'UNIQUE', 'DEFAULT', 'AUTO_INCREMENT',
+        'SHOW', 'TABLES', 'COLUMNS', 'DESCRIBE', 'EXPLAIN', 'ANALYZE', 'TRUE', 'FALSE', 'INTERVAL',
+        'DUPLICATE', 'IGNORE', 'FOR', 'LOCK', 'SHARE', 'MODE', 'PROCESSLIST', 'STATUS', 'VARIABLES'
+    ];
+    const SQL_FUNCTIONS = [
+        'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'CONCAT', 'CONCAT_WS', 'GROUP_CONCAT', 'COALESCE', 'IFNULL',
+        'NULLIF', 'IF', 'LENGTH', 'CHAR_LENGTH', 'LOWER', 'UPPER', 'TRIM', 'SUBSTRING', 'REPLACE', 'ROUND',
+        'FLOOR', 'CEIL', 'ABS', 'NOW', 'CURDATE', 'DATE', 'DATE_FORMAT', 'DATE_ADD', 'DATE_SUB', 'DATEDIFF',
+        'TIMESTAMPDIFF', 'UNIX_TIMESTAMP', 'FROM_UNIXTIME', 'YEAR', 'MONTH', 'DAY', 'CAST', 'CONVERT',
+        'JSON_EXTRACT', 'JSON_OBJECT', 'JSON_ARRAY', 'ROW_NUMBER', 'RANK', 'DENSE_RANK', 'LAG', 'LEAD'
+    ];
+    const KEYWORD_SET = new Set(SQL_KEYWORDS);
+    const FUNCTION_SET = new Set(SQL_FUNCTIONS);
+    
+    // Comments, strings, quoted identifiers, numbers and words; unterminated quotes and comments run to the end
+    const TOKEN_PATTERN = /(#[^\n]*|--(?=\s|$)[^\n]*|\/\*[\s\S]*?(?:\*\/|$))|('(?:[^'\\]|\\[\s\S]|'')*'?|"(?:[^"\\]|\\[\s\S]|"")*"?)|(`(?:[^`]|``)*`?)|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][A-Za-z0-9_$]*)/g;
+    const TOKEN_CLASSES = {
+        comment: 'text-gray-400 italic',
+        string: 'text-green-700',
+        identifier: 'text-purple-700',
+        number: 'text-orange-600',
+        keyword: 'text-blue-700',
+        function: 'text-pink-700',
+        table: 'text-teal-700'
+    };
+    
+    // EXPLAIN access types from best to worst, with the colour of their badge
+    const ACCESS_TYPES = {
+        system: {rank: 0, tone: 'green', label: 'Single row (system table)'},
+        const: {rank: 0, tone: 'green', label: 'At most one matching row, read once'},
+        eq_ref: {rank: 1, tone: 'green', label: 'One row per row of the previous table (unique key)'},
+        ref: {rank: 2, tone: 'green', label: 'Rows matching an index value'},
+        fulltext: {rank: 2, tone: 'green', label: 'Full-text index'},
+        ref_or_null: {rank: 3, tone: 'yellow', label: 'Index lookup plus a search for NULL'},
+        index_merge: {rank: 3, tone: 'yellow', label: 'Several indexes merged'},
+        unique_subquery: {rank: 3, tone: 'yellow', label: 'Unique index lookup in a subquery'},
+        index_subquery: {rank: 3, tone: 'yellow', label: 'Index lookup in a subquery'},
+        range: {rank: 3, tone: 'yellow', label: 'Index range scan'},
+        index: {rank: 4, tone: 'orange', label: 'Full index scan'},
+        ALL: {rank: 5, tone: 'red', label: 'Full table scan'}
+    };
+    const TONE_CLASSES = {
+        green: 'bg-green-100 text-green-800',
+        yellow: 'bg-yellow-100 text-yellow-800',
+        orange: 'bg-orange-100 text-orange-800',
+        red: 'bg-red-100 text-red-800',
+        gray: 'bg-gray-100 text-gray-700'
+    };
+    const EXTRA_WARNINGS = [
+        {pattern: /Using filesort/i, text: 'sorts rows without an index (Using filesort)'},
+        {pattern: /Using temporary/i, text: 'builds a temporary table (Using temporary)'},
+        {pattern: /Using join buffer/i, text: 'joins without an index (Using join buffer)'}
+    ];
+    
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    function addListener(element, event, handler) {
+        if (!element) {
+            return;
+        }
+        element.addEventListener(event, handler);
+        eventListeners.push({element, event, handler});
+    }
+    
+    // ========== Requests ==========
+    
+    // POST to a GemvcAssistant endpoint; resolves to {status, data} or null when aborted
+    async function post(endpoint, body) {
+        if (activeRequest) {
+            activeRequest.abort();
+        }
+        const controller = new AbortController();
+        activeRequest = controller;
+        try {
+            const response = await fetch(`${currentApiBase}/GemvcAssistant/${endpoint}`, {
+                method: 'POST',
+                headers: {'Content-Type': 'application/json'},
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+            if (response.status === 401) {
+                handleUnauthorized();
+                return null;
+            }
+            const data = await response.json().catch(() => ({}));
+            return {status: data.response_code || response.status, data};
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return null;
+            }
+            throw error;
+        } finally {
+            if (activeRequest === controller) {
+                activeRequest = null;
+            }
+        }
+    }
+    
+    function handleUnauthorized() {
+        if (onUnauthorized) {
+            onUnauthorized();
+        } else {
+            window.location.hash = 'login';
+        }
+    }
+    
+    function errorMessage(data, fallback) {
+        return (data && (data.service_message || (data.data && data.data.error))) || fallback;
+    }
+    
+    // Tables and columns for highlighting and autocomplete, from the endpoint the tables page uses
+    async function loadSchema() {
+        if (Date.now() - schemaLoadedAt < SCHEMA_TTL) {
+            return;
+        }
+        try {
+            const response = await fetch(`${currentApiBase}/GemvcAssistant/tables`);
+            if (!response.ok) {
+                return;
+            }
+            const data = await response.json();
+            if (data.data && data.data.schemaColumns) {
+                schema = Object.assign(Object.create(null), data.data.schemaColumns);
+                schemaLoadedAt = Date.now();
+                updateHighlight();
+            }
+        } catch (error) {
+            console.error('SQL console: could not load the table list', error);
+        }
+    }
+    
+    // ========== Editor ==========
+    
+    function editor() {
+        return document.getElementById('sqlInput');
+    }
+    
+    function highlightSql(sql) {
+        let html = '';
+        let last = 0;
+        sql.replace(TOKEN_PATTERN, (match, comment, string, identifier, number, word, offset) => {
+            html += escapeHtml(sql.slice(last, offset));
+            let kind = null;
+            if (comment) {
+                kind = 'comment';
+            } else if (string) {
+                kind = 'string';
+            } else if (identifier) {
+                kind = schema[identifier.slice(1, -1)] ? 'table' : 'identifier';
+            } else if (number) {
+                kind = 'number';
+            } else if (FUNCTION_SET.has(word.toUpperCase()) && sql.charAt(offset + word.length) === '(') {
+                kind = 'function';
+            } else if (KEYWORD_SET.has(word.toUpperCase())) {
+                kind = 'keyword';
+            } else if (schema[word]) {
+                kind = 'table';
+            }
+            html += kind ? `<span class="${TOKEN_CLASSES[kind]}">${escapeHtml(match)}</span>` : escapeHtml(match);
+            last = offset + match.length;
+            return match;
+        });
+        // A trailing newline keeps the last empty line as tall as the textarea's
+        return html + escapeHtml(sql.slice(last)) + '\n';
+    }
+    
+    function updateHighlight() {
+        const input = editor();
+        const layer = document.getElementById('sqlHighlight');
+        if (!input || !layer) {
+            return;
+        }
+        layer.innerHTML = highlightSql(input.value);
+        syncScroll();
+    }
+    
+    function syncScroll() {
+        const input = editor();
+        const layer = document.getElementById('sqlHighlight');
+        if (input && layer) {
+            layer.scrollTop = input.scrollTop;
+            layer.scrollLeft = input.scrollLeft;
+        }
+    }
+    
+    function setEditorText(sql) {
+        const input = editor();
+        if (!input) {
+            return;
+        }
+        input.value = sql;
+        input.setSelectionRange(sql.length, sql.length);
+        saveDraft();
+        updateHighlight();
+        closeSuggestions();
+        input.focus();
+    }
+    
+    function saveDraft() {
+        const input = editor();
+        if (input) {
+            sessionStorage.setItem(DRAFT_KEY, input.value);
+        }
+    }
+    
+    // The selection when there is one, otherwise the whole editor
+    function statementToRun() {
+        const input = editor();
+        if (!input) {
+            return '';
+        }
+        const selected = input.value.slice(input.selectionStart, input.selectionEnd);
+        return (selected.trim() !== '' ? selected : input.value).trim();
+    }
+    
+    // ========== Autocomplete ==========
+    
+    // Word being typed before the caret, and the table or alias it is qualified with
+    function wordAtCaret(text, caret) {
+        const match = text.slice(0, caret).match(/(?:([A-Za-z_][\w$]*|`[^`]+`)\.)?([A-Za-z_][\w$]*)?$/);
+        const prefix = match[2] || '';
+        return {
+            qualifier: match[1] ? match[1].replace(/`/g, '') : null,
+            prefix,
+            start: caret - prefix.length
+        };
+    }
+    
+    // Tables named in the statement, by their alias and by their own name
+    function tableAliases(text) {
+        const aliases = new Map();
+        const pattern = /\b(?:FROM|JOIN|UPDATE|INTO)\s+`?([\w$]+)`?(?:\s+(?:AS\s+)?`?([\w$]+)`?)?/gi;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (!schema[match[1]]) {
+                continue;
+            }
+            aliases.set(match[1], match[1]);
+            if (match[2] && !KEYWORD_SET.has(match[2].toUpperCase())) {
+                aliases.set(match[2], match[1]);
+            }
+        }
+        return aliases;
+    }
+    
+    function quoteName(name) {
+        return /^[A-Za-z_][\w$]*$/.test(name) ? name : '`' + name.replace(/`/g, '``') + '`';
+    }
+    
+    function columnItems(table) {
+        return (schema[table] || []).map(column => ({
+            label: column.name,
+            insert: quoteName(column.name),
+            kind: 'column',
+            detail: `${table} · ${column.type}`
+        }));
+    }
+    
+    function buildSuggestions(text, caret, forced) {
+        const word = wordAtCaret(text, caret);
+        const prefix = word.prefix.toLowerCase();
+        let items = [];
+        if (word.qualifier !== null) {
+            const table = tableAliases(text).get(word.qualifier) || (schema[word.qualifier] ? word.qualifier : null);
+            items = table ? columnItems(table) : [];
+        } else if (forced || prefix.length >= 2) {
+            // Columns of the tables in the statement first, then tables, keywords and functions
+            const referenced = new Set(tableAliases(text).values());
+            referenced.forEach(table => {
+                items = items.concat(columnItems(table));
+            });
+            items = items.concat(
+                Object.keys(schema).map(table => ({label: table, insert: quoteName(table), kind: 'table', detail: `${schema[table].length} columns`})),
+                SQL_KEYWORDS.map(keyword => ({label: keyword, insert: keyword, kind: 'keyword', detail: ''})),
+                SQL_FUNCTIONS.map(name => ({label: name, insert: name + '(', kind: 'function', detail: ''}))
+            );
+        } else {
+            return {items: [], start: word.start};
+        }
+        
+        const seen = new Set();
+        items = items.filter(item => {
+            const key = item.kind + ':' + item.label;
+            if (seen.has(key) || !item.label.toLowerCase().startsWith(prefix)) {
+                return false;
+            }
+            seen.add(key);
+            return forced || item.label.toLowerCase() !== prefix;
+        });
+        return {items: items.slice(0, MAX_SUGGESTIONS), start: word.start};
+    }
+    
+    function measureCharWidth() {
+        const layer = document.getElementById('sqlHighlight');
+        if (!layer) {
+            return 8;
+        }
+        const probe = document.createElement('span');
+        probe.textContent = 'X'.repeat(100);
+        probe.style.visibility = 'hidden';
+        layer.appendChild(probe);
+        const width = probe.getBoundingClientRect().width / 100;
+        probe.remove();
+        return width || 8;
+    }
+    
+    function openSuggestions(forced) {
+        const input = editor();
+        const list = document.getElementById('sqlSuggestions');
+        if (!input || !list) {
+            return;
+        }
+        const found = buildSuggestions(input.value, input.selectionStart, forced);
+        if (found.items.length === 0) {
+            closeSuggestions();
+            return;
+        }
+        suggestion = {items: found.items, index: 0, start: found.start, open: true};
+        
+        // Place the list under the word being completed
+        if (!charWidth) {
+            charWidth = measureCharWidth();
+        }
+        const lines = input.value.slice(0, found.start).split('\n');
+        const style = window.getComputedStyle(input);
+        const paddingLeft = parseFloat(style.paddingLeft) || 12;
+        const paddingTop = parseFloat(style.paddingTop) || 12;
+        list.style.left = Math.max(0, paddingLeft + lines[lines.length - 1].length * charWidth - input.scrollLeft) + 'px';
+        list.style.top = (paddingTop + lines.length * LINE_HEIGHT - input.scrollTop) + 'px';
+        renderSuggestions();
+        list.classList.remove('hidden');
+    }
+    
+    function renderSuggestions() {
+        const list = document.getElementById('sqlSuggestions');
+        list.innerHTML = suggestion.items.map((item, index) => `
+            <li data-index="${index}" class="sql-suggestion flex justify-between gap-4 px-2 py-1 cursor-pointer ${index === suggestion.index ? 'bg-gemvc-green text-white' : 'hover:bg-gray-100'}">
+                <span class="font-mono">${escapeHtml(item.label)}</span>
+                <span class="${index === suggestion.index ? 'text-white' : 'text-gray-400'}">${escapeHtml(item.detail || item.kind)}</span>
+            </li>
+        `).join('');
+        const active = list.querySelector(`[data-index="${suggestion.index}"]`);
+        if (active && active.scrollIntoView) {
+            active.scrollIntoView({block: 'nearest'});
+        }
+    }
+    
+    function closeSuggestions() {
+        suggestion = {items: [], index: 0, start: 0, open: false};
+        const list = document.getElementById('sqlSuggestions');
+        if (list) {
+            list.classList.add('hidden');
+            list.innerHTML = '';
+        }
+    }
+    
+    function acceptSuggestion(index) {
+        const input = editor();
+        const item = suggestion.items[index];
+        if (!input || !item) {
+            return;
+        }
+        const caret = input.selectionStart;
+        input.value = input.value.slice(0, suggestion.start) + item.insert + input.value.slice(caret);
+        const position = suggestion.start + item.insert.length;
+        input.setSelectionRange(position, position);
+        closeSuggestions();
+        saveDraft();
+        updateHighlight();
+        input.focus();
+    }
+    
+    function handleEditorKeydown(event) {
+        if (suggestion.open) {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                suggestion.index = (suggestion.index + step + suggestion.items.length) % suggestion.items.length;
+                renderSuggestions();
+                return;
+            }
+            if ((event.key === 'Enter' && !event.ctrlKey && !event.metaKey) || event.key === 'Tab') {
+                event.preventDefault();
+                acceptSuggestion(suggestion.index);
+                return;
+            }
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                closeSuggestions();
+                return;
+            }
+        }
+        if (event.key === ' ' && event.ctrlKey) {
+            event.preventDefault();
+            openSuggestions(true);
+        } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            closeSuggestions();
+            runStatement(false);
+        }
+    }
+    
+    function handleEditorInput(event) {
+        saveDraft();
+        updateHighlight();
+        const input = editor();
+        const typed = event && event.data;
+        // Suggestions follow typing; deleting text or moving away closes them
+        if (typed && /[\w$.]$/.test(typed) && input.selectionStart === input.selectionEnd) {
+            openSuggestions(false);
+        } else {
+            closeSuggestions();
+        }
+    }
+    
+    // ========== Running statements ==========
+    
+    function showMessage(text, tone) {
+        const message = document.getElementById('sqlMessage');
+        if (!message) {
+            return;
+        }
+        if (!text) {
+            message.classList.add('hidden');
+            message.textContent = '';
+            return;
+        }
+        message.className = `mt-3 px-3 py-2 rounded text-sm whitespace-pre-wrap ${tone === 'error' ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-green-50 text-green-800 border border-green-200'}`;
+        message.textContent = text;
+    }
+    
+    function setBusy(busy, label) {
+        ['sqlRunBtn', 'sqlExplainBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = busy;
+                button.classList.toggle('opacity-50', busy);
+            }
+        });
+        const status = document.getElementById('sqlStatus');
+        if (status) {
+            status.textContent = busy ? label : '';
+        }
+    }
+    
+    async function runStatement(confirmed) {
+        const sql = confirmed && pendingWrite ? pendingWrite.sql : statementToRun();
+        hideWriteConfirm();
+        if (sql === '') {
+            showMessage('Type a statement to run.', 'error');
+            return;
+        }
+        setBusy(true, 'Running…');
+        showMessage('');
+        try {
+            const response = await post('runQuery', confirmed ? {sql, confirm: true} : {sql});
+            if (!response) {
+                return;
+            }
+            if (response.status === 409) {
+                // The server only runs writes and schema changes once they are confirmed
+                showWriteConfirm(sql, errorMessage(response.data, 'This statement can change data or schema and must be confirmed'));
+                return;
+            }
+            if (response.status !== 200) {
+                const message = errorMessage(response.data, 'Query failed');
+                showMessage(message, 'error');
+                addHistory(sql, {ok: false, summary: message});
+                return;
+            }
+            const data = response.data.data || {};
+            showResult(data);
+            addHistory(sql, {ok: true, summary: resultSummary(data), durationMs: data.durationMs});
+        } catch (error) {
+            showMessage('Query failed: ' + error.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    }
+    
+    function showWriteConfirm(sql, message) {
+        const type = (sql.replace(/^(\s|--(?=\s)[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|\()*/, '').match(/^[A-Za-z]+/) || ['statement'])[0].toUpperCase();
+        pendingWrite = {sql, type};
+        const panel = document.getElementById('sqlConfirm');
+        document.getElementById('sqlConfirmMessage').textContent = message;
+        document.getElementById('sqlConfirmPreview').textContent = sql.length > 500 ? sql.slice(0, 500) + '…' : sql;
+        document.getElementById('sqlConfirmRunBtn').textContent = `Run ${type}`;
+        panel.classList.remove('hidden');
+        document.getElementById('sqlConfirmCancelBtn').focus();
+    }
+    
+    function hideWriteConfirm() {
+        const panel = document.getElementById('sqlConfirm');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+    }
+    
+    function cancelWrite() {
+        hideWriteConfirm();
+        if (pendingWrite) {
+            showMessage(`${pendingWrite.type} was not run.`, 'error');
+        }
+        pendingWrite = null;
+        const input = editor();
+        if (input) {
+            input.focus();
+        }
+    }
+    
+    function resultSummary(data) {
+        if (data.columns && data.columns.length > 0) {
+            return `${data.rows.length}${data.truncated ? '+' : ''} rows`;
+        }
+        return `${data.affectedRows} rows affected`;
+    }
+    
+    // ========== Results grid ==========
+    
+    function showResult(data) {
+        document.getElementById('sqlExplain').classList.add('hidden');
+        const section = document.getElementById('sqlResults');
+        const meta = document.getElementById('sqlResultMeta');
+        section.classList.remove('hidden');
+        
+        const duration = `${Number(data.durationMs || 0).toFixed(1)} ms`;
+        if (!data.columns || data.columns.length === 0) {
+            // Statements without a result set only report what they changed
+            result = null;
+            let text = `${data.affectedRows} rows affected · ${duration}`;
+            if (data.insertId) {
+                text += ` · insert id ${data.insertId}`;
+            }
+            meta.textContent = text;
+            document.getElementById('sqlResultHead').innerHTML = '';
+            document.getElementById('sqlResultBody').innerHTML = '';
+            document.getElementById('sqlResultPager').classList.add('hidden');
+            return;
+        }
+        
+        result = {columns: data.columns, rows: data.rows || [], page: 1};
+        meta.textContent = `${result.rows.length} rows · ${duration}`
+            + (data.truncated ? ` · only the first ${data.maxRows} rows are shown, add a LIMIT to narrow the result` : '');
+        document.getElementById('sqlResultHead').innerHTML = '<tr>'
+            + result.columns.map(column => `<th class="px-3 py-2 text-left font-semibold text-gray-700 whitespace-nowrap border-b">${escapeHtml(column)}</th>`).join('')
+            + '</tr>';
+        renderResultPage();
+    }
+    
+    function renderResultPage() {
+        if (!result) {
+            return;
+        }
+        const pages = Math.max(1, Math.ceil(result.rows.length / PAGE_SIZE));
+        result.page = Math.min(Math.max(1, result.page), pages);
+        const body = document.getElementById('sqlResultBody');
+        body.innerHTML = '';
+        
+        if (result.rows.length === 0) {
+            const row = body.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = result.columns.length;
+            cell.className = 'px-3 py-4 text-center text-gray-500';
+            cell.textContent = 'No rows';
+        }
+        result.rows.slice((result.page - 1) * PAGE_SIZE, result.page * PAGE_SIZE).forEach(values => {
+            const row = body.insertRow();
+            row.className = 'border-b hover:bg-gray-50';
+            values.forEach(value => {
+                const cell = row.insertCell();
+                cell.className = 'px-3 py-1 font-mono text-xs whitespace-nowrap max-w-xs truncate';
+                if (value === null) {
+                    cell.textContent = 'NULL';
+                    cell.classList.add('italic', 'text-gray-400');
+                } else {
+                    cell.textContent = String(value);
+                    cell.title = String(value);
+                }
+            });
+        });
+        
+        document.getElementById('sqlResultPager').classList.toggle('hidden', pages === 1);
+        document.getElementById('sqlResultPage').textContent = `Page ${result.page} of ${pages}`;
+        document.getElementById('sqlResultPrev').disabled = result.page === 1;
+        document.getElementById('sqlResultNext').disabled = result.page === pages;
+    }
+    
+    function changeResultPage(step) {
+        if (result) {
+            result.page += step;
+            renderResultPage();
+        }
+    }
+    
+    // ========== EXPLAIN ==========
+    
+    async function explainStatement() {
+        const sql = statementToRun();
+        hideWriteConfirm();
+        if (sql === '') {
+            showMessage('Type a statement to explain.', 'error');
+            return;
+        }
+        setBusy(true, 'Explaining…');
+        showMessage('');
+        try {
+            const response = await post('explainQuery', {sql});
+            if (!response) {
+                return;
+            }
+            if (response.status !== 200) {
+                showMessage(errorMessage(response.data, 'EXPLAIN failed'), 'error');
+                return;
+            }
+            showPlan((response.data.data || {}).plan || []);
+        } catch (error) {
+            showMessage('EXPLAIN failed: ' + error.message, 'error');
+        } finally {
+            setBusy(false);
+        }
+    }
+    
+    // Findings worth a look: full scans, unused indexes and expensive Extra notes
+    function planWarnings(plan) {
+        const warnings = [];
+        plan.forEach(step => {
+            const table = step.table || `step ${step.id}`;
+            if (step.type === 'ALL') {
+                warnings.push(`${table}: full table scan of about ${Number(step.rows || 0).toLocaleString()} rows`);
+            }
+            if (step.possible_keys && !step.key) {
+                warnings.push(`${table}: index available (${step.possible_keys}) but not used`);
+            }
+            EXTRA_WARNINGS.forEach(warning => {
+                if (warning.pattern.test(step.Extra || '')) {
+                    warnings.push(`${table}: ${warning.text}`);
+                }
+            });
+        });
+        return warnings;
+    }
+    
+    function showPlan(plan) {
+        document.getElementById('sqlResults').classList.add('hidden');
+        const section = document.getElementById('sqlExplain');
+        section.classList.remove('hidden');
+        
+        const warnings = planWarnings(plan);
+        const maxRows = Math.max(1, ...plan.map(step => Number(step.rows) || 0));
+        const worst = plan.reduce((rank, step) => Math.max(rank, (ACCESS_TYPES[step.type] || {rank: 0}).rank), 0);
+        document.getElementById('sqlExplainSummary').innerHTML = `
+            <div class="flex flex-wrap items-center gap-3 text-sm">
+                <span class="font-semibold text-gray-800">${plan.length} step${plan.length === 1 ? '' : 's'}</span>
+                <span class="text-gray-500">estimated rows examined: ${plan.reduce((total, step) => total + (Number(step.rows) || 0), 0).toLocaleString()}</span>
+                <span class="px-2 py-0.5 rounded text-xs ${TONE_CLASSES[worst >= 5 ? 'red' : worst >= 4 ? 'orange' : worst >= 3 ? 'yellow' : 'green']}">${warnings.length === 0 ? 'No issues found' : warnings.length + ' finding' + (warnings.length === 1 ? '' : 's')}</span>
+            </div>
+            ${warnings.length > 0 ? `<ul class="mt-2 text-sm text-red-700 list-disc pl-5">${warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}</ul>` : ''}
+        `;
+        
+        // One card per step in execution order; the bar compares estimated rows on a log scale
+        document.getElementById('sqlExplainSteps').innerHTML = plan.map(step => {
+            const access = ACCESS_TYPES[step.type] || {tone: 'gray', label: step.type ? 'Access type ' + step.type : 'No table access'};
+            const rows = Number(step.rows) || 0;
+            const width = rows > 0 ? Math.max(2, Math.round(Math.log10(rows + 1) / Math.log10(maxRows + 1) * 100)) : 0;
+            return `
+                <div class="sql-plan-step border rounded p-3">
+                    <div class="flex flex-wrap items-center gap-2">
+                        <span class="text-xs text-gray-500">#${escapeHtml(step.id ?? '')} ${escapeHtml(step.select_type || '')}</span>
+                        <span class="font-mono font-semibold text-gray-800">${escapeHtml(step.table || '—')}</span>
+                        <span class="sql-plan-access px-2 py-0.5 rounded text-xs font-medium ${TONE_CLASSES[access.tone]}" title="${escapeHtml(access.label)}">${escapeHtml(step.type || 'n/a')}</span>
+                        <span class="text-xs text-gray-500">${escapeHtml(access.label)}</span>
+                    </div>
+                    <div class="mt-2 grid grid-cols-1 md:grid-cols-3 gap-2 text-xs text-gray-600">
+                        <div>Key: <span class="font-mono ${step.key ? 'text-green-700' : 'text-red-600'}">${escapeHtml(step.key || 'none')}</span>${step.key_len ? ` <span class="text-gray-400">(${escapeHtml(step.key_len)} bytes)</span>` : ''}</div>
+                        <div>Possible keys: <span class="font-mono">${escapeHtml(step.possible_keys || 'none')}</span></div>
+                        <div>Ref: <span class="font-mono">${escapeHtml(step.ref || '—')}</span></div>
+                    </div>
+                    <div class="mt-2 flex items-center gap-2 text-xs text-gray-600">
+                        <span class="w-28">~${rows.toLocaleString()} rows</span>
+                        <div class="flex-1 h-2 bg-gray-100 rounded"><div class="h-2 rounded ${access.tone === 'red' ? 'bg-red-400' : 'bg-gemvc-green'}" style="width: ${width}%"></div></div>
+                        <span class="w-24 text-right">${step.filtered != null ? escapeHtml(step.filtered) + '% kept' : ''}</span>
+                    </div>
+                    ${step.Extra ? `<div class="mt-2 text-xs text-gray-500">${escapeHtml(step.Extra)}</div>` : ''}
+                </div>
+            `;
+        }).join('') || '<div class="text-sm text-gray-500">EXPLAIN returned no rows.</div>';
+        
+        // The untouched EXPLAIN output for everything the cards leave out
+        const columns = plan.length > 0 ? Object.keys(plan[0]) : [];
+        document.getElementById('sqlExplainRaw').innerHTML = `
+            <thead><tr>${columns.map(column => `<th class="px-2 py-1 text-left border-b">${escapeHtml(column)}</th>`).join('')}</tr></thead>
+            <tbody>${plan.map(step => `<tr class="border-b">${columns.map(column => `<td class="px-2 py-1 font-mono whitespace-nowrap">${step[column] === null ? '<span class="italic text-gray-400">NULL</span>' : escapeHtml(step[column])}</td>`).join('')}</tr>`).join('')}</tbody>
+        `;
+    }
+    
+    // ========== History ==========
+    
+    function loadHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(historyKey) || '[]');
+            history = Array.isArray(saved) ? saved.filter(entry => entry && typeof entry.sql === 'string') : [];
+        } catch (e) {
+            history = [];
+        }
+    }
+    
+    // Storage full: drop the oldest half and try again until it fits; an empty history is not worth an error
+    function saveHistory() {
+        while (true) {
+            try {
+                localStorage.setItem(historyKey, JSON.stringify(history));
+                return;
+            } catch (e) {
+                if (history.length === 0) {
+                    return;
+                }
+                history = history.slice(0, Math.floor(history.length / 2));
+            }
+        }
+    }
+    
+    // Newest first; running a statement again moves it to the top
+    function addHistory(sql, outcome) {
+        history = history.filter(entry => entry.sql !== sql);
+        history.unshift({
+            sql,
+            at: Date.now(),
+            ok: outcome.ok,
+            summary: outcome.summary || '',
+            durationMs: outcome.durationMs ?? null
+        });
+        history = history.slice(0, MAX_HISTORY);
+        saveHistory();
+        renderHistory();
+    }
+    
+    function renderHistory() {
+        const list = document.getElementById('sqlHistoryList');
+        if (!list) {
+            return;
+        }
+        const filter = (document.getElementById('sqlHistoryFilter').value || '').toLowerCase();
+        const entries = history
+            .map((entry, index) => ({entry, index}))
+            .filter(({entry}) => filter === '' || entry.sql.toLowerCase().includes(filter));
+        if (entries.length === 0) {
+            list.innerHTML = `<li class="text-sm text-gray-500 p-2">${history.length === 0 ? 'Statements you run appear here.' : 'No statement matches.'}</li>`;
+            return;
+        }
+        list.innerHTML = entries.map(({entry, index}) => `
+            <li class="sql-history-item group border rounded p-2 cursor-pointer hover:border-gemvc-green" data-index="${index}" title="Click to load into the editor">
+                <div class="flex items-center justify-between gap-2 text-xs">
+                    <span class="${entry.ok ? 'text-green-700' : 'text-red-600'}">${entry.ok ? '✓' : '✗'} ${escapeHtml(entry.summary)}</span>
+                    <button class="sql-history-remove text-gray-400 hover:text-red-600 bg-transparent border-0 cursor-pointer" data-index="${index}" title="Remove from history">✕</button>
+                </div>
+                <div class="font-mono text-xs text-gray-800 truncate mt-1">${escapeHtml(entry.sql.replace(/\s+/g, ' '))}</div>
+                <div class="text-xs text-gray-400 mt-1">${escapeHtml(new Date(entry.at).toLocaleString())}${entry.durationMs != null ? ' · ' + Number(entry.durationMs).toFixed(1) + ' ms' : ''}</div>
+            </li>
+        `).join('');
+    }
+    
+    function handleHistoryClick(event) {
+        const remove = event.target.closest('.sql-history-remove');
+        if (remove) {
+            event.stopPropagation();
+            history.splice(Number(remove.dataset.index), 1);
+            saveHistory();
+            renderHistory();
+            return;
+        }
+        const item = event.target.closest('.sql-history-item');
+        if (item && history[Number(item.dataset.index)]) {
+            setEditorText(history[Number(item.dataset.index)].sql);
+        }
+    }
+    
+    function clearHistory() {
+        if (history.length === 0 || !confirm('Clear your SQL history?')) {
+            return;
+        }
+        history = [];
+        saveHistory();
+        renderHistory();
+    }
+    
+    // ========== Lifecycle ==========
+    
+    /**
+     * Bind the console to the page markup rendered by spa.php
+     * @param {string} apiBase
+     * @param {{onUnauthorized?: Function, user?: string}} options user keeps each account's history apart
+     */
+    function renderSqlConsole(apiBase, options = {}) {
+        cleanupSqlConsole();
+        currentApiBase = apiBase;
+        onUnauthorized = typeof options.onUnauthorized === 'function' ? options.onUnauthorized : null;
+        historyKey = HISTORY_KEY_PREFIX + (options.user || 'default');
+        
+        const input = editor();
+        if (!input) {
+            console.error('SQL console markup not found');
+            return;
+        }
+        input.value = sessionStorage.getItem(DRAFT_KEY) || '';
+        updateHighlight();
+        
+        addListener(input, 'input', handleEditorInput);
+        addListener(input, 'keydown', handleEditorKeydown);
+        addListener(input, 'scroll', () => {
+            syncScroll();
+            closeSuggestions();
+        });
+        addListener(input, 'click', closeSuggestions);
+        addListener(input, 'blur', () => setTimeout(closeSuggestions, 150));
+        addListener(document.getElementById('sqlSuggestions'), 'mousedown', event => {
+            // mousedown keeps the focus in the editor
+            const item = event.target.closest('.sql-suggestion');
+            if (item) {
+                event.preventDefault();
+                acceptSuggestion(Number(item.dataset.index));
+            }
+        });
+        addListener(document.getElementById('sqlRunBtn'), 'click', () => runStatement(false));
+        addListener(document.getElementById('sqlExplainBtn'), 'click', explainStatement);
+        addListener(document.getElementById('sqlClearBtn'), 'click', () => setEditorText(''));
+        addListener(document.getElementById('sqlConfirmRunBtn'), 'click', () => runStatement(true));
+        addListener(document.getElementById('sqlConfirmCancelBtn'), 'click', cancelWrite);
+        addListener(document.getElementById('sqlResultPrev'), 'click', () => changeResultPage(-1));
+        addListener(document.getElementById('sqlResultNext'), 'click', () => changeResultPage(1));
+        addListener(document.getElementById('sqlHistoryList'), 'click', handleHistoryClick);
+        addListener(document.getElementById('sqlHistoryFilter'), 'input', renderHistory);
+        addListener(document.getElementById('sqlHistoryClearBtn'), 'click', clearHistory);
+        
+        loadHistory();
+        renderHistory();
+        input.focus();
+        return loadSchema();
+    }
+    
+    function cleanupSqlConsole() {
+        eventListeners.forEach(({element, event, handler}) => {
+            element.removeEventListener(event, handler);
+        });
+        eventListeners = [];
+        if (activeRequest) {
+            activeRequest.abort();
+            activeRequest = null;
+        }
+        suggestion = {items: [], index: 0, start: 0, open: false};
+        result = null;
+        pendingWrite = null;
+        onUnauthorized = null;
+    }
+    
+    // Open the console with a statement in the editor, e.g. from another page
+    function openInConsole(sql) {
+        sessionStorage.setItem(DRAFT_KEY, String(sql || ''));
+        if (editor()) {
+            setEditorText(String(sql || ''));
+        } else if (window.GemvcRouter) {
+            window.GemvcRouter.navigate('sql');
+        } else {
+            window.location.hash = 'sql';
+        }
+    }
+    
+    // Export to global scope for spa.php to use
+    window.SqlConsoleModule = {
+        render: renderSqlConsole,
+        cleanup: cleanupSqlConsole,
+        open: openInConsole,
+        highlight: highlightSql
+    };
+})();
@@ -13,6 +13,7 @@
  * @var array<int, array<string, mixed>> $tableClasses List of table classes with migration status
  * @var int $totalTables Total number of table classes
  * @var array<string, mixed> $relationships Foreign key relationships for schema diagram
+ * @var array<string, array<int, array<string, mixed>>> $schemaColumns Columns of every database table for schema diagram
  */
 
 // Security check: Defense-in-depth (already protected by index.php, but extra safety)
@@ -124,14 +125,25 @@ if (($_ENV['APP_ENV'] ?? '') !== 'dev') {
 </div>
 
 <!-- Schema Diagram -->
-<?php if (!empty($relationships)): ?>
+<?php if (!empty($schemaColumns)): ?>
     <div class="mb-8">
-        <h2 class="text-2xl font-semibold text-gray-800 mb-4 border-b-2 border-gemvc-green pb-2.5">Database Schema Relationships</h2>
+        <h2 class="text-2xl font-semibold text-gray-800 mb-4 border-b-2 border-gemvc-green pb-2.5">Database Schema</h2>
         <div class="bg-white border border-gray-200 rounded-lg shadow-md p-6">
-            <div id="schemaDiagram" class="relative" style="min-height: 400px;">
+            <div class="flex flex-wrap items-center justify-between gap-2 mb-3 text-sm">
+                <p class="text-gray-500 m-0">Drag the background to pan, scroll to zoom, drag a table to move it and click it to open its structure.</p>
+                <div class="flex items-center gap-2">
+                    <button type="button" id="schemaZoomOutBtn" class="px-2 py-1 bg-gray-200 rounded" title="Zoom out">−</button>
+                    <button type="button" id="schemaZoomInBtn" class="px-2 py-1 bg-gray-200 rounded" title="Zoom in">+</button>
+                    <button type="button" id="schemaFitBtn" class="px-3 py-1 bg-gray-200 rounded">Fit</button>
+                    <button type="button" id="schemaAutoLayoutBtn" class="px-3 py-1 bg-gray-200 rounded" title="Discard moved tables and lay the schema out again">Auto layout</button>
+                    <button type="button" id="schemaExportSvgBtn" class="px-3 py-1 bg-gemvc-green text-white rounded">Export SVG</button>
+                    <button type="button" id="schemaExportPngBtn" class="px-3 py-1 bg-gemvc-green text-white rounded">Export PNG</button>
+                </div>
+            </div>
+            <div id="schemaDiagram" class="relative border border-gray-100 rounded overflow-hidden bg-gray-50">
                 <!-- Schema diagram will be rendered here by JavaScript -->
-                <svg id="schemaSvg" width="100%" height="100%" style="min-height: 400px;">
-                    <!-- Relationships will be drawn here -->
+                <svg id="schemaSvg" width="100%" height="560" style="display: block; cursor: grab; touch-action: none;">
+                    <!-- Tables and relationships will be drawn here -->
                 </svg>
             </div>
         </div>
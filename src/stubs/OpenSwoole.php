@@ -40,7 +40,16 @@ class Response
 {
     public function status(int $code): void {}
     public function header(string $key, string $value): void {}
-    public function end(string $data): void {}
+    public function write(string $data): bool {}
+    public function end(string $data = ''): void {}
+}
+
+namespace OpenSwoole;
+
+class Coroutine
+{
+    public static function getCid(): int {}
+    public static function sleep(float $seconds): bool {}
 }
 
 namespace Redis;
@@ -0,0 +1,171 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Core;
+
+use PHPUnit\Framework\TestCase;
+use Gemvc\Core\ApiDocGenerator;
+use Gemvc\Core\Documentation;
+use Gemvc\Core\Documentation\HtmlHelper;
+
+class DocumentationRenderingTest extends TestCase
+{
+    private const PAYLOAD = '</script><script>alert(1)</script><img src=x onerror="alert(2)">';
+
+    /**
+     * @return array<string, mixed>
+     */
+    private function hostileDocumentation(): array
+    {
+        return [
+            'User' . self::PAYLOAD => [
+                'description' => self::PAYLOAD,
+                'endpoints' => [
+                    "create');alert(3);//" => [
+                        'method' => 'POST',
+                        'url' => '/user/create' . self::PAYLOAD,
+                        'description' => 'Returns array<string> ' . self::PAYLOAD,
+                        'example' => self::PAYLOAD,
+                        'parameters' => [
+                            'name' . self::PAYLOAD => ['type' => 'string', 'required' => true],
+                        ],
+                        'response' => json_encode(['message' => self::PAYLOAD]),
+                    ],
+                ],
+            ],
+        ];
+    }
+
+    /**
+     * @param array<string, mixed> $documentation
+     */
+    private function renderPage(array $documentation): string
+    {
+        $documentationView = new Documentation();
+        $method = new \ReflectionMethod($documentationView, 'generateHtmlView');
+        $method->setAccessible(true);
+        $html = $method->invoke($documentationView, $documentation);
+        $this->assertIsString($html);
+        return $html;
+    }
+
+    // ============================================
+    // Script Embedding Tests
+    // ============================================
+
+    public function testEncodeForScriptCannotCloseScriptElement(): void
+    {
+        $encoded = (new Documentation())->encodeForScript($this->hostileDocumentation());
+
+        $this->assertStringNotContainsString('</script', $encoded);
+        $this->assertStringNotContainsString('<script', $encoded);
+        $this->assertStringNotContainsString('<img', $encoded);
+    }
+
+    public function testEncodeForScriptKeepsDataIntact(): void
+    {
+        $documentation = $this->hostileDocumentation();
+        $encoded = (new Documentation())->encodeForScript($documentation);
+
+        $this->assertSame($documentation, json_decode($encoded, true));
+    }
+
+    // ============================================
+    // Page Rendering Tests
+    // ============================================
+
+    public function testHostileDocumentationAddsNoMarkupToPage(): void
+    {
+        $benign = $this->renderPage([
+            'User' => ['description' => '', 'endpoints' => ['create' => ['method' => 'POST', 'url' => '/user/create', 'description' => '']]],
+        ]);
+        $hostile = $this->renderPage($this->hostileDocumentation());
+
+        $this->assertSame(substr_count($benign, '<script'), substr_count($hostile, '<script'));
+        $this->assertSame(substr_count($benign, '</script'), substr_count($hostile, '</script'));
+        $this->assertStringNotContainsString('<img', $hostile);
+        $this->assertStringNotContainsString("');alert(3)", $hostile);
+    }
+
+    // ============================================
+    // HtmlHelper Escaping Tests
+    // ============================================
+
+    public function testServiceNavigationEscapesServiceName(): void
+    {
+        $html = (new HtmlHelper())->generateServiceNavigation('<img src=x onerror="alert(1)">', '');
+
+        $this->assertStringNotContainsString('<img', $html);
+        $this->assertStringContainsString('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;', $html);
+    }
+
+    public function testMethodNavigationEncodesOnclickArguments(): void
+    {
+        $html = (new HtmlHelper())->generateMethodNavigation('User', "create');alert(1);//", 'POST');
+
+        $this->assertStringNotContainsString("');alert(1)", $html);
+        $this->assertStringContainsString('onclick="showEndpoint(&quot;User&quot;, &quot;create\u0027);alert(1);\/\/&quot;)"', $html);
+    }
+
+    public function testMethodClassOnlyKeepsLetters(): void
+    {
+        $helper = new HtmlHelper();
+
+        $this->assertSame('post', $helper->getMethodClass('POST'));
+        $this->assertSame('getimgsrcx', $helper->getMethodClass('GET"><img src=x>'));
+        $this->assertStringNotContainsString('<img', $helper->generateMethodBadge('GET"><img src=x>'));
+    }
+
+    public function testDescriptionExampleAndResponseAreEscaped(): void
+    {
+        $helper = new HtmlHelper();
+
+        $this->assertStringContainsString('array&lt;string&gt;', $helper->generateDescription('array<string>'));
+        $this->assertStringNotContainsString('<script', $helper->generateExample(self::PAYLOAD));
+        $this->assertStringNotContainsString('<script', $helper->generateResponseSection(self::PAYLOAD));
+        $this->assertStringNotContainsString('<img', $helper->generateEndpointHeader('GET', self::PAYLOAD));
+    }
+
+    // ============================================
+    // @description Capture Tests
+    // ============================================
+
+    private function describe(object $api, string $method): string
+    {
+        $generator = new ApiDocGenerator(__DIR__);
+        $reflection = new \ReflectionMethod($generator, 'getMethodDocComment');
+        $reflection->setAccessible(true);
+        $description = $reflection->invoke($generator, new \ReflectionMethod($api, $method));
+        $this->assertIsString($description);
+        return $description;
+    }
+
+    public function testDescriptionSpansLinesUpToTheNextTag(): void
+    {
+        $api = new class {
+            /**
+             * @description Create a user
+             * Questions go to support@example.com
+             * - sends a welcome mail
+             * @example /api/User/create
+             */
+            public function create(): void
+            {
+            }
+
+            /**
+             * @description List users
+             */
+            public function list(): void
+            {
+            }
+        };
+
+        $this->assertSame(
+            "Create a user\nQuestions go to support@example.com\n- sends a welcome mail",
+            $this->describe($api, 'create')
+        );
+        $this->assertSame('List users', $this->describe($api, 'list'));
+    }
+}
@@ -0,0 +1,190 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Core;
+
+use PHPUnit\Framework\TestCase;
+use Gemvc\Core\Developer\SqlStatement;
+
+class SqlStatementTest extends TestCase
+{
+    // ============================================
+    // mask() Tests
+    // ============================================
+
+    public function testMaskBlanksStringsAndCommentsKeepingOffsets(): void
+    {
+        $sql = "SELECT 'a;b', `c;d` -- e;f\nFROM t /* g;h */";
+        $masked = SqlStatement::mask($sql);
+
+        $this->assertSame(strlen($sql), strlen($masked));
+        $this->assertStringNotContainsString(';', $masked);
+        $this->assertStringContainsString("\nFROM t", $masked);
+    }
+
+    public function testMaskHandlesEscapedAndDoubledQuotes(): void
+    {
+        $masked = SqlStatement::mask("SELECT 'it''s', 'a\\'b;' ; SELECT 1");
+
+        $this->assertSame(1, substr_count($masked, ';'));
+    }
+
+    public function testMaskRunsUnterminatedQuoteToTheEnd(): void
+    {
+        $this->assertStringNotContainsString(';', SqlStatement::mask("SELECT 'open;"));
+    }
+
+    public function testMaskKeepsTheBodyOfExecutableCommentsAndHints(): void
+    {
+        $sql = "SELECT /*!80000 'a;b', x */ /*+ BKA(t) */ y /* z */";
+        $masked = SqlStatement::mask($sql);
+
+        $this->assertSame(strlen($sql), strlen($masked));
+        $this->assertSame("SELECT          '   ', x        BKA(t)    y        ", $masked);
+    }
+
+    // ============================================
+    // split() Tests
+    // ============================================
+
+    public function testSplitReturnsTrimmedStatements(): void
+    {
+        $this->assertSame(
+            ['SELECT 1', "UPDATE t SET a = ';'"],
+            SqlStatement::split("SELECT 1;\n  UPDATE t SET a = ';' ;")
+        );
+    }
+
+    public function testSplitDropsCommentOnlyPieces(): void
+    {
+        $this->assertSame(['SELECT 1'], SqlStatement::split("SELECT 1; -- done\n"));
+        $this->assertSame([], SqlStatement::split("  /* nothing */ ; "));
+    }
+
+    public function testSplitSeesSemicolonsInsideExecutableComments(): void
+    {
+        $this->assertCount(2, SqlStatement::split('SELECT 1 /*! ; DROP TABLE users */'));
+    }
+
+    // ============================================
+    // type() Tests
+    // ============================================
+
+    public function testTypeIsFirstKeywordAfterCommentsAndParentheses(): void
+    {
+        $this->assertSame('SELECT', SqlStatement::type("/* report */ select * from t"));
+        $this->assertSame('SELECT', SqlStatement::type('(SELECT 1) UNION (SELECT 2)'));
+        $this->assertSame('DROP', SqlStatement::type("-- cleanup\nDROP TABLE t"));
+        $this->assertSame('', SqlStatement::type('-- nothing'));
+    }
+
+    // ============================================
+    // isReadOnly() Tests
+    // ============================================
+
+    public function testReadStatementsAreReadOnly(): void
+    {
+        $this->assertTrue(SqlStatement::isReadOnly('SELECT * FROM users'));
+        $this->assertTrue(SqlStatement::isReadOnly('SHOW TABLES'));
+        $this->assertTrue(SqlStatement::isReadOnly('DESCRIBE users'));
+        $this->assertTrue(SqlStatement::isReadOnly('EXPLAIN SELECT 1'));
+        $this->assertTrue(SqlStatement::isReadOnly("WITH x AS (SELECT 'delete' AS word) SELECT * FROM x"));
+    }
+
+    public function testWriteAndSchemaStatementsAreNotReadOnly(): void
+    {
+        $this->assertFalse(SqlStatement::isReadOnly('UPDATE users SET name = 1'));
+        $this->assertFalse(SqlStatement::isReadOnly('DELETE FROM users'));
+        $this->assertFalse(SqlStatement::isReadOnly('TRUNCATE users'));
+        $this->assertFalse(SqlStatement::isReadOnly('ALTER TABLE users ADD x INT'));
+        $this->assertFalse(SqlStatement::isReadOnly('/* SELECT */ DROP TABLE users'));
+    }
+
+    public function testWritesHiddenBehindReadKeywordsAreNotReadOnly(): void
+    {
+        $this->assertFalse(SqlStatement::isReadOnly('WITH old AS (SELECT id FROM logs) DELETE FROM logs WHERE id IN (SELECT id FROM old)'));
+        $this->assertFalse(SqlStatement::isReadOnly("SELECT * FROM users INTO OUTFILE '/tmp/users.csv'"));
+        $this->assertFalse(SqlStatement::isReadOnly('EXPLAIN ANALYZE DELETE FROM users'));
+        $this->assertTrue(SqlStatement::isReadOnly('EXPLAIN ANALYZE SELECT * FROM users'));
+    }
+
+    public function testAnalyzeSpelledWithDescribeOrFormatIsCheckedLikeExplainAnalyze(): void
+    {
+        $this->assertFalse(SqlStatement::isReadOnly('DESC ANALYZE DELETE t FROM t JOIN u ON u.id = t.id'));
+        $this->assertFalse(SqlStatement::isReadOnly('DESCRIBE ANALYZE UPDATE users SET name = 1'));
+        $this->assertFalse(SqlStatement::isReadOnly('EXPLAIN ANALYZE FORMAT=TREE DELETE FROM users'));
+        $this->assertTrue(SqlStatement::isReadOnly('DESC ANALYZE FORMAT = TREE SELECT * FROM users'));
+        $this->assertTrue(SqlStatement::isReadOnly('DESC users'));
+    }
+
+    public function testWritesInsideExecutableCommentsAreNotReadOnly(): void
+    {
+        $this->assertFalse(SqlStatement::isReadOnly("WITH a AS (SELECT 1) SELECT * FROM a /*! INTO OUTFILE '/tmp/x' */"));
+        $this->assertFalse(SqlStatement::isReadOnly("SELECT 1 /*!80000 INTO DUMPFILE '/tmp/x' */"));
+        $this->assertFalse(SqlStatement::isReadOnly('/*!50000 DROP TABLE users */'));
+        $this->assertTrue(SqlStatement::isReadOnly('SELECT /*+ MAX_EXECUTION_TIME(1000) */ * FROM users'));
+    }
+
+    // ============================================
+    // pooledConnectionError() Tests
+    // ============================================
+
+    public function testReadsDmlAndDdlMayRunOnAPooledConnection(): void
+    {
+        $this->assertNull(SqlStatement::pooledConnectionError('SELECT * FROM users'));
+        $this->assertNull(SqlStatement::pooledConnectionError("UPDATE users SET name = 'x' WHERE id = 1"));
+        $this->assertNull(SqlStatement::pooledConnectionError('CREATE TABLE t (id INT)'));
+        $this->assertNull(SqlStatement::pooledConnectionError("SELECT 'GET_LOCK(1)', `@a := 1` FROM t"));
+    }
+
+    public function testSessionStatementsAreRejected(): void
+    {
+        $statements = [
+            'SET autocommit = 0',
+            "SET SESSION sql_mode = ''",
+            'BEGIN',
+            'START TRANSACTION',
+            'LOCK TABLES users WRITE',
+            'FLUSH TABLES WITH READ LOCK',
+            'HANDLER users OPEN',
+            "PREPARE s FROM 'SELECT 1'",
+            'EXECUTE s',
+            'DEALLOCATE PREPARE s',
+            "XA START 'x'",
+            'USE other_db',
+        ];
+        foreach ($statements as $sql) {
+            $this->assertNotNull(SqlStatement::pooledConnectionError($sql), $sql);
+        }
+    }
+
+    public function testLockFunctionsTemporaryTablesAndUserVariablesAreRejected(): void
+    {
+        $this->assertStringContainsString('GET_LOCK', (string) SqlStatement::pooledConnectionError("SELECT GET_LOCK('x', 0)"));
+        $this->assertNotNull(SqlStatement::pooledConnectionError('select release_all_locks()'));
+        $this->assertNotNull(SqlStatement::pooledConnectionError('CREATE TEMPORARY TABLE t (id INT)'));
+        $this->assertNotNull(SqlStatement::pooledConnectionError('SELECT @total := COUNT(*) FROM users'));
+        $this->assertNotNull(SqlStatement::pooledConnectionError('SELECT COUNT(*) INTO @total FROM users'));
+    }
+
+    public function testSessionStateInsideExecutableCommentsIsRejected(): void
+    {
+        $this->assertNotNull(SqlStatement::pooledConnectionError("SELECT /*! GET_LOCK('x', 0) */"));
+        $this->assertNotNull(SqlStatement::pooledConnectionError('SELECT /*! @v := 1 */'));
+        $this->assertNotNull(SqlStatement::pooledConnectionError('/*!40101 SET NAMES utf8 */'));
+        $this->assertNull(SqlStatement::pooledConnectionError('SELECT /*+ MAX_EXECUTION_TIME(1000) */ * FROM users'));
+    }
+
+    // ============================================
+    // isExplainable() Tests
+    // ============================================
+
+    public function testIsExplainable(): void
+    {
+        $this->assertTrue(SqlStatement::isExplainable('select * from users'));
+        $this->assertTrue(SqlStatement::isExplainable('DELETE FROM users WHERE id = 1'));
+        $this->assertFalse(SqlStatement::isExplainable('SHOW TABLES'));
+        $this->assertFalse(SqlStatement::isExplainable('CREATE TABLE t (id INT)'));
+    }
+}
@@ -0,0 +1,110 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Http;
+
+use PHPUnit\Framework\TestCase;
+use Gemvc\Http\StreamResponse;
+
+class StreamResponseTest extends TestCase
+{
+    /**
+     * Minimal stand-in for \OpenSwoole\HTTP\Response that records what was sent
+     */
+    private function fakeSwooleResponse(int $acceptedWrites = PHP_INT_MAX): object
+    {
+        return new class($acceptedWrites) {
+            /** @var array<string, string> */
+            public array $headers = [];
+            public ?int $status = null;
+            /** @var array<int, string> */
+            public array $writes = [];
+            public bool $ended = false;
+
+            public function __construct(private int $acceptedWrites)
+            {
+            }
+
+            public function header(string $key, string $value): void
+            {
+                $this->headers[$key] = $value;
+            }
+
+            public function status(int $status): void
+            {
+                $this->status = $status;
+            }
+
+            public function write(string $chunk): bool
+            {
+                if (count($this->writes) >= $this->acceptedWrites) {
+                    return false;
+                }
+                $this->writes[] = $chunk;
+                return true;
+            }
+
+            public function end(): void
+            {
+                $this->ended = true;
+            }
+        };
+    }
+
+    // ============================================
+    // Event Formatting Tests
+    // ============================================
+
+    public function testFormatEventWritesNamedJsonFrame(): void
+    {
+        $response = new StreamResponse(fn () => [], 2, 'snapshot');
+
+        $this->assertSame("event: snapshot\ndata: {\"cpu\":12.5}\n\n", $response->formatEvent(['cpu' => 12.5]));
+    }
+
+    public function testFormatEventKeepsPayloadOnOneLine(): void
+    {
+        $frame = (new StreamResponse(fn () => []))->formatEvent(['message' => "line one\nline two"]);
+
+        $this->assertSame(3, substr_count($frame, "\n"));
+        $this->assertStringEndsWith("\n\n", $frame);
+    }
+
+    // ============================================
+    // showSwoole() Tests
+    // ============================================
+
+    public function testShowSwooleSendsEventStreamHeaders(): void
+    {
+        $swooleResponse = $this->fakeSwooleResponse();
+        (new StreamResponse(fn () => ['ok' => true], 1, 'snapshot', 0))->showSwoole($swooleResponse);
+
+        $this->assertSame('text/event-stream', $swooleResponse->headers['Content-Type']);
+        $this->assertSame('no-cache', $swooleResponse->headers['Cache-Control']);
+        $this->assertSame(200, $swooleResponse->status);
+    }
+
+    public function testShowSwooleEndsStreamAfterMaxDuration(): void
+    {
+        $swooleResponse = $this->fakeSwooleResponse();
+        (new StreamResponse(fn () => ['ok' => true], 1, 'snapshot', 0))->showSwoole($swooleResponse);
+
+        $this->assertSame(["retry: 1000\n\n", "event: snapshot\ndata: {\"ok\":true}\n\n"], $swooleResponse->writes);
+        $this->assertTrue($swooleResponse->ended);
+    }
+
+    public function testShowSwooleStopsWhenClientDisconnects(): void
+    {
+        $calls = 0;
+        $swooleResponse = $this->fakeSwooleResponse(1);
+        (new StreamResponse(function () use (&$calls) {
+            $calls++;
+            return [];
+        }, 1, 'snapshot', 300))->showSwoole($swooleResponse);
+
+        $this->assertSame(1, $calls);
+        $this->assertCount(1, $swooleResponse->writes);
+        $this->assertFalse($swooleResponse->ended);
+    }
+}